@@ -16,6 +16,11 @@ import ProfileScreen from './src/screens/profile/ProfileScreen';
 // Job Screens
 import JobDetailScreen from './src/screens/jobs/JobDetailScreen';
 import CreateJobScreen from './src/screens/jobs/CreateJobScreen';
+import DisputeScreen from './src/screens/jobs/DisputeScreen';
+import InviteContractorsScreen from './src/screens/jobs/InviteContractorsScreen';
+
+// Payment Screens
+import TransactionsScreen from './src/screens/payments/TransactionsScreen';
 
 // Bid Screens
 import MyBidsScreen from './src/screens/bids/MyBidsScreen';
@@ -80,6 +85,23 @@ export default function App() {
               component={CreateJobScreen} 
               options={{ title: 'Post a New Job' }}
             />
+            <Stack.Screen 
+              name="Dispute" 
+              component={DisputeScreen} 
+              options={{ title: 'Dispute' }}
+            />
+            <Stack.Screen 
+              name="InviteContractors" 
+              component={InviteContractorsScreen} 
+              options={{ title: 'Invite Contractors' }}
+            />
+            
+            {/* Payment Routes */}
+            <Stack.Screen 
+              name="Transactions" 
+              component={TransactionsScreen} 
+              options={{ title: 'Payment History' }}
+            />
             
             {/* Bid Routes */}
             <Stack.Screen 
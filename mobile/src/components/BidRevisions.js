@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity } from 'react-native';
+
+const FIELD_LABELS = {
+  amount: 'Amount',
+  estimated_days: 'Timeline',
+  proposal: 'Proposal',
+  line_items: 'Line items',
+  tax_amount: 'Tax',
+  milestones: 'Milestones',
+};
+
+const describeChange = (change) => {
+  const label = FIELD_LABELS[change.field] || change.field;
+
+  switch (change.field) {
+    case 'amount':
+    case 'tax_amount':
+      return `${label}: $${change.from.toFixed(2)} → $${change.to.toFixed(2)}`;
+    case 'estimated_days':
+      return `${label}: ${change.from || '-'} → ${change.to || '-'} days`;
+    default:
+      return `${label} updated`;
+  }
+};
+
+// "Revised N times" link that expands into what changed in each revision
+const BidRevisions = ({ revisions }) => {
+  const [isExpanded, setExpanded] = useState(false);
+
+  if (!revisions || revisions.count === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={() => setExpanded(!isExpanded)}>
+        <Text style={styles.toggleText}>
+          Revised {revisions.count} time{revisions.count !== 1 ? 's' : ''}
+          {isExpanded ? ' ▲' : ' ▼'}
+        </Text>
+      </TouchableOpacity>
+
+      {isExpanded &&
+        revisions.history.map((revision) => (
+          <View key={revision.version} style={styles.revision}>
+            <Text style={styles.revisionDate}>
+              {new Date(revision.revisedAt).toLocaleDateString()}
+            </Text>
+            {revision.changes.map((change) => (
+              <Text key={change.field} style={styles.changeText}>
+                {describeChange(change)}
+              </Text>
+            ))}
+          </View>
+        ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 10,
+  },
+  toggleText: {
+    fontSize: 14,
+    color: '#007BFF',
+    fontWeight: '500',
+  },
+  revision: {
+    marginTop: 6,
+    paddingLeft: 10,
+    borderLeftWidth: 2,
+    borderLeftColor: '#ddd',
+  },
+  revisionDate: {
+    fontSize: 12,
+    color: '#999',
+  },
+  changeText: {
+    fontSize: 14,
+    color: '#333',
+  },
+});
+
+export default BidRevisions;
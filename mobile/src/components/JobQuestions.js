@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { useAPI } from '../context/APIContext';
+
+// Public questions on a job: contractors ask, the customer answers each once,
+// and every bidder sees the answers
+const JobQuestions = ({ jobId, isOwner, canAsk }) => {
+  const { jobs, realtime } = useAPI();
+
+  const [questions, setQuestions] = useState([]);
+  const [newQuestion, setNewQuestion] = useState('');
+  const [answers, setAnswers] = useState({});
+  const [isAsking, setIsAsking] = useState(false);
+  const [answeringId, setAnsweringId] = useState(null);
+
+  useEffect(() => {
+    loadQuestions();
+  }, [jobId]);
+
+  // Keep the thread current as questions are asked and answered
+  useEffect(() => {
+    const reloadForJob = (event) => {
+      if (event.jobId === jobId) {
+        loadQuestions();
+      }
+    };
+    const unsubscribeNew = realtime.subscribe('question:new', reloadForJob);
+    const unsubscribeAnswered = realtime.subscribe('question:answered', reloadForJob);
+
+    return () => {
+      unsubscribeNew();
+      unsubscribeAnswered();
+    };
+  }, [jobId]);
+
+  const loadQuestions = async () => {
+    const result = await jobs.getJobQuestions(jobId);
+
+    if (result.success) {
+      setQuestions(result.data.questions);
+    }
+  };
+
+  const handleAsk = async () => {
+    setIsAsking(true);
+    try {
+      const result = await jobs.askQuestion(jobId, newQuestion.trim());
+
+      if (result.success) {
+        setNewQuestion('');
+        setQuestions([...questions, result.data.question]);
+      } else {
+        Alert.alert('Error', result.message || 'Failed to post question');
+      }
+    } catch (error) {
+      console.error('Ask question error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
+  const handleAnswer = async (questionId) => {
+    setAnsweringId(questionId);
+    try {
+      const result = await jobs.answerQuestion(jobId, questionId, answers[questionId].trim());
+
+      if (result.success) {
+        setAnswers({ ...answers, [questionId]: '' });
+        setQuestions(questions.map((question) =>
+          question.id === questionId ? result.data.question : question
+        ));
+      } else {
+        Alert.alert('Error', result.message || 'Failed to answer question');
+      }
+    } catch (error) {
+      console.error('Answer question error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setAnsweringId(null);
+    }
+  };
+
+  if (questions.length === 0 && !canAsk) {
+    return null;
+  }
+
+  const unansweredCount = questions.filter((question) => !question.answered_at).length;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Questions & Answers</Text>
+      {isOwner && unansweredCount > 0 && (
+        <Text style={styles.unansweredText}>
+          {unansweredCount} question{unansweredCount !== 1 ? 's' : ''} waiting for your answer
+        </Text>
+      )}
+
+      {questions.length === 0 && (
+        <Text style={styles.emptyText}>
+          No questions yet. Ask the customer anything other bidders would want to know too.
+        </Text>
+      )}
+
+      {questions.map((question) => (
+        <View key={question.id} style={styles.question}>
+          <Text style={styles.questionText}>Q: {question.question}</Text>
+          <Text style={styles.meta}>
+            {question.contractor?.full_name || 'A contractor'} ·{' '}
+            {new Date(question.created_at).toLocaleDateString()}
+          </Text>
+
+          {question.answered_at ? (
+            <Text style={styles.answerText}>A: {question.answer}</Text>
+          ) : isOwner ? (
+            <View style={styles.answerForm}>
+              <TextInput
+                style={styles.input}
+                value={answers[question.id] || ''}
+                onChangeText={(text) => setAnswers({ ...answers, [question.id]: text })}
+                placeholder='Answer once for every bidder'
+                maxLength={2000}
+                multiline
+              />
+              <TouchableOpacity
+                style={[
+                  styles.button,
+                  !(answers[question.id] || '').trim() && styles.buttonDisabled,
+                ]}
+                onPress={() => handleAnswer(question.id)}
+                disabled={!(answers[question.id] || '').trim() || answeringId === question.id}
+              >
+                {answeringId === question.id ? (
+                  <ActivityIndicator size='small' color='#fff' />
+                ) : (
+                  <Text style={styles.buttonText}>Answer</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <Text style={styles.pendingText}>Waiting for the customer's answer</Text>
+          )}
+        </View>
+      ))}
+
+      {canAsk && (
+        <View style={styles.askForm}>
+          <TextInput
+            style={styles.input}
+            value={newQuestion}
+            onChangeText={setNewQuestion}
+            placeholder='Ask a question (visible to everyone)'
+            maxLength={500}
+            multiline
+          />
+          <TouchableOpacity
+            style={[styles.button, !newQuestion.trim() && styles.buttonDisabled]}
+            onPress={handleAsk}
+            disabled={!newQuestion.trim() || isAsking}
+          >
+            {isAsking ? (
+              <ActivityIndicator size='small' color='#fff' />
+            ) : (
+              <Text style={styles.buttonText}>Ask</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    padding: 20,
+    marginTop: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  unansweredText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#856404',
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 10,
+  },
+  question: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingVertical: 10,
+  },
+  questionText: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  answerText: {
+    fontSize: 15,
+    color: '#333',
+    marginTop: 6,
+  },
+  pendingText: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    color: '#666',
+    marginTop: 6,
+  },
+  answerForm: {
+    marginTop: 8,
+  },
+  askForm: {
+    marginTop: 12,
+  },
+  input: {
+    backgroundColor: '#f8f8f8',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    minHeight: 60,
+    textAlignVertical: 'top',
+    marginBottom: 8,
+  },
+  button: {
+    backgroundColor: '#007BFF',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    backgroundColor: '#9cc7f5',
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
+
+export default JobQuestions;
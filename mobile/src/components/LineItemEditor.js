@@ -0,0 +1,206 @@
+import React from 'react';
+import { StyleSheet, View, Text, TextInput, TouchableOpacity, Switch } from 'react-native';
+import { LINE_ITEM_TYPES, MAX_LINE_ITEMS } from '../utils/config';
+
+export const EMPTY_LINE_ITEM = {
+  type: 'labor',
+  description: '',
+  quantity: '1',
+  unitPrice: '',
+  taxable: false,
+};
+
+// Sum of quantity x unit price over the line items, before tax
+export const lineItemsSubtotal = (lineItems) =>
+  lineItems.reduce(
+    (sum, item) =>
+      sum + (parseFloat(item.quantity) || 0) * (parseFloat(item.unitPrice) || 0),
+    0
+  );
+
+// Lets a contractor quote a job as line items instead of a single amount
+const LineItemEditor = ({ lineItems, onChange }) => {
+  const updateLineItem = (index, field, value) => {
+    onChange(
+      lineItems.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    );
+  };
+
+  const removeLineItem = (index) => {
+    onChange(lineItems.filter((_, i) => i !== index));
+  };
+
+  const hasTaxableItems = lineItems.some((item) => item.taxable);
+
+  return (
+    <View>
+      {lineItems.map((item, index) => (
+        <View key={index} style={styles.row}>
+          <View style={styles.rowHeader}>
+            <Text style={styles.rowTitle}>Item {index + 1}</Text>
+            <TouchableOpacity onPress={() => removeLineItem(index)}>
+              <Text style={styles.removeText}>Remove</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.typeOptions}>
+            {LINE_ITEM_TYPES.map((type) => (
+              <TouchableOpacity
+                key={type.value}
+                style={[
+                  styles.typeOption,
+                  item.type === type.value && styles.typeOptionSelected,
+                ]}
+                onPress={() => updateLineItem(index, 'type', type.value)}
+              >
+                <Text
+                  style={[
+                    styles.typeOptionText,
+                    item.type === type.value && styles.typeOptionTextSelected,
+                  ]}
+                >
+                  {type.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TextInput
+            style={styles.input}
+            value={item.description}
+            onChangeText={(value) => updateLineItem(index, 'description', value)}
+            placeholder='Description'
+            maxLength={200}
+          />
+          <View style={styles.inlineInputs}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              value={item.quantity}
+              onChangeText={(value) => updateLineItem(index, 'quantity', value)}
+              placeholder='Quantity'
+              keyboardType='numeric'
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              value={item.unitPrice}
+              onChangeText={(value) => updateLineItem(index, 'unitPrice', value)}
+              placeholder='Unit price ($)'
+              keyboardType='numeric'
+            />
+          </View>
+          <View style={styles.taxRow}>
+            <Text style={styles.taxLabel}>Taxable</Text>
+            <Switch
+              value={item.taxable}
+              onValueChange={(value) => updateLineItem(index, 'taxable', value)}
+            />
+          </View>
+        </View>
+      ))}
+
+      {lineItems.length > 0 && (
+        <Text style={styles.total}>
+          Subtotal ${lineItemsSubtotal(lineItems).toFixed(2)}
+          {hasTaxableItems ? ' plus tax on taxable items' : ''}
+        </Text>
+      )}
+
+      {lineItems.length < MAX_LINE_ITEMS && (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => onChange([...lineItems, EMPTY_LINE_ITEM])}
+        >
+          <Text style={styles.addButtonText}>+ Add line item</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+  },
+  removeText: {
+    fontSize: 14,
+    color: '#dc3545',
+  },
+  typeOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  typeOption: {
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  typeOptionSelected: {
+    backgroundColor: '#007BFF',
+    borderColor: '#007BFF',
+  },
+  typeOptionText: {
+    fontSize: 13,
+    color: '#333',
+  },
+  typeOptionTextSelected: {
+    color: '#fff',
+  },
+  input: {
+    backgroundColor: '#f8f8f8',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    marginBottom: 8,
+  },
+  inlineInputs: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  inlineInput: {
+    width: '48%',
+  },
+  taxRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  taxLabel: {
+    fontSize: 14,
+    color: '#333',
+  },
+  total: {
+    fontSize: 14,
+    color: '#155724',
+    marginBottom: 10,
+  },
+  addButton: {
+    paddingVertical: 8,
+    marginBottom: 16,
+  },
+  addButtonText: {
+    fontSize: 15,
+    color: '#007BFF',
+    fontWeight: '500',
+  },
+});
+
+export default LineItemEditor;
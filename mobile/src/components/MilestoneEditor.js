@@ -0,0 +1,138 @@
+import React from 'react';
+import { StyleSheet, View, Text, TextInput, TouchableOpacity } from 'react-native';
+import { MAX_MILESTONES } from '../utils/config';
+
+export const EMPTY_MILESTONE = { title: '', amount: '', dueDate: '' };
+
+// Lets a contractor split a bid into milestones that add up to the bid amount
+const MilestoneEditor = ({ milestones, bidAmount, onChange }) => {
+  const updateMilestone = (index, field, value) => {
+    onChange(
+      milestones.map((milestone, i) =>
+        i === index ? { ...milestone, [field]: value } : milestone
+      )
+    );
+  };
+
+  const removeMilestone = (index) => {
+    onChange(milestones.filter((_, i) => i !== index));
+  };
+
+  const total = milestones.reduce(
+    (sum, milestone) => sum + (parseFloat(milestone.amount) || 0),
+    0
+  );
+  const amount = parseFloat(bidAmount) || 0;
+  const matchesBid = Math.round(total * 100) === Math.round(amount * 100);
+
+  return (
+    <View>
+      {milestones.map((milestone, index) => (
+        <View key={index} style={styles.row}>
+          <View style={styles.rowHeader}>
+            <Text style={styles.rowTitle}>Milestone {index + 1}</Text>
+            <TouchableOpacity onPress={() => removeMilestone(index)}>
+              <Text style={styles.removeText}>Remove</Text>
+            </TouchableOpacity>
+          </View>
+          <TextInput
+            style={styles.input}
+            value={milestone.title}
+            onChangeText={(value) => updateMilestone(index, 'title', value)}
+            placeholder='What will be delivered'
+            maxLength={200}
+          />
+          <View style={styles.inlineInputs}>
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              value={milestone.amount}
+              onChangeText={(value) => updateMilestone(index, 'amount', value)}
+              placeholder='Amount ($)'
+              keyboardType='numeric'
+            />
+            <TextInput
+              style={[styles.input, styles.inlineInput]}
+              value={milestone.dueDate}
+              onChangeText={(value) => updateMilestone(index, 'dueDate', value)}
+              placeholder='Due (YYYY-MM-DD)'
+            />
+          </View>
+        </View>
+      ))}
+
+      {milestones.length > 0 && (
+        <Text style={[styles.total, !matchesBid && styles.totalMismatch]}>
+          Milestones total ${total.toFixed(2)} of ${amount.toFixed(2)}
+        </Text>
+      )}
+
+      {milestones.length < MAX_MILESTONES && (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => onChange([...milestones, EMPTY_MILESTONE])}
+        >
+          <Text style={styles.addButtonText}>+ Add milestone</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+  },
+  removeText: {
+    fontSize: 14,
+    color: '#dc3545',
+  },
+  input: {
+    backgroundColor: '#f8f8f8',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    marginBottom: 8,
+  },
+  inlineInputs: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  inlineInput: {
+    width: '48%',
+  },
+  total: {
+    fontSize: 14,
+    color: '#155724',
+    marginBottom: 10,
+  },
+  totalMismatch: {
+    color: '#dc3545',
+  },
+  addButton: {
+    paddingVertical: 8,
+    marginBottom: 16,
+  },
+  addButtonText: {
+    fontSize: 15,
+    color: '#007BFF',
+    fontWeight: '500',
+  },
+});
+
+export default MilestoneEditor;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { StyleSheet, View, Text } from 'react-native';
+
+const describeRound = (round, viewerRole) => {
+  const who = round.by === viewerRole ? 'You' : round.by === 'customer' ? 'Customer' : 'Contractor';
+  const terms = round.amount !== null
+    ? ` $${parseFloat(round.amount).toFixed(2)}${
+      round.estimated_days ? `, ${round.estimated_days} day${round.estimated_days !== 1 ? 's' : ''}` : ''
+    }`
+    : '';
+
+  switch (round.action) {
+    case 'bid':
+      return `${who} bid${terms}`;
+    case 'counter':
+      return `${who} countered with${terms}`;
+    case 'accept':
+      return `${who} accepted${terms}`;
+    case 'decline':
+      return `${who} declined and withdrew the bid`;
+    default:
+      return who;
+  }
+};
+
+// Lists the counter-offer rounds on a bid, oldest first
+const NegotiationHistory = ({ negotiation, viewerRole }) => {
+  if (!negotiation || negotiation.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Negotiation</Text>
+      {negotiation.map((round, index) => (
+        <View key={index} style={styles.round}>
+          <Text style={styles.roundText}>{describeRound(round, viewerRole)}</Text>
+          {round.message ? (
+            <Text style={styles.roundMessage}>"{round.message}"</Text>
+          ) : null}
+          <Text style={styles.roundDate}>
+            {new Date(round.created_at).toLocaleDateString()}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderLeftWidth: 2,
+    borderLeftColor: '#007BFF',
+    paddingLeft: 10,
+    marginBottom: 10,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+    marginBottom: 4,
+  },
+  round: {
+    marginBottom: 6,
+  },
+  roundText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  roundMessage: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    color: '#666',
+  },
+  roundDate: {
+    fontSize: 12,
+    color: '#999',
+  },
+});
+
+export default NegotiationHistory;
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Modal,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { useAPI } from '../context/APIContext';
+import { REPORT_REASONS } from '../utils/config';
+
+// Lets the user pick a reason and report a user, message, job or rating
+const ReportModal = ({ visible, targetType, targetId, onClose }) => {
+  const { reports } = useAPI();
+
+  const [reason, setReason] = useState(null);
+  const [details, setDetails] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const close = () => {
+    setReason(null);
+    setDetails('');
+    onClose();
+  };
+
+  const submitReport = async () => {
+    setIsSubmitting(true);
+
+    try {
+      const result = await reports.createReport(
+        targetType,
+        targetId,
+        reason,
+        details.trim()
+      );
+
+      if (result.success) {
+        Alert.alert('Report Sent', 'Thanks for letting us know. Our moderators will review it.');
+        close();
+      } else {
+        Alert.alert('Error', result.message || 'Failed to submit report');
+      }
+    } catch (error) {
+      console.error('Submit report error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={close}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Report {targetType}</Text>
+          <Text style={styles.subtitle}>Why are you reporting this?</Text>
+
+          {REPORT_REASONS.map((option) => (
+            <TouchableOpacity
+              key={option.value}
+              style={[
+                styles.reasonOption,
+                reason === option.value && styles.reasonOptionSelected
+              ]}
+              onPress={() => setReason(option.value)}
+            >
+              <Text
+                style={[
+                  styles.reasonText,
+                  reason === option.value && styles.reasonTextSelected
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+
+          <TextInput
+            style={styles.detailsInput}
+            value={details}
+            onChangeText={setDetails}
+            placeholder="Add details (optional)"
+            maxLength={1000}
+            multiline
+          />
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.cancelButton} onPress={close}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[
+                styles.submitButton,
+                (!reason || isSubmitting) && styles.submitButtonDisabled
+              ]}
+              onPress={submitReport}
+              disabled={!reason || isSubmitting}
+            >
+              {isSubmitting ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.submitButtonText}>Submit</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    textTransform: 'capitalize',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  reasonOption: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+  },
+  reasonOptionSelected: {
+    borderColor: '#007BFF',
+    backgroundColor: '#e6f2ff',
+  },
+  reasonText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  reasonTextSelected: {
+    color: '#007BFF',
+    fontWeight: '500',
+  },
+  detailsInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    minHeight: 70,
+    textAlignVertical: 'top',
+    marginTop: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  cancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginRight: 10,
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  submitButton: {
+    backgroundColor: '#dc3545',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+  },
+  submitButtonDisabled: {
+    backgroundColor: '#f1a7ae',
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '500',
+  },
+});
+
+export default ReportModal;
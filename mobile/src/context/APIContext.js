@@ -1,6 +1,17 @@
-import React, { createContext, useContext } from 'react';
+import React, { createContext, useContext, useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
 import axios from 'axios';
-import { useAuth } from './AuthContext';
+import * as FileSystem from 'expo-file-system';
+import { useAuth, getAccountStatusMessage } from './AuthContext';
+
+const API_URL = 'http://localhost:8000'; //process.env.EXPO_PUBLIC_API_URL
+const WS_URL = `${API_URL.replace(/^http/, 'ws')}/ws`;
+
+// Reconnect backoff bounds for the real-time socket
+const MIN_RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+// Close code the server uses when the account is no longer active
+const ACCOUNT_CLOSED_CODE = 4403;
 
 // Create API context
 const APIContext = createContext();
@@ -10,11 +21,13 @@ export const useAPI = () => useContext(APIContext);
 
 // API Provider component
 export const APIProvider = ({ children }) => {
-  const { token } = useAuth();
+  const { token, logout } = useAuth();
+  const socketRef = useRef(null);
+  const listenersRef = useRef(new Map());
 
   // Configure axios instance with authentication
   const api = axios.create({
-    baseURL: 'http://localhost:8000', //process.env.EXPO_PUBLIC_API_URL
+    baseURL: API_URL,
     headers: {
       'Content-Type': 'application/json',
     },
@@ -33,6 +46,111 @@ export const APIProvider = ({ children }) => {
     }
   );
 
+  // Sign out as soon as the server reports the account was suspended or deactivated
+  const handleAccountClosed = (data) => {
+    Alert.alert('Account Unavailable', getAccountStatusMessage(data));
+    logout();
+  };
+
+  api.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      if (getAccountStatusMessage(error.response?.data)) {
+        handleAccountClosed(error.response.data);
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  // Deliver a real-time event to every subscribed handler
+  const dispatchEvent = (type, payload) => {
+    const handlers = listenersRef.current.get(type);
+    if (handlers) {
+      handlers.forEach((handler) => handler(payload));
+    }
+  };
+
+  // Keep a WebSocket open while the user is logged in
+  useEffect(() => {
+    if (!token) return;
+
+    let isActive = true;
+    let reconnectTimer = null;
+    let reconnectDelay = MIN_RECONNECT_DELAY;
+
+    const connect = () => {
+      const socket = new WebSocket(
+        `${WS_URL}?token=${encodeURIComponent(token)}`
+      );
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        reconnectDelay = MIN_RECONNECT_DELAY;
+        // Let screens catch up on anything missed while disconnected
+        dispatchEvent('connection:open', {});
+      };
+
+      socket.onmessage = (event) => {
+        try {
+          const { type, payload } = JSON.parse(event.data);
+          dispatchEvent(type, payload);
+        } catch (error) {
+          console.error('Realtime message error:', error);
+        }
+      };
+
+      socket.onclose = (event) => {
+        socketRef.current = null;
+        if (!isActive) return;
+
+        if (event.code === ACCOUNT_CLOSED_CODE) {
+          handleAccountClosed({ code: event.reason });
+          return;
+        }
+
+        reconnectTimer = setTimeout(connect, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
+      };
+    };
+
+    connect();
+
+    return () => {
+      isActive = false;
+      clearTimeout(reconnectTimer);
+      if (socketRef.current) {
+        socketRef.current.close();
+        socketRef.current = null;
+      }
+    };
+  }, [token]);
+
+  // Real-time functions
+  const realtime = {
+    // Subscribe to a server event, returns an unsubscribe function
+    subscribe: (type, handler) => {
+      if (!listenersRef.current.has(type)) {
+        listenersRef.current.set(type, new Set());
+      }
+      listenersRef.current.get(type).add(handler);
+
+      return () => {
+        const handlers = listenersRef.current.get(type);
+        if (handlers) {
+          handlers.delete(handler);
+        }
+      };
+    },
+
+    // Send an event to the server if the socket is open
+    send: (type, payload = {}) => {
+      const socket = socketRef.current;
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type, payload }));
+      }
+    },
+  };
+
   // Jobs API functions
   const jobs = {
     // Get all jobs with optional filtering
@@ -137,7 +255,267 @@ export const APIProvider = ({ children }) => {
         return {
           success: false,
           message:
-            error.response?.data?.message || 'Failed to assign contractor',
+            error.response?.data?.error || 'Failed to assign contractor',
+        };
+      }
+    },
+
+    // Ask the customer to confirm a job is finished, with optional photos ({ uri, name, type })
+    requestCompletion: async (jobId, notes, images = []) => {
+      try {
+        let completionData = { notes };
+        let config = {};
+
+        if (images.length > 0) {
+          completionData = new FormData();
+          completionData.append('notes', notes || '');
+          images.forEach((file) => {
+            completionData.append('images', file);
+          });
+          config = { headers: { 'Content-Type': 'multipart/form-data' } };
+        }
+
+        const response = await api.post(
+          `/api/jobs/${jobId}/completion/request`,
+          completionData,
+          config
+        );
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Request completion error:', error);
+        return {
+          success: false,
+          message:
+            error.response?.data?.error || 'Failed to request completion',
+        };
+      }
+    },
+
+    // Confirm a job is finished
+    confirmCompletion: async (jobId) => {
+      try {
+        const response = await api.post(`/api/jobs/${jobId}/completion/confirm`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Confirm completion error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to complete job',
+        };
+      }
+    },
+
+    // Decline a completion request, explaining what still needs doing
+    declineCompletion: async (jobId, reason) => {
+      try {
+        const response = await api.post(
+          `/api/jobs/${jobId}/completion/decline`,
+          { reason }
+        );
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Decline completion error:', error);
+        return {
+          success: false,
+          message:
+            error.response?.data?.error || 'Failed to decline completion',
+        };
+      }
+    },
+
+    // Download a completed job's PDF invoice to the cache, returns its local URI
+    downloadInvoice: async (jobId) => {
+      try {
+        const result = await FileSystem.downloadAsync(
+          `${API_URL}/api/jobs/${jobId}/invoice`,
+          `${FileSystem.cacheDirectory}invoice-${jobId}.pdf`,
+          { headers: { Authorization: `Bearer ${token}` } }
+        );
+
+        // The server is still storing the PDF
+        if (result.status === 202) {
+          return {
+            success: false,
+            pending: true,
+            message: 'Your invoice is still being prepared. Please try again in a moment.',
+          };
+        }
+
+        if (result.status !== 200) {
+          return { success: false, message: 'Failed to download invoice' };
+        }
+
+        return { success: true, data: { uri: result.uri } };
+      } catch (error) {
+        console.error('Download invoice error:', error);
+        return { success: false, message: 'Failed to download invoice' };
+      }
+    },
+
+    // Invite contractors to bid on a job
+    inviteContractors: async (jobId, contractorIds, message) => {
+      try {
+        const response = await api.post(`/api/jobs/${jobId}/invitations`, {
+          contractorIds,
+          message,
+        });
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Invite contractors error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to invite contractors',
+        };
+      }
+    },
+
+    // Get the invitations sent for a job
+    getJobInvitations: async (jobId) => {
+      try {
+        const response = await api.get(`/api/jobs/${jobId}/invitations`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Get job invitations error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to fetch invitations',
+        };
+      }
+    },
+
+    // Re-open an expired job, keeping its bids
+    reopenJob: async (jobId, schedule = {}) => {
+      try {
+        const response = await api.post(`/api/jobs/${jobId}/reopen`, schedule);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Reopen job error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to re-open job',
+        };
+      }
+    },
+
+    // Post a fresh copy of an expired job
+    repostJob: async (jobId, schedule = {}) => {
+      try {
+        const response = await api.post(`/api/jobs/${jobId}/repost`, schedule);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Repost job error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to repost job',
+        };
+      }
+    },
+
+    // Get the public questions and answers on a job
+    getJobQuestions: async (jobId) => {
+      try {
+        const response = await api.get(`/api/jobs/${jobId}/questions`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Get job questions error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to fetch questions',
+        };
+      }
+    },
+
+    // Ask a public question about a job
+    askQuestion: async (jobId, question) => {
+      try {
+        const response = await api.post(`/api/jobs/${jobId}/questions`, { question });
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Ask question error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to post question',
+        };
+      }
+    },
+
+    // Answer a question about one of your jobs
+    answerQuestion: async (jobId, questionId, answer) => {
+      try {
+        const response = await api.post(
+          `/api/jobs/${jobId}/questions/${questionId}/answer`,
+          { answer }
+        );
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Answer question error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to answer question',
+        };
+      }
+    },
+
+    // Get a job's milestones and progress
+    getMilestones: async (jobId) => {
+      try {
+        const response = await api.get(`/api/jobs/${jobId}/milestones`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Get milestones error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to fetch milestones',
+        };
+      }
+    },
+
+    // Submit a finished milestone for approval (assigned contractor)
+    submitMilestone: async (jobId, milestoneId, note) => {
+      try {
+        const response = await api.post(
+          `/api/jobs/${jobId}/milestones/${milestoneId}/submit`,
+          { note }
+        );
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Submit milestone error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to submit milestone',
+        };
+      }
+    },
+
+    // Approve a submitted milestone (job owner)
+    approveMilestone: async (jobId, milestoneId) => {
+      try {
+        const response = await api.post(
+          `/api/jobs/${jobId}/milestones/${milestoneId}/approve`
+        );
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Approve milestone error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to approve milestone',
+        };
+      }
+    },
+
+    // Send a submitted milestone back to the contractor (job owner)
+    rejectMilestone: async (jobId, milestoneId, reason) => {
+      try {
+        const response = await api.post(
+          `/api/jobs/${jobId}/milestones/${milestoneId}/reject`,
+          { reason }
+        );
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Reject milestone error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to reject milestone',
         };
       }
     },
@@ -154,7 +532,7 @@ export const APIProvider = ({ children }) => {
         console.error('Create bid error:', error);
         return {
           success: false,
-          message: error.response?.data?.message || 'Failed to place bid',
+          message: error.response?.data?.error || 'Failed to place bid',
         };
       }
     },
@@ -201,16 +579,58 @@ export const APIProvider = ({ children }) => {
       }
     },
 
-    // Delete a bid
-    deleteBid: async (bidId) => {
+    // Withdraw a bid with an optional reason
+    withdrawBid: async (bidId, reason) => {
+      try {
+        const response = await api.post(`/api/bids/${bidId}/withdraw`, { reason });
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Withdraw bid error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to withdraw bid',
+        };
+      }
+    },
+
+    // Counter a bid (customer) or counter back (contractor)
+    counterBid: async (bidId, counterData) => {
+      try {
+        const response = await api.post(`/api/bids/${bidId}/counter`, counterData);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Counter bid error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to send counter-offer',
+        };
+      }
+    },
+
+    // Accept the customer's counter-offer
+    acceptCounter: async (bidId, message) => {
       try {
-        const response = await api.delete(`/api/bids/${bidId}`);
+        const response = await api.post(`/api/bids/${bidId}/counter/accept`, { message });
         return { success: true, data: response.data };
       } catch (error) {
-        console.error('Delete bid error:', error);
+        console.error('Accept counter error:', error);
         return {
           success: false,
-          message: error.response?.data?.message || 'Failed to delete bid',
+          message: error.response?.data?.error || 'Failed to accept counter-offer',
+        };
+      }
+    },
+
+    // Decline the customer's counter-offer, withdrawing the bid
+    declineCounter: async (bidId, message) => {
+      try {
+        const response = await api.post(`/api/bids/${bidId}/counter/decline`, { message });
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Decline counter error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to decline counter-offer',
         };
       }
     },
@@ -218,12 +638,12 @@ export const APIProvider = ({ children }) => {
 
   // Chat API functions
   const chat = {
-    // Get or create a conversation
-    getOrCreateConversation: async (customerId, userId) => {
+    // Get or create a conversation, optionally scoped to a job
+    getOrCreateConversation: async (otherUserId, jobId = null) => {
       try {
         const response = await api.post(`/api/chats/conversation`, {
-          otherUserId: customerId,
-          currentUserId: userId,
+          otherUserId,
+          jobId,
         });
         return { success: true, data: response.data };
       } catch (error) {
@@ -231,7 +651,7 @@ export const APIProvider = ({ children }) => {
         return {
           success: false,
           message:
-            error.response?.data?.message || 'Failed to create conversation',
+            error.response?.data?.error || 'Failed to create conversation',
         };
       }
     },
@@ -265,28 +685,116 @@ export const APIProvider = ({ children }) => {
       }
     },
 
-    // Send a message
-    sendMessage: async (conversationId, receiverId, content, jobId = null) => {
+    // Send a message, optionally with file attachments ({ uri, name, type })
+    sendMessage: async (
+      conversationId,
+      receiverId,
+      content,
+      jobId = null,
+      attachments = []
+    ) => {
       try {
-        const messageData = {
+        let messageData = {
           conversationId,
           receiverId,
           content,
           jobId,
         };
+        let config = {};
 
-        const response = await api.post('/api/chats/message', messageData);
+        if (attachments.length > 0) {
+          messageData = new FormData();
+          messageData.append('conversationId', conversationId);
+          messageData.append('content', content || '');
+          if (jobId) {
+            messageData.append('jobId', jobId);
+          }
+          attachments.forEach((file) => {
+            messageData.append('attachments', file);
+          });
+          config = { headers: { 'Content-Type': 'multipart/form-data' } };
+        }
+
+        const response = await api.post(
+          '/api/chats/message',
+          messageData,
+          config
+        );
         return { success: true, data: response.data };
       } catch (error) {
         console.error('Send message error:', error);
         return {
           success: false,
-          message: error.response?.data?.message || 'Failed to send message',
+          message: error.response?.data?.error || 'Failed to send message',
+        };
+      }
+    },
+
+    // Edit the content of a sent message
+    editMessage: async (messageId, content) => {
+      try {
+        const response = await api.put(`/api/chats/message/${messageId}`, {
+          content,
+        });
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Edit message error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to edit message',
+        };
+      }
+    },
+
+    // Delete (unsend) a sent message
+    deleteMessage: async (messageId) => {
+      try {
+        const response = await api.delete(`/api/chats/message/${messageId}`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Delete message error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to delete message',
+        };
+      }
+    },
+
+    // Mark messages as read up to a given message
+    markAsRead: async (conversationId, upToMessageId) => {
+      try {
+        const response = await api.post(
+          `/api/chats/messages/${conversationId}/read`,
+          { upToMessageId }
+        );
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Mark as read error:', error);
+        return {
+          success: false,
+          message:
+            error.response?.data?.message || 'Failed to mark messages as read',
+        };
+      }
+    },
+
+    // Search messages across all of the user's conversations
+    searchMessages: async (query, page = 1) => {
+      try {
+        const params = new URLSearchParams({ q: query, page: String(page) });
+        const response = await api.get(`/api/chats/search?${params.toString()}`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Search messages error:', error);
+        return {
+          success: false,
+          message:
+            error.response?.data?.error || 'Failed to search messages',
         };
       }
     },
 
-    // Get unread message count
+        // Get unread message count
     getUnreadCount: async () => {
       try {
         const response = await api.get('/api/chats/unread');
@@ -336,8 +844,9 @@ export const APIProvider = ({ children }) => {
     // Search for contractors
     searchContractors: async (query) => {
       try {
+        const params = new URLSearchParams({ query });
         const response = await api.get(
-          `/api/users/search/contractors?q=${query}`
+          `/api/users/search/contractors?${params.toString()}`
         );
         return { success: true, data: response.data };
       } catch (error) {
@@ -349,6 +858,49 @@ export const APIProvider = ({ children }) => {
         };
       }
     },
+
+    // Block a user
+    blockUser: async (userId) => {
+      try {
+        const response = await api.post(`/api/users/${userId}/block`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Block user error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to block user',
+        };
+      }
+    },
+
+    // Unblock a user
+    unblockUser: async (userId) => {
+      try {
+        const response = await api.delete(`/api/users/${userId}/block`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Unblock user error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to unblock user',
+        };
+      }
+    },
+
+    // Get users blocked by the current user
+    getBlockedUsers: async () => {
+      try {
+        const response = await api.get('/api/users/blocked');
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Get blocked users error:', error);
+        return {
+          success: false,
+          message:
+            error.response?.data?.error || 'Failed to fetch blocked users',
+        };
+      }
+    },
   };
 
   // Ratings API functions
@@ -397,6 +949,216 @@ export const APIProvider = ({ children }) => {
     },
   };
 
+  // Reports API functions
+  const reports = {
+    // Report a user, message, job or rating
+    createReport: async (targetType, targetId, reason, details = '') => {
+      try {
+        const response = await api.post('/api/reports', {
+          targetType,
+          targetId,
+          reason,
+          details,
+        });
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Create report error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to submit report',
+        };
+      }
+    },
+  };
+
+  // Build a multipart body when files ({ uri, name, type }) are attached
+  const withFiles = (fields, fileField, files) => {
+    if (files.length === 0) {
+      return { data: fields, config: {} };
+    }
+
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+      formData.append(key, value || '');
+    });
+    files.forEach((file) => {
+      formData.append(fileField, file);
+    });
+
+    return {
+      data: formData,
+      config: { headers: { 'Content-Type': 'multipart/form-data' } },
+    };
+  };
+
+  const disputes = {
+    // Open a dispute on a job, with optional evidence files
+    createDispute: async (jobId, reason, description, evidence = []) => {
+      try {
+        const { data, config } = withFiles(
+          { jobId, reason, description },
+          'evidence',
+          evidence
+        );
+        const response = await api.post('/api/disputes', data, config);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Create dispute error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to open dispute',
+        };
+      }
+    },
+
+    // Get disputes the current user raised or was named in
+    getMyDisputes: async () => {
+      try {
+        const response = await api.get('/api/disputes/my');
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Get my disputes error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to fetch disputes',
+        };
+      }
+    },
+
+    // Get a dispute with its message thread
+    getDispute: async (disputeId) => {
+      try {
+        const response = await api.get(`/api/disputes/${disputeId}`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Get dispute error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to fetch dispute',
+        };
+      }
+    },
+
+    // Post in a dispute thread, optionally with attachments
+    sendMessage: async (disputeId, content, attachments = []) => {
+      try {
+        const { data, config } = withFiles(
+          { content },
+          'attachments',
+          attachments
+        );
+        const response = await api.post(
+          `/api/disputes/${disputeId}/messages`,
+          data,
+          config
+        );
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Send dispute message error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to send message',
+        };
+      }
+    },
+
+    // Withdraw a dispute you opened
+    withdrawDispute: async (disputeId) => {
+      try {
+        const response = await api.post(`/api/disputes/${disputeId}/withdraw`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Withdraw dispute error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to withdraw dispute',
+        };
+      }
+    },
+  };
+
+  // Invitation API functions
+  const invitations = {
+    // Get the current contractor's invitations, optionally by status
+    getMyInvitations: async (status) => {
+      try {
+        const params = new URLSearchParams({ limit: '50' });
+        if (status) {
+          params.append('status', status);
+        }
+
+        const response = await api.get(`/api/invitations?${params.toString()}`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Get invitations error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to fetch invitations',
+        };
+      }
+    },
+
+    // Accept an invitation to bid
+    acceptInvitation: async (invitationId) => {
+      try {
+        const response = await api.post(`/api/invitations/${invitationId}/accept`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Accept invitation error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to accept invitation',
+        };
+      }
+    },
+
+    // Decline an invitation to bid
+    declineInvitation: async (invitationId) => {
+      try {
+        const response = await api.post(`/api/invitations/${invitationId}/decline`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Decline invitation error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to decline invitation',
+        };
+      }
+    },
+  };
+
+  // Payments API functions
+  const payments = {
+    // Get your payment transactions, newest first
+    getTransactions: async (page = 1) => {
+      try {
+        const params = new URLSearchParams({ page: String(page), limit: '20' });
+        const response = await api.get(`/api/payments/transactions?${params.toString()}`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Get transactions error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to fetch transactions',
+        };
+      }
+    },
+
+    // Get a job's payment and its ledger
+    getJobPayment: async (jobId) => {
+      try {
+        const response = await api.get(`/api/payments/jobs/${jobId}`);
+        return { success: true, data: response.data };
+      } catch (error) {
+        console.error('Get job payment error:', error);
+        return {
+          success: false,
+          message: error.response?.data?.error || 'Failed to fetch payment',
+        };
+      }
+    },
+  };
+
   // Expose all API functions
   const value = {
     jobs,
@@ -404,6 +1166,11 @@ export const APIProvider = ({ children }) => {
     chat,
     users,
     ratings,
+    reports,
+    disputes,
+    invitations,
+    payments,
+    realtime,
   };
 
   return <APIContext.Provider value={value}>{children}</APIContext.Provider>;
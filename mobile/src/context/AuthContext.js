@@ -7,6 +7,21 @@ const AuthContext = createContext();
 
 const API_URL = 'http://localhost:8000';
 
+// Explain why a suspended or deactivated account was turned away
+export const getAccountStatusMessage = (data) => {
+  if (data?.code === 'ACCOUNT_SUSPENDED') {
+    return data.reason
+      ? `Your account has been suspended: ${data.reason}`
+      : 'Your account has been suspended.';
+  }
+
+  if (data?.code === 'ACCOUNT_DEACTIVATED') {
+    return 'This account has been deactivated. Log in again to reactivate it.';
+  }
+
+  return null;
+};
+
 // Hook to use the auth context
 export const useAuth = () => useContext(AuthContext);
 
@@ -79,6 +94,15 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Save the session returned by login or reactivation
+  const startSession = async ({ token: newToken, user: newUser }) => {
+    await AsyncStorage.setItem('token', newToken);
+    await AsyncStorage.setItem('user', JSON.stringify(newUser));
+
+    setToken(newToken);
+    setUser(newUser);
+  };
+
   // Login user
   const login = async (email, password) => {
     try {
@@ -87,15 +111,7 @@ export const AuthProvider = ({ children }) => {
         password,
       });
 
-      const { token: newToken, user: newUser } = response.data;
-
-      // Save to AsyncStorage
-      await AsyncStorage.setItem('token', newToken);
-      await AsyncStorage.setItem('user', JSON.stringify(newUser));
-
-      // Update state
-      setToken(newToken);
-      setUser(newUser);
+      await startSession(response.data);
 
       return { success: true };
     } catch (error) {
@@ -103,8 +119,32 @@ export const AuthProvider = ({ children }) => {
       return {
         success: false,
         message:
+          getAccountStatusMessage(error.response?.data) ||
           error.response?.data?.message ||
           'Login failed. Please check your credentials.',
+        canReactivate: !!error.response?.data?.canReactivate,
+      };
+    }
+  };
+
+  // Reactivate a deactivated account and log in
+  const reactivate = async (email, password) => {
+    try {
+      const response = await axios.post(`${API_URL}/api/auth/reactivate`, {
+        email,
+        password,
+      });
+
+      await startSession(response.data);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Reactivate account error:', error);
+      return {
+        success: false,
+        message:
+          error.response?.data?.error ||
+          'Failed to reactivate your account. Please try again.',
       };
     }
   };
@@ -176,6 +216,7 @@ export const AuthProvider = ({ children }) => {
     isLoading,
     register,
     login,
+    reactivate,
     logout,
     isAuthenticated,
     updateUserProfile,
@@ -17,7 +17,7 @@ import { USER_ROLES, JOB_CATEGORIES, JOB_STATUS } from '../utils/config';
 
 const HomeScreen = ({ navigation }) => {
   const { user, logout } = useAuth();
-  const { jobs } = useAPI();
+  const { jobs, realtime } = useAPI();
   
   const [jobList, setJobList] = useState([]);
   const [myJobList, setMyJobList] = useState([]);
@@ -32,16 +32,30 @@ const HomeScreen = ({ navigation }) => {
     loadJobs();
   }, [user, activeTab, selectedCategory]);
 
+  // Refresh the unanswered question counts when a contractor asks something
+  useEffect(() => {
+    if (activeTab !== 'myJobs' || user?.role !== USER_ROLES.CUSTOMER) return;
+
+    return realtime.subscribe('question:new', () => {
+      loadJobs();
+    });
+  }, [user, activeTab]);
+
   // Function to load jobs based on active tab
   const loadJobs = async () => {
     setIsLoading(true);
     try {
-      if (activeTab === 'available') {
+      if (activeTab === 'available' || activeTab === 'invited') {
         // For contractors, load available jobs (status: open)
         const filters = {
           status: JOB_STATUS.OPEN
         };
         
+        // Only jobs the contractor has been invited to bid on
+        if (activeTab === 'invited') {
+          filters.invited = true;
+        }
+        
         // Apply category filter if selected
         if (selectedCategory) {
           filters.category = selectedCategory;
@@ -128,7 +142,7 @@ const HomeScreen = ({ navigation }) => {
 
   // Filter jobs based on search query
   const getFilteredJobs = () => {
-    const jobsToFilter = activeTab === 'available' ? jobList : myJobList;
+    const jobsToFilter = activeTab === 'myJobs' ? myJobList : jobList;
     
     if (!searchQuery) return jobsToFilter;
     
@@ -160,6 +174,13 @@ const HomeScreen = ({ navigation }) => {
         {item.description}
       </Text>
       
+      {item.unanswered_questions?.[0]?.count > 0 && (
+        <Text style={styles.unansweredQuestions}>
+          {item.unanswered_questions[0].count} unanswered question
+          {item.unanswered_questions[0].count !== 1 ? 's' : ''}
+        </Text>
+      )}
+      
       <View style={styles.jobFooter}>
         {item.location && (
           <Text style={styles.jobLocation}>{item.location}</Text>
@@ -177,10 +198,12 @@ const HomeScreen = ({ navigation }) => {
       case JOB_STATUS.OPEN:
         return styles.statusOpen;
       case JOB_STATUS.IN_PROGRESS:
+      case JOB_STATUS.COMPLETION_REQUESTED:
         return styles.statusInProgress;
       case JOB_STATUS.COMPLETED:
         return styles.statusCompleted;
       case JOB_STATUS.CANCELLED:
+      case JOB_STATUS.EXPIRED:
         return styles.statusCancelled;
       default:
         return {};
@@ -199,7 +222,7 @@ const HomeScreen = ({ navigation }) => {
         />
       </View>
       
-      {activeTab === 'available' && (
+      {activeTab !== 'myJobs' && (
         <View style={styles.categoryFilters}>
           <ScrollableCategories
             selectedCategory={selectedCategory}
@@ -258,6 +281,15 @@ const HomeScreen = ({ navigation }) => {
           </TouchableOpacity>
         )}
         
+        {user?.role === USER_ROLES.CONTRACTOR && (
+          <TouchableOpacity
+            style={[styles.tab, activeTab === 'invited' && styles.activeTab]}
+            onPress={() => setActiveTab('invited')}
+          >
+            <Text style={styles.tabText}>Invited</Text>
+          </TouchableOpacity>
+        )}
+        
         <TouchableOpacity
           style={[styles.tab, activeTab === 'myJobs' && styles.activeTab]}
           onPress={() => setActiveTab('myJobs')}
@@ -285,7 +317,9 @@ const HomeScreen = ({ navigation }) => {
               <Text style={styles.emptyText}>
                 {activeTab === 'available' 
                   ? 'No available jobs found'
-                  : 'You have no jobs yet'}
+                  : activeTab === 'invited'
+                    ? 'No invitations to bid yet'
+                    : 'You have no jobs yet'}
               </Text>
               {activeTab === 'myJobs' && user?.role === USER_ROLES.CUSTOMER && (
                 <TouchableOpacity 
@@ -476,6 +510,12 @@ const styles = StyleSheet.create({
     color: '#666',
     marginBottom: 8,
   },
+  unansweredQuestions: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#856404',
+    marginBottom: 8,
+  },
   jobFooter: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -19,9 +19,33 @@ const LoginScreen = ({ navigation }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
-  const { login } = useAuth();
+  const { login, reactivate } = useAuth();
   
 
+  // Navigate to Home screen on successful login
+  const goHome = () => {
+    navigation.reset({
+      index: 0,
+      routes: [{ name: 'Home' }],
+    });
+  };
+
+  const handleReactivate = async () => {
+    setIsLoading(true);
+
+    try {
+      const result = await reactivate(email, password);
+
+      if (result.success) {
+        goHome();
+      } else {
+        Alert.alert('Reactivation Failed', result.message);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleLogin = async () => {
     if (!email || !password) {
       Alert.alert('Error', 'Please enter both email and password');
@@ -34,11 +58,12 @@ const LoginScreen = ({ navigation }) => {
       const result = await login(email, password);
 
       if (result.success) {
-        // Navigate to Home screen on successful login
-        navigation.reset({
-          index: 0,
-          routes: [{ name: 'Home' }],
-        });
+        goHome();
+      } else if (result.canReactivate) {
+        Alert.alert('Account Deactivated', result.message, [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Reactivate', onPress: handleReactivate },
+        ]);
       } else {
         Alert.alert('Login Failed', result.message);
       }
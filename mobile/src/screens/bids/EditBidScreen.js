@@ -10,6 +10,8 @@ import {
   Alert
 } from 'react-native';
 import { useAPI } from '../../context/APIContext';
+import { BID_STATUS } from '../../utils/config';
+import NegotiationHistory from '../../components/NegotiationHistory';
 
 const EditBidScreen = ({ route, navigation }) => {
   const { bidId } = route.params;
@@ -19,6 +21,7 @@ const EditBidScreen = ({ route, navigation }) => {
   const [amount, setAmount] = useState('');
   const [proposal, setProposal] = useState('');
   const [estimatedDays, setEstimatedDays] = useState('');
+  const [counterMessage, setCounterMessage] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
   
@@ -73,6 +76,79 @@ const EditBidScreen = ({ route, navigation }) => {
     return true;
   };
   
+  // A countered bid is answered instead of edited
+  const isCountered = bidData?.status === BID_STATUS.COUNTERED;
+  const openCounter = isCountered && bidData.negotiation.length > 0
+    ? bidData.negotiation[bidData.negotiation.length - 1]
+    : null;
+  
+  // Counter back with the amount and timeline in the form
+  const handleCounter = async () => {
+    if (!validateForm()) return;
+    
+    setIsSubmitting(true);
+    
+    try {
+      const result = await bids.counterBid(bidId, {
+        amount: parseFloat(amount),
+        estimatedDays: estimatedDays ? parseInt(estimatedDays) : undefined,
+        message: counterMessage.trim() || undefined
+      });
+      
+      if (result.success) {
+        Alert.alert(
+          'Success',
+          'Your counter-offer has been sent',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else {
+        Alert.alert('Error', result.message || 'Failed to send counter-offer');
+      }
+    } catch (error) {
+      console.error('Counter bid error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
+  // Accept or decline the customer's counter-offer
+  const respondToCounter = (accept) => {
+    Alert.alert(
+      accept ? 'Accept Counter-offer' : 'Decline Counter-offer',
+      accept
+        ? `Your bid will change to $${parseFloat(openCounter.amount).toFixed(2)}. The customer can then hire you at that price.`
+        : 'Declining withdraws your bid from this job.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: accept ? 'Accept' : 'Decline',
+          style: accept ? 'default' : 'destructive',
+          onPress: async () => {
+            setIsSubmitting(true);
+            try {
+              const message = counterMessage.trim() || undefined;
+              const result = accept
+                ? await bids.acceptCounter(bidId, message)
+                : await bids.declineCounter(bidId, message);
+              
+              if (result.success) {
+                navigation.goBack();
+              } else {
+                Alert.alert('Error', result.message || 'Failed to answer counter-offer');
+              }
+            } catch (error) {
+              console.error('Answer counter error:', error);
+              Alert.alert('Error', 'An unexpected error occurred');
+            } finally {
+              setIsSubmitting(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+  
   // Submit updated bid
   const handleSubmit = async () => {
     if (!validateForm()) return;
@@ -117,59 +193,125 @@ const EditBidScreen = ({ route, navigation }) => {
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.title}>Edit Bid</Text>
+        <Text style={styles.title}>{isCountered ? 'Counter-offer' : 'Edit Bid'}</Text>
         <Text style={styles.jobTitle}>{bidData?.job?.title}</Text>
       </View>
       
-      <View style={styles.formContainer}>
-        <Text style={styles.label}>Bid Amount ($) *</Text>
-        <TextInput
-          style={styles.input}
-          value={amount}
-          onChangeText={setAmount}
-          placeholder="Enter your bid amount"
-          keyboardType="numeric"
-        />
-        
-        <Text style={styles.label}>Estimated Days to Complete</Text>
-        <TextInput
-          style={styles.input}
-          value={estimatedDays}
-          onChangeText={setEstimatedDays}
-          placeholder="Enter estimated days to complete"
-          keyboardType="numeric"
-        />
-        
-        <Text style={styles.label}>Proposal</Text>
-        <TextInput
-          style={[styles.input, styles.textArea]}
-          value={proposal}
-          onChangeText={setProposal}
-          placeholder="Describe your proposal and approach"
-          multiline
-          textAlignVertical="top"
-        />
-        
-        <TouchableOpacity 
-          style={styles.submitButton}
-          onPress={handleSubmit}
-          disabled={isSubmitting}
-        >
-          {isSubmitting ? (
-            <ActivityIndicator size="small" color="#fff" />
+      {openCounter && (
+        <View style={styles.counterCard}>
+          <Text style={styles.counterTitle}>
+            The customer offered ${parseFloat(openCounter.amount).toFixed(2)}
+            {openCounter.estimated_days ? ` in ${openCounter.estimated_days} days` : ''}
+          </Text>
+          {openCounter.message ? (
+            <Text style={styles.counterMessage}>"{openCounter.message}"</Text>
+          ) : null}
+          
+          <View style={styles.counterActions}>
+            <TouchableOpacity
+              style={[styles.counterButton, styles.acceptButton]}
+              onPress={() => respondToCounter(true)}
+              disabled={isSubmitting}
+            >
+              <Text style={styles.counterButtonText}>Accept</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.counterButton, styles.declineButton]}
+              onPress={() => respondToCounter(false)}
+              disabled={isSubmitting}
+            >
+              <Text style={styles.counterButtonText}>Decline</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+      
+      {bidData && (
+        <View style={styles.historyContainer}>
+          <NegotiationHistory negotiation={bidData.negotiation} viewerRole='contractor' />
+        </View>
+      )}
+      
+      {bidData && ![BID_STATUS.PENDING, BID_STATUS.COUNTERED].includes(bidData.status) ? (
+        <View style={styles.formContainer}>
+          <Text style={styles.closedText}>
+            This bid is {bidData.status} and can no longer be changed.
+          </Text>
+        </View>
+      ) : (
+        <View style={styles.formContainer}>
+          {isCountered && (
+            <Text style={styles.sectionLabel}>Or counter back</Text>
+          )}
+          
+          <Text style={styles.label}>Bid Amount ($) *</Text>
+          <TextInput
+            style={styles.input}
+            value={amount}
+            onChangeText={setAmount}
+            placeholder="Enter your bid amount"
+            keyboardType="numeric"
+          />
+          
+          <Text style={styles.label}>Estimated Days to Complete</Text>
+          <TextInput
+            style={styles.input}
+            value={estimatedDays}
+            onChangeText={setEstimatedDays}
+            placeholder="Enter estimated days to complete"
+            keyboardType="numeric"
+          />
+          
+          {isCountered ? (
+            <>
+              <Text style={styles.label}>Message to the customer</Text>
+              <TextInput
+                style={[styles.input, styles.textArea]}
+                value={counterMessage}
+                onChangeText={setCounterMessage}
+                placeholder="Explain your price (optional)"
+                multiline
+                maxLength={1000}
+                textAlignVertical="top"
+              />
+            </>
           ) : (
-            <Text style={styles.submitButtonText}>Update Bid</Text>
+            <>
+              <Text style={styles.label}>Proposal</Text>
+              <TextInput
+                style={[styles.input, styles.textArea]}
+                value={proposal}
+                onChangeText={setProposal}
+                placeholder="Describe your proposal and approach"
+                multiline
+                textAlignVertical="top"
+              />
+            </>
           )}
-        </TouchableOpacity>
-        
-        <TouchableOpacity 
-          style={styles.cancelButton}
-          onPress={() => navigation.goBack()}
-          disabled={isSubmitting}
-        >
-          <Text style={styles.cancelButtonText}>Cancel</Text>
-        </TouchableOpacity>
-      </View>
+          
+          <TouchableOpacity 
+            style={styles.submitButton}
+            onPress={isCountered ? handleCounter : handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.submitButtonText}>
+                {isCountered ? 'Send Counter-offer' : 'Update Bid'}
+              </Text>
+            )}
+          </TouchableOpacity>
+          
+          <TouchableOpacity 
+            style={styles.cancelButton}
+            onPress={() => navigation.goBack()}
+            disabled={isSubmitting}
+          >
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
     </ScrollView>
   );
 };
@@ -209,6 +351,60 @@ const styles = StyleSheet.create({
   formContainer: {
     padding: 20,
   },
+  counterCard: {
+    backgroundColor: '#cce5ff',
+    margin: 20,
+    marginBottom: 0,
+    padding: 15,
+    borderRadius: 8,
+  },
+  counterTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#004085',
+  },
+  counterMessage: {
+    fontSize: 14,
+    fontStyle: 'italic',
+    color: '#004085',
+    marginTop: 6,
+  },
+  counterActions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  counterButton: {
+    flex: 1,
+    borderRadius: 8,
+    padding: 12,
+    alignItems: 'center',
+  },
+  acceptButton: {
+    backgroundColor: '#28a745',
+    marginRight: 10,
+  },
+  declineButton: {
+    backgroundColor: '#dc3545',
+  },
+  counterButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  historyContainer: {
+    paddingHorizontal: 20,
+    paddingTop: 20,
+  },
+  sectionLabel: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 15,
+  },
+  closedText: {
+    fontSize: 16,
+    color: '#666',
+  },
   label: {
     fontSize: 16,
     fontWeight: '500',
@@ -7,32 +7,42 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   Alert,
-  RefreshControl
+  RefreshControl,
+  Modal,
+  TextInput
 } from 'react-native';
 import { useAuth } from '../../context/AuthContext';
 import { useAPI } from '../../context/APIContext';
-import { BID_STATUS } from '../../utils/config';
+import { BID_STATUS, INVITATION_STATUS } from '../../utils/config';
 
 const MyBidsScreen = ({ navigation }) => {
   const { user } = useAuth();
-  const { bids } = useAPI();
+  const { bids, invitations } = useAPI();
   
+  const [activeTab, setActiveTab] = useState('bids');
   const [myBids, setMyBids] = useState([]);
+  const [myInvitations, setMyInvitations] = useState([]);
+  const [respondingId, setRespondingId] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [withdrawingBid, setWithdrawingBid] = useState(null);
+  const [withdrawReason, setWithdrawReason] = useState('');
+  const [isWithdrawing, setIsWithdrawing] = useState(false);
   
-  // Load bids on initial render
+  // Load bids on initial render and when switching tabs
   useEffect(() => {
-    loadBids();
+    loadList();
     
     // Set up listener for when screen comes into focus
     const unsubscribe = navigation.addListener('focus', () => {
-      loadBids();
+      loadList();
     });
     
     // Clean up listener on unmount
     return unsubscribe;
-  }, [navigation]);
+  }, [navigation, activeTab]);
+  
+  const loadList = () => (activeTab === 'bids' ? loadBids() : loadInvitations());
   
   // Load user's bids
   const loadBids = async () => {
@@ -54,10 +64,54 @@ const MyBidsScreen = ({ navigation }) => {
     }
   };
   
+  // Load the invitations customers have sent this contractor
+  const loadInvitations = async () => {
+    setIsLoading(true);
+    try {
+      const result = await invitations.getMyInvitations();
+      
+      if (result.success) {
+        setMyInvitations(result.data.invitations);
+      } else {
+        Alert.alert('Error', result.message || 'Failed to load your invitations');
+      }
+    } catch (error) {
+      console.error('Load invitations error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsLoading(false);
+      setRefreshing(false);
+    }
+  };
+  
   // Handle pull-to-refresh
   const onRefresh = () => {
     setRefreshing(true);
-    loadBids();
+    loadList();
+  };
+  
+  // Accept or decline an invitation
+  const handleRespond = async (invitation, accept) => {
+    setRespondingId(invitation.id);
+    try {
+      const result = accept
+        ? await invitations.acceptInvitation(invitation.id)
+        : await invitations.declineInvitation(invitation.id);
+      
+      if (result.success) {
+        if (accept) {
+          navigation.navigate('JobDetail', { jobId: invitation.job_id });
+        }
+        loadInvitations();
+      } else {
+        Alert.alert('Error', result.message || 'Failed to answer invitation');
+      }
+    } catch (error) {
+      console.error('Respond to invitation error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setRespondingId(null);
+    }
   };
   
   // Navigate to bid detail (job detail)
@@ -65,20 +119,64 @@ const MyBidsScreen = ({ navigation }) => {
     navigation.navigate('JobDetail', { jobId });
   };
   
+  // Withdraw the selected bid with the reason entered
+  const handleWithdraw = async () => {
+    setIsWithdrawing(true);
+    try {
+      const result = await bids.withdrawBid(withdrawingBid.id, withdrawReason.trim() || undefined);
+      
+      if (result.success) {
+        setWithdrawingBid(null);
+        setWithdrawReason('');
+        loadBids();
+      } else {
+        Alert.alert('Error', result.message || 'Failed to withdraw bid');
+      }
+    } catch (error) {
+      console.error('Withdraw bid error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsWithdrawing(false);
+    }
+  };
+  
   // Get status badge style
   const getStatusStyle = (status) => {
     switch (status) {
       case BID_STATUS.PENDING:
         return styles.statusPending;
+      case BID_STATUS.COUNTERED:
+        return styles.statusCountered;
       case BID_STATUS.ACCEPTED:
         return styles.statusAccepted;
       case BID_STATUS.REJECTED:
+      case BID_STATUS.WITHDRAWN:
+        return styles.statusRejected;
+      default:
+        return {};
+    }
+  };
+  
+  // Get invitation status badge style
+  const getInvitationStatusStyle = (status) => {
+    switch (status) {
+      case INVITATION_STATUS.PENDING:
+        return styles.statusPending;
+      case INVITATION_STATUS.ACCEPTED:
+        return styles.statusAccepted;
+      case INVITATION_STATUS.DECLINED:
         return styles.statusRejected;
       default:
         return {};
     }
   };
   
+  // The customer's counter-offer a countered bid is waiting on
+  const getOpenCounter = (bid) =>
+    bid.status === BID_STATUS.COUNTERED && bid.negotiation && bid.negotiation.length > 0
+      ? bid.negotiation[bid.negotiation.length - 1]
+      : null;
+  
   // Render bid item
   const renderBidItem = ({ item }) => (
     <TouchableOpacity 
@@ -103,10 +201,35 @@ const MyBidsScreen = ({ navigation }) => {
           </Text>
         )}
         
+        {item.fees && (
+          <Text style={styles.bidDetail}>
+            <Text style={styles.bidLabel}>You receive: </Text>
+            ${item.fees.contractorPayout.toFixed(2)} after a $
+            {item.fees.fee.toFixed(2)} platform fee
+          </Text>
+        )}
+        
         <Text style={styles.bidDetail}>
           <Text style={styles.bidLabel}>Bid date: </Text>
           {new Date(item.created_at).toLocaleDateString()}
         </Text>
+        
+        {item.status === BID_STATUS.WITHDRAWN && item.withdrawal_reason && (
+          <Text style={styles.bidDetail}>
+            <Text style={styles.bidLabel}>Withdrawn: </Text>
+            {item.withdrawal_reason}
+          </Text>
+        )}
+        
+        {getOpenCounter(item) && (
+          <Text style={styles.bidDetail}>
+            <Text style={styles.bidLabel}>Customer's counter-offer: </Text>
+            ${parseFloat(getOpenCounter(item).amount).toFixed(2)}
+            {getOpenCounter(item).estimated_days
+              ? ` in ${getOpenCounter(item).estimated_days} days`
+              : ''}
+          </Text>
+        )}
       </View>
       
       {item.proposal && (
@@ -121,9 +244,20 @@ const MyBidsScreen = ({ navigation }) => {
           styles.bidStatus,
           getStatusStyle(item.status)
         ]}>
-          {item.status.toUpperCase()}
+          {item.status === BID_STATUS.COUNTERED ? 'COUNTER-OFFER' : item.status.toUpperCase()}
         </Text>
         
+        {item.status === BID_STATUS.COUNTERED && (
+          <View style={styles.bidActions}>
+            <TouchableOpacity 
+              style={styles.editButton}
+              onPress={() => navigation.navigate('EditBid', { bidId: item.id })}
+            >
+              <Text style={styles.editButtonText}>Respond</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        
         {item.status === BID_STATUS.PENDING && (
           <View style={styles.bidActions}>
             <TouchableOpacity 
@@ -135,33 +269,7 @@ const MyBidsScreen = ({ navigation }) => {
             
             <TouchableOpacity 
               style={styles.deleteButton}
-              onPress={() => {
-                Alert.alert(
-                  'Withdraw Bid',
-                  'Are you sure you want to withdraw this bid?',
-                  [
-                    { text: 'Cancel', style: 'cancel' },
-                    { 
-                      text: 'Withdraw', 
-                      onPress: async () => {
-                        try {
-                          const result = await bids.deleteBid(item.id);
-                          
-                          if (result.success) {
-                            loadBids(); // Reload bids after deletion
-                          } else {
-                            Alert.alert('Error', result.message || 'Failed to withdraw bid');
-                          }
-                        } catch (error) {
-                          console.error('Delete bid error:', error);
-                          Alert.alert('Error', 'An unexpected error occurred');
-                        }
-                      },
-                      style: 'destructive'
-                    }
-                  ]
-                );
-              }}
+              onPress={() => setWithdrawingBid(item)}
             >
               <Text style={styles.deleteButtonText}>Withdraw</Text>
             </TouchableOpacity>
@@ -171,13 +279,114 @@ const MyBidsScreen = ({ navigation }) => {
     </TouchableOpacity>
   );
   
+  // Render invitation item
+  const renderInvitationItem = ({ item }) => (
+    <TouchableOpacity 
+      style={styles.bidCard} 
+      onPress={() => viewBidDetail(item.job_id)}
+    >
+      <View style={styles.bidHeader}>
+        <Text style={styles.jobTitle}>{item.job.title}</Text>
+        <Text style={styles.bidAmount}>${item.job.budget}</Text>
+      </View>
+      
+      <View style={styles.bidDetails}>
+        <Text style={styles.bidDetail}>
+          <Text style={styles.bidLabel}>Customer: </Text>
+          {item.customer.full_name}
+        </Text>
+        
+        <Text style={styles.bidDetail}>
+          <Text style={styles.bidLabel}>Invited: </Text>
+          {new Date(item.created_at).toLocaleDateString()}
+        </Text>
+      </View>
+      
+      {item.message && (
+        <View style={styles.proposalContainer}>
+          <Text style={styles.proposalLabel}>Message:</Text>
+          <Text style={styles.proposalText}>{item.message}</Text>
+        </View>
+      )}
+      
+      <View style={styles.bidFooter}>
+        <Text style={[
+          styles.bidStatus,
+          getInvitationStatusStyle(item.status)
+        ]}>
+          {item.status.toUpperCase()}
+        </Text>
+        
+        {item.status === INVITATION_STATUS.PENDING && (
+          <View style={styles.bidActions}>
+            {respondingId === item.id ? (
+              <ActivityIndicator size="small" color="#007BFF" />
+            ) : (
+              <>
+                <TouchableOpacity 
+                  style={styles.acceptButton}
+                  onPress={() => handleRespond(item, true)}
+                >
+                  <Text style={styles.editButtonText}>Accept</Text>
+                </TouchableOpacity>
+                
+                <TouchableOpacity 
+                  style={styles.deleteButton}
+                  onPress={() => handleRespond(item, false)}
+                >
+                  <Text style={styles.deleteButtonText}>Decline</Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+  
   return (
     <View style={styles.container}>
+      <View style={styles.tabs}>
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'bids' && styles.activeTab]}
+          onPress={() => setActiveTab('bids')}
+        >
+          <Text style={styles.tabText}>My Bids</Text>
+        </TouchableOpacity>
+        
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'invitations' && styles.activeTab]}
+          onPress={() => setActiveTab('invitations')}
+        >
+          <Text style={styles.tabText}>Invitations</Text>
+        </TouchableOpacity>
+      </View>
+      
       {isLoading && !refreshing ? (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#007BFF" />
-          <Text style={styles.loadingText}>Loading your bids...</Text>
+          <Text style={styles.loadingText}>
+            {activeTab === 'bids' ? 'Loading your bids...' : 'Loading your invitations...'}
+          </Text>
         </View>
+      ) : activeTab === 'invitations' ? (
+        <FlatList
+          data={myInvitations}
+          renderItem={renderInvitationItem}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.listContainer}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <Text style={styles.emptyText}>No invitations yet</Text>
+              <Text style={styles.emptySubtext}>
+                Customers can invite you to bid on their jobs
+              </Text>
+            </View>
+          }
+        />
       ) : (
         <FlatList
           data={myBids}
@@ -204,6 +413,52 @@ const MyBidsScreen = ({ navigation }) => {
           }
         />
       )}
+      
+      <Modal
+        visible={!!withdrawingBid}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setWithdrawingBid(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Withdraw Bid</Text>
+            <Text style={styles.modalText}>
+              The customer will see that you withdrew. Let them know why (optional).
+            </Text>
+            
+            <TextInput
+              style={styles.modalInput}
+              value={withdrawReason}
+              onChangeText={setWithdrawReason}
+              placeholder="e.g. No longer available on those dates"
+              maxLength={500}
+              multiline
+            />
+            
+            <View style={styles.modalButtons}>
+              <TouchableOpacity 
+                style={styles.modalCancelButton}
+                onPress={() => setWithdrawingBid(null)}
+              >
+                <Text style={styles.modalCancelText}>Cancel</Text>
+              </TouchableOpacity>
+              
+              <TouchableOpacity 
+                style={styles.modalWithdrawButton}
+                onPress={handleWithdraw}
+                disabled={isWithdrawing}
+              >
+                {isWithdrawing ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Text style={styles.modalWithdrawText}>Withdraw</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -213,6 +468,26 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f8f8f8',
   },
+  tabs: {
+    flexDirection: 'row',
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: 15,
+    alignItems: 'center',
+  },
+  activeTab: {
+    borderBottomWidth: 2,
+    borderBottomColor: '#007BFF',
+  },
+  tabText: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -301,6 +576,67 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff3cd',
     color: '#856404',
   },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  modalText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15,
+  },
+  modalInput: {
+    backgroundColor: '#f8f8f8',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    height: 100,
+    textAlignVertical: 'top',
+    marginBottom: 20,
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  modalCancelButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    marginRight: 10,
+  },
+  modalCancelText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  modalWithdrawButton: {
+    backgroundColor: '#dc3545',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  modalWithdrawText: {
+    fontSize: 16,
+    color: '#fff',
+    fontWeight: '500',
+  },
+  statusCountered: {
+    backgroundColor: '#cce5ff',
+    color: '#004085',
+  },
   statusAccepted: {
     backgroundColor: '#d4edda',
     color: '#155724',
@@ -324,6 +660,13 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '500',
   },
+  acceptButton: {
+    backgroundColor: '#28a745',
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 4,
+    marginRight: 8,
+  },
   deleteButton: {
     backgroundColor: '#dc3545',
     paddingHorizontal: 10,
@@ -1,24 +1,78 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   StyleSheet,
   View,
   Text,
+  TextInput,
+  SectionList,
   FlatList,
   TouchableOpacity,
   ActivityIndicator,
   Alert,
   RefreshControl
 } from 'react-native';
-import { useAuth } from '../../context/AuthContext';
 import { useAPI } from '../../context/APIContext';
 
+// Group conversations into one section per job, most recent activity first
+const groupByJob = (conversations) => {
+  const sections = [];
+  const sectionsByKey = new Map();
+  
+  conversations.forEach((conversation) => {
+    const key = conversation.job ? conversation.job.id : 'general';
+    
+    if (!sectionsByKey.has(key)) {
+      const section = {
+        key,
+        job: conversation.job,
+        title: conversation.job ? conversation.job.title : 'General',
+        data: [],
+      };
+      sectionsByKey.set(key, section);
+      sections.push(section);
+    }
+    
+    sectionsByKey.get(key).data.push(conversation);
+  });
+  
+  return sections;
+};
+
+// Split a search snippet into plain and highlighted parts
+const splitHighlights = (snippet, highlights) => {
+  const parts = [];
+  let cursor = 0;
+  
+  highlights.forEach(({ start, end }) => {
+    if (start > cursor) {
+      parts.push({ text: snippet.slice(cursor, start), highlighted: false });
+    }
+    parts.push({ text: snippet.slice(start, end), highlighted: true });
+    cursor = end;
+  });
+  
+  if (cursor < snippet.length) {
+    parts.push({ text: snippet.slice(cursor), highlighted: false });
+  }
+  
+  return parts;
+};
+
+const MIN_SEARCH_LENGTH = 2;
+const SEARCH_DEBOUNCE_MS = 300;
+
 const ChatListScreen = ({ navigation }) => {
-  const { user } = useAuth();
-  const { chat } = useAPI();
+  const { chat, realtime } = useAPI();
   
   const [conversations, setConversations] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  
+  const searchTimeoutRef = useRef(null);
+  const isSearchActive = searchQuery.trim().length >= MIN_SEARCH_LENGTH;
   
   // Load conversations
   useEffect(() => {
@@ -29,12 +83,20 @@ const ChatListScreen = ({ navigation }) => {
       loadConversations();
     });
     
-    // Clean up listener on unmount
-    return unsubscribe;
+    // Refresh previews when a new message arrives
+    const unsubscribeMessages = realtime.subscribe('message:new', () => {
+      loadConversations({ silent: true });
+    });
+    
+    // Clean up listeners on unmount
+    return () => {
+      unsubscribe();
+      unsubscribeMessages();
+    };
   }, [navigation]);
   
-  const loadConversations = async () => {
-    setIsLoading(true);
+  const loadConversations = async ({ silent = false } = {}) => {
+    if (!silent) setIsLoading(true);
     try {
       const result = await chat.getConversations();
       
@@ -52,6 +114,41 @@ const ChatListScreen = ({ navigation }) => {
     }
   };
   
+  // Search messages shortly after the user stops typing
+  useEffect(() => {
+    clearTimeout(searchTimeoutRef.current);
+    
+    if (!isSearchActive) {
+      setSearchResults([]);
+      setIsSearching(false);
+      return;
+    }
+    
+    setIsSearching(true);
+    searchTimeoutRef.current = setTimeout(() => {
+      searchMessages(searchQuery.trim());
+    }, SEARCH_DEBOUNCE_MS);
+    
+    return () => clearTimeout(searchTimeoutRef.current);
+  }, [searchQuery]);
+  
+  const searchMessages = async (query) => {
+    try {
+      const result = await chat.searchMessages(query);
+      
+      if (result.success) {
+        setSearchResults(result.data.results);
+      } else {
+        Alert.alert('Error', result.message || 'Failed to search messages');
+      }
+    } catch (error) {
+      console.error('Search messages error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+  
   // Handle pull-to-refresh
   const onRefresh = () => {
     setRefreshing(true);
@@ -60,15 +157,23 @@ const ChatListScreen = ({ navigation }) => {
   
   // Navigate to chat detail
   const openChat = (conversation) => {
-    // Determine the other user's details
-    const otherUser = conversation.user1_id === user.id 
-      ? { id: conversation.user2_id, name: conversation.user2.full_name }
-      : { id: conversation.user1_id, name: conversation.user1.full_name };
-    
     navigation.navigate('Chat', {
       conversationId: conversation.id,
-      userId: otherUser.id,
-      name: otherUser.name
+      userId: conversation.otherUser.id,
+      name: conversation.otherUser.fullName,
+      jobId: conversation.job?.id,
+      job: conversation.job
+    });
+  };
+  
+  // Open the conversation a search result belongs to
+  const openSearchResult = (result) => {
+    navigation.navigate('Chat', {
+      conversationId: result.conversationId,
+      userId: result.otherUser.id,
+      name: result.otherUser.fullName,
+      jobId: result.job?.id,
+      job: result.job
     });
   };
   
@@ -99,10 +204,7 @@ const ChatListScreen = ({ navigation }) => {
   
   // Render conversation item
   const renderConversationItem = ({ item }) => {
-    // Determine if the conversation is with user1 or user2
-    const otherUser = item.user1_id === user.id 
-      ? item.user2
-      : item.user1;
+    const { otherUser } = item;
     
     return (
       <TouchableOpacity 
@@ -111,15 +213,15 @@ const ChatListScreen = ({ navigation }) => {
       >
         <View style={styles.avatar}>
           <Text style={styles.avatarText}>
-            {otherUser.full_name.charAt(0).toUpperCase()}
+            {otherUser.fullName.charAt(0).toUpperCase()}
           </Text>
         </View>
         
         <View style={styles.conversationContent}>
           <View style={styles.conversationHeader}>
-            <Text style={styles.userName}>{otherUser.full_name}</Text>
+            <Text style={styles.userName}>{otherUser.fullName}</Text>
             <Text style={styles.timeAgo}>
-              {formatTimeAgo(item.last_message_time)}
+              {formatTimeAgo(item.lastMessageTime)}
             </Text>
           </View>
           
@@ -127,24 +229,117 @@ const ChatListScreen = ({ navigation }) => {
             style={styles.lastMessage}
             numberOfLines={1}
           >
-            {item.last_message || 'No messages yet'}
+            {item.lastMessage || 'No messages yet'}
           </Text>
         </View>
       </TouchableOpacity>
     );
   };
   
+  // Render a matching message with the search terms highlighted
+  const renderSearchResult = ({ item }) => (
+    <TouchableOpacity
+      style={styles.conversationItem}
+      onPress={() => openSearchResult(item)}
+    >
+      <View style={styles.conversationContent}>
+        <View style={styles.conversationHeader}>
+          <Text style={styles.userName} numberOfLines={1}>
+            {item.sentByMe ? `You → ${item.otherUser.fullName}` : item.otherUser.fullName}
+          </Text>
+          <Text style={styles.timeAgo}>{formatTimeAgo(item.createdAt)}</Text>
+        </View>
+        
+        {item.job && (
+          <Text style={styles.resultJob} numberOfLines={1}>
+            {item.job.title}
+          </Text>
+        )}
+        
+        <Text style={styles.lastMessage} numberOfLines={2}>
+          {splitHighlights(item.snippet, item.highlights).map((part, index) => (
+            <Text
+              key={index}
+              style={part.highlighted ? styles.highlight : null}
+            >
+              {part.text}
+            </Text>
+          ))}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+  
+  // Render a job header above its conversations
+  const renderSectionHeader = ({ section }) => (
+    <TouchableOpacity
+      style={styles.sectionHeader}
+      disabled={!section.job}
+      onPress={() => navigation.navigate('JobDetail', { jobId: section.job.id })}
+    >
+      <Text style={styles.sectionTitle} numberOfLines={1}>
+        {section.title}
+      </Text>
+      {section.job && (
+        <Text style={styles.sectionStatus}>
+          {section.job.status.replace('_', ' ').toUpperCase()}
+        </Text>
+      )}
+    </TouchableOpacity>
+  );
+  
+  const renderSearchResults = () => {
+    if (isSearching) {
+      return (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#007BFF" />
+        </View>
+      );
+    }
+    
+    return (
+      <FlatList
+        data={searchResults}
+        renderItem={renderSearchResult}
+        keyExtractor={(item) => item.messageId}
+        keyboardShouldPersistTaps="handled"
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>No messages found</Text>
+            <Text style={styles.emptySubtext}>
+              Try different words or check the spelling
+            </Text>
+          </View>
+        }
+      />
+    );
+  };
+  
   return (
     <View style={styles.container}>
-      {isLoading && !refreshing ? (
+      <View style={styles.searchContainer}>
+        <TextInput
+          style={styles.searchInput}
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholder="Search messages"
+          returnKeyType="search"
+          autoCorrect={false}
+          clearButtonMode="while-editing"
+        />
+      </View>
+      
+      {isSearchActive ? renderSearchResults() : isLoading && !refreshing ? (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#007BFF" />
           <Text style={styles.loadingText}>Loading conversations...</Text>
         </View>
       ) : (
-        <FlatList
-          data={conversations}
+        <SectionList
+          sections={groupByJob(conversations)}
           renderItem={renderConversationItem}
+          renderSectionHeader={renderSectionHeader}
+          stickySectionHeadersEnabled={false}
           keyExtractor={(item) => item.id}
           refreshControl={
             <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
@@ -168,6 +363,29 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f8f8f8',
   },
+  searchContainer: {
+    backgroundColor: '#fff',
+    padding: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  searchInput: {
+    backgroundColor: '#f0f0f0',
+    borderRadius: 20,
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    fontSize: 16,
+  },
+  resultJob: {
+    fontSize: 12,
+    color: '#007BFF',
+    marginBottom: 4,
+  },
+  highlight: {
+    fontWeight: 'bold',
+    color: '#333',
+    backgroundColor: '#FFF3B0',
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -179,6 +397,25 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#666',
   },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingTop: 15,
+    paddingBottom: 6,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#666',
+    flex: 1,
+    marginRight: 10,
+  },
+  sectionStatus: {
+    fontSize: 12,
+    color: '#999',
+  },
   conversationItem: {
     flexDirection: 'row',
     backgroundColor: '#fff',
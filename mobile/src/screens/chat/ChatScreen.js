@@ -9,43 +9,168 @@ import {
   Platform,
   FlatList,
   ActivityIndicator,
-  Alert
+  Alert,
+  Image,
+  Linking
 } from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import * as DocumentPicker from 'expo-document-picker';
 import { useAuth } from '../../context/AuthContext';
 import { useAPI } from '../../context/APIContext';
+import { MESSAGE_STATUS, MESSAGE_EDIT_WINDOW_MINUTES } from '../../utils/config';
+import ReportModal from '../../components/ReportModal';
+
+// How long after the last keystroke we report that typing stopped
+const TYPING_IDLE_TIMEOUT = 3000;
+// Hide the other user's typing indicator if no stop event arrives
+const TYPING_INDICATOR_TIMEOUT = 6000;
+// Matches the server's per-request upload limit
+const MAX_ATTACHMENTS = 5;
+
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+// Guess a file's MIME type from its extension
+const guessMimeType = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return MIME_TYPES[extension] || 'application/octet-stream';
+};
 
 const ChatScreen = ({ route, navigation }) => {
   const { conversationId, userId, name, jobId } = route.params;
   const { user } = useAuth();
-  const { chat } = useAPI();
+  const { chat, jobs, users, realtime } = useAPI();
   
   const [messages, setMessages] = useState([]);
   const [messageText, setMessageText] = useState('');
+  const [attachments, setAttachments] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isSending, setIsSending] = useState(false);
+  const [isOtherTyping, setIsOtherTyping] = useState(false);
+  const [job, setJob] = useState(route.params.job || null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [reportTarget, setReportTarget] = useState(null);
   
   const flatListRef = useRef(null);
+  const isTypingRef = useRef(false);
+  const typingTimeoutRef = useRef(null);
+  const otherTypingTimeoutRef = useRef(null);
   
   // Load messages when component mounts
   useEffect(() => {
     loadMessages();
     
     // Update the navigation title with the other user's name
-    navigation.setOptions({ title: name });
+    navigation.setOptions({
+      title: name,
+      headerRight: () => (
+        <TouchableOpacity style={styles.headerButton} onPress={showUserOptions}>
+          <Text style={styles.headerButtonText}>•••</Text>
+        </TouchableOpacity>
+      ),
+    });
+    
+    // Append messages pushed over the real-time connection
+    const unsubscribeMessages = realtime.subscribe('message:new', (message) => {
+      if (message.conversation_id !== conversationId) return;
+      
+      setMessages((current) =>
+        current.some((msg) => msg.id === message.id)
+          ? current
+          : [...current, message]
+      );
+      
+      // The screen is open, so an incoming message is read right away
+      if (message.receiver_id === user.id) {
+        setIsOtherTyping(false);
+        markAsRead([message]);
+      }
+    });
+    
+    // Update delivery/read receipts on messages we sent
+    const unsubscribeStatus = realtime.subscribe('message:status', (update) => {
+      if (update.conversationId !== conversationId) return;
+      
+      const timestampField =
+        update.status === MESSAGE_STATUS.READ ? 'read_at' : 'delivered_at';
+      
+      setMessages((current) =>
+        current.map((msg) =>
+          update.messageIds.includes(msg.id)
+            ? { ...msg, status: update.status, [timestampField]: update.at }
+            : msg
+        )
+      );
+    });
+    
+    // Replace messages that were edited or deleted by their sender
+    const unsubscribeUpdates = realtime.subscribe('message:updated', (message) => {
+      if (message.conversation_id !== conversationId) return;
+      replaceMessage(message);
+    });
+    
+    // Show when the other participant is typing
+    const unsubscribeTyping = realtime.subscribe('typing', (event) => {
+      if (event.conversationId !== conversationId) return;
+      
+      clearTimeout(otherTypingTimeoutRef.current);
+      setIsOtherTyping(event.isTyping);
+      
+      if (event.isTyping) {
+        otherTypingTimeoutRef.current = setTimeout(
+          () => setIsOtherTyping(false),
+          TYPING_INDICATOR_TIMEOUT
+        );
+      }
+    });
     
-    // Set up a polling interval to fetch new messages
-    const interval = setInterval(loadMessages, 10000); // Fetch every 10 seconds
+    // Catch up on anything missed while the connection was down
+    const unsubscribeReconnect = realtime.subscribe('connection:open', loadMessages);
     
-    // Clean up interval on unmount
-    return () => clearInterval(interval);
+    // Clean up subscriptions on unmount
+    return () => {
+      unsubscribeMessages();
+      unsubscribeStatus();
+      unsubscribeUpdates();
+      unsubscribeTyping();
+      unsubscribeReconnect();
+      stopTyping();
+      clearTimeout(otherTypingTimeoutRef.current);
+    };
   }, [conversationId]);
   
+  // Load the job header when only the job ID was passed in
+  useEffect(() => {
+    if (!jobId || job) return;
+    
+    const loadJob = async () => {
+      const result = await jobs.getJobById(jobId);
+      
+      if (result.success) {
+        const { id, title, status } = result.data.job;
+        setJob({ id, title, status });
+      }
+    };
+    
+    loadJob();
+  }, [jobId]);
+  
   const loadMessages = async () => {
     try {
       const result = await chat.getMessages(conversationId);
       
       if (result.success) {
         setMessages(result.data.messages);
+        markAsRead(result.data.messages);
       } else {
         console.error('Failed to load messages:', result.message);
       }
@@ -56,22 +181,272 @@ const ChatScreen = ({ route, navigation }) => {
     }
   };
   
+  const replaceMessage = (message) => {
+    setMessages((current) =>
+      current.map((msg) => (msg.id === message.id ? message : msg))
+    );
+  };
+  
+  // Acknowledge everything up to the latest unread message we received
+  const markAsRead = async (messageList) => {
+    const unread = messageList.filter(
+      (msg) => msg.receiver_id === user.id && msg.status !== MESSAGE_STATUS.READ
+    );
+    
+    if (unread.length === 0) return;
+    
+    const latest = unread[unread.length - 1];
+    const result = await chat.markAsRead(conversationId, latest.id);
+    
+    if (!result.success) {
+      console.error('Failed to mark messages as read:', result.message);
+    }
+  };
+  
+  // Tell the other participant we stopped typing
+  const stopTyping = () => {
+    clearTimeout(typingTimeoutRef.current);
+    
+    if (isTypingRef.current) {
+      isTypingRef.current = false;
+      realtime.send('typing:stop', { conversationId });
+    }
+  };
+  
+  // Report typing once per burst of keystrokes
+  const handleChangeText = (text) => {
+    setMessageText(text);
+    
+    if (!text.trim()) {
+      stopTyping();
+      return;
+    }
+    
+    if (!isTypingRef.current) {
+      isTypingRef.current = true;
+      realtime.send('typing:start', { conversationId });
+    }
+    
+    clearTimeout(typingTimeoutRef.current);
+    typingTimeoutRef.current = setTimeout(stopTyping, TYPING_IDLE_TIMEOUT);
+  };
+  
+  // Queue a picked file to be sent with the next message
+  const addAttachment = (file) => {
+    if (attachments.length >= MAX_ATTACHMENTS) {
+      Alert.alert('Limit reached', `You can attach up to ${MAX_ATTACHMENTS} files`);
+      return;
+    }
+    setAttachments((current) => [...current, file]);
+  };
+  
+  const removeAttachment = (uri) => {
+    setAttachments((current) => current.filter((file) => file.uri !== uri));
+  };
+  
+  const pickPhoto = async () => {
+    const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    
+    if (!permission.granted) {
+      Alert.alert('Permission needed', 'Allow photo library access to attach photos');
+      return;
+    }
+    
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.All,
+      quality: 0.7,
+    });
+    
+    if (result.canceled) return;
+    
+    const asset = result.assets[0];
+    const fileName = asset.fileName || asset.uri.split('/').pop();
+    addAttachment({ uri: asset.uri, name: fileName, type: guessMimeType(fileName) });
+  };
+  
+  const pickDocument = async () => {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: [
+        'application/pdf',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      ],
+      copyToCacheDirectory: true,
+    });
+    
+    if (result.type !== 'success') return;
+    
+    addAttachment({
+      uri: result.uri,
+      name: result.name,
+      type: result.mimeType || guessMimeType(result.name),
+    });
+  };
+  
+  const showAttachmentOptions = () => {
+    Alert.alert('Attach', 'What would you like to attach?', [
+      { text: 'Photo or Video', onPress: pickPhoto },
+      { text: 'Document', onPress: pickDocument },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+  
+  const canEdit = (message) =>
+    Date.now() - new Date(message.created_at).getTime() <
+    MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+  
+  // Offer to report or block the other participant
+  const showUserOptions = () => {
+    Alert.alert(name, null, [
+      {
+        text: 'Report User',
+        onPress: () => setReportTarget({ type: 'user', id: userId }),
+      },
+      { text: 'Block User', style: 'destructive', onPress: confirmBlock },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+  
+  const confirmBlock = () => {
+    Alert.alert(
+      'Block User',
+      `${name} will no longer be able to message you or bid on your jobs.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Block',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await users.blockUser(userId);
+            
+            if (result.success) {
+              navigation.goBack();
+            } else {
+              Alert.alert('Error', result.message || 'Failed to block user');
+            }
+          },
+        },
+      ]
+    );
+  };
+  
+  // Long press offers edit/delete on our messages and reporting on theirs
+  const showMessageOptions = (message) => {
+    if (message.deleted_at) return;
+    
+    if (message.sender_id !== user.id) {
+      Alert.alert('Message', null, [
+        {
+          text: 'Report Message',
+          onPress: () => setReportTarget({ type: 'message', id: message.id }),
+        },
+        { text: 'Cancel', style: 'cancel' },
+      ]);
+      return;
+    }
+    
+    const options = [];
+    
+    if (canEdit(message)) {
+      options.push({ text: 'Edit', onPress: () => startEditing(message) });
+    }
+    
+    options.push(
+      { text: 'Delete', style: 'destructive', onPress: () => confirmDelete(message) },
+      { text: 'Cancel', style: 'cancel' }
+    );
+    
+    Alert.alert('Message', null, options);
+  };
+  
+  const startEditing = (message) => {
+    stopTyping();
+    setAttachments([]);
+    setEditingMessage(message);
+    setMessageText(message.content);
+  };
+  
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setMessageText('');
+  };
+  
+  const saveEdit = async () => {
+    setIsSending(true);
+    
+    try {
+      const result = await chat.editMessage(editingMessage.id, messageText.trim());
+      
+      if (result.success) {
+        replaceMessage(result.data.data);
+        cancelEditing();
+      } else {
+        Alert.alert('Error', result.message || 'Failed to edit message');
+      }
+    } catch (error) {
+      console.error('Edit message error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSending(false);
+    }
+  };
+  
+  const confirmDelete = (message) => {
+    Alert.alert(
+      'Delete Message',
+      'This message will be removed for both of you.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await chat.deleteMessage(message.id);
+            
+            if (result.success) {
+              replaceMessage(result.data.data);
+            } else {
+              Alert.alert('Error', result.message || 'Failed to delete message');
+            }
+          },
+        },
+      ]
+    );
+  };
+  
+  const canSend = editingMessage
+    ? (messageText.trim() || editingMessage.attachments.length > 0) && !isSending
+    : (messageText.trim() || attachments.length > 0) && !isSending;
+  
   const sendMessage = async () => {
-    if (!messageText.trim()) return;
+    if (editingMessage) {
+      saveEdit();
+      return;
+    }
+    
+    if (!messageText.trim() && attachments.length === 0) return;
     
     setIsSending(true);
+    stopTyping();
     
     try {
       const result = await chat.sendMessage(
         conversationId,
         userId,
         messageText.trim(),
-        jobId || null
+        jobId || null,
+        attachments
       );
       
       if (result.success) {
+        const sentMessage = result.data.data;
         setMessageText(''); // Clear input
-        await loadMessages(); // Reload messages
+        setAttachments([]);
+        setMessages((current) =>
+          current.some((msg) => msg.id === sentMessage.id)
+            ? current
+            : [...current, sentMessage]
+        );
         
         // Scroll to bottom after sending
         setTimeout(() => {
@@ -94,6 +469,41 @@ const ChatScreen = ({ route, navigation }) => {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
   
+  // Describe the delivery state of a message we sent
+  const formatReceipt = (message) => {
+    switch (message.status) {
+      case MESSAGE_STATUS.READ:
+        return `Read ${formatMessageTime(message.read_at)}`;
+      case MESSAGE_STATUS.DELIVERED:
+        return 'Delivered';
+      default:
+        return 'Sent';
+    }
+  };
+  
+  // Render an image thumbnail or a download row for an attachment
+  const renderAttachment = (file, isCurrentUser) => (
+    <TouchableOpacity
+      key={file.path || file.url}
+      onPress={() => file.url && Linking.openURL(file.url)}
+      style={styles.attachment}
+    >
+      {file.type.startsWith('image/') ? (
+        <Image source={{ uri: file.url }} style={styles.attachmentImage} />
+      ) : (
+        <Text
+          style={[
+            styles.attachmentFile,
+            isCurrentUser ? styles.userMessageText : styles.otherMessageText
+          ]}
+          numberOfLines={1}
+        >
+          📄 {file.name}
+        </Text>
+      )}
+    </TouchableOpacity>
+  );
+  
   // Render message item
   const renderMessageItem = ({ item, index }) => {
     const isCurrentUser = item.sender_id === user.id;
@@ -109,23 +519,39 @@ const ChatScreen = ({ route, navigation }) => {
           <Text style={styles.senderName}>{name}</Text>
         )}
         
-        <View style={[
-          styles.messageBubble,
-          isCurrentUser ? styles.userMessageBubble : styles.otherMessageBubble
-        ]}>
-          <Text style={[
-            styles.messageText,
-            isCurrentUser ? styles.userMessageText : styles.otherMessageText
-          ]}>
-            {item.content}
-          </Text>
-        </View>
+        {item.deleted_at ? (
+          <View style={[styles.messageBubble, styles.deletedMessageBubble]}>
+            <Text style={styles.deletedMessageText}>Message deleted</Text>
+          </View>
+        ) : (
+          <TouchableOpacity
+            activeOpacity={0.8}
+            onLongPress={() => showMessageOptions(item)}
+            style={[
+              styles.messageBubble,
+              isCurrentUser ? styles.userMessageBubble : styles.otherMessageBubble
+            ]}
+          >
+            {item.attachments?.map((file) => renderAttachment(file, isCurrentUser))}
+            
+            {!!item.content && (
+              <Text style={[
+                styles.messageText,
+                isCurrentUser ? styles.userMessageText : styles.otherMessageText
+              ]}>
+                {item.content}
+              </Text>
+            )}
+          </TouchableOpacity>
+        )}
         
         <Text style={[
           styles.messageTime,
           isCurrentUser ? styles.userMessageTime : styles.otherMessageTime
         ]}>
           {formatMessageTime(item.created_at)}
+          {item.edited_at && !item.deleted_at && ' · Edited'}
+          {isCurrentUser && ` · ${formatReceipt(item)}`}
         </Text>
       </View>
     );
@@ -137,6 +563,21 @@ const ChatScreen = ({ route, navigation }) => {
       style={styles.container}
       keyboardVerticalOffset={Platform.OS === 'ios' ? 90 : 0}
     >
+      {job && (
+        <TouchableOpacity
+          style={styles.jobHeader}
+          onPress={() => navigation.navigate('JobDetail', { jobId: job.id })}
+        >
+          <Text style={styles.jobHeaderLabel}>Job</Text>
+          <Text style={styles.jobHeaderTitle} numberOfLines={1}>
+            {job.title}
+          </Text>
+          <Text style={styles.jobHeaderStatus}>
+            {job.status.replace('_', ' ').toUpperCase()}
+          </Text>
+        </TouchableOpacity>
+      )}
+      
       {isLoading ? (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#007BFF" />
@@ -163,11 +604,54 @@ const ChatScreen = ({ route, navigation }) => {
         />
       )}
       
+      {isOtherTyping && (
+        <Text style={styles.typingIndicator}>{name} is typing...</Text>
+      )}
+      
+      {editingMessage && (
+        <View style={styles.editingBar}>
+          <Text style={styles.editingBarText}>Editing message</Text>
+          <TouchableOpacity onPress={cancelEditing}>
+            <Text style={styles.editingBarCancel}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+      
+      {attachments.length > 0 && (
+        <View style={styles.pendingAttachments}>
+          {attachments.map((file) => (
+            <View key={file.uri} style={styles.pendingAttachment}>
+              <Text style={styles.pendingAttachmentName} numberOfLines={1}>
+                {file.name}
+              </Text>
+              <TouchableOpacity onPress={() => removeAttachment(file.uri)}>
+                <Text style={styles.pendingAttachmentRemove}>✕</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
+      
+      <ReportModal
+        visible={!!reportTarget}
+        targetType={reportTarget?.type}
+        targetId={reportTarget?.id}
+        onClose={() => setReportTarget(null)}
+      />
+      
       <View style={styles.inputContainer}>
+        <TouchableOpacity
+          style={styles.attachButton}
+          onPress={showAttachmentOptions}
+          disabled={isSending || !!editingMessage}
+        >
+          <Text style={styles.attachButtonText}>+</Text>
+        </TouchableOpacity>
+        
         <TextInput
           style={styles.input}
           value={messageText}
-          onChangeText={setMessageText}
+          onChangeText={handleChangeText}
           placeholder="Type a message..."
           multiline
         />
@@ -175,15 +659,17 @@ const ChatScreen = ({ route, navigation }) => {
         <TouchableOpacity 
           style={[
             styles.sendButton,
-            (!messageText.trim() || isSending) && styles.sendButtonDisabled
+            !canSend && styles.sendButtonDisabled
           ]}
           onPress={sendMessage}
-          disabled={!messageText.trim() || isSending}
+          disabled={!canSend}
         >
           {isSending ? (
             <ActivityIndicator size="small" color="#fff" />
           ) : (
-            <Text style={styles.sendButtonText}>Send</Text>
+            <Text style={styles.sendButtonText}>
+              {editingMessage ? 'Save' : 'Send'}
+            </Text>
           )}
         </TouchableOpacity>
       </View>
@@ -196,6 +682,39 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#f8f8f8',
   },
+  headerButton: {
+    paddingHorizontal: 10,
+  },
+  headerButtonText: {
+    fontSize: 18,
+    color: '#007BFF',
+  },
+  jobHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  jobHeaderLabel: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#007BFF',
+    marginRight: 8,
+  },
+  jobHeaderTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#333',
+  },
+  jobHeaderStatus: {
+    fontSize: 12,
+    color: '#999',
+    marginLeft: 8,
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -247,6 +766,28 @@ const styles = StyleSheet.create({
   otherMessageText: {
     color: '#000',
   },
+  deletedMessageBubble: {
+    backgroundColor: 'transparent',
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  deletedMessageText: {
+    fontSize: 14,
+    fontStyle: 'italic',
+    color: '#999',
+  },
+  attachment: {
+    marginBottom: 6,
+  },
+  attachmentImage: {
+    width: 180,
+    height: 180,
+    borderRadius: 12,
+  },
+  attachmentFile: {
+    fontSize: 15,
+    textDecorationLine: 'underline',
+  },
   messageTime: {
     fontSize: 11,
     marginTop: 2,
@@ -278,6 +819,72 @@ const styles = StyleSheet.create({
     color: '#666',
     textAlign: 'center',
   },
+  typingIndicator: {
+    fontSize: 13,
+    color: '#666',
+    fontStyle: 'italic',
+    paddingHorizontal: 20,
+    paddingVertical: 4,
+  },
+  editingBar: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  editingBarText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#007BFF',
+  },
+  editingBarCancel: {
+    fontSize: 13,
+    color: '#666',
+  },
+  pendingAttachments: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 10,
+    paddingTop: 8,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  pendingAttachment: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#e5e5ea',
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginRight: 6,
+    marginBottom: 6,
+    maxWidth: 160,
+  },
+  pendingAttachmentName: {
+    fontSize: 13,
+    color: '#333',
+    flexShrink: 1,
+  },
+  pendingAttachmentRemove: {
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 6,
+  },
+  attachButton: {
+    width: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 6,
+  },
+  attachButtonText: {
+    fontSize: 28,
+    color: '#007BFF',
+  },
   inputContainer: {
     flexDirection: 'row',
     padding: 10,
@@ -13,7 +13,14 @@ import {
 } from 'react-native';
 import { Picker } from '@react-native-picker/picker';
 import { useAPI } from '../../context/APIContext';
-import { JOB_CATEGORIES } from '../../utils/config';
+import {
+  JOB_CATEGORIES,
+  JOB_VISIBILITY,
+  BID_DEADLINE_OPTIONS,
+  JOB_EXPIRY_OPTIONS
+} from '../../utils/config';
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
 
 const CreateJobScreen = ({ navigation }) => {
   const { jobs } = useAPI();
@@ -23,6 +30,9 @@ const CreateJobScreen = ({ navigation }) => {
   const [category, setCategory] = useState(JOB_CATEGORIES[0]);
   const [budget, setBudget] = useState('');
   const [location, setLocation] = useState('');
+  const [visibility, setVisibility] = useState(JOB_VISIBILITY[0].value);
+  const [bidDeadlineDays, setBidDeadlineDays] = useState(null);
+  const [expiryDays, setExpiryDays] = useState(30);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showCategoryPicker, setShowCategoryPicker] = useState(false);
 
@@ -63,7 +73,10 @@ const CreateJobScreen = ({ navigation }) => {
         description: description.trim(),
         category,
         budget: parseFloat(budget),
-        location: location.trim() || null
+        location: location.trim() || null,
+        visibility,
+        bidDeadline: bidDeadlineDays ? daysFromNow(bidDeadlineDays) : null,
+        expiresAt: daysFromNow(expiryDays)
       };
       
       const result = await jobs.createJob(jobData);
@@ -75,7 +88,10 @@ const CreateJobScreen = ({ navigation }) => {
           [
             { 
               text: 'OK', 
-              onPress: () => navigation.navigate('Home', { refresh: true }) 
+              // Invite-only jobs need invitations before anyone can bid
+              onPress: () => visibility === 'invite_only'
+                ? navigation.replace('InviteContractors', { jobId: result.data.job.id })
+                : navigation.navigate('Home', { refresh: true })
             }
           ]
         );
@@ -173,6 +189,78 @@ const CreateJobScreen = ({ navigation }) => {
             onChangeText={setLocation}
             placeholder="Enter location (optional)"
           />
+          <Text style={styles.hint}>
+            Contractors see only the approximate area until you hire one
+          </Text>
+        </View>
+        
+        <View style={styles.formGroup}>
+          <Text style={styles.label}>Who can bid</Text>
+          {JOB_VISIBILITY.map((option) => (
+            <TouchableOpacity
+              key={option.value}
+              style={[
+                styles.visibilityOption,
+                visibility === option.value && styles.visibilityOptionSelected
+              ]}
+              onPress={() => setVisibility(option.value)}
+            >
+              <Text style={styles.visibilityLabel}>{option.label}</Text>
+              <Text style={styles.visibilityDescription}>{option.description}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        
+        <View style={styles.formGroup}>
+          <Text style={styles.label}>Job expires after</Text>
+          <View style={styles.optionRow}>
+            {JOB_EXPIRY_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[
+                  styles.optionChip,
+                  expiryDays === option.value && styles.optionChipSelected
+                ]}
+                onPress={() => {
+                  setExpiryDays(option.value);
+                  // Bidding can't outlast the job
+                  if (bidDeadlineDays && bidDeadlineDays > option.value) {
+                    setBidDeadlineDays(null);
+                  }
+                }}
+              >
+                <Text style={[
+                  styles.optionChipText,
+                  expiryDays === option.value && styles.optionChipTextSelected
+                ]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        
+        <View style={styles.formGroup}>
+          <Text style={styles.label}>Accept bids for</Text>
+          <View style={styles.optionRow}>
+            {BID_DEADLINE_OPTIONS.filter((option) => !option.value || option.value <= expiryDays).map((option) => (
+              <TouchableOpacity
+                key={option.label}
+                style={[
+                  styles.optionChip,
+                  bidDeadlineDays === option.value && styles.optionChipSelected
+                ]}
+                onPress={() => setBidDeadlineDays(option.value)}
+              >
+                <Text style={[
+                  styles.optionChipText,
+                  bidDeadlineDays === option.value && styles.optionChipTextSelected
+                ]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
         </View>
         
         <TouchableOpacity 
@@ -256,6 +344,55 @@ const styles = StyleSheet.create({
   picker: {
     height: 150,
   },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 5,
+  },
+  visibilityOption: {
+    backgroundColor: '#f8f8f8',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  visibilityOptionSelected: {
+    borderColor: '#007BFF',
+    backgroundColor: '#e7f1ff',
+  },
+  visibilityLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+  },
+  visibilityDescription: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  optionChip: {
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 20,
+    backgroundColor: '#f0f0f0',
+  },
+  optionChipSelected: {
+    backgroundColor: '#007BFF',
+  },
+  optionChipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  optionChipTextSelected: {
+    color: '#fff',
+  },
   submitButton: {
     backgroundColor: '#007BFF',
     borderRadius: 8,
@@ -0,0 +1,450 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Linking
+} from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import { useAuth } from '../../context/AuthContext';
+import { useAPI } from '../../context/APIContext';
+import { DISPUTE_REASONS, DISPUTE_STATUS } from '../../utils/config';
+
+const RESOLUTION_LABELS = {
+  complete_job: 'The job was marked as completed',
+  resume_job: 'The job was sent back to in progress',
+  cancel_job: 'The job was cancelled',
+};
+
+const getReasonLabel = (value) => {
+  const reason = DISPUTE_REASONS.find((option) => option.value === value);
+  return reason ? reason.label : value;
+};
+
+const DisputeScreen = ({ route, navigation }) => {
+  const { disputeId } = route.params;
+  const { user } = useAuth();
+  const { disputes, realtime } = useAPI();
+
+  const [dispute, setDispute] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [messageText, setMessageText] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSending, setIsSending] = useState(false);
+
+  useEffect(() => {
+    loadDispute();
+  }, [disputeId]);
+
+  // Append messages posted by the other party or an admin
+  useEffect(() => {
+    const unsubscribe = realtime.subscribe('dispute:message', (message) => {
+      if (message.dispute_id === disputeId) {
+        setMessages((current) =>
+          current.some((item) => item.id === message.id)
+            ? current
+            : [...current, message]
+        );
+      }
+    });
+
+    return unsubscribe;
+  }, [disputeId]);
+
+  const loadDispute = async () => {
+    setIsLoading(true);
+    try {
+      const result = await disputes.getDispute(disputeId);
+
+      if (result.success) {
+        setDispute(result.data.dispute);
+        setMessages(result.data.messages);
+      } else {
+        Alert.alert('Error', result.message || 'Failed to load dispute');
+        navigation.goBack();
+      }
+    } catch (error) {
+      console.error('Load dispute error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+      navigation.goBack();
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const pickPhoto = async () => {
+    const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+
+    if (!permission.granted) {
+      Alert.alert('Permission needed', 'Allow photo library access to attach photos');
+      return;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      quality: 0.7,
+    });
+
+    if (result.canceled) return;
+
+    const asset = result.assets[0];
+    const fileName = asset.fileName || asset.uri.split('/').pop();
+    const extension = fileName.split('.').pop().toLowerCase();
+
+    setAttachments((current) => [
+      ...current,
+      {
+        uri: asset.uri,
+        name: fileName,
+        type: extension === 'png' ? 'image/png' : 'image/jpeg',
+      },
+    ]);
+  };
+
+  const sendMessage = async () => {
+    setIsSending(true);
+    try {
+      const result = await disputes.sendMessage(
+        disputeId,
+        messageText.trim(),
+        attachments
+      );
+
+      if (result.success) {
+        setMessages((current) => [...current, result.data.disputeMessage]);
+        setMessageText('');
+        setAttachments([]);
+      } else {
+        Alert.alert('Error', result.message || 'Failed to send message');
+      }
+    } catch (error) {
+      console.error('Send dispute message error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const confirmWithdraw = () => {
+    Alert.alert(
+      'Withdraw Dispute',
+      'The job will go back to the status it had before the dispute.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Withdraw',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await disputes.withdrawDispute(disputeId);
+
+            if (result.success) {
+              loadDispute();
+            } else {
+              Alert.alert('Error', result.message || 'Failed to withdraw dispute');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderFiles = (files) =>
+    files.map((file) => (
+      <TouchableOpacity
+        key={file.path || file.url}
+        onPress={() => Linking.openURL(file.url)}
+      >
+        <Text style={styles.fileLink}>📎 {file.name}</Text>
+      </TouchableOpacity>
+    ));
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size='large' color='#007BFF' />
+      </View>
+    );
+  }
+
+  if (!dispute) {
+    return null;
+  }
+
+  const isOpen = dispute.status === DISPUTE_STATUS.OPEN;
+  const canSend = (messageText.trim() || attachments.length > 0) && !isSending;
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.section}>
+          <Text style={styles.jobTitle}>{dispute.job.title}</Text>
+          <Text style={styles.status}>{dispute.status.toUpperCase()}</Text>
+
+          <Text style={styles.label}>Reason</Text>
+          <Text style={styles.value}>{getReasonLabel(dispute.reason)}</Text>
+
+          <Text style={styles.label}>
+            Raised by {dispute.claimant.full_name}
+          </Text>
+          <Text style={styles.value}>{dispute.description}</Text>
+
+          {dispute.evidence.length > 0 && (
+            <>
+              <Text style={styles.label}>Evidence</Text>
+              {renderFiles(dispute.evidence)}
+            </>
+          )}
+
+          {dispute.status === DISPUTE_STATUS.RESOLVED && (
+            <View style={styles.resolution}>
+              <Text style={styles.resolutionTitle}>
+                {RESOLUTION_LABELS[dispute.resolution]}
+              </Text>
+              {dispute.resolution_note ? (
+                <Text style={styles.value}>{dispute.resolution_note}</Text>
+              ) : null}
+            </View>
+          )}
+
+          {isOpen && dispute.claimant_id === user.id && (
+            <TouchableOpacity onPress={confirmWithdraw}>
+              <Text style={styles.withdrawLink}>Withdraw dispute</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <Text style={styles.threadTitle}>Messages</Text>
+
+        {messages.length === 0 && (
+          <Text style={styles.emptyText}>
+            No messages yet. An admin will join this thread to review the dispute.
+          </Text>
+        )}
+
+        {messages.map((message) => (
+          <View
+            key={message.id}
+            style={[
+              styles.message,
+              message.sender_id === user.id && styles.ownMessage,
+            ]}
+          >
+            <Text style={styles.messageSender}>
+              {message.sender_id === user.id
+                ? 'You'
+                : message.sender.role === 'admin'
+                ? 'Admin'
+                : message.sender.full_name}
+            </Text>
+            {message.content ? (
+              <Text style={styles.messageText}>{message.content}</Text>
+            ) : null}
+            {renderFiles(message.attachments)}
+            <Text style={styles.messageTime}>
+              {new Date(message.created_at).toLocaleString()}
+            </Text>
+          </View>
+        ))}
+      </ScrollView>
+
+      {isOpen && (
+        <View style={styles.inputContainer}>
+          {attachments.length > 0 && (
+            <Text style={styles.attachmentCount}>
+              {attachments.length} photo{attachments.length !== 1 ? 's' : ''} attached
+            </Text>
+          )}
+          <View style={styles.inputRow}>
+            <TouchableOpacity style={styles.attachButton} onPress={pickPhoto}>
+              <Text style={styles.attachButtonText}>+</Text>
+            </TouchableOpacity>
+            <TextInput
+              style={styles.input}
+              value={messageText}
+              onChangeText={setMessageText}
+              placeholder='Write a message...'
+              maxLength={2000}
+              multiline
+            />
+            <TouchableOpacity
+              style={[styles.sendButton, !canSend && styles.sendButtonDisabled]}
+              onPress={sendMessage}
+              disabled={!canSend}
+            >
+              {isSending ? (
+                <ActivityIndicator size='small' color='#fff' />
+              ) : (
+                <Text style={styles.sendButtonText}>Send</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f8f8',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingBottom: 20,
+  },
+  section: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  jobTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  status: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#856404',
+    marginTop: 4,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#666',
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  value: {
+    fontSize: 16,
+    color: '#333',
+    lineHeight: 22,
+  },
+  fileLink: {
+    fontSize: 14,
+    color: '#007BFF',
+    marginTop: 4,
+  },
+  resolution: {
+    backgroundColor: '#d1ecf1',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 16,
+  },
+  resolutionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0c5460',
+    marginBottom: 4,
+  },
+  withdrawLink: {
+    fontSize: 14,
+    color: '#dc3545',
+    marginTop: 16,
+    textDecorationLine: 'underline',
+  },
+  threadTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginHorizontal: 20,
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    marginHorizontal: 20,
+  },
+  message: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 12,
+    marginHorizontal: 20,
+    marginBottom: 10,
+  },
+  ownMessage: {
+    backgroundColor: '#e6f2ff',
+  },
+  messageSender: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#555',
+    marginBottom: 4,
+  },
+  messageText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  messageTime: {
+    fontSize: 11,
+    color: '#999',
+    marginTop: 6,
+  },
+  inputContainer: {
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+    padding: 10,
+  },
+  attachmentCount: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 6,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  attachButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#f0f0f0',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  attachButtonText: {
+    fontSize: 22,
+    color: '#666',
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#f8f8f8',
+    borderRadius: 18,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    fontSize: 15,
+    maxHeight: 100,
+  },
+  sendButton: {
+    backgroundColor: '#007BFF',
+    borderRadius: 18,
+    paddingHorizontal: 16,
+    paddingVertical: 9,
+    marginLeft: 8,
+  },
+  sendButtonDisabled: {
+    backgroundColor: '#9cc9ff',
+  },
+  sendButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '500',
+  },
+});
+
+export default DisputeScreen;
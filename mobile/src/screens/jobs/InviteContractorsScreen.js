@@ -0,0 +1,303 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { useAPI } from '../../context/APIContext';
+import { INVITATION_STATUS, MAX_INVITATIONS_PER_JOB } from '../../utils/config';
+
+const STATUS_LABELS = {
+  [INVITATION_STATUS.PENDING]: 'Invited',
+  [INVITATION_STATUS.ACCEPTED]: 'Accepted',
+  [INVITATION_STATUS.DECLINED]: 'Declined',
+};
+
+const InviteContractorsScreen = ({ route, navigation }) => {
+  const { jobId } = route.params;
+  const { jobs, users } = useAPI();
+
+  const [searchQuery, setSearchQuery] = useState('');
+  const [contractors, setContractors] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [message, setMessage] = useState('');
+  const [isSearching, setIsSearching] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+
+  useEffect(() => {
+    loadInvitations();
+    searchContractors('');
+  }, [jobId]);
+
+  const loadInvitations = async () => {
+    const result = await jobs.getJobInvitations(jobId);
+
+    if (result.success) {
+      setInvitations(result.data.invitations);
+    }
+  };
+
+  const searchContractors = async (query) => {
+    setIsSearching(true);
+    try {
+      const result = await users.searchContractors(query);
+
+      if (result.success) {
+        setContractors(result.data.contractors);
+      } else {
+        Alert.alert('Error', result.message || 'Failed to search contractors');
+      }
+    } catch (error) {
+      console.error('Search contractors error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const invitationFor = (contractorId) =>
+    invitations.find((invitation) => invitation.contractor_id === contractorId);
+
+  const remaining = MAX_INVITATIONS_PER_JOB - invitations.length;
+
+  const toggleContractor = (contractorId) => {
+    if (selectedIds.includes(contractorId)) {
+      setSelectedIds(selectedIds.filter((id) => id !== contractorId));
+    } else if (selectedIds.length < remaining) {
+      setSelectedIds([...selectedIds, contractorId]);
+    } else {
+      Alert.alert(
+        'Limit reached',
+        `A job can invite at most ${MAX_INVITATIONS_PER_JOB} contractors`
+      );
+    }
+  };
+
+  const handleSendInvitations = async () => {
+    setIsSending(true);
+    try {
+      const result = await jobs.inviteContractors(
+        jobId,
+        selectedIds,
+        message.trim() || undefined
+      );
+
+      if (result.success) {
+        Alert.alert('Success', result.data.message, [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      } else {
+        Alert.alert('Error', result.message || 'Failed to invite contractors');
+      }
+    } catch (error) {
+      console.error('Invite contractors error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const renderContractor = ({ item }) => {
+    const invitation = invitationFor(item.id);
+    const isSelected = selectedIds.includes(item.id);
+
+    return (
+      <TouchableOpacity
+        style={[styles.contractorCard, isSelected && styles.contractorSelected]}
+        onPress={() => !invitation && toggleContractor(item.id)}
+        disabled={!!invitation}
+      >
+        <View style={styles.contractorInfo}>
+          <Text style={styles.contractorName}>{item.fullName}</Text>
+          <Text style={styles.contractorRating}>
+            {item.ratings.total > 0
+              ? `★ ${item.ratings.average} (${item.ratings.total})`
+              : 'No ratings yet'}
+          </Text>
+        </View>
+        {invitation ? (
+          <Text style={styles.invitedText}>{STATUS_LABELS[invitation.status]}</Text>
+        ) : (
+          <Text style={[styles.checkbox, isSelected && styles.checkboxSelected]}>
+            {isSelected ? '✓' : ''}
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchContainer}>
+        <TextInput
+          style={styles.searchInput}
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          placeholder='Search contractors by name'
+          returnKeyType='search'
+          onSubmitEditing={() => searchContractors(searchQuery.trim())}
+        />
+      </View>
+
+      {isSearching ? (
+        <ActivityIndicator style={styles.loader} size='large' color='#007BFF' />
+      ) : (
+        <FlatList
+          data={contractors}
+          renderItem={renderContractor}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={styles.listContainer}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No contractors found</Text>
+          }
+        />
+      )}
+
+      <View style={styles.footer}>
+        <TextInput
+          style={styles.messageInput}
+          value={message}
+          onChangeText={setMessage}
+          placeholder='Add a note to your invitation (optional)'
+          maxLength={500}
+          multiline
+        />
+        <TouchableOpacity
+          style={[
+            styles.sendButton,
+            selectedIds.length === 0 && styles.sendButtonDisabled,
+          ]}
+          onPress={handleSendInvitations}
+          disabled={selectedIds.length === 0 || isSending}
+        >
+          {isSending ? (
+            <ActivityIndicator size='small' color='#fff' />
+          ) : (
+            <Text style={styles.sendButtonText}>
+              Invite {selectedIds.length > 0 ? selectedIds.length : ''} Contractor
+              {selectedIds.length !== 1 ? 's' : ''}
+            </Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f8f8',
+  },
+  searchContainer: {
+    backgroundColor: '#fff',
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  searchInput: {
+    backgroundColor: '#f8f8f8',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 16,
+  },
+  loader: {
+    marginTop: 30,
+  },
+  listContainer: {
+    padding: 15,
+  },
+  contractorCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: '#fff',
+  },
+  contractorSelected: {
+    borderColor: '#007BFF',
+  },
+  contractorInfo: {
+    flex: 1,
+  },
+  contractorName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+  },
+  contractorRating: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+  },
+  invitedText: {
+    fontSize: 14,
+    color: '#28a745',
+    fontWeight: '500',
+  },
+  checkbox: {
+    width: 24,
+    height: 24,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    textAlign: 'center',
+    lineHeight: 22,
+    color: '#fff',
+  },
+  checkboxSelected: {
+    backgroundColor: '#007BFF',
+    borderColor: '#007BFF',
+  },
+  emptyText: {
+    textAlign: 'center',
+    fontSize: 16,
+    color: '#666',
+    marginTop: 30,
+  },
+  footer: {
+    backgroundColor: '#fff',
+    padding: 15,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  messageInput: {
+    backgroundColor: '#f8f8f8',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    minHeight: 60,
+    textAlignVertical: 'top',
+    marginBottom: 10,
+  },
+  sendButton: {
+    backgroundColor: '#007BFF',
+    borderRadius: 8,
+    padding: 15,
+    alignItems: 'center',
+  },
+  sendButtonDisabled: {
+    backgroundColor: '#9cc7f5',
+  },
+  sendButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default InviteContractorsScreen;
@@ -8,16 +8,39 @@ import {
   ActivityIndicator,
   Alert,
   TextInput,
-  Modal
+  Modal,
+  Image
 } from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import * as Sharing from 'expo-sharing';
 import { useAuth } from '../../context/AuthContext';
 import { useAPI } from '../../context/APIContext';
-import { USER_ROLES, JOB_STATUS, BID_STATUS } from '../../utils/config';
+import {
+  USER_ROLES,
+  JOB_STATUS,
+  BID_STATUS,
+  DISPUTE_REASONS,
+  DISPUTE_STATUS,
+  MILESTONE_STATUS,
+  LINE_ITEM_TYPES,
+  JOB_VISIBILITY
+} from '../../utils/config';
+import ReportModal from '../../components/ReportModal';
+import MilestoneEditor from '../../components/MilestoneEditor';
+import LineItemEditor, { lineItemsSubtotal } from '../../components/LineItemEditor';
+import NegotiationHistory from '../../components/NegotiationHistory';
+import BidRevisions from '../../components/BidRevisions';
+import JobQuestions from '../../components/JobQuestions';
+
+const lineItemTypeLabel = (value) => {
+  const type = LINE_ITEM_TYPES.find((option) => option.value === value);
+  return type ? type.label : value;
+};
 
 const JobDetailScreen = ({ route, navigation }) => {
   const { jobId } = route.params;
   const { user } = useAuth();
-  const { jobs, bids, chat } = useAPI();
+  const { jobs, bids, chat, disputes, realtime } = useAPI();
 
   const [job, setJob] = useState(null);
   const [jobBids, setJobBids] = useState([]);
@@ -26,14 +49,75 @@ const JobDetailScreen = ({ route, navigation }) => {
   const [bidAmount, setBidAmount] = useState('');
   const [bidProposal, setBidProposal] = useState('');
   const [estimatedDays, setEstimatedDays] = useState('');
+  const [bidMilestones, setBidMilestones] = useState([]);
+  const [bidLineItems, setBidLineItems] = useState([]);
   const [isSubmittingBid, setIsSubmittingBid] = useState(false);
   const [userBid, setUserBid] = useState(null);
+  const [isReportVisible, setReportVisible] = useState(false);
+  const [autoCompleteAt, setAutoCompleteAt] = useState(null);
+  const [isCompletionModalVisible, setCompletionModalVisible] = useState(false);
+  const [completionNotes, setCompletionNotes] = useState('');
+  const [completionImages, setCompletionImages] = useState([]);
+  const [isDeclineModalVisible, setDeclineModalVisible] = useState(false);
+  const [declineReason, setDeclineReason] = useState('');
+  const [isSubmittingCompletion, setIsSubmittingCompletion] = useState(false);
+  const [isDisputeModalVisible, setDisputeModalVisible] = useState(false);
+  const [disputeReason, setDisputeReason] = useState(null);
+  const [disputeDescription, setDisputeDescription] = useState('');
+  const [isSubmittingDispute, setIsSubmittingDispute] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [rejectingMilestone, setRejectingMilestone] = useState(null);
+  const [milestoneRejectReason, setMilestoneRejectReason] = useState('');
+  const [isUpdatingMilestone, setIsUpdatingMilestone] = useState(false);
+  const [counteringBid, setCounteringBid] = useState(null);
+  const [counterAmount, setCounterAmount] = useState('');
+  const [counterDays, setCounterDays] = useState('');
+  const [counterMessage, setCounterMessage] = useState('');
+  const [isSubmittingCounter, setIsSubmittingCounter] = useState(false);
 
   // Load job data
   useEffect(() => {
     loadJobData();
   }, [jobId]);
 
+  // Reload when the other party requests, confirms or declines completion
+  useEffect(() => {
+    const unsubscribe = realtime.subscribe('job:status', (event) => {
+      if (event.jobId === jobId) {
+        loadJobData();
+      }
+    });
+
+    return unsubscribe;
+  }, [jobId]);
+
+  // Reload when the other party submits, approves or rejects a milestone
+  useEffect(() => {
+    const unsubscribe = realtime.subscribe('milestone:updated', (event) => {
+      if (event.jobId === jobId) {
+        loadJobData();
+      }
+    });
+
+    return unsubscribe;
+  }, [jobId]);
+
+  // Reload when a bid is countered, answered or withdrawn
+  useEffect(() => {
+    const reloadForJob = (event) => {
+      if (event.jobId === jobId) {
+        loadJobData();
+      }
+    };
+    const unsubscribeNegotiation = realtime.subscribe('bid:negotiation', reloadForJob);
+    const unsubscribeWithdrawn = realtime.subscribe('bid:withdrawn', reloadForJob);
+
+    return () => {
+      unsubscribeNegotiation();
+      unsubscribeWithdrawn();
+    };
+  }, [jobId]);
+
   const loadJobData = async () => {
     setIsLoading(true);
     try {
@@ -42,6 +126,8 @@ const JobDetailScreen = ({ route, navigation }) => {
 
       if (jobResult.success) {
         setJob(jobResult.data.job);
+        setAutoCompleteAt(jobResult.data.autoCompleteAt);
+        setProgress(jobResult.data.progress);
 
         // Load bids for this job
         const bidsResult = await bids.getBidsForJob(jobId);
@@ -51,8 +137,11 @@ const JobDetailScreen = ({ route, navigation }) => {
 
           // Check if current user has already placed a bid
           if (user.role === USER_ROLES.CONTRACTOR) {
+            // A withdrawn bid doesn't stop the contractor from bidding again
             const userPlacedBid = bidsResult.data.bids.find(
-              (bid) => bid.contractor_id === user.id
+              (bid) =>
+                bid.contractor_id === user.id &&
+                bid.status !== BID_STATUS.WITHDRAWN
             );
             setUserBid(userPlacedBid);
           }
@@ -72,7 +161,14 @@ const JobDetailScreen = ({ route, navigation }) => {
 
   // Place a bid
   const handlePlaceBid = async () => {
-    if (!bidAmount || parseFloat(bidAmount) <= 0) {
+    const isItemized = bidLineItems.length > 0;
+
+    if (isItemized && lineItemsSubtotal(bidLineItems) <= 0) {
+      Alert.alert('Error', 'Please enter quantities and prices for your line items');
+      return;
+    }
+
+    if (!isItemized && (!bidAmount || parseFloat(bidAmount) <= 0)) {
       Alert.alert('Error', 'Please enter a valid bid amount');
       return;
     }
@@ -81,9 +177,22 @@ const JobDetailScreen = ({ route, navigation }) => {
     try {
       const bidData = {
         jobId,
-        amount: parseFloat(bidAmount),
+        // Itemized bids get their amount from the line items on the server
+        amount: isItemized ? undefined : parseFloat(bidAmount),
+        lineItems: bidLineItems.map((item) => ({
+          type: item.type,
+          description: item.description.trim(),
+          quantity: parseFloat(item.quantity),
+          unitPrice: parseFloat(item.unitPrice),
+          taxable: item.taxable,
+        })),
         proposal: bidProposal,
         estimatedDays: estimatedDays ? parseInt(estimatedDays) : undefined,
+        milestones: bidMilestones.map((milestone) => ({
+          title: milestone.title.trim(),
+          amount: parseFloat(milestone.amount),
+          dueDate: milestone.dueDate.trim() || null,
+        })),
       };
 
       const result = await bids.createBid(bidData);
@@ -91,6 +200,8 @@ const JobDetailScreen = ({ route, navigation }) => {
       if (result.success) {
         Alert.alert('Success', 'Your bid has been placed successfully');
         setBidModalVisible(false);
+        setBidMilestones([]);
+        setBidLineItems([]);
         loadJobData(); // Reload job data
       } else {
         Alert.alert('Error', result.message || 'Failed to place bid');
@@ -138,25 +249,345 @@ const JobDetailScreen = ({ route, navigation }) => {
     );
   };
 
-  // Start a conversation with user
-  const startConversation = async (
-    currentUserId,
-    otherUserId,
-    userName,
-    jobId
-  ) => {
+  // Add a photo of the finished work to the completion request
+  const pickCompletionPhoto = async () => {
+    const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+
+    if (!permission.granted) {
+      Alert.alert('Permission needed', 'Allow photo library access to attach photos');
+      return;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      quality: 0.7,
+    });
+
+    if (result.canceled) return;
+
+    const asset = result.assets[0];
+    const fileName = asset.fileName || asset.uri.split('/').pop();
+    const extension = fileName.split('.').pop().toLowerCase();
+
+    setCompletionImages((current) => [
+      ...current,
+      {
+        uri: asset.uri,
+        name: fileName,
+        type: extension === 'png' ? 'image/png' : 'image/jpeg',
+      },
+    ]);
+  };
+
+  // Ask the customer to confirm the job is finished (assigned contractor)
+  const handleRequestCompletion = async () => {
+    setIsSubmittingCompletion(true);
     try {
-      setIsLoading(true);
-      const result = await chat.getOrCreateConversation(
-        currentUserId,
-        otherUserId
+      const result = await jobs.requestCompletion(
+        jobId,
+        completionNotes.trim(),
+        completionImages
+      );
+
+      if (result.success) {
+        Alert.alert(
+          'Completion Requested',
+          'The customer has been asked to confirm the job is finished.'
+        );
+        setCompletionModalVisible(false);
+        setCompletionNotes('');
+        setCompletionImages([]);
+        loadJobData();
+      } else {
+        Alert.alert('Error', result.message || 'Failed to request completion');
+      }
+    } catch (error) {
+      console.error('Request completion error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSubmittingCompletion(false);
+    }
+  };
+
+  // Mark the job as complete (job owner)
+  const handleConfirmCompletion = () => {
+    Alert.alert(
+      'Complete Job',
+      'Confirm that the work on this job is finished?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Confirm',
+          onPress: async () => {
+            try {
+              setIsLoading(true);
+              const result = await jobs.confirmCompletion(jobId);
+
+              if (result.success) {
+                Alert.alert('Success', 'The job has been marked as completed');
+              } else {
+                Alert.alert('Error', result.message || 'Failed to complete job');
+              }
+            } catch (error) {
+              console.error('Confirm completion error:', error);
+              Alert.alert('Error', 'An unexpected error occurred');
+            } finally {
+              loadJobData();
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Send the job back to the contractor (job owner)
+  const handleDeclineCompletion = async () => {
+    if (!declineReason.trim()) {
+      Alert.alert('Error', 'Please explain what still needs to be done');
+      return;
+    }
+
+    setIsSubmittingCompletion(true);
+    try {
+      const result = await jobs.declineCompletion(jobId, declineReason.trim());
+
+      if (result.success) {
+        setDeclineModalVisible(false);
+        setDeclineReason('');
+        loadJobData();
+      } else {
+        Alert.alert('Error', result.message || 'Failed to decline completion');
+      }
+    } catch (error) {
+      console.error('Decline completion error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSubmittingCompletion(false);
+    }
+  };
+
+  // Re-open an expired job in place, or post a fresh copy of it
+  const handleExpiredJob = (repost) => {
+    Alert.alert(
+      repost ? 'Repost Job' : 'Re-open Job',
+      repost
+        ? 'A new copy of this job will be posted for the default period. Existing bids stay on this one.'
+        : 'This job will take bids again for the default period. Existing bids are kept.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: repost ? 'Repost' : 'Re-open',
+          onPress: async () => {
+            const result = repost
+              ? await jobs.repostJob(jobId)
+              : await jobs.reopenJob(jobId);
+
+            if (!result.success) {
+              Alert.alert('Error', result.message || 'Failed to update job');
+            } else if (repost) {
+              navigation.replace('JobDetail', { jobId: result.data.job.id });
+            } else {
+              loadJobData();
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Open a dispute, freezing the job until an admin resolves it
+  const handleOpenDispute = async () => {
+    if (!disputeDescription.trim()) {
+      Alert.alert('Error', 'Please describe the problem');
+      return;
+    }
+
+    setIsSubmittingDispute(true);
+    try {
+      const result = await disputes.createDispute(
+        jobId,
+        disputeReason,
+        disputeDescription.trim()
+      );
+
+      if (result.success) {
+        setDisputeModalVisible(false);
+        setDisputeReason(null);
+        setDisputeDescription('');
+        loadJobData();
+        navigation.navigate('Dispute', { disputeId: result.data.dispute.id });
+      } else {
+        Alert.alert('Error', result.message || 'Failed to open dispute');
+      }
+    } catch (error) {
+      console.error('Open dispute error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSubmittingDispute(false);
+    }
+  };
+
+  // Go to the open dispute on this job
+  const viewDispute = async () => {
+    const result = await disputes.getMyDisputes();
+
+    if (!result.success) {
+      Alert.alert('Error', result.message || 'Failed to load dispute');
+      return;
+    }
+
+    const dispute = result.data.disputes.find(
+      (item) => item.job_id === jobId && item.status === DISPUTE_STATUS.OPEN
+    );
+
+    if (dispute) {
+      navigation.navigate('Dispute', { disputeId: dispute.id });
+    }
+  };
+
+  // Ask the customer to approve a finished milestone (assigned contractor)
+  const handleSubmitMilestone = (milestone) => {
+    Alert.alert(
+      'Submit Milestone',
+      `Let the customer know "${milestone.title}" is finished?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Submit',
+          onPress: async () => {
+            const result = await jobs.submitMilestone(jobId, milestone.id);
+
+            if (result.success) {
+              loadJobData();
+            } else {
+              Alert.alert('Error', result.message || 'Failed to submit milestone');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Approve a submitted milestone (job owner)
+  const handleApproveMilestone = (milestone) => {
+    Alert.alert(
+      'Approve Milestone',
+      `Approve "${milestone.title}" for $${milestone.amount}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Approve',
+          onPress: async () => {
+            const result = await jobs.approveMilestone(jobId, milestone.id);
+
+            if (result.success) {
+              loadJobData();
+            } else {
+              Alert.alert('Error', result.message || 'Failed to approve milestone');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Send a submitted milestone back to the contractor (job owner)
+  const handleRejectMilestone = async () => {
+    if (!milestoneRejectReason.trim()) {
+      Alert.alert('Error', 'Please explain what still needs to be done');
+      return;
+    }
+
+    setIsUpdatingMilestone(true);
+    try {
+      const result = await jobs.rejectMilestone(
+        jobId,
+        rejectingMilestone.id,
+        milestoneRejectReason.trim()
+      );
+
+      if (result.success) {
+        setRejectingMilestone(null);
+        setMilestoneRejectReason('');
+        loadJobData();
+      } else {
+        Alert.alert('Error', result.message || 'Failed to reject milestone');
+      }
+    } catch (error) {
+      console.error('Reject milestone error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsUpdatingMilestone(false);
+    }
+  };
+
+  // Open the counter-offer modal prefilled with the bid's terms (job owner)
+  const openCounterModal = (bid) => {
+    setCounteringBid(bid);
+    setCounterAmount(String(bid.amount));
+    setCounterDays(bid.estimated_days ? String(bid.estimated_days) : '');
+    setCounterMessage('');
+  };
+
+  const handleCounterBid = async () => {
+    if (!counterAmount || parseFloat(counterAmount) <= 0) {
+      Alert.alert('Error', 'Please enter a valid amount');
+      return;
+    }
+
+    setIsSubmittingCounter(true);
+    try {
+      const result = await bids.counterBid(counteringBid.id, {
+        amount: parseFloat(counterAmount),
+        estimatedDays: counterDays ? parseInt(counterDays) : undefined,
+        message: counterMessage.trim() || undefined,
+      });
+
+      if (result.success) {
+        setCounteringBid(null);
+        loadJobData();
+      } else {
+        Alert.alert('Error', result.message || 'Failed to send counter-offer');
+      }
+    } catch (error) {
+      console.error('Counter bid error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsSubmittingCounter(false);
+    }
+  };
+
+  // Download the job's invoice and open the share sheet to view or save it
+  const handleDownloadInvoice = async () => {
+    const result = await jobs.downloadInvoice(jobId);
+
+    if (!result.success) {
+      Alert.alert(
+        result.pending ? 'Invoice pending' : 'Error',
+        result.message || 'Failed to download invoice'
       );
+      return;
+    }
+
+    await Sharing.shareAsync(result.data.uri, {
+      mimeType: 'application/pdf',
+      UTI: 'com.adobe.pdf',
+    });
+  };
+
+  // Start a conversation about this job with another user
+  const startConversation = async (otherUserId, userName) => {
+    try {
+      setIsLoading(true);
+      const result = await chat.getOrCreateConversation(otherUserId, job.id);
 
       if (result.success) {
         navigation.navigate('Chat', {
           conversationId: result.data.conversation.id,
+          userId: otherUserId,
           name: userName,
-          jobId, // Pass jobId for context
+          jobId: job.id,
+          job: { id: job.id, title: job.title, status: job.status },
         });
       } else {
         Alert.alert('Error', result.message || 'Failed to start conversation');
@@ -178,17 +609,24 @@ const JobDetailScreen = ({ route, navigation }) => {
       onRequestClose={() => setBidModalVisible(false)}
     >
       <View style={styles.modalOverlay}>
-        <View style={styles.modalContent}>
+        <ScrollView style={styles.modalContent}>
           <Text style={styles.modalTitle}>Place a Bid</Text>
 
-          <Text style={styles.modalLabel}>Bid Amount ($)</Text>
-          <TextInput
-            style={styles.modalInput}
-            value={bidAmount}
-            onChangeText={setBidAmount}
-            placeholder='Enter your bid amount'
-            keyboardType='numeric'
-          />
+          <Text style={styles.modalLabel}>Line Items (optional)</Text>
+          <LineItemEditor lineItems={bidLineItems} onChange={setBidLineItems} />
+
+          {bidLineItems.length === 0 && (
+            <>
+              <Text style={styles.modalLabel}>Bid Amount ($)</Text>
+              <TextInput
+                style={styles.modalInput}
+                value={bidAmount}
+                onChangeText={setBidAmount}
+                placeholder='Enter your bid amount'
+                keyboardType='numeric'
+              />
+            </>
+          )}
 
           <Text style={styles.modalLabel}>Estimated Days</Text>
           <TextInput
@@ -208,6 +646,17 @@ const JobDetailScreen = ({ route, navigation }) => {
             multiline
           />
 
+          <Text style={styles.modalLabel}>Milestones (optional)</Text>
+          <MilestoneEditor
+            milestones={bidMilestones}
+            bidAmount={
+              bidLineItems.length > 0
+                ? String(lineItemsSubtotal(bidLineItems))
+                : bidAmount
+            }
+            onChange={setBidMilestones}
+          />
+
           <View style={styles.modalButtons}>
             <TouchableOpacity
               style={[styles.modalButton, styles.cancelButton]}
@@ -228,73 +677,577 @@ const JobDetailScreen = ({ route, navigation }) => {
               )}
             </TouchableOpacity>
           </View>
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+
+  // Render completion request modal (assigned contractor)
+  const renderCompletionModal = () => (
+    <Modal
+      visible={isCompletionModalVisible}
+      transparent
+      animationType='slide'
+      onRequestClose={() => setCompletionModalVisible(false)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Request Completion</Text>
+
+          <Text style={styles.modalLabel}>Notes</Text>
+          <TextInput
+            style={[styles.modalInput, styles.proposalInput]}
+            value={completionNotes}
+            onChangeText={setCompletionNotes}
+            placeholder='Summarize the work you finished'
+            maxLength={1000}
+            multiline
+          />
+
+          <Text style={styles.modalLabel}>Photos</Text>
+          <ScrollView horizontal style={styles.completionImages}>
+            {completionImages.map((image) => (
+              <TouchableOpacity
+                key={image.uri}
+                onPress={() =>
+                  setCompletionImages((current) =>
+                    current.filter((item) => item.uri !== image.uri)
+                  )
+                }
+              >
+                <Image source={{ uri: image.uri }} style={styles.completionImage} />
+              </TouchableOpacity>
+            ))}
+            {completionImages.length < 5 && (
+              <TouchableOpacity
+                style={styles.addPhotoButton}
+                onPress={pickCompletionPhoto}
+              >
+                <Text style={styles.addPhotoButtonText}>+</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+
+          <View style={styles.modalButtons}>
+            <TouchableOpacity
+              style={[styles.modalButton, styles.cancelButton]}
+              onPress={() => setCompletionModalVisible(false)}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.modalButton, styles.submitButton]}
+              onPress={handleRequestCompletion}
+              disabled={isSubmittingCompletion}
+            >
+              {isSubmittingCompletion ? (
+                <ActivityIndicator size='small' color='#fff' />
+              ) : (
+                <Text style={styles.submitButtonText}>Send Request</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  // Render decline completion modal (job owner)
+  const renderDeclineModal = () => (
+    <Modal
+      visible={isDeclineModalVisible}
+      transparent
+      animationType='slide'
+      onRequestClose={() => setDeclineModalVisible(false)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Decline Completion</Text>
+
+          <Text style={styles.modalLabel}>What still needs to be done?</Text>
+          <TextInput
+            style={[styles.modalInput, styles.proposalInput]}
+            value={declineReason}
+            onChangeText={setDeclineReason}
+            placeholder='Let the contractor know what is missing'
+            maxLength={1000}
+            multiline
+          />
+
+          <View style={styles.modalButtons}>
+            <TouchableOpacity
+              style={[styles.modalButton, styles.cancelButton]}
+              onPress={() => setDeclineModalVisible(false)}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.modalButton, styles.dangerButton]}
+              onPress={handleDeclineCompletion}
+              disabled={isSubmittingCompletion}
+            >
+              {isSubmittingCompletion ? (
+                <ActivityIndicator size='small' color='#fff' />
+              ) : (
+                <Text style={styles.dangerButtonText}>Decline</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  // Render reject milestone modal (job owner)
+  const renderRejectMilestoneModal = () => (
+    <Modal
+      visible={!!rejectingMilestone}
+      transparent
+      animationType='slide'
+      onRequestClose={() => setRejectingMilestone(null)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Reject Milestone</Text>
+
+          <Text style={styles.modalLabel}>What still needs to be done?</Text>
+          <TextInput
+            style={[styles.modalInput, styles.proposalInput]}
+            value={milestoneRejectReason}
+            onChangeText={setMilestoneRejectReason}
+            placeholder='Let the contractor know what is missing'
+            maxLength={1000}
+            multiline
+          />
+
+          <View style={styles.modalButtons}>
+            <TouchableOpacity
+              style={[styles.modalButton, styles.cancelButton]}
+              onPress={() => setRejectingMilestone(null)}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.modalButton, styles.dangerButton]}
+              onPress={handleRejectMilestone}
+              disabled={isUpdatingMilestone}
+            >
+              {isUpdatingMilestone ? (
+                <ActivityIndicator size='small' color='#fff' />
+              ) : (
+                <Text style={styles.dangerButtonText}>Reject</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  // Render counter-offer modal (job owner)
+  const renderCounterModal = () => (
+    <Modal
+      visible={!!counteringBid}
+      transparent
+      animationType='slide'
+      onRequestClose={() => setCounteringBid(null)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Counter-offer</Text>
+
+          <Text style={styles.modalLabel}>Amount ($)</Text>
+          <TextInput
+            style={styles.modalInput}
+            value={counterAmount}
+            onChangeText={setCounterAmount}
+            placeholder='What you would pay'
+            keyboardType='numeric'
+          />
+
+          <Text style={styles.modalLabel}>Estimated Days</Text>
+          <TextInput
+            style={styles.modalInput}
+            value={counterDays}
+            onChangeText={setCounterDays}
+            placeholder='When you need it done'
+            keyboardType='numeric'
+          />
+
+          <Text style={styles.modalLabel}>Message</Text>
+          <TextInput
+            style={[styles.modalInput, styles.proposalInput]}
+            value={counterMessage}
+            onChangeText={setCounterMessage}
+            placeholder='Explain your offer (optional)'
+            maxLength={1000}
+            multiline
+          />
+
+          <View style={styles.modalButtons}>
+            <TouchableOpacity
+              style={[styles.modalButton, styles.cancelButton]}
+              onPress={() => setCounteringBid(null)}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.modalButton, styles.submitButton]}
+              onPress={handleCounterBid}
+              disabled={isSubmittingCounter}
+            >
+              {isSubmittingCounter ? (
+                <ActivityIndicator size='small' color='#fff' />
+              ) : (
+                <Text style={styles.submitButtonText}>Send</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+
+  // Render open dispute modal (job parties)
+  const renderDisputeModal = () => (
+    <Modal
+      visible={isDisputeModalVisible}
+      transparent
+      animationType='slide'
+      onRequestClose={() => setDisputeModalVisible(false)}
+    >
+      <View style={styles.modalOverlay}>
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>Open a Dispute</Text>
+
+          <Text style={styles.modalLabel}>What went wrong?</Text>
+          {DISPUTE_REASONS.map((option) => (
+            <TouchableOpacity
+              key={option.value}
+              style={[
+                styles.reasonOption,
+                disputeReason === option.value && styles.reasonOptionSelected,
+              ]}
+              onPress={() => setDisputeReason(option.value)}
+            >
+              <Text
+                style={[
+                  styles.reasonText,
+                  disputeReason === option.value && styles.reasonTextSelected,
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+
+          <TextInput
+            style={[styles.modalInput, styles.proposalInput]}
+            value={disputeDescription}
+            onChangeText={setDisputeDescription}
+            placeholder='Describe the problem. An admin will review it.'
+            maxLength={2000}
+            multiline
+          />
+
+          <View style={styles.modalButtons}>
+            <TouchableOpacity
+              style={[styles.modalButton, styles.cancelButton]}
+              onPress={() => setDisputeModalVisible(false)}
+            >
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.modalButton, styles.dangerButton]}
+              onPress={handleOpenDispute}
+              disabled={!disputeReason || isSubmittingDispute}
+            >
+              {isSubmittingDispute ? (
+                <ActivityIndicator size='small' color='#fff' />
+              ) : (
+                <Text style={styles.dangerButtonText}>Open Dispute</Text>
+              )}
+            </TouchableOpacity>
+          </View>
         </View>
       </View>
     </Modal>
   );
 
+  // Render the way into the dispute process for the job's parties
+  const renderDisputeAction = () => {
+    const isParty = user.id === job.customer_id || user.id === job.contractor_id;
+
+    if (!isParty || !job.contractor_id) return null;
+
+    if (job.status === JOB_STATUS.DISPUTED) {
+      return (
+        <View style={styles.actionSection}>
+          <Text style={styles.completionHint}>
+            This job is on hold while a dispute is reviewed
+          </Text>
+          <TouchableOpacity
+            style={[styles.fullWidthButton, styles.secondaryButton, styles.disputeButton]}
+            onPress={viewDispute}
+          >
+            <Text style={styles.secondaryButtonText}>View Dispute</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    const disputableStatuses = [
+      JOB_STATUS.IN_PROGRESS,
+      JOB_STATUS.COMPLETION_REQUESTED,
+      JOB_STATUS.CANCELLED,
+    ];
+
+    if (disputableStatuses.includes(job.status)) {
+      return (
+        <TouchableOpacity
+          style={styles.reportLink}
+          onPress={() => setDisputeModalVisible(true)}
+        >
+          <Text style={styles.reportLinkText}>Have a problem? Open a dispute</Text>
+        </TouchableOpacity>
+      );
+    }
+
+    return null;
+  };
+
+  // Render the job's milestones and how much of the work has been approved
+  const renderMilestones = () => {
+    if (!job.milestones || job.milestones.length === 0) return null;
+
+    const canChange = [JOB_STATUS.IN_PROGRESS, JOB_STATUS.COMPLETION_REQUESTED].includes(
+      job.status
+    );
+
+    return (
+      <View style={styles.milestonesSection}>
+        <Text style={styles.sectionTitle}>Milestones</Text>
+
+        {progress && (
+          <>
+            <View style={styles.progressBar}>
+              <View style={[styles.progressFill, { width: `${progress.percent}%` }]} />
+            </View>
+            <Text style={styles.progressText}>
+              {progress.approvedCount} of {progress.totalCount} approved · $
+              {progress.approvedAmount.toFixed(2)} of ${progress.totalAmount.toFixed(2)} (
+              {progress.percent}%)
+            </Text>
+          </>
+        )}
+
+        {job.milestones.map((milestone) => (
+          <View key={milestone.id} style={styles.milestoneCard}>
+            <View style={styles.bidHeader}>
+              <Text style={styles.milestoneTitle}>{milestone.title}</Text>
+              <Text style={styles.milestoneAmount}>${milestone.amount}</Text>
+            </View>
+
+            <Text
+              style={[
+                styles.milestoneStatus,
+                milestone.status === MILESTONE_STATUS.APPROVED && styles.acceptedBid,
+                milestone.status === MILESTONE_STATUS.SUBMITTED && styles.statusDisputed,
+              ]}
+            >
+              {milestone.status.toUpperCase()}
+            </Text>
+
+            {milestone.due_date && (
+              <Text style={styles.bidEstimate}>
+                Due {new Date(milestone.due_date).toLocaleDateString()}
+              </Text>
+            )}
+
+            {milestone.status === MILESTONE_STATUS.PENDING && milestone.rejection_reason && (
+              <Text style={styles.milestoneRejection}>
+                Sent back: {milestone.rejection_reason}
+              </Text>
+            )}
+
+            {canChange &&
+              job.contractor_id === user.id &&
+              milestone.status === MILESTONE_STATUS.PENDING && (
+                <View style={styles.bidActions}>
+                  <TouchableOpacity
+                    style={styles.acceptBidButton}
+                    onPress={() => handleSubmitMilestone(milestone)}
+                  >
+                    <Text style={styles.acceptBidButtonText}>Submit</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+
+            {canChange &&
+              job.customer_id === user.id &&
+              milestone.status === MILESTONE_STATUS.SUBMITTED && (
+                <View style={styles.bidActions}>
+                  <TouchableOpacity
+                    style={styles.rejectMilestoneButton}
+                    onPress={() => setRejectingMilestone(milestone)}
+                  >
+                    <Text style={styles.acceptBidButtonText}>Reject</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={styles.acceptBidButton}
+                    onPress={() => handleApproveMilestone(milestone)}
+                  >
+                    <Text style={styles.acceptBidButtonText}>Approve</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  // Render the contractor's completion request, or why it was declined
+  const renderCompletionDetails = () => {
+    const isParty = user.id === job.customer_id || user.id === job.contractor_id;
+
+    if (!isParty) return null;
+
+    if (job.status === JOB_STATUS.COMPLETION_REQUESTED) {
+      return (
+        <View style={styles.completionSection}>
+          <Text style={styles.sectionTitle}>Completion Requested</Text>
+          {job.completion_notes ? (
+            <Text style={styles.descriptionText}>{job.completion_notes}</Text>
+          ) : null}
+          {job.completion_images && job.completion_images.length > 0 && (
+            <ScrollView horizontal style={styles.completionImages}>
+              {job.completion_images.map((url) => (
+                <Image key={url} source={{ uri: url }} style={styles.completionImage} />
+              ))}
+            </ScrollView>
+          )}
+          {autoCompleteAt && (
+            <Text style={styles.completionHint}>
+              {user.id === job.customer_id
+                ? 'The job will be marked as completed automatically on '
+                : 'If the customer does not respond, the job completes automatically on '}
+              {new Date(autoCompleteAt).toLocaleString()}
+            </Text>
+          )}
+        </View>
+      );
+    }
+
+    if (job.status === JOB_STATUS.IN_PROGRESS && job.completion_declined_reason) {
+      return (
+        <View style={styles.completionSection}>
+          <Text style={styles.sectionTitle}>Completion Declined</Text>
+          <Text style={styles.descriptionText}>{job.completion_declined_reason}</Text>
+        </View>
+      );
+    }
+
+    return null;
+  };
+
   // Render job status with appropriate styling
   const renderJobStatus = () => {
     const statusStyles = {
       [JOB_STATUS.OPEN]: styles.statusOpen,
       [JOB_STATUS.IN_PROGRESS]: styles.statusInProgress,
+      [JOB_STATUS.COMPLETION_REQUESTED]: styles.statusInProgress,
+      [JOB_STATUS.DISPUTED]: styles.statusDisputed,
       [JOB_STATUS.COMPLETED]: styles.statusCompleted,
       [JOB_STATUS.CANCELLED]: styles.statusCancelled,
+      [JOB_STATUS.EXPIRED]: styles.statusCancelled,
     };
 
     return (
       <Text style={[styles.statusBadge, statusStyles[job.status]]}>
-        {job.status.toUpperCase()}
+        {job.status.replace('_', ' ').toUpperCase()}
       </Text>
     );
   };
 
+  const isBiddingClosed = () =>
+    [job.bid_deadline, job.expires_at].some((date) => date && new Date(date) <= new Date());
+
   // Render action buttons based on user role and job status
   const renderActionButtons = () => {
     // If user is the job owner (customer)
     if (user.id === job.customer_id) {
       if (job.status === JOB_STATUS.OPEN) {
         return (
-          <View style={styles.actionButtonsContainer}>
+          <View>
             <TouchableOpacity
-              style={[styles.actionButton, styles.cancelButton]}
-              onPress={() => {
-                // Implement cancel job logic
-                Alert.alert(
-                  'Coming Soon',
-                  'This feature is not yet implemented'
-                );
-              }}
+              style={[styles.fullWidthButton, styles.secondaryButton, styles.inviteButton]}
+              onPress={() => navigation.navigate('InviteContractors', { jobId: job.id })}
             >
-              <Text style={styles.cancelButtonText}>Cancel Job</Text>
+              <Text style={styles.secondaryButtonText}>Invite Contractors</Text>
             </TouchableOpacity>
 
-            <TouchableOpacity
-              style={[styles.actionButton, styles.primaryButton]}
-              onPress={() => {
-                // Implement edit job logic
-                Alert.alert(
-                  'Coming Soon',
-                  'This feature is not yet implemented'
-                );
-              }}
-            >
-              <Text style={styles.primaryButtonText}>Edit Job</Text>
-            </TouchableOpacity>
+            <View style={styles.actionButtonsContainer}>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.cancelButton]}
+                onPress={() => {
+                  // Implement cancel job logic
+                  Alert.alert(
+                    'Coming Soon',
+                    'This feature is not yet implemented'
+                  );
+                }}
+              >
+                <Text style={styles.cancelButtonText}>Cancel Job</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.actionButton, styles.primaryButton]}
+                onPress={() => {
+                  // Implement edit job logic
+                  Alert.alert(
+                    'Coming Soon',
+                    'This feature is not yet implemented'
+                  );
+                }}
+              >
+                <Text style={styles.primaryButtonText}>Edit Job</Text>
+              </TouchableOpacity>
+            </View>
           </View>
         );
       } else if (job.status === JOB_STATUS.IN_PROGRESS) {
         return (
           <TouchableOpacity
             style={[styles.fullWidthButton, styles.primaryButton]}
-            onPress={() => {
-              // Implement mark as complete logic
-              Alert.alert('Coming Soon', 'This feature is not yet implemented');
-            }}
+            onPress={handleConfirmCompletion}
           >
             <Text style={styles.primaryButtonText}>Mark as Complete</Text>
           </TouchableOpacity>
         );
+      } else if (job.status === JOB_STATUS.COMPLETION_REQUESTED) {
+        return (
+          <View style={styles.actionButtonsContainer}>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.dangerButton]}
+              onPress={() => setDeclineModalVisible(true)}
+            >
+              <Text style={styles.dangerButtonText}>Decline</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.actionButton, styles.primaryButton]}
+              onPress={handleConfirmCompletion}
+            >
+              <Text style={styles.primaryButtonText}>Confirm Completion</Text>
+            </TouchableOpacity>
+          </View>
+        );
       } else if (job.status === JOB_STATUS.COMPLETED) {
         // Check if user has already rated
         return (
@@ -311,12 +1264,36 @@ const JobDetailScreen = ({ route, navigation }) => {
             <Text style={styles.primaryButtonText}>Leave Rating</Text>
           </TouchableOpacity>
         );
+      } else if (job.status === JOB_STATUS.EXPIRED) {
+        return (
+          <View style={styles.actionButtonsContainer}>
+            <TouchableOpacity
+              style={[styles.actionButton, styles.secondaryButton]}
+              onPress={() => handleExpiredJob(true)}
+            >
+              <Text style={styles.secondaryButtonText}>Repost</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[styles.actionButton, styles.primaryButton]}
+              onPress={() => handleExpiredJob(false)}
+            >
+              <Text style={styles.primaryButtonText}>Re-open</Text>
+            </TouchableOpacity>
+          </View>
+        );
       }
     }
     // If user is a contractor
     else if (user.role === USER_ROLES.CONTRACTOR) {
+      // Bids stop at the deadline even before the job expires
+      if (job.status === JOB_STATUS.OPEN && !userBid && isBiddingClosed()) {
+        return (
+          <Text style={styles.completionHint}>Bidding on this job has closed</Text>
+        );
+      }
       // If job is open and user hasn't placed a bid yet
-      if (job.status === JOB_STATUS.OPEN && !userBid) {
+      else if (job.status === JOB_STATUS.OPEN && !userBid) {
         return (
           <TouchableOpacity
             style={[styles.fullWidthButton, styles.primaryButton]}
@@ -364,17 +1341,17 @@ const JobDetailScreen = ({ route, navigation }) => {
           return (
             <TouchableOpacity
               style={[styles.fullWidthButton, styles.primaryButton]}
-              onPress={() => {
-                // Request completion approval
-                Alert.alert(
-                  'Coming Soon',
-                  'This feature is not yet implemented'
-                );
-              }}
+              onPress={() => setCompletionModalVisible(true)}
             >
               <Text style={styles.primaryButtonText}>Request Completion</Text>
             </TouchableOpacity>
           );
+        } else if (job.status === JOB_STATUS.COMPLETION_REQUESTED) {
+          return (
+            <Text style={styles.completionHint}>
+              Waiting for the customer to confirm completion
+            </Text>
+          );
         }
       }
     }
@@ -428,7 +1405,46 @@ const JobDetailScreen = ({ route, navigation }) => {
           {job.location && (
             <View style={styles.jobMeta}>
               <Text style={styles.metaLabel}>Location:</Text>
-              <Text style={styles.metaValue}>{job.location}</Text>
+              <Text style={styles.metaValue}>
+                {job.location}
+                {job.location_is_approximate ? ' (approximate area)' : ''}
+              </Text>
+            </View>
+          )}
+
+          {job.status === JOB_STATUS.OPEN && job.bid_deadline && (
+            <View style={styles.jobMeta}>
+              <Text style={styles.metaLabel}>Bids close:</Text>
+              <Text style={styles.metaValue}>
+                {new Date(job.bid_deadline).toLocaleDateString()}
+              </Text>
+            </View>
+          )}
+
+          {job.status === JOB_STATUS.OPEN && job.expires_at && (
+            <View style={styles.jobMeta}>
+              <Text style={styles.metaLabel}>Expires:</Text>
+              <Text style={styles.metaValue}>
+                {new Date(job.expires_at).toLocaleDateString()}
+              </Text>
+            </View>
+          )}
+
+          {job.status === JOB_STATUS.EXPIRED && job.expired_at && (
+            <View style={styles.jobMeta}>
+              <Text style={styles.metaLabel}>Expired:</Text>
+              <Text style={styles.metaValue}>
+                {new Date(job.expired_at).toLocaleDateString()}
+              </Text>
+            </View>
+          )}
+
+          {user.id === job.customer_id && (
+            <View style={styles.jobMeta}>
+              <Text style={styles.metaLabel}>Visibility:</Text>
+              <Text style={styles.metaValue}>
+                {(JOB_VISIBILITY.find((option) => option.value === job.visibility) || JOB_VISIBILITY[0]).label}
+              </Text>
             </View>
           )}
 
@@ -447,6 +1463,13 @@ const JobDetailScreen = ({ route, navigation }) => {
         <Text style={styles.descriptionText}>{job.description}</Text>
       </View>
 
+      {/* Questions & Answers Section */}
+      <JobQuestions
+        jobId={job.id}
+        isOwner={user.id === job.customer_id}
+        canAsk={user.role === USER_ROLES.CONTRACTOR && job.status === JOB_STATUS.OPEN}
+      />
+
       {/* Customer/Contractor Information Section */}
       <View style={styles.userSection}>
         <Text style={styles.sectionTitle}>
@@ -460,12 +1483,7 @@ const JobDetailScreen = ({ route, navigation }) => {
               <TouchableOpacity
                 style={styles.contactButton}
                 onPress={() =>
-                  startConversation(
-                    user.id,
-                    job.customer_id,
-                    user.fullName,
-                    job.id
-                  )
+                  startConversation(job.customer_id, job.customer.full_name)
                 }
               >
                 <Text style={styles.contactButtonText}>Contact</Text>
@@ -479,16 +1497,22 @@ const JobDetailScreen = ({ route, navigation }) => {
             <Text style={styles.sectionTitle}>Assigned Contractor</Text>
             <View style={styles.userCard}>
               <View style={styles.userInfo}>
-                <Text style={styles.userName}>{job.contractor.full_name}</Text>
+                <View>
+                  <Text style={styles.userName}>{job.contractor.full_name}</Text>
+                  {job.contractor.account_status &&
+                    job.contractor.account_status !== 'active' && (
+                      <Text style={styles.inactiveAccountText}>
+                        This contractor's account is {job.contractor.account_status}
+                      </Text>
+                    )}
+                </View>
                 {job.contractor_id !== user.id && (
                   <TouchableOpacity
                     style={styles.contactButton}
                     onPress={() =>
                       startConversation(
-                        user.id,
                         job.contractor_id,
-                        user.fullName,
-                        job.id
+                        job.contractor.full_name
                       )
                     }
                   >
@@ -522,6 +1546,8 @@ const JobDetailScreen = ({ route, navigation }) => {
                       styles.bidStatus,
                       bid.status === BID_STATUS.ACCEPTED
                         ? styles.acceptedBid
+                        : bid.status === BID_STATUS.COUNTERED
+                        ? styles.counteredBid
                         : styles.rejectedBid,
                     ]}
                   >
@@ -530,6 +1556,14 @@ const JobDetailScreen = ({ route, navigation }) => {
                 </View>
               )}
 
+              {bid.fees && bid.contractor_id === user.id && (
+                <Text style={styles.bidEstimate}>
+                  You receive ${bid.fees.contractorPayout.toFixed(2)} after a $
+                  {bid.fees.fee.toFixed(2)} platform fee
+                  {bid.fees.promotionId ? ' (promotional rate)' : ''}
+                </Text>
+              )}
+
               {bid.proposal &&
                 (job.customer_id === user.id ||
                   bid.contractor_id === user.id) && (
@@ -543,9 +1577,100 @@ const JobDetailScreen = ({ route, navigation }) => {
                 </Text>
               )}
 
+              {bid.line_items && bid.line_items.length > 0 && (
+                <View style={styles.bidLineItems}>
+                  {bid.line_items.map((item, index) => (
+                    <View key={index} style={styles.lineItemRow}>
+                      <Text style={styles.lineItemDescription}>
+                        {item.description}
+                        {item.taxable ? ' *' : ''}
+                        {'\n'}
+                        <Text style={styles.lineItemDetail}>
+                          {lineItemTypeLabel(item.type)} · {item.quantity} × $
+                          {parseFloat(item.unit_price).toFixed(2)}
+                        </Text>
+                      </Text>
+                      <Text style={styles.lineItemTotal}>
+                        ${parseFloat(item.total).toFixed(2)}
+                      </Text>
+                    </View>
+                  ))}
+                  {bid.quote && (
+                    <View style={styles.quoteSummary}>
+                      {Object.entries(bid.quote.totalsByType).map(([type, total]) => (
+                        <Text key={type} style={styles.lineItemDetail}>
+                          {lineItemTypeLabel(type)}: ${total.toFixed(2)}
+                        </Text>
+                      ))}
+                      {bid.quote.tax > 0 && (
+                        <Text style={styles.lineItemDetail}>
+                          Tax on taxable items (*): ${bid.quote.tax.toFixed(2)}
+                        </Text>
+                      )}
+                    </View>
+                  )}
+                </View>
+              )}
+
+              {bid.milestones && bid.milestones.length > 0 && (
+                <View style={styles.bidMilestones}>
+                  {bid.milestones.map((milestone, index) => (
+                    <Text key={index} style={styles.bidEstimate}>
+                      {index + 1}. {milestone.title} · ${milestone.amount}
+                      {milestone.due_date
+                        ? ` · due ${new Date(milestone.due_date).toLocaleDateString()}`
+                        : ''}
+                    </Text>
+                  ))}
+                </View>
+              )}
+
+              <BidRevisions revisions={bid.revisions} />
+
+              {bid.status === BID_STATUS.WITHDRAWN && bid.withdrawal_reason && (
+                <Text style={styles.bidEstimate}>
+                  Withdrawn: {bid.withdrawal_reason}
+                </Text>
+              )}
+
+              {(job.customer_id === user.id || bid.contractor_id === user.id) && (
+                <NegotiationHistory
+                  negotiation={bid.negotiation}
+                  viewerRole={job.customer_id === user.id ? 'customer' : 'contractor'}
+                />
+              )}
+
+              {bid.status === BID_STATUS.COUNTERED && job.customer_id === user.id && (
+                <Text style={styles.bidEstimate}>
+                  Waiting for the contractor to answer your counter-offer
+                </Text>
+              )}
+
               <View style={styles.bidActions}>
+                {bid.status === BID_STATUS.COUNTERED &&
+                  bid.contractor_id === user.id && (
+                    <TouchableOpacity
+                      style={styles.acceptBidButton}
+                      onPress={() => navigation.navigate('EditBid', { bidId: bid.id })}
+                    >
+                      <Text style={styles.acceptBidButtonText}>Respond to Counter-offer</Text>
+                    </TouchableOpacity>
+                  )}
+
+                {job.customer_id === user.id &&
+                  job.status === JOB_STATUS.OPEN &&
+                  bid.status === BID_STATUS.PENDING && (
+                    <TouchableOpacity
+                      style={styles.contactBidderButton}
+                      onPress={() => openCounterModal(bid)}
+                    >
+                      <Text style={styles.contactBidderText}>Counter</Text>
+                    </TouchableOpacity>
+                  )}
+
                 {job.customer_id === user.id &&
-                  job.status === JOB_STATUS.OPEN && (
+                  job.status === JOB_STATUS.OPEN &&
+                  bid.status === BID_STATUS.PENDING && (
                     <TouchableOpacity
                       style={styles.acceptBidButton}
                       onPress={() => handleAcceptBid(bid.id)}
@@ -560,10 +1685,8 @@ const JobDetailScreen = ({ route, navigation }) => {
                       style={styles.contactBidderButton}
                       onPress={() =>
                         startConversation(
-                          user.id,
                           bid.contractor_id,
-                          user.fullName,
-                          job.id
+                          bid.contractor.full_name
                         )
                       }
                     >
@@ -576,11 +1699,48 @@ const JobDetailScreen = ({ route, navigation }) => {
         </View>
       )}
 
+      {renderMilestones()}
+
+      {renderCompletionDetails()}
+
       {/* Action Buttons */}
       <View style={styles.actionSection}>{renderActionButtons()}</View>
 
+      {renderDisputeAction()}
+
+      {job.status === JOB_STATUS.COMPLETED &&
+        (user.id === job.customer_id || user.id === job.contractor_id) && (
+          <TouchableOpacity style={styles.reportLink} onPress={handleDownloadInvoice}>
+            <Text style={styles.invoiceLinkText}>
+              {user.id === job.customer_id ? 'Download receipt' : 'Download invoice'}
+            </Text>
+          </TouchableOpacity>
+        )}
+
+      {job.customer_id !== user.id && (
+        <TouchableOpacity
+          style={styles.reportLink}
+          onPress={() => setReportVisible(true)}
+        >
+          <Text style={styles.reportLinkText}>Report this job</Text>
+        </TouchableOpacity>
+      )}
+
       {/* Bid Modal */}
       {renderBidModal()}
+
+      {renderCompletionModal()}
+      {renderDeclineModal()}
+      {renderRejectMilestoneModal()}
+      {renderCounterModal()}
+      {renderDisputeModal()}
+
+      <ReportModal
+        visible={isReportVisible}
+        targetType='job'
+        targetId={job.id}
+        onClose={() => setReportVisible(false)}
+      />
     </ScrollView>
   );
 };
@@ -601,6 +1761,21 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#666',
   },
+  reportLink: {
+    alignItems: 'center',
+    paddingVertical: 15,
+    marginBottom: 20,
+  },
+  reportLinkText: {
+    fontSize: 14,
+    color: '#999',
+    textDecorationLine: 'underline',
+  },
+  invoiceLinkText: {
+    fontSize: 16,
+    color: '#007BFF',
+    fontWeight: '500',
+  },
   errorContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -666,6 +1841,10 @@ const styles = StyleSheet.create({
     backgroundColor: '#f8d7da',
     color: '#721c24',
   },
+  statusDisputed: {
+    backgroundColor: '#fff3cd',
+    color: '#856404',
+  },
   jobMetaContainer: {
     marginTop: 10,
   },
@@ -725,6 +1904,11 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: '#333',
   },
+  inactiveAccountText: {
+    fontSize: 13,
+    color: '#dc3545',
+    marginTop: 2,
+  },
   contactButton: {
     backgroundColor: '#007BFF',
     paddingHorizontal: 15,
@@ -784,6 +1968,10 @@ const styles = StyleSheet.create({
     backgroundColor: '#f8d7da',
     color: '#721c24',
   },
+  counteredBid: {
+    backgroundColor: '#cce5ff',
+    color: '#004085',
+  },
   bidProposal: {
     fontSize: 14,
     color: '#666',
@@ -822,6 +2010,162 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
   },
+  bidMilestones: {
+    marginTop: 4,
+  },
+  bidLineItems: {
+    marginBottom: 10,
+  },
+  lineItemRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  lineItemDescription: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginRight: 10,
+  },
+  lineItemDetail: {
+    fontSize: 13,
+    color: '#666',
+  },
+  lineItemTotal: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#333',
+  },
+  quoteSummary: {
+    marginTop: 8,
+  },
+  milestonesSection: {
+    backgroundColor: '#fff',
+    padding: 20,
+    marginTop: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  progressBar: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#e9ecef',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 8,
+    backgroundColor: '#28a745',
+  },
+  progressText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 6,
+    marginBottom: 12,
+  },
+  milestoneCard: {
+    backgroundColor: '#f8f8f8',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 10,
+  },
+  milestoneTitle: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+    flex: 1,
+  },
+  milestoneAmount: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  milestoneStatus: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 4,
+    alignSelf: 'flex-start',
+    marginBottom: 8,
+    backgroundColor: '#e9ecef',
+    color: '#495057',
+  },
+  milestoneRejection: {
+    fontSize: 14,
+    color: '#dc3545',
+    marginBottom: 10,
+  },
+  rejectMilestoneButton: {
+    backgroundColor: '#dc3545',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 4,
+    marginLeft: 10,
+  },
+  completionSection: {
+    backgroundColor: '#fff',
+    padding: 20,
+    marginTop: 10,
+  },
+  completionImages: {
+    flexDirection: 'row',
+    marginTop: 10,
+    marginBottom: 16,
+  },
+  completionImage: {
+    width: 80,
+    height: 80,
+    borderRadius: 8,
+    marginRight: 8,
+  },
+  addPhotoButton: {
+    width: 80,
+    height: 80,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderStyle: 'dashed',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addPhotoButtonText: {
+    fontSize: 28,
+    color: '#999',
+  },
+  disputeButton: {
+    marginTop: 10,
+  },
+  inviteButton: {
+    marginBottom: 10,
+  },
+  reasonOption: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 8,
+  },
+  reasonOptionSelected: {
+    borderColor: '#007BFF',
+    backgroundColor: '#e6f2ff',
+  },
+  reasonText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  reasonTextSelected: {
+    color: '#007BFF',
+    fontWeight: '500',
+  },
+  completionHint: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 10,
+    textAlign: 'center',
+  },
   actionSection: {
     padding: 20,
   },
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  RefreshControl
+} from 'react-native';
+import { useAuth } from '../../context/AuthContext';
+import { useAPI } from '../../context/APIContext';
+import { LEDGER_ENTRY_TYPES } from '../../utils/config';
+
+// How each kind of ledger entry reads from either side of the job
+const DESCRIPTIONS = {
+  customer: {
+    [LEDGER_ENTRY_TYPES.AUTHORIZATION]: 'Funds held',
+    [LEDGER_ENTRY_TYPES.RELEASE]: 'Paid to contractor',
+    [LEDGER_ENTRY_TYPES.FEE]: 'Platform fee',
+    [LEDGER_ENTRY_TYPES.REFUND]: 'Refunded to you',
+  },
+  contractor: {
+    [LEDGER_ENTRY_TYPES.AUTHORIZATION]: 'Customer funds held',
+    [LEDGER_ENTRY_TYPES.RELEASE]: 'Paid to you',
+    [LEDGER_ENTRY_TYPES.FEE]: 'Platform fee kept from your payout',
+    [LEDGER_ENTRY_TYPES.REFUND]: 'Refunded to customer',
+  },
+};
+
+const TransactionsScreen = ({ navigation }) => {
+  const { user } = useAuth();
+  const { payments } = useAPI();
+
+  const [transactions, setTransactions] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    loadTransactions(1);
+  }, []);
+
+  const loadTransactions = async (pageToLoad) => {
+    try {
+      const result = await payments.getTransactions(pageToLoad);
+
+      if (result.success) {
+        setTransactions((current) =>
+          pageToLoad === 1
+            ? result.data.transactions
+            : [...current, ...result.data.transactions]
+        );
+        setPage(pageToLoad);
+        setTotalPages(result.data.pagination.totalPages);
+      } else {
+        Alert.alert('Error', result.message || 'Failed to load transactions');
+      }
+    } catch (error) {
+      console.error('Load transactions error:', error);
+      Alert.alert('Error', 'An unexpected error occurred');
+    } finally {
+      setIsLoading(false);
+      setRefreshing(false);
+    }
+  };
+
+  const onRefresh = () => {
+    setRefreshing(true);
+    loadTransactions(1);
+  };
+
+  const loadMore = () => {
+    if (page < totalPages) {
+      loadTransactions(page + 1);
+    }
+  };
+
+  const renderTransaction = ({ item }) => {
+    const side = item.customer_id === user.id ? 'customer' : 'contractor';
+    const isIncoming =
+      (side === 'contractor' && item.type === LEDGER_ENTRY_TYPES.RELEASE) ||
+      (side === 'customer' && item.type === LEDGER_ENTRY_TYPES.REFUND);
+
+    return (
+      <TouchableOpacity
+        style={styles.card}
+        onPress={() => navigation.navigate('JobDetail', { jobId: item.job_id })}
+      >
+        <View style={styles.cardHeader}>
+          <Text style={styles.description}>{DESCRIPTIONS[side][item.type]}</Text>
+          <Text style={[styles.amount, isIncoming && styles.incomingAmount]}>
+            {isIncoming ? '+' : ''}${parseFloat(item.amount).toFixed(2)}
+          </Text>
+        </View>
+        <Text style={styles.jobTitle}>{item.job.title}</Text>
+        {item.milestone && (
+          <Text style={styles.detail}>Milestone: {item.milestone.title}</Text>
+        )}
+        <Text style={styles.detail}>
+          {new Date(item.created_at).toLocaleString()}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size='large' color='#007BFF' />
+      </View>
+    );
+  }
+
+  return (
+    <FlatList
+      style={styles.container}
+      data={transactions}
+      renderItem={renderTransaction}
+      keyExtractor={(item) => item.id}
+      contentContainerStyle={styles.listContainer}
+      onEndReached={loadMore}
+      onEndReachedThreshold={0.5}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+      }
+      ListEmptyComponent={
+        <Text style={styles.emptyText}>No payments yet</Text>
+      }
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f8f8',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  listContainer: {
+    padding: 15,
+    paddingBottom: 20,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 15,
+    marginBottom: 10,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  description: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+  },
+  amount: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  incomingAmount: {
+    color: '#28a745',
+  },
+  jobTitle: {
+    fontSize: 14,
+    color: '#007BFF',
+    marginBottom: 4,
+  },
+  detail: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 40,
+  },
+});
+
+export default TransactionsScreen;
@@ -22,6 +22,7 @@ const ProfileScreen = ({ navigation }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [userRatings, setUserRatings] = useState([]);
+  const [blockedUsers, setBlockedUsers] = useState([]);
   
   // Editable profile fields
   const [fullName, setFullName] = useState(user?.full_name || '');
@@ -65,6 +66,12 @@ const ProfileScreen = ({ navigation }) => {
         }
       }
       
+      const blockedResult = await users.getBlockedUsers();
+      
+      if (blockedResult.success) {
+        setBlockedUsers(blockedResult.data.blockedUsers);
+      }
+      
       // If this is a contractor, load additional stats
       if (user.role === USER_ROLES.CONTRACTOR) {
         // In a real app, we would fetch job stats here
@@ -117,6 +124,29 @@ const ProfileScreen = ({ navigation }) => {
     }
   };
   
+  // Let a blocked user contact the current user again
+  const handleUnblock = (blockedUser) => {
+    Alert.alert(
+      'Unblock User',
+      `Allow ${blockedUser.fullName} to message you and bid on your jobs again?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Unblock',
+          onPress: async () => {
+            const result = await users.unblockUser(blockedUser.id);
+            
+            if (result.success) {
+              setBlockedUsers(prev => prev.filter(item => item.id !== blockedUser.id));
+            } else {
+              Alert.alert('Error', result.message || 'Failed to unblock user');
+            }
+          }
+        }
+      ]
+    );
+  };
+  
   // Handle logout
   const handleLogout = async () => {
     Alert.alert(
@@ -337,6 +367,30 @@ const ProfileScreen = ({ navigation }) => {
         )}
       </View>
       
+      {/* Blocked Users Section */}
+      {blockedUsers.length > 0 && (
+        <View style={styles.ratingsSection}>
+          <Text style={styles.sectionTitle}>Blocked Users</Text>
+          
+          {blockedUsers.map(blockedUser => (
+            <View key={blockedUser.id} style={styles.blockedItem}>
+              <Text style={styles.ratingName}>{blockedUser.fullName}</Text>
+              <TouchableOpacity onPress={() => handleUnblock(blockedUser)}>
+                <Text style={styles.unblockText}>Unblock</Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
+      
+      {/* Payment History */}
+      <TouchableOpacity 
+        style={styles.historyButton}
+        onPress={() => navigation.navigate('Transactions')}
+      >
+        <Text style={styles.historyButtonText}>Payment History</Text>
+      </TouchableOpacity>
+      
       {/* Logout Button */}
       <TouchableOpacity 
         style={styles.logoutButton}
@@ -575,6 +629,34 @@ const styles = StyleSheet.create({
     color: '#666',
     fontStyle: 'italic',
   },
+  blockedItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+    paddingVertical: 12,
+  },
+  unblockText: {
+    fontSize: 14,
+    color: '#007BFF',
+    fontWeight: '500',
+  },
+  historyButton: {
+    backgroundColor: '#fff',
+    marginHorizontal: 20,
+    marginTop: 20,
+    padding: 15,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#007BFF',
+    alignItems: 'center',
+  },
+  historyButtonText: {
+    color: '#007BFF',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
   logoutButton: {
     backgroundColor: '#dc3545',
     margin: 20,
@@ -21,17 +21,121 @@ export const JOB_CATEGORIES = [
 export const JOB_STATUS = {
   OPEN: 'open',
   IN_PROGRESS: 'in_progress',
+  COMPLETION_REQUESTED: 'completion_requested',
+  DISPUTED: 'disputed',
   COMPLETED: 'completed',
   CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
 };
 
+// How long a job takes bids, in days from posting (null: until it expires)
+export const BID_DEADLINE_OPTIONS = [
+  { value: null, label: 'Until it expires' },
+  { value: 3, label: '3 days' },
+  { value: 7, label: '1 week' },
+  { value: 14, label: '2 weeks' },
+];
+
+// How long a job stays open, in days from posting
+export const JOB_EXPIRY_OPTIONS = [
+  { value: 7, label: '1 week' },
+  { value: 14, label: '2 weeks' },
+  { value: 30, label: '30 days' },
+  { value: 60, label: '60 days' },
+];
+
+// Who can find and bid on a job
+export const JOB_VISIBILITY = [
+  { value: 'public', label: 'Public', description: 'Listed for every contractor' },
+  { value: 'invite_only', label: 'Invite only', description: 'Only contractors you invite can see and bid' },
+  { value: 'unlisted', label: 'Unlisted', description: 'Not listed; anyone with the link can bid' },
+];
+
 // Bid status constants
 export const BID_STATUS = {
   PENDING: 'pending',
+  COUNTERED: 'countered',
   ACCEPTED: 'accepted',
   REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn',
+};
+
+// Message delivery status constants
+export const MESSAGE_STATUS = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+};
+
+// Senders can edit a message for this long after sending it
+export const MESSAGE_EDIT_WINDOW_MINUTES = 15;
+
+// Reasons offered when reporting content
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment' },
+  { value: 'scam', label: 'Scam or fraud' },
+  { value: 'inappropriate_content', label: 'Inappropriate content' },
+  { value: 'off_platform_payment', label: 'Asking to pay outside the app' },
+  { value: 'other', label: 'Other' },
+];
+
+// Reasons a job can be disputed
+export const DISPUTE_REASONS = [
+  { value: 'work_incomplete', label: 'Work is not finished' },
+  { value: 'poor_quality', label: 'Poor quality work' },
+  { value: 'unfair_cancellation', label: 'Job was cancelled unfairly' },
+  { value: 'no_show', label: 'The other party did not show up' },
+  { value: 'payment_issue', label: 'Payment problem' },
+  { value: 'other', label: 'Other' },
+];
+
+// Dispute status constants
+export const DISPUTE_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+  WITHDRAWN: 'withdrawn',
+};
+
+// Job invitation status constants
+export const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
 };
 
+// Most contractors a job can invite
+export const MAX_INVITATIONS_PER_JOB = 10;
+
+// Milestone status constants
+export const MILESTONE_STATUS = {
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+};
+
+// Kinds of payment ledger entries
+export const LEDGER_ENTRY_TYPES = {
+  AUTHORIZATION: 'authorization',
+  RELEASE: 'release',
+  FEE: 'fee',
+  REFUND: 'refund',
+};
+
+// Most milestones a bid can propose
+export const MAX_MILESTONES = 10;
+
+// Kinds of line item on an itemized bid
+export const LINE_ITEM_TYPES = [
+  { value: 'labor', label: 'Labor' },
+  { value: 'materials', label: 'Materials' },
+  { value: 'disposal', label: 'Disposal' },
+  { value: 'other', label: 'Other' },
+];
+
+// Most line items a bid can have
+export const MAX_LINE_ITEMS = 30;
+
 // User roles
 export const USER_ROLES = {
   CUSTOMER: 'customer',
@@ -12,9 +12,15 @@ const bidRoutes = require('./routes/bidRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const userRoutes = require('./routes/userRoutes');
 const ratingRoutes = require('./routes/ratingRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const disputeRoutes = require('./routes/disputeRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
 const { authenticateToken } = require('./middleware/auth');
 
 // Initialize Express app
@@ -25,9 +31,11 @@ app.use(
   cors({
     origin: '*', // For development only
     methods: ['GET', 'POST', 'PUT', 'DELETE'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id'],
   })
 );
+app.use(requestId);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -47,48 +55,86 @@ app.get('/api/docs', (req, res) => {
         routes: [
           { path: '/register', method: 'POST', description: 'Register a new user' },
           { path: '/login', method: 'POST', description: 'Login and get JWT token' },
+          { path: '/reactivate', method: 'POST', description: 'Reactivate a deactivated account with its email and password and get JWT token' },
           { path: '/me', method: 'GET', description: 'Get current user data (requires auth)' },
+          { path: '/account-status', method: 'GET', description: 'Get account status and suspension reason (requires auth, works while suspended)' },
           { path: '/logout', method: 'POST', description: 'Logout (requires auth)' },
         ]
       },
       jobs: {
         base: '/api/jobs',
         routes: [
-          { path: '/', method: 'GET', description: 'Get all jobs with optional filtering' },
-          { path: '/', method: 'POST', description: 'Create a new job (requires auth)' },
+          { path: '/', method: 'GET', description: 'Get public jobs with optional filtering; location matches the approximate area except on your own jobs (contractors can pass invited=true for jobs they were invited to)' },
+          { path: '/', method: 'POST', description: 'Create a new job; visibility is public, invite_only or unlisted, with an optional bidDeadline and expiresAt (requires auth)' },
           { path: '/my', method: 'GET', description: 'Get current user\'s jobs (requires auth)' },
-          { path: '/:id', method: 'GET', description: 'Get a specific job by ID' },
+          { path: '/:id', method: 'GET', description: 'Get a specific job by ID (exact location for the job\'s parties only)' },
           { path: '/:id', method: 'PUT', description: 'Update a job (requires auth, job owner only)' },
           { path: '/:id', method: 'DELETE', description: 'Delete a job (requires auth, job owner only)' },
-          { path: '/assign', method: 'POST', description: 'Assign contractor to job (requires auth, job owner only)' }
+          { path: '/:id/reopen', method: 'POST', description: 'Re-open an expired job with { bidDeadline, expiresAt }, keeping its bids (requires auth, job owner only)' },
+          { path: '/:id/repost', method: 'POST', description: 'Post a fresh copy of an expired job with { bidDeadline, expiresAt } (requires auth, job owner only)' },
+          { path: '/assign', method: 'POST', description: 'Assign contractor to job and hold the bid amount (requires auth, job owner only)' },
+          { path: '/:id/completion/request', method: 'POST', description: 'Request completion with notes and photos (requires auth, assigned contractor only)' },
+          { path: '/:id/completion/confirm', method: 'POST', description: 'Confirm the job is finished and release held funds (requires auth, job owner only)' },
+          { path: '/:id/completion/decline', method: 'POST', description: 'Decline a completion request with a reason (requires auth, job owner only)' },
+          { path: '/:id/invoice', method: 'GET', description: 'Download the PDF invoice of a completed job; 202 with status pending while the PDF is being stored (requires auth, job owner and assigned contractor only)' },
+          { path: '/:id/milestones', method: 'GET', description: 'Get milestones and progress (requires auth, job parties only)' },
+          { path: '/:id/milestones/:milestoneId/submit', method: 'POST', description: 'Submit a milestone for approval (requires auth, assigned contractor only)' },
+          { path: '/:id/milestones/:milestoneId/approve', method: 'POST', description: 'Approve a submitted milestone and release its amount (requires auth, job owner only)' },
+          { path: '/:id/milestones/:milestoneId/reject', method: 'POST', description: 'Send a milestone back with a reason (requires auth, job owner only)' },
+          { path: '/:id/invitations', method: 'POST', description: 'Invite contractors to bid with { contractorIds, message } (requires auth, job owner only)' },
+          { path: '/:id/invitations', method: 'GET', description: 'Get the invitations sent for a job (requires auth, job owner only)' },
+          { path: '/:id/questions', method: 'GET', description: 'Get the public questions and answers on a job (requires auth)' },
+          { path: '/:id/questions', method: 'POST', description: 'Ask a public question about an open job with { question } (requires auth, contractors only)' },
+          { path: '/:id/questions/:questionId/answer', method: 'POST', description: 'Answer a question once with { answer } (requires auth, job owner only)' }
+        ]
+      },
+      invitations: {
+        base: '/api/invitations',
+        routes: [
+          { path: '/', method: 'GET', description: 'Get your job invitations (requires auth, contractors only, query: status, page, limit)' },
+          { path: '/:id/accept', method: 'POST', description: 'Accept an invitation to bid (requires auth, invited contractor only)' },
+          { path: '/:id/decline', method: 'POST', description: 'Decline an invitation to bid (requires auth, invited contractor only)' }
         ]
       },
       bids: {
         base: '/api/bids',
         routes: [
-          { path: '/', method: 'POST', description: 'Create a bid (requires auth, contractors only)' },
-          { path: '/job/:jobId', method: 'GET', description: 'Get all bids for a job (requires auth)' },
-          { path: '/my', method: 'GET', description: 'Get all bids by the current contractor (requires auth)' },
+          { path: '/', method: 'POST', description: 'Create a bid from an amount or line items [{ type, description, quantity, unitPrice, taxable }], with optional milestones [{ title, amount, dueDate }] (requires auth, contractors only)' },
+          { path: '/job/:jobId', method: 'GET', description: 'Get all bids for a job with fee, payout and quote breakdowns and revision history (requires auth)' },
+          { path: '/my', method: 'GET', description: 'Get all bids by the current contractor with fee and payout breakdowns (requires auth)' },
           { path: '/:id', method: 'PUT', description: 'Update a bid (requires auth, bid owner only)' },
-          { path: '/:id', method: 'DELETE', description: 'Delete a bid (requires auth, bid owner only)' }
+          { path: '/:id/withdraw', method: 'POST', description: 'Withdraw a pending or countered bid with an optional { reason } (requires auth, bid owner only)' },
+          { path: '/:id', method: 'DELETE', description: 'Withdraw a bid; same as POST /:id/withdraw (requires auth, bid owner only)' },
+          { path: '/:id/counter', method: 'POST', description: 'Counter a bid with { amount, estimatedDays, message }; job owners counter pending bids, contractors counter back, sending revised lineItems and milestones when an itemized or milestone bid changes amount (requires auth)' },
+          { path: '/:id/counter/accept', method: 'POST', description: 'Accept the customer\'s counter-offer; itemized and milestone bids send lineItems and milestones revised to the counter amount (requires auth, bid owner only)' },
+          { path: '/:id/counter/decline', method: 'POST', description: 'Decline the customer\'s counter-offer and withdraw the bid (requires auth, bid owner only)' }
         ]
       },
       chats: {
         base: '/api/chats',
         routes: [
-          { path: '/conversation', method: 'POST', description: 'Get or create a conversation (requires auth)' },
+          { path: '/conversation', method: 'POST', description: 'Get or create a conversation, optionally scoped to a job (requires auth)' },
           { path: '/conversations', method: 'GET', description: 'Get all conversations (requires auth)' },
-          { path: '/message', method: 'POST', description: 'Send a message (requires auth)' },
+          { path: '/message', method: 'POST', description: 'Send a message with optional attachments (requires auth, multipart field: attachments)' },
+          { path: '/message/:messageId', method: 'PUT', description: 'Edit a sent message within the edit window (requires auth, sender only)' },
+          { path: '/message/:messageId', method: 'DELETE', description: 'Delete a sent message, leaving a tombstone (requires auth, sender only)' },
+          { path: '/message/:messageId/history', method: 'GET', description: 'Get edit history of a message; empty once the message is deleted (requires auth, participants only)' },
           { path: '/messages/:conversationId', method: 'GET', description: 'Get messages for a conversation (requires auth)' },
+          { path: '/messages/:conversationId/read', method: 'POST', description: 'Mark messages as read up to a message (requires auth)' },
+          { path: '/search', method: 'GET', description: 'Search messages across your conversations (requires auth, query: q, page, limit)' },
           { path: '/unread', method: 'GET', description: 'Get unread message count (requires auth)' }
         ]
       },
       users: {
         base: '/api/users',
         routes: [
+          { path: '/blocked', method: 'GET', description: 'Get users you have blocked (requires auth)' },
           { path: '/:userId', method: 'GET', description: 'Get public profile of a user (requires auth)' },
+          { path: '/:userId/block', method: 'POST', description: 'Block a user from messaging you or bidding on your jobs (requires auth)' },
+          { path: '/:userId/block', method: 'DELETE', description: 'Unblock a user (requires auth)' },
           { path: '/profile', method: 'PUT', description: 'Update current user\'s profile (requires auth)' },
-          { path: '/search/contractors', method: 'GET', description: 'Search for contractors (requires auth)' }
+          { path: '/search/contractors', method: 'GET', description: 'Search for contractors (requires auth)' },
+          { path: '/deactivate', method: 'POST', description: 'Deactivate your account (requires auth)' }
         ]
       },
       ratings: {
@@ -98,6 +144,74 @@ app.get('/api/docs', (req, res) => {
           { path: '/user/:userId', method: 'GET', description: 'Get ratings for a user (requires auth)' },
           { path: '/job/:jobId', method: 'GET', description: 'Get ratings for a job (requires auth)' }
         ]
+      },
+      reports: {
+        base: '/api/reports',
+        routes: [
+          { path: '/', method: 'POST', description: 'Report a user, message, job or rating (requires auth)' },
+          { path: '/my', method: 'GET', description: 'Get reports you have filed (requires auth)' }
+        ]
+      },
+      disputes: {
+        base: '/api/disputes',
+        routes: [
+          { path: '/', method: 'POST', description: 'Open a dispute on a job with optional evidence files; cancelled jobs only within the cancellation dispute window (requires auth, job parties only)' },
+          { path: '/my', method: 'GET', description: 'Get disputes you raised or were named in (requires auth)' },
+          { path: '/:id', method: 'GET', description: 'Get a dispute with its message thread (requires auth, parties and admins)' },
+          { path: '/:id/messages', method: 'POST', description: 'Post in a dispute thread with optional attachments (requires auth, parties and admins)' },
+          { path: '/:id/withdraw', method: 'POST', description: 'Withdraw a dispute (requires auth, claimant only)' }
+        ]
+      },
+      payments: {
+        base: '/api/payments',
+        routes: [
+          { path: '/transactions', method: 'GET', description: 'Get your payment transactions (requires auth, query: type, page, limit)' },
+          { path: '/jobs/:jobId', method: 'GET', description: 'Get a job\'s payment, amount still held and ledger (requires auth, job parties and admins)' }
+        ]
+      },
+      admin: {
+        base: '/api/admin',
+        routes: [
+          { path: '/reports', method: 'GET', description: 'List reports (requires admin, query: status, targetType, page, limit)' },
+          { path: '/reports/:id', method: 'PUT', description: 'Resolve or dismiss a report (requires admin)' },
+          { path: '/disputes', method: 'GET', description: 'List disputes (requires admin, query: status, page, limit)' },
+          { path: '/disputes/:id', method: 'PUT', description: 'Resolve a dispute: complete_job, resume_job or cancel_job (requires admin)' },
+          { path: '/users/:userId/suspend', method: 'POST', description: 'Suspend a user (requires admin)' },
+          { path: '/users/:userId/unsuspend', method: 'POST', description: 'Lift a suspension (requires admin)' },
+          { path: '/jobs/:id', method: 'GET', description: 'View any job with bids and ratings (requires admin)' },
+          { path: '/jobs/:id/audit', method: 'GET', description: 'Audit trail for a job, its bids and ratings (requires admin, query: action)' },
+          { path: '/jobs/:id/hide', method: 'POST', description: 'Hide a job (requires admin)' },
+          { path: '/jobs/:id/unhide', method: 'POST', description: 'Unhide a job (requires admin)' },
+          { path: '/ratings/:id/hide', method: 'POST', description: 'Hide a rating (requires admin)' },
+          { path: '/ratings/:id/unhide', method: 'POST', description: 'Unhide a rating (requires admin)' },
+          { path: '/bids/:id', method: 'GET', description: 'View any bid (requires admin)' },
+          { path: '/conversations/:id', method: 'GET', description: 'View any conversation with edit history (requires admin)' },
+          { path: '/tasks', method: 'GET', description: 'List background tasks with counts per status (requires admin, query: status, type, page, limit)' },
+          { path: '/tasks/:id/retry', method: 'POST', description: 'Re-queue a failed background task (requires admin)' }
+        ]
+      },
+      realtime: {
+        base: '/ws',
+        description: 'WebSocket connection authenticated with ?token=<jwt>; closed with code 4403 when the account is suspended or deactivated',
+        events: [
+          { type: 'message:new', direction: 'server', description: 'A message was sent in one of your conversations' },
+          { type: 'message:status', direction: 'server', description: 'Messages you sent were delivered or read' },
+          { type: 'message:updated', direction: 'server', description: 'A message was edited or deleted by its sender' },
+          { type: 'job:status', direction: 'server', description: 'The status of a job you are part of changed' },
+          { type: 'milestone:updated', direction: 'server', description: 'A milestone on one of your jobs was submitted, approved or rejected' },
+          { type: 'dispute:message', direction: 'server', description: 'A message was posted in one of your disputes' },
+          { type: 'bid:negotiation', direction: 'server', description: 'A bid you are part of was countered or a counter-offer was answered' },
+          { type: 'bid:withdrawn', direction: 'server', description: 'A contractor withdrew their bid on your job' },
+          { type: 'invitation:new', direction: 'server', description: 'A customer invited you to bid on their job' },
+          { type: 'invitation:updated', direction: 'server', description: 'A contractor accepted or declined your invitation' },
+          { type: 'question:new', direction: 'server', description: 'A contractor asked a question about your job' },
+          { type: 'question:answered', direction: 'server', description: 'A question was answered on a job you asked about or bid on' },
+          { type: 'job:completion_reminder', direction: 'server', description: 'A completion request on your job will be accepted automatically soon' },
+          { type: 'rating:prompt', direction: 'server', description: 'A job you were part of completed and you have not rated the other party yet' },
+          { type: 'typing', direction: 'server', description: 'The other participant started or stopped typing' },
+          { type: 'typing:start', direction: 'client', description: 'You started typing in a conversation' },
+          { type: 'typing:stop', direction: 'client', description: 'You stopped typing in a conversation' }
+        ]
       }
     }
   });
@@ -110,6 +224,11 @@ app.use('/api/bids', bidRoutes);
 app.use('/api/chats', chatRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/ratings', ratingRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -0,0 +1,70 @@
+const { JOB_CATEGORIES } = require('../utils/constants');
+
+/**
+ * Platform fee rules
+ *
+ * The platform fee is taken out of the contractor's payout; the customer pays
+ * the bid amount. A bid's fee breakdown is stored on it when it is accepted,
+ * so changes here only affect bids accepted afterwards.
+ */
+
+/**
+ * Read a numeric setting from the environment, keeping an explicit 0
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when the variable is unset or not a number
+ * @returns {number}
+ */
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Percentage of the bid amount kept by the platform
+const DEFAULT_FEE_PERCENT = readNumber('PLATFORM_FEE_PERCENT', 10);
+
+// Per-category percentages; categories not listed use DEFAULT_FEE_PERCENT
+const CATEGORY_FEE_PERCENT = {
+  'Home Renovation': 8,
+  'Roofing': 8,
+  'HVAC': 9,
+  'Cleaning': 12,
+  'Moving': 12,
+  'Pest Control': 12
+};
+
+// The smallest fee taken on any bid, in the payment currency
+const MINIMUM_FEE = readNumber('PLATFORM_MINIMUM_FEE', 5);
+
+/**
+ * Promotional overrides, applied instead of the category percentage while
+ * active. The first matching promotion wins.
+ * - id: string stored in the fee breakdown
+ * - categories: categories it applies to (omit for all)
+ * - feePercent: percentage to charge instead
+ * - waiveMinimum: skip MINIMUM_FEE while the promotion applies
+ * - startsAt / endsAt: ISO dates bounding the promotion (either may be omitted)
+ */
+const PROMOTIONS = [
+  // { id: 'spring-landscaping', categories: ['Landscaping'], feePercent: 5, waiveMinimum: true, startsAt: '2027-03-01', endsAt: '2027-05-31' }
+];
+
+// Sales tax rate. Single-amount bids include it; itemized bids add it on taxable line items
+const TAX_PERCENT = readNumber('INVOICE_TAX_PERCENT', 0);
+
+// Catch typos in category names when the app starts rather than charging the default
+[
+  ...Object.keys(CATEGORY_FEE_PERCENT),
+  ...PROMOTIONS.flatMap(promotion => promotion.categories || [])
+].forEach(category => {
+  if (!JOB_CATEGORIES.includes(category)) {
+    throw new Error(`Unknown job category '${category}' in billing config`);
+  }
+});
+
+module.exports = {
+  DEFAULT_FEE_PERCENT,
+  CATEGORY_FEE_PERCENT,
+  MINIMUM_FEE,
+  PROMOTIONS,
+  TAX_PERCENT
+};
@@ -12,10 +12,13 @@
  * - id: uuid (primary key, default: uuid_generate_v4())
  * - email: text (unique, not null)
  * - full_name: text
- * - role: text (enum: 'customer', 'contractor')
+ * - role: text (enum: 'customer', 'contractor', 'admin')
  * - phone: text
  * - profile_image: text (URL to image)
  * - address: text
+ * - account_status: text (enum: 'active', 'suspended', 'deactivated', default: 'active')
+ * - suspension_reason: text (shown to the user while suspended)
+ * - suspended_at: timestamp with time zone
  * - created_at: timestamp with time zone (default: now())
  * - updated_at: timestamp with time zone (default: now())
  * 
@@ -27,9 +30,23 @@
  * - contractor_id: uuid (foreign key to users.id, nullable)
  * - category: text (not null)
  * - location: text
+ * - approximate_location: text (area derived from location, shown to and searched by non-parties)
  * - budget: numeric (not null)
- * - status: text (enum: 'open', 'in_progress', 'completed', 'cancelled')
+ * - status: text (enum: 'open', 'in_progress', 'completion_requested', 'disputed', 'completed', 'cancelled', 'expired')
  * - images: text[] (array of image URLs)
+ * - bid_deadline: timestamp with time zone (no new bids after this)
+ * - expires_at: timestamp with time zone (an open job expires after this)
+ * - expired_at: timestamp with time zone
+ * - reposted_from: uuid (foreign key to jobs.id; the expired job this one reposts)
+ * - visibility: text (enum: 'public', 'invite_only', 'unlisted'; default: 'public')
+ * - completion_requested_at: timestamp with time zone (set when the contractor asks to complete)
+ * - completion_notes: text (contractor's summary of the finished work)
+ * - completion_images: text[] (photos of the finished work)
+ * - completion_declined_reason: text (customer's reason for the last declined request)
+ * - completed_at: timestamp with time zone
+ * - cancelled_at: timestamp with time zone (starts the window for disputing the cancellation)
+ * - is_hidden: boolean (default: false, hidden by a moderator)
+ * - hidden_reason: text
  * - created_at: timestamp with time zone (default: now())
  * - updated_at: timestamp with time zone (default: now())
  * 
@@ -40,7 +57,62 @@
  * - amount: numeric (not null)
  * - proposal: text
  * - estimated_days: integer
- * - status: text (enum: 'pending', 'accepted', 'rejected')
+ * - line_items: jsonb (itemized quote [{ type, description, quantity, unit_price, taxable, total }], default: [])
+ * - tax_amount: numeric (tax added on taxable line items, default: 0)
+ * - milestones: jsonb (proposed [{ title, amount, due_date }] adding up to amount, default: [])
+ * - fee_breakdown: jsonb (platform fee and contractor payout, frozen when the bid is accepted)
+ * - negotiation: jsonb (counter-offer rounds [{ by, action, amount, estimated_days, message, created_at }], default: [])
+ * - status: text (enum: 'pending', 'countered', 'accepted', 'rejected', 'withdrawn')
+ * - version: integer (default: 1, bumped by a trigger when the terms change)
+ * - withdrawal_reason: text
+ * - withdrawn_at: timestamp with time zone
+ * - created_at: timestamp with time zone (default: now())
+ * - updated_at: timestamp with time zone (default: now())
+ * 
+ * Bid Revisions Table (written by triggers on bids, one row per version of a bid's terms):
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - bid_id: uuid (foreign key to bids.id, not null, on delete cascade)
+ * - version: integer (not null, unique per bid; 1 is the bid as placed)
+ * - amount: numeric (not null)
+ * - proposal: text
+ * - estimated_days: integer
+ * - line_items: jsonb (not null)
+ * - tax_amount: numeric (not null)
+ * - milestones: jsonb (not null)
+ * - created_at: timestamp with time zone (default: now())
+ * 
+ * Job Invitations Table:
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - job_id: uuid (foreign key to jobs.id, not null, on delete cascade)
+ * - customer_id: uuid (foreign key to users.id, not null)
+ * - contractor_id: uuid (foreign key to users.id, not null; unique per job)
+ * - message: text
+ * - status: text (enum: 'pending', 'accepted', 'declined', default: 'pending')
+ * - responded_at: timestamp with time zone
+ * - created_at: timestamp with time zone (default: now())
+ * 
+ * Job Questions Table:
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - job_id: uuid (foreign key to jobs.id, not null, on delete cascade)
+ * - contractor_id: uuid (foreign key to users.id, not null; who asked)
+ * - question: text (not null)
+ * - answer: text (the customer's answer, set once)
+ * - answered_at: timestamp with time zone
+ * - created_at: timestamp with time zone (default: now())
+ * 
+ * Job Milestones Table:
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - job_id: uuid (foreign key to jobs.id, not null, on delete cascade)
+ * - bid_id: uuid (foreign key to bids.id, not null; the accepted bid they came from)
+ * - position: integer (not null, unique per job)
+ * - title: text (not null)
+ * - amount: numeric (not null, > 0)
+ * - due_date: date
+ * - status: text (enum: 'pending', 'submitted', 'approved', default: 'pending')
+ * - submission_note: text
+ * - submitted_at: timestamp with time zone
+ * - rejection_reason: text (customer's reason for the last rejected submission)
+ * - approved_at: timestamp with time zone
  * - created_at: timestamp with time zone (default: now())
  * - updated_at: timestamp with time zone (default: now())
  * 
@@ -49,19 +121,70 @@
  * - conversation_id: uuid (not null)
  * - sender_id: uuid (foreign key to users.id, not null)
  * - receiver_id: uuid (foreign key to users.id, not null)
- * - content: text (not null)
+ * - content: text (not null, empty when the message only has attachments)
+ * - attachments: jsonb (array of { name, type, size, path }, default: []; files are in the
+ *   private chat-attachments bucket and the API adds a signed url to each response)
  * - is_read: boolean (default: false)
+ * - status: text (enum: 'sent', 'delivered', 'read', default: 'sent')
+ * - delivered_at: timestamp with time zone
+ * - read_at: timestamp with time zone
  * - job_id: uuid (foreign key to jobs.id, nullable)
+ * - content_search: tsvector (generated from content, GIN indexed for full-text search)
+ * - edited_at: timestamp with time zone (set when the sender edits the content)
+ * - deleted_at: timestamp with time zone (set when the sender deletes the message; content is cleared)
+ * - created_at: timestamp with time zone (default: now())
+ * 
+ * Message Edits Table:
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - message_id: uuid (foreign key to messages.id, not null)
+ * - editor_id: uuid (foreign key to users.id, not null)
+ * - action: text (enum: 'edit', 'delete', not null)
+ * - previous_content: text (not null, content before the change)
+ * - previous_attachments: jsonb (attachments before the change, default: [])
  * - created_at: timestamp with time zone (default: now())
  * 
  * Conversations Table:
  * - id: uuid (primary key, default: uuid_generate_v4())
  * - user1_id: uuid (foreign key to users.id, not null)
  * - user2_id: uuid (foreign key to users.id, not null)
+ * - job_id: uuid (foreign key to jobs.id, nullable; unique per user pair and job)
  * - last_message: text
  * - last_message_time: timestamp with time zone
  * - created_at: timestamp with time zone (default: now())
  * 
+ * User Blocks Table:
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - blocker_id: uuid (foreign key to users.id, not null)
+ * - blocked_id: uuid (foreign key to users.id, not null; unique per blocker)
+ * - created_at: timestamp with time zone (default: now())
+ * 
+ * Reports Table:
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - reporter_id: uuid (foreign key to users.id, not null)
+ * - reported_user_id: uuid (foreign key to users.id, not null; author of the reported content)
+ * - target_type: text (enum: 'user', 'message', 'job', 'rating', not null)
+ * - target_id: uuid (not null, ID of the reported user, message, job or rating)
+ * - reason: text (enum: 'spam', 'harassment', 'scam', 'inappropriate_content', 'off_platform_payment', 'other', not null)
+ * - details: text
+ * - status: text (enum: 'open', 'resolved', 'dismissed', default: 'open')
+ * - resolved_by: uuid (foreign key to users.id, admin who closed the report)
+ * - resolution_note: text
+ * - resolved_at: timestamp with time zone
+ * - created_at: timestamp with time zone (default: now())
+ * 
+ * Audit Logs Table (append-only, updates and deletes are rejected by a trigger):
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - actor_id: uuid (foreign key to users.id, user who performed the action)
+ * - actor_role: text (role of the actor at the time)
+ * - request_id: text (X-Request-Id of the request that made the change)
+ * - action: text (e.g. 'job.status_changed', 'bid.updated')
+ * - entity_type: text ('job', 'bid', 'rating', 'user', 'report')
+ * - entity_id: uuid (not null)
+ * - job_id: uuid (related job, kept after the job is deleted)
+ * - before: jsonb (snapshot before the change)
+ * - after: jsonb (snapshot after the change)
+ * - created_at: timestamp with time zone (default: now())
+ * 
  * Ratings Table:
  * - id: uuid (primary key, default: uuid_generate_v4())
  * - job_id: uuid (foreign key to jobs.id, not null)
@@ -69,8 +192,113 @@
  * - to_user_id: uuid (foreign key to users.id, not null)
  * - rating: integer (1-5, not null)
  * - comment: text
+ * - is_hidden: boolean (default: false, hidden by a moderator)
+ * - hidden_reason: text
+ * - created_at: timestamp with time zone (default: now())
+ * 
+ * Disputes Table:
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - job_id: uuid (foreign key to jobs.id, not null; one open dispute per job)
+ * - claimant_id: uuid (foreign key to users.id, not null)
+ * - respondent_id: uuid (foreign key to users.id, not null)
+ * - reason: text (enum: 'work_incomplete', 'poor_quality', 'unfair_cancellation', 'no_show', 'payment_issue', 'other')
+ * - description: text (not null)
+ * - evidence: jsonb (array of { name, type, size, path }, default: []; files are in the
+ *   private dispute-evidence bucket and the API adds a signed url to each response)
+ * - status: text (enum: 'open', 'resolved', 'withdrawn', default: 'open')
+ * - previous_job_status: text (job status before the dispute, restored on withdrawal)
+ * - resolution: text (enum: 'complete_job', 'resume_job', 'cancel_job')
+ * - resolution_note: text
+ * - resolved_by: uuid (foreign key to users.id)
+ * - resolved_at: timestamp with time zone
+ * - created_at: timestamp with time zone (default: now())
+ * - updated_at: timestamp with time zone (default: now())
+ * 
+ * Dispute Messages Table:
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - dispute_id: uuid (foreign key to disputes.id, not null, on delete cascade)
+ * - sender_id: uuid (foreign key to users.id, not null)
+ * - content: text (not null, default: '')
+ * - attachments: jsonb (array of { name, type, size, path }, default: []; stored like dispute evidence)
+ * - created_at: timestamp with time zone (default: now())
+ * 
+ * Payments Table:
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - job_id: uuid (foreign key to jobs.id, not null, unique)
+ * - bid_id: uuid (foreign key to bids.id, not null; the accepted bid)
+ * - customer_id: uuid (foreign key to users.id, not null)
+ * - contractor_id: uuid (foreign key to users.id, not null)
+ * - amount: numeric (not null, > 0; amount authorized when the bid was accepted)
+ * - amount_released: numeric (paid out to the contractor, default: 0)
+ * - amount_refunded: numeric (returned to the customer, default: 0)
+ * - amount_reserved: numeric (held funds a pending movement is taking out, default: 0)
+ * - platform_fee: numeric (fee from the accepted bid's fee breakdown, default: 0)
+ * - fee_collected: numeric (part of platform_fee kept from releases so far, default: 0)
+ * - currency: text (not null)
+ * - status: text (enum: 'held', 'released', 'refunded', default: 'held')
+ * - provider: text (not null; payment provider name)
+ * - provider_reference: text (not null; the provider's authorization ID)
+ * - created_at: timestamp with time zone (default: now())
+ * - updated_at: timestamp with time zone (default: now())
+ * 
+ * Ledger Entries Table (append-only; updates and deletes are rejected by a trigger):
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - payment_id: uuid (foreign key to payments.id, not null)
+ * - job_id: uuid (foreign key to jobs.id, not null)
+ * - milestone_id: uuid (foreign key to job_milestones.id; set for milestone releases)
+ * - customer_id: uuid (foreign key to users.id, not null)
+ * - contractor_id: uuid (foreign key to users.id, not null)
+ * - type: text (enum: 'authorization', 'release', 'fee', 'refund'; a release is the contractor's
+ *   payout and its platform fee is a separate 'fee' entry)
+ * - amount: numeric (not null, > 0)
+ * - provider_reference: text (not null)
+ * - created_by: uuid (foreign key to users.id; null for automatic releases)
  * - created_at: timestamp with time zone (default: now())
  * 
+ * Payment Movements Table (releases and refunds in flight):
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - payment_id: uuid (foreign key to payments.id, not null)
+ * - job_id: uuid (foreign key to jobs.id, not null)
+ * - milestone_id: uuid (foreign key to job_milestones.id; set for milestone releases)
+ * - type: text (enum: 'release', 'refund')
+ * - amount: numeric (not null, > 0)
+ * - fee_amount: numeric (part of a release kept as the platform fee, default: 0)
+ * - status: text (enum: 'pending', 'confirmed', 'failed', default: 'pending')
+ * - provider_reference: text (set once confirmed)
+ * - ledger_entry_id: uuid (foreign key to ledger_entries.id; set once confirmed)
+ * - error: text (the provider's error when failed)
+ * - created_by: uuid (foreign key to users.id; null for automatic releases)
+ * - created_at: timestamp with time zone (default: now())
+ * - updated_at: timestamp with time zone (default: now())
+ * 
+ * Invoices Table:
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - job_id: uuid (foreign key to jobs.id, not null, unique)
+ * - invoice_number: text (not null, unique, default: 'INV-' + zero-padded invoice_number_seq)
+ * - customer_id: uuid (foreign key to users.id, not null)
+ * - contractor_id: uuid (foreign key to users.id, not null)
+ * - file_path: text (not null; PDF path in the uploads bucket, served only through the API)
+ * - details: jsonb (not null; everything printed on the invoice when it was generated)
+ * - status: text (enum: 'pending', 'ready', default: 'pending'; ready once the PDF is stored)
+ * - created_at: timestamp with time zone (default: now())
+ * 
+ * Scheduled Tasks Table (background work run by src/services/scheduler.js):
+ * - id: uuid (primary key, default: uuid_generate_v4())
+ * - type: text (not null; one of SCHEDULED_TASK_TYPES)
+ * - payload: jsonb (not null, default: {}; passed to the task's handler)
+ * - status: text (enum: 'queued', 'running', 'completed', 'failed', default: 'queued')
+ * - dedupe_key: text (unique among queued and running tasks; recurring tasks use their type)
+ * - run_at: timestamp with time zone (not null, default: now(); earliest time to run or retry)
+ * - attempts: integer (not null, default: 0; counted when a server claims the task)
+ * - max_attempts: integer (not null, default: 5)
+ * - last_error: text (error of the latest failed attempt)
+ * - locked_by: text (server running the task)
+ * - locked_at: timestamp with time zone (when the task was claimed)
+ * - completed_at: timestamp with time zone
+ * - failed_at: timestamp with time zone (set once the task runs out of attempts)
+ * - created_at: timestamp with time zone (default: now())
+ * - updated_at: timestamp with time zone (default: now())
+ * 
  * Files Table:
  * - id: uuid (primary key, default: uuid_generate_v4())
  * - job_id: uuid (foreign key to jobs.id, nullable)
@@ -81,6 +309,53 @@
  * - created_at: timestamp with time zone (default: now())
  */
 
+/**
+ * Database Functions (called through supabase.rpc):
+ * 
+ * assign_contractor(p_job_id, p_bid_id, p_provider, p_provider_reference, p_currency, p_assigned_by, p_fee_breakdown) returns jobs:
+ * - Sets the job's contractor and moves it to 'in_progress', accepts the bid
+ *   with its fee breakdown, rejects the job's other open bids, copies the bid's milestones into
+ *   job_milestones and records the held payment (with the platform fee from
+ *   p_fee_breakdown) and its authorization ledger entry in a single transaction
+ * - Raises P0002 if the bid does not belong to the job
+ * - Raises HF409 if the job is no longer 'open' (lost a concurrent accept) or
+ *   the bid is not 'pending'
+ * 
+ * open_dispute(p_job_id, p_claimant_id, p_respondent_id, p_reason, p_description, p_evidence) returns disputes:
+ * - Creates the dispute and moves the job to 'disputed' in a single transaction
+ * - Raises HF409 if the job is not in_progress, completion_requested or cancelled
+ * 
+ * close_dispute(p_dispute_id, p_status, p_resolution, p_job_status, p_closed_by, p_note) returns disputes:
+ * - Resolves or withdraws an open dispute and moves the job to p_job_status,
+ *   or back to its previous status when p_job_status is null
+ * - Raises HF409 if the dispute is no longer open
+ * 
+ * reserve_payment_movement(p_payment_id, p_type, p_amount, p_milestone_id, p_created_by) returns setof payment_movements:
+ * - Reserves up to p_amount (everything left when null) of a held payment for
+ *   a release ('release') or refund ('refund') and records the pending movement
+ * - A release keeps its share of the payment's platform fee (fee_amount); the
+ *   release that takes the last of the funds keeps whatever fee is still owed
+ * - Locks the payment row, so concurrent movements can't reserve more than is held
+ * - Returns no row if the payment is settled or has nothing left to move
+ * 
+ * confirm_payment_movement(p_movement_id, p_provider_reference) returns ledger_entries:
+ * - Turns a pending movement's reservation into a release or refund once the
+ *   provider has moved the money, settles the payment once nothing is held
+ *   and appends the ledger entries: the contractor's payout and a 'fee' entry
+ *   for the platform fee the release kept
+ * - Raises HF409 if the movement is no longer pending
+ * 
+ * fail_payment_movement(p_movement_id, p_error) returns payment_movements:
+ * - Marks a pending movement the provider declined as failed and returns its
+ *   reservation to the held funds
+ * - Raises HF409 if the movement is no longer pending
+ * 
+ * claim_scheduled_tasks(p_worker, p_limit, p_lock_timeout_seconds) returns setof scheduled_tasks:
+ * - Marks up to p_limit due tasks as running for p_worker and counts the attempt
+ * - Skips rows locked by a concurrent claim, so each task is claimed by one server
+ * - Reclaims tasks left running for longer than p_lock_timeout_seconds
+ */
+
 /**
  * Row Level Security (RLS) Policies:
  * 
@@ -92,18 +367,68 @@
  * - Customers can create jobs and read/update their own jobs
  * - Contractors can read job listings
  * - Both roles can read individual job details
+ * - Hidden jobs are only visible to their customer, assigned contractor and admins
+ * - Only public jobs are listed; invite-only jobs are readable by invited contractors only
+ * - The exact location is returned only to the customer, assigned contractor and admins
  * 
  * Bids Table:
  * - Contractors can create bids and read/update their own bids
  * - Customers can read bids for their own jobs
  * 
+ * Bid Revisions Table:
+ * - Written by triggers only; readable by whoever can read the bid
+ * 
+ * Job Invitations Table:
+ * - Customers can invite contractors to their open jobs and read those invitations
+ * - Invited contractors can read and answer their own invitations
+ * 
+ * Job Questions Table:
+ * - Readable by anyone who can read the job
+ * - Contractors can ask questions on open jobs; only the job's customer can answer
+ * 
+ * Job Milestones Table:
+ * - Readable by the job's customer, assigned contractor and admins
+ * - The contractor submits milestones; the customer approves or rejects them
+ * 
  * Messages & Conversations Tables:
  * - Users can only access conversations they're part of
  * - Users can only access messages they've sent or received
+ * - Message edit history is readable by both participants and never modified;
+ *   history of deleted messages is readable by admins only
+ * 
+ * User Blocks Table:
+ * - Users can create, read and delete their own blocks
+ * 
+ * Reports Table:
+ * - Users can create reports and read their own reports
+ * - Only admins can update report status
+ * 
+ * Disputes & Dispute Messages Tables:
+ * - Readable by the claimant, the respondent and admins
+ * - Parties can post messages while the dispute is open
+ * - Only admins can resolve a dispute; only the claimant can withdraw it
+ * 
+ * Audit Logs Table:
+ * - Written by the API only; readable by admins
+ * 
+ * Payments, Ledger Entries & Payment Movements Tables:
+ * - Written by the API only
+ * - Readable by the payment's customer, contractor and admins
+ * 
+ * Invoices Table:
+ * - Written by the API only
+ * - Readable by the job's customer and contractor
+ * 
+ * Scheduled Tasks Table:
+ * - Written by the API only; readable by admins
  * 
  * Ratings Table:
  * - Users can create ratings for completed jobs they were part of
- * - Everyone can read ratings
+ * - Everyone can read ratings that are not hidden
+ * 
+ * Admins:
+ * - Read access to every table for support investigations
+ * - Can suspend users and hide jobs or ratings
  * 
  * Files Table:
  * - Users can upload files for their own jobs
@@ -122,6 +447,9 @@ module.exports = {
         { name: 'phone', type: 'text' },
         { name: 'profile_image', type: 'text' },
         { name: 'address', type: 'text' },
+        { name: 'account_status', type: 'text', notNull: true },
+        { name: 'suspension_reason', type: 'text' },
+        { name: 'suspended_at', type: 'timestamp with time zone' },
         { name: 'created_at', type: 'timestamp with time zone' },
         { name: 'updated_at', type: 'timestamp with time zone' }
       ]
@@ -136,9 +464,23 @@ module.exports = {
         { name: 'contractor_id', type: 'uuid', references: 'users.id' },
         { name: 'category', type: 'text', notNull: true },
         { name: 'location', type: 'text' },
+        { name: 'approximate_location', type: 'text' },
         { name: 'budget', type: 'numeric', notNull: true },
         { name: 'status', type: 'text', notNull: true },
         { name: 'images', type: 'text[]' },
+        { name: 'bid_deadline', type: 'timestamp with time zone' },
+        { name: 'expires_at', type: 'timestamp with time zone' },
+        { name: 'expired_at', type: 'timestamp with time zone' },
+        { name: 'reposted_from', type: 'uuid', references: 'jobs.id' },
+        { name: 'visibility', type: 'text', notNull: true },
+        { name: 'completion_requested_at', type: 'timestamp with time zone' },
+        { name: 'completion_notes', type: 'text' },
+        { name: 'completion_images', type: 'text[]' },
+        { name: 'completion_declined_reason', type: 'text' },
+        { name: 'completed_at', type: 'timestamp with time zone' },
+        { name: 'cancelled_at', type: 'timestamp with time zone' },
+        { name: 'is_hidden', type: 'boolean', notNull: true },
+        { name: 'hidden_reason', type: 'text' },
         { name: 'created_at', type: 'timestamp with time zone' },
         { name: 'updated_at', type: 'timestamp with time zone' }
       ]
@@ -152,7 +494,74 @@ module.exports = {
         { name: 'amount', type: 'numeric', notNull: true },
         { name: 'proposal', type: 'text' },
         { name: 'estimated_days', type: 'integer' },
+        { name: 'line_items', type: 'jsonb', notNull: true },
+        { name: 'tax_amount', type: 'numeric', notNull: true },
+        { name: 'milestones', type: 'jsonb', notNull: true },
+        { name: 'fee_breakdown', type: 'jsonb' },
+        { name: 'negotiation', type: 'jsonb', notNull: true },
         { name: 'status', type: 'text', notNull: true },
+        { name: 'version', type: 'integer', notNull: true },
+        { name: 'withdrawal_reason', type: 'text' },
+        { name: 'withdrawn_at', type: 'timestamp with time zone' },
+        { name: 'created_at', type: 'timestamp with time zone' },
+        { name: 'updated_at', type: 'timestamp with time zone' }
+      ]
+    },
+    bid_revisions: {
+      name: 'bid_revisions',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'bid_id', type: 'uuid', notNull: true, references: 'bids.id' },
+        { name: 'version', type: 'integer', notNull: true },
+        { name: 'amount', type: 'numeric', notNull: true },
+        { name: 'proposal', type: 'text' },
+        { name: 'estimated_days', type: 'integer' },
+        { name: 'line_items', type: 'jsonb', notNull: true },
+        { name: 'tax_amount', type: 'numeric', notNull: true },
+        { name: 'milestones', type: 'jsonb', notNull: true },
+        { name: 'created_at', type: 'timestamp with time zone' }
+      ]
+    },
+    job_invitations: {
+      name: 'job_invitations',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'job_id', type: 'uuid', notNull: true, references: 'jobs.id' },
+        { name: 'customer_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'contractor_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'message', type: 'text' },
+        { name: 'status', type: 'text', notNull: true },
+        { name: 'responded_at', type: 'timestamp with time zone' },
+        { name: 'created_at', type: 'timestamp with time zone' }
+      ]
+    },
+    job_questions: {
+      name: 'job_questions',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'job_id', type: 'uuid', notNull: true, references: 'jobs.id' },
+        { name: 'contractor_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'question', type: 'text', notNull: true },
+        { name: 'answer', type: 'text' },
+        { name: 'answered_at', type: 'timestamp with time zone' },
+        { name: 'created_at', type: 'timestamp with time zone' }
+      ]
+    },
+    job_milestones: {
+      name: 'job_milestones',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'job_id', type: 'uuid', notNull: true, references: 'jobs.id' },
+        { name: 'bid_id', type: 'uuid', notNull: true, references: 'bids.id' },
+        { name: 'position', type: 'integer', notNull: true },
+        { name: 'title', type: 'text', notNull: true },
+        { name: 'amount', type: 'numeric', notNull: true },
+        { name: 'due_date', type: 'date' },
+        { name: 'status', type: 'text', notNull: true },
+        { name: 'submission_note', type: 'text' },
+        { name: 'submitted_at', type: 'timestamp with time zone' },
+        { name: 'rejection_reason', type: 'text' },
+        { name: 'approved_at', type: 'timestamp with time zone' },
         { name: 'created_at', type: 'timestamp with time zone' },
         { name: 'updated_at', type: 'timestamp with time zone' }
       ]
@@ -163,6 +572,7 @@ module.exports = {
         { name: 'id', type: 'uuid', primaryKey: true },
         { name: 'user1_id', type: 'uuid', notNull: true, references: 'users.id' },
         { name: 'user2_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'job_id', type: 'uuid', references: 'jobs.id' },
         { name: 'last_message', type: 'text' },
         { name: 'last_message_time', type: 'timestamp with time zone' },
         { name: 'created_at', type: 'timestamp with time zone' }
@@ -176,8 +586,171 @@ module.exports = {
         { name: 'sender_id', type: 'uuid', notNull: true, references: 'users.id' },
         { name: 'receiver_id', type: 'uuid', notNull: true, references: 'users.id' },
         { name: 'content', type: 'text', notNull: true },
+        { name: 'attachments', type: 'jsonb', notNull: true },
         { name: 'is_read', type: 'boolean' },
+        { name: 'status', type: 'text', notNull: true },
+        { name: 'delivered_at', type: 'timestamp with time zone' },
+        { name: 'read_at', type: 'timestamp with time zone' },
         { name: 'job_id', type: 'uuid', references: 'jobs.id' },
+        { name: 'content_search', type: 'tsvector' },
+        { name: 'edited_at', type: 'timestamp with time zone' },
+        { name: 'deleted_at', type: 'timestamp with time zone' },
+        { name: 'created_at', type: 'timestamp with time zone' }
+      ]
+    },
+    message_edits: {
+      name: 'message_edits',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'message_id', type: 'uuid', notNull: true, references: 'messages.id' },
+        { name: 'editor_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'action', type: 'text', notNull: true },
+        { name: 'previous_content', type: 'text', notNull: true },
+        { name: 'previous_attachments', type: 'jsonb', notNull: true },
+        { name: 'created_at', type: 'timestamp with time zone' }
+      ]
+    },
+    user_blocks: {
+      name: 'user_blocks',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'blocker_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'blocked_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'created_at', type: 'timestamp with time zone' }
+      ]
+    },
+    reports: {
+      name: 'reports',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'reporter_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'reported_user_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'target_type', type: 'text', notNull: true },
+        { name: 'target_id', type: 'uuid', notNull: true },
+        { name: 'reason', type: 'text', notNull: true },
+        { name: 'details', type: 'text' },
+        { name: 'status', type: 'text', notNull: true },
+        { name: 'resolved_by', type: 'uuid', references: 'users.id' },
+        { name: 'resolution_note', type: 'text' },
+        { name: 'resolved_at', type: 'timestamp with time zone' },
+        { name: 'created_at', type: 'timestamp with time zone' }
+      ]
+    },
+    audit_logs: {
+      name: 'audit_logs',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'actor_id', type: 'uuid', references: 'users.id' },
+        { name: 'actor_role', type: 'text' },
+        { name: 'request_id', type: 'text' },
+        { name: 'action', type: 'text', notNull: true },
+        { name: 'entity_type', type: 'text', notNull: true },
+        { name: 'entity_id', type: 'uuid', notNull: true },
+        { name: 'job_id', type: 'uuid' },
+        { name: 'before', type: 'jsonb' },
+        { name: 'after', type: 'jsonb' },
+        { name: 'created_at', type: 'timestamp with time zone' }
+      ]
+    },
+    disputes: {
+      name: 'disputes',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'job_id', type: 'uuid', notNull: true, references: 'jobs.id' },
+        { name: 'claimant_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'respondent_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'reason', type: 'text', notNull: true },
+        { name: 'description', type: 'text', notNull: true },
+        { name: 'evidence', type: 'jsonb', notNull: true },
+        { name: 'status', type: 'text', notNull: true },
+        { name: 'previous_job_status', type: 'text', notNull: true },
+        { name: 'resolution', type: 'text' },
+        { name: 'resolution_note', type: 'text' },
+        { name: 'resolved_by', type: 'uuid', references: 'users.id' },
+        { name: 'resolved_at', type: 'timestamp with time zone' },
+        { name: 'created_at', type: 'timestamp with time zone' },
+        { name: 'updated_at', type: 'timestamp with time zone' }
+      ]
+    },
+    dispute_messages: {
+      name: 'dispute_messages',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'dispute_id', type: 'uuid', notNull: true, references: 'disputes.id' },
+        { name: 'sender_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'content', type: 'text', notNull: true },
+        { name: 'attachments', type: 'jsonb', notNull: true },
+        { name: 'created_at', type: 'timestamp with time zone' }
+      ]
+    },
+    payments: {
+      name: 'payments',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'job_id', type: 'uuid', notNull: true, unique: true, references: 'jobs.id' },
+        { name: 'bid_id', type: 'uuid', notNull: true, references: 'bids.id' },
+        { name: 'customer_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'contractor_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'amount', type: 'numeric', notNull: true },
+        { name: 'amount_released', type: 'numeric', notNull: true },
+        { name: 'amount_refunded', type: 'numeric', notNull: true },
+        { name: 'amount_reserved', type: 'numeric', notNull: true },
+        { name: 'platform_fee', type: 'numeric', notNull: true },
+        { name: 'fee_collected', type: 'numeric', notNull: true },
+        { name: 'currency', type: 'text', notNull: true },
+        { name: 'status', type: 'text', notNull: true },
+        { name: 'provider', type: 'text', notNull: true },
+        { name: 'provider_reference', type: 'text', notNull: true },
+        { name: 'created_at', type: 'timestamp with time zone' },
+        { name: 'updated_at', type: 'timestamp with time zone' }
+      ]
+    },
+    ledger_entries: {
+      name: 'ledger_entries',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'payment_id', type: 'uuid', notNull: true, references: 'payments.id' },
+        { name: 'job_id', type: 'uuid', notNull: true, references: 'jobs.id' },
+        { name: 'milestone_id', type: 'uuid', references: 'job_milestones.id' },
+        { name: 'customer_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'contractor_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'type', type: 'text', notNull: true },
+        { name: 'amount', type: 'numeric', notNull: true },
+        { name: 'provider_reference', type: 'text', notNull: true },
+        { name: 'created_by', type: 'uuid', references: 'users.id' },
+        { name: 'created_at', type: 'timestamp with time zone' }
+      ]
+    },
+    payment_movements: {
+      name: 'payment_movements',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'payment_id', type: 'uuid', notNull: true, references: 'payments.id' },
+        { name: 'job_id', type: 'uuid', notNull: true, references: 'jobs.id' },
+        { name: 'milestone_id', type: 'uuid', references: 'job_milestones.id' },
+        { name: 'type', type: 'text', notNull: true },
+        { name: 'amount', type: 'numeric', notNull: true },
+        { name: 'fee_amount', type: 'numeric', notNull: true },
+        { name: 'status', type: 'text', notNull: true },
+        { name: 'provider_reference', type: 'text' },
+        { name: 'ledger_entry_id', type: 'uuid', references: 'ledger_entries.id' },
+        { name: 'error', type: 'text' },
+        { name: 'created_by', type: 'uuid', references: 'users.id' },
+        { name: 'created_at', type: 'timestamp with time zone' },
+        { name: 'updated_at', type: 'timestamp with time zone' }
+      ]
+    },
+    invoices: {
+      name: 'invoices',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'job_id', type: 'uuid', notNull: true, unique: true, references: 'jobs.id' },
+        { name: 'invoice_number', type: 'text', notNull: true, unique: true },
+        { name: 'customer_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'contractor_id', type: 'uuid', notNull: true, references: 'users.id' },
+        { name: 'file_path', type: 'text', notNull: true },
+        { name: 'details', type: 'jsonb', notNull: true },
+        { name: 'status', type: 'text', notNull: true },
         { name: 'created_at', type: 'timestamp with time zone' }
       ]
     },
@@ -190,9 +763,31 @@ module.exports = {
         { name: 'to_user_id', type: 'uuid', notNull: true, references: 'users.id' },
         { name: 'rating', type: 'integer', notNull: true },
         { name: 'comment', type: 'text' },
+        { name: 'is_hidden', type: 'boolean', notNull: true },
+        { name: 'hidden_reason', type: 'text' },
         { name: 'created_at', type: 'timestamp with time zone' }
       ]
     },
+    scheduled_tasks: {
+      name: 'scheduled_tasks',
+      fields: [
+        { name: 'id', type: 'uuid', primaryKey: true },
+        { name: 'type', type: 'text', notNull: true },
+        { name: 'payload', type: 'jsonb', notNull: true },
+        { name: 'status', type: 'text', notNull: true },
+        { name: 'dedupe_key', type: 'text' },
+        { name: 'run_at', type: 'timestamp with time zone', notNull: true },
+        { name: 'attempts', type: 'integer', notNull: true },
+        { name: 'max_attempts', type: 'integer', notNull: true },
+        { name: 'last_error', type: 'text' },
+        { name: 'locked_by', type: 'text' },
+        { name: 'locked_at', type: 'timestamp with time zone' },
+        { name: 'completed_at', type: 'timestamp with time zone' },
+        { name: 'failed_at', type: 'timestamp with time zone' },
+        { name: 'created_at', type: 'timestamp with time zone' },
+        { name: 'updated_at', type: 'timestamp with time zone' }
+      ]
+    },
     files: {
       name: 'files',
       fields: [
@@ -0,0 +1,767 @@
+const supabase = require('../config/supabase');
+const realtime = require('../services/realtime');
+const { recordAudit } = require('../services/auditLog');
+const { notifyJobStatus, settleCompletedJob } = require('../services/jobCompletion');
+const { refundPayment } = require('../services/payments');
+const { withAttachmentUrls } = require('../services/chatAttachments');
+const { withEvidenceUrls } = require('../services/disputeEvidence');
+const { isValidUUID, getPagination } = require('../utils/helpers');
+const {
+  JOB_STATUS,
+  REPORT_STATUS,
+  DISPUTE_STATUS,
+  DISPUTE_RESOLUTIONS,
+  ACCOUNT_STATUS,
+  USER_ROLES,
+  AUDIT_ACTIONS,
+  SCHEDULED_TASK_STATUS
+} = require('../utils/constants');
+
+/**
+ * List reports for moderation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReports = async (req, res) => {
+  try {
+    const { status = REPORT_STATUS.OPEN, targetType } = req.query;
+    const { page, limit, from, to } = getPagination(req.query);
+
+    let query = supabase
+      .from('reports')
+      .select(`
+        *,
+        reporter:reporter_id(id, full_name, email),
+        reported_user:reported_user_id(id, full_name, email, role, account_status)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: true })
+      .range(from, to);
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    if (targetType) {
+      query = query.eq('target_type', targetType);
+    }
+
+    const { data: reports, error, count } = await query;
+
+    if (error) {
+      console.error('Get reports error:', error);
+      return res.status(400).json({ error: 'Failed to fetch reports' });
+    }
+
+    return res.status(200).json({
+      reports,
+      pagination: {
+        totalCount: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reports error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Resolve or dismiss a report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resolveReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, resolutionNote } = req.body;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid report ID format' });
+    }
+
+    const { data: report, error } = await supabase
+      .from('reports')
+      .update({
+        status,
+        resolution_note: resolutionNote || null,
+        resolved_by: req.user.userId,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', REPORT_STATUS.OPEN)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Resolve report error:', error);
+      return res.status(400).json({ error: 'Failed to update report' });
+    }
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found or already closed' });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.REPORT_CLOSED,
+      entityType: 'report',
+      entityId: id,
+      jobId: report.target_type === 'job' ? report.target_id : null,
+      after: report
+    });
+
+    return res.status(200).json({
+      message: 'Report updated successfully',
+      report
+    });
+
+  } catch (error) {
+    console.error('Resolve report error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * List disputes for review
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDisputes = async (req, res) => {
+  try {
+    const { status = DISPUTE_STATUS.OPEN } = req.query;
+    const { page, limit, from, to } = getPagination(req.query);
+
+    let query = supabase
+      .from('disputes')
+      .select(`
+        *,
+        job:job_id(id, title, status, budget),
+        claimant:claimant_id(id, full_name, email, role),
+        respondent:respondent_id(id, full_name, email, role)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: true })
+      .range(from, to);
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data: disputes, error, count } = await query;
+
+    if (error) {
+      console.error('Get disputes error:', error);
+      return res.status(400).json({ error: 'Failed to fetch disputes' });
+    }
+
+    return res.status(200).json({
+      disputes: await withEvidenceUrls(disputes, 'evidence'),
+      pagination: {
+        totalCount: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Resolve a dispute and move its job to the chosen outcome
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const resolveDispute = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { resolution, resolutionNote } = req.body;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid dispute ID format' });
+    }
+
+    const { data: previous } = await supabase
+      .from('disputes')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!previous) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    // Close the dispute and release the job in one transaction
+    const { data: dispute, error } = await supabase
+      .rpc('close_dispute', {
+        p_dispute_id: id,
+        p_status: DISPUTE_STATUS.RESOLVED,
+        p_resolution: resolution,
+        p_job_status: DISPUTE_RESOLUTIONS[resolution],
+        p_closed_by: req.user.userId,
+        p_note: resolutionNote
+      });
+
+    if (error) {
+      if (error.code === 'HF409') {
+        return res.status(409).json({ error: 'Dispute is already closed' });
+      }
+
+      console.error('Resolve dispute error:', error);
+      return res.status(400).json({ error: 'Failed to resolve dispute' });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DISPUTE_RESOLVED,
+      entityType: 'dispute',
+      entityId: id,
+      jobId: dispute.job_id,
+      before: previous,
+      after: dispute
+    });
+
+    const { data: job } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', dispute.job_id)
+      .single();
+
+    if (job) {
+      notifyJobStatus(job);
+    }
+
+    // Pay out or refund what the job still holds, depending on the outcome
+    try {
+      if (DISPUTE_RESOLUTIONS[resolution] === JOB_STATUS.COMPLETED) {
+        await settleCompletedJob(req, dispute.job_id);
+      } else if (DISPUTE_RESOLUTIONS[resolution] === JOB_STATUS.CANCELLED) {
+        await refundPayment(req, dispute.job_id);
+      }
+    } catch (paymentError) {
+      console.error('Settle dispute payment error:', paymentError);
+      return res.status(502).json({
+        error: 'Dispute resolved, but the job\'s payment could not be settled; the funds are still held',
+        dispute,
+        job
+      });
+    }
+
+    return res.status(200).json({
+      message: 'Dispute resolved successfully',
+      dispute,
+      job
+    });
+
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Suspend a user account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const suspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    if (!isValidUUID(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id, role, account_status, suspension_reason, suspended_at')
+      .eq('id', userId)
+      .single();
+
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.role === USER_ROLES.ADMIN) {
+      return res.status(400).json({ error: 'Admin accounts cannot be suspended' });
+    }
+
+    const { data: updatedUser, error } = await supabase
+      .from('users')
+      .update({
+        account_status: ACCOUNT_STATUS.SUSPENDED,
+        suspension_reason: reason,
+        suspended_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .select('id, full_name, email, role, account_status, suspension_reason, suspended_at')
+      .single();
+
+    if (error) {
+      console.error('Suspend user error:', error);
+      return res.status(400).json({ error: 'Failed to suspend user' });
+    }
+
+    realtime.disconnectUser(userId, 'ACCOUNT_SUSPENDED');
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_SUSPENDED,
+      entityType: 'user',
+      entityId: userId,
+      before: user,
+      after: updatedUser
+    });
+
+    return res.status(200).json({
+      message: 'User suspended successfully',
+      user: updatedUser
+    });
+
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Lift a user's suspension
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unsuspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!isValidUUID(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+
+    const { data: updatedUser, error } = await supabase
+      .from('users')
+      .update({
+        account_status: ACCOUNT_STATUS.ACTIVE,
+        suspension_reason: null,
+        suspended_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .eq('account_status', ACCOUNT_STATUS.SUSPENDED)
+      .select('id, full_name, email, role, account_status')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Unsuspend user error:', error);
+      return res.status(400).json({ error: 'Failed to unsuspend user' });
+    }
+
+    if (!updatedUser) {
+      return res.status(404).json({ error: 'User not found or not suspended' });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_UNSUSPENDED,
+      entityType: 'user',
+      entityId: userId,
+      after: updatedUser
+    });
+
+    return res.status(200).json({
+      message: 'User unsuspended successfully',
+      user: updatedUser
+    });
+
+  } catch (error) {
+    console.error('Unsuspend user error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Hide or unhide a job or rating
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} table - 'jobs' or 'ratings'
+ * @param {string} entityName - Name used in responses
+ * @param {boolean} hidden - Whether the row should be hidden
+ * @param {string} action - Audit action to record
+ */
+const setHidden = async (req, res, table, entityName, hidden, action) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: `Invalid ${entityName.toLowerCase()} ID format` });
+    }
+
+    const { data: previous } = await supabase
+      .from(table)
+      .select()
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!previous) {
+      return res.status(404).json({ error: `${entityName} not found` });
+    }
+
+    const { data: entity, error } = await supabase
+      .from(table)
+      .update({
+        is_hidden: hidden,
+        hidden_reason: hidden ? reason || null : null
+      })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error(`Set ${entityName.toLowerCase()} visibility error:`, error);
+      return res.status(400).json({ error: `Failed to update ${entityName.toLowerCase()}` });
+    }
+
+    if (!entity) {
+      return res.status(404).json({ error: `${entityName} not found` });
+    }
+
+    await recordAudit(req, {
+      action,
+      entityType: entityName.toLowerCase(),
+      entityId: id,
+      jobId: table === 'jobs' ? id : entity.job_id,
+      before: previous,
+      after: entity
+    });
+
+    return res.status(200).json({
+      message: `${entityName} ${hidden ? 'hidden' : 'unhidden'} successfully`,
+      [entityName.toLowerCase()]: entity
+    });
+
+  } catch (error) {
+    console.error(`Set ${entityName.toLowerCase()} visibility error:`, error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const hideJob = (req, res) =>
+  setHidden(req, res, 'jobs', 'Job', true, AUDIT_ACTIONS.JOB_HIDDEN);
+const unhideJob = (req, res) =>
+  setHidden(req, res, 'jobs', 'Job', false, AUDIT_ACTIONS.JOB_UNHIDDEN);
+const hideRating = (req, res) =>
+  setHidden(req, res, 'ratings', 'Rating', true, AUDIT_ACTIONS.RATING_HIDDEN);
+const unhideRating = (req, res) =>
+  setHidden(req, res, 'ratings', 'Rating', false, AUDIT_ACTIONS.RATING_UNHIDDEN);
+
+/**
+ * Get any job with its parties, bids and ratings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const { data: job, error } = await supabase
+      .from('jobs')
+      .select(`
+        *,
+        customer:customer_id(id, full_name, email, phone, account_status),
+        contractor:contractor_id(id, full_name, email, phone, account_status),
+        bids(*, contractor:contractor_id(id, full_name, email, account_status)),
+        ratings(*)
+      `)
+      .eq('id', id)
+      .single();
+
+    if (error || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    return res.status(200).json({ job });
+
+  } catch (error) {
+    console.error('Admin get job error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the audit trail for a job, its bids and its ratings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJobAuditLog = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action } = req.query;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    let query = supabase
+      .from('audit_logs')
+      .select('*, actor:actor_id(id, full_name, email, role)')
+      .eq('job_id', id)
+      .order('created_at', { ascending: true });
+
+    if (action) {
+      query = query.eq('action', action);
+    }
+
+    const { data: entries, error } = await query;
+
+    if (error) {
+      console.error('Get job audit log error:', error);
+      return res.status(400).json({ error: 'Failed to fetch audit log' });
+    }
+
+    return res.status(200).json({ entries });
+
+  } catch (error) {
+    console.error('Get job audit log error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get any bid with its job and contractor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBid = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid bid ID format' });
+    }
+
+    const { data: bid, error } = await supabase
+      .from('bids')
+      .select(`
+        *,
+        job:job_id(*),
+        contractor:contractor_id(id, full_name, email, phone, account_status)
+      `)
+      .eq('id', id)
+      .single();
+
+    if (error || !bid) {
+      return res.status(404).json({ error: 'Bid not found' });
+    }
+
+    return res.status(200).json({ bid });
+
+  } catch (error) {
+    console.error('Admin get bid error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get any conversation with its full message history, including edits
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getConversation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid conversation ID format' });
+    }
+
+    const { data: conversation, error } = await supabase
+      .from('conversations')
+      .select(`
+        *,
+        user1:user1_id(id, full_name, email, account_status),
+        user2:user2_id(id, full_name, email, account_status),
+        job:job_id(id, title, status)
+      `)
+      .eq('id', id)
+      .single();
+
+    if (error || !conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const { data: messages, error: messagesError } = await supabase
+      .from('messages')
+      .select('*, edits:message_edits(*)')
+      .eq('conversation_id', id)
+      .order('created_at', { ascending: true });
+
+    if (messagesError) {
+      console.error('Admin get messages error:', messagesError);
+      return res.status(400).json({ error: 'Failed to fetch messages' });
+    }
+
+    const signedMessages = await withAttachmentUrls(messages);
+    const signedEdits = await withAttachmentUrls(
+      messages.flatMap(message => message.edits),
+      'previous_attachments'
+    );
+
+    return res.status(200).json({
+      conversation,
+      messages: signedMessages.map(message => ({
+        ...message,
+        edits: signedEdits.filter(edit => edit.message_id === message.id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Admin get conversation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * List background tasks with a count per status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTasks = async (req, res) => {
+  try {
+    const { status = 'all', type } = req.query;
+    const { page, limit, from, to } = getPagination(req.query);
+
+    let query = supabase
+      .from('scheduled_tasks')
+      .select('*', { count: 'exact' })
+      .order('run_at', { ascending: status !== SCHEDULED_TASK_STATUS.FAILED })
+      .range(from, to);
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    if (type) {
+      query = query.eq('type', type);
+    }
+
+    const statuses = Object.values(SCHEDULED_TASK_STATUS);
+
+    const [{ data: tasks, error, count }, ...statusCounts] = await Promise.all([
+      query,
+      ...statuses.map(taskStatus =>
+        supabase
+          .from('scheduled_tasks')
+          .select('*', { count: 'exact', head: true })
+          .eq('status', taskStatus)
+      )
+    ]);
+
+    if (error || statusCounts.some(result => result.error)) {
+      console.error('Get tasks error:', error || statusCounts.find(result => result.error).error);
+      return res.status(400).json({ error: 'Failed to fetch tasks' });
+    }
+
+    return res.status(200).json({
+      tasks,
+      counts: Object.fromEntries(statuses.map((taskStatus, index) => [taskStatus, statusCounts[index].count])),
+      pagination: {
+        totalCount: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Queue a failed background task to run again with a fresh set of attempts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const retryTask = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid task ID format' });
+    }
+
+    const now = new Date().toISOString();
+
+    const { data: task, error } = await supabase
+      .from('scheduled_tasks')
+      .update({
+        status: SCHEDULED_TASK_STATUS.QUEUED,
+        attempts: 0,
+        run_at: now,
+        failed_at: null,
+        updated_at: now
+      })
+      .eq('id', id)
+      .eq('status', SCHEDULED_TASK_STATUS.FAILED)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      // A recurring task's next run is already queued
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This task is already queued' });
+      }
+
+      console.error('Retry task error:', error);
+      return res.status(400).json({ error: 'Failed to retry task' });
+    }
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found or not failed' });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.TASK_RETRIED,
+      entityType: 'scheduled_task',
+      entityId: id,
+      jobId: task.payload && task.payload.jobId ? task.payload.jobId : null,
+      after: task
+    });
+
+    return res.status(200).json({
+      message: 'Task queued to run again',
+      task
+    });
+
+  } catch (error) {
+    console.error('Retry task error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getReports,
+  resolveReport,
+  getDisputes,
+  resolveDispute,
+  suspendUser,
+  unsuspendUser,
+  hideJob,
+  unhideJob,
+  hideRating,
+  unhideRating,
+  getJob,
+  getJobAuditLog,
+  getBid,
+  getConversation,
+  getTasks,
+  retryTask
+};
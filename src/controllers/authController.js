@@ -1,6 +1,34 @@
 const jwt = require('jsonwebtoken');
 const supabase = require('../config/supabase');
 const { validateEmail, validatePassword } = require('../utils/helpers');
+const { getAccountStatusError } = require('../middleware/auth');
+const { ACCOUNT_STATUS } = require('../utils/constants');
+
+/**
+ * Issue a token for a signed-in user
+ * @param {Object} userData - User row
+ * @returns {Object} - { user, token } for the response body
+ */
+const buildSession = (userData) => {
+  const token = jwt.sign(
+    { userId: userData.id, email: userData.email, role: userData.role },
+    process.env.JWT_SECRET,
+    { expiresIn: '7d' }
+  );
+
+  return {
+    user: {
+      id: userData.id,
+      email: userData.email,
+      fullName: userData.full_name,
+      role: userData.role,
+      phone: userData.phone,
+      address: userData.address,
+      profileImage: userData.profile_image,
+    },
+    token
+  };
+};
 
 /**
  * Register a new user
@@ -141,25 +169,15 @@ const login = async (req, res) => {
       return res.status(404).json({ error: 'User profile not found' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: userData.id, email: userData.email, role: userData.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Suspended and deactivated accounts cannot sign in
+    const accountError = getAccountStatusError(userData);
+    if (accountError) {
+      return res.status(403).json(accountError);
+    }
 
     return res.status(200).json({
       message: 'Login successful',
-      user: {
-        id: userData.id,
-        email: userData.email,
-        fullName: userData.full_name,
-        role: userData.role,
-        phone: userData.phone,
-        address: userData.address,
-        profileImage: userData.profile_image,
-      },
-      token
+      ...buildSession(userData)
     });
 
   } catch (error) {
@@ -168,6 +186,58 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Reactivate an account its owner deactivated and sign them in; suspended
+ * accounts can only be restored by an admin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reactivateAccount = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Only the owner may reactivate, so the password is checked first
+    const { data: authData, error: authError } =
+      await supabase.auth.signInWithPassword({
+        email,
+        password,
+      });
+
+    if (authError) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const { data: userData, error } = await supabase
+      .from('users')
+      .update({
+        account_status: ACCOUNT_STATUS.ACTIVE,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', authData.user.id)
+      .eq('account_status', ACCOUNT_STATUS.DEACTIVATED)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Reactivate account error:', error);
+      return res.status(400).json({ error: 'Failed to reactivate account' });
+    }
+
+    if (!userData) {
+      return res.status(409).json({ error: 'Only deactivated accounts can be reactivated' });
+    }
+
+    return res.status(200).json({
+      message: 'Account reactivated successfully',
+      ...buildSession(userData)
+    });
+
+  } catch (error) {
+    console.error('Reactivate account error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 /**
  * Get current user data
  * @param {Object} req - Express request object
@@ -187,6 +257,11 @@ const getCurrentUser = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    const accountError = getAccountStatusError(userData);
+    if (accountError) {
+      return res.status(403).json(accountError);
+    }
+
     return res.status(200).json({
       user: {
         id: userData.id,
@@ -206,6 +281,37 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
+/**
+ * Get the account status of the current user, including why it was suspended
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAccountStatus = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const { data: userData, error } = await supabase
+      .from('users')
+      .select('account_status, suspension_reason, suspended_at')
+      .eq('id', userId)
+      .single();
+
+    if (error || !userData) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    return res.status(200).json({
+      accountStatus: userData.account_status,
+      suspensionReason: userData.suspension_reason,
+      suspendedAt: userData.suspended_at
+    });
+
+  } catch (error) {
+    console.error('Get account status error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 /**
  * Logout user
  * @param {Object} req - Express request object
@@ -268,7 +374,9 @@ const requestPasswordReset = async (req, res) => {
 module.exports = {
   register,
   login,
+  reactivateAccount,
   getCurrentUser,
+  getAccountStatus,
   logout,
   requestPasswordReset
 };
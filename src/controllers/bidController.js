@@ -1,5 +1,25 @@
 const supabase = require('../config/supabase');
+const realtime = require('../services/realtime');
 const { isValidUUID } = require('../utils/helpers');
+const { isBlocked } = require('../services/blocks');
+const { recordAudit } = require('../services/auditLog');
+const { buildBidMilestones } = require('../services/milestones');
+const { withFees } = require('../services/fees');
+const { buildLineItems, withQuote } = require('../services/quotes');
+const { addRound, getOpenCounter, hasReachedCounterLimit, applyTerms } = require('../services/negotiation');
+const { summarizeRevisions } = require('../services/bidRevisions');
+const { canViewJob, canBidOnJob } = require('../services/jobVisibility');
+const { isBiddingClosed } = require('../services/jobExpiry');
+const { CONTRACTOR_FIELDS, withoutInactiveBidders } = require('../services/accountStatus');
+const { BID_STATUS, INVITATION_STATUS, AUDIT_ACTIONS } = require('../utils/constants');
+
+/**
+ * Shape a bid for API responses
+ * @param {Object} bid - Bid row
+ * @param {string} category - Category of the bid's job
+ * @returns {Object} - Bid with its fee breakdown and quote summary
+ */
+const presentBid = (bid, category) => withQuote(withFees(bid, category));
 
 /**
  * Create a new bid
@@ -8,9 +28,18 @@ const { isValidUUID } = require('../utils/helpers');
  */
 const createBid = async (req, res) => {
   try {
-    const { jobId, amount, proposal, estimatedDays } = req.body;
+    const { jobId, proposal, estimatedDays } = req.body;
     const contractorId = req.user.userId;
     
+    // Itemized bids derive their amount from the line items
+    const { lineItems, taxAmount, amount: itemizedAmount, error: lineItemsError } = buildLineItems(req.body.lineItems);
+    
+    if (lineItemsError) {
+      return res.status(400).json({ error: lineItemsError });
+    }
+    
+    const amount = itemizedAmount !== null ? itemizedAmount : req.body.amount;
+    
     // Validate input
     if (!jobId || !amount) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -24,6 +53,12 @@ const createBid = async (req, res) => {
       return res.status(400).json({ error: 'Amount must be a positive number' });
     }
     
+    const { milestones, error: milestonesError } = buildBidMilestones(req.body.milestones, amount);
+    
+    if (milestonesError) {
+      return res.status(400).json({ error: milestonesError });
+    }
+    
     if (req.user.role !== 'contractor') {
       return res.status(403).json({ error: 'Only contractors can place bids' });
     }
@@ -43,16 +78,29 @@ const createBid = async (req, res) => {
       return res.status(400).json({ error: 'Can only bid on jobs with open status' });
     }
     
+    if (isBiddingClosed(job)) {
+      return res.status(400).json({ error: 'Bidding on this job has closed' });
+    }
+    
     if (job.customer_id === contractorId) {
       return res.status(400).json({ error: 'Cannot bid on your own job' });
     }
     
-    // Check if contractor has already placed a bid
+    if (await isBlocked(contractorId, job.customer_id)) {
+      return res.status(403).json({ error: 'You cannot interact with this user' });
+    }
+    
+    if (!(await canBidOnJob(job, contractorId))) {
+      return res.status(403).json({ error: 'Only invited contractors can bid on this job' });
+    }
+    
+    // Check if contractor has already placed a bid; withdrawn bids don't count
     const { data: existingBids, error: bidError } = await supabase
       .from('bids')
       .select('*')
       .eq('job_id', jobId)
-      .eq('contractor_id', contractorId);
+      .eq('contractor_id', contractorId)
+      .neq('status', BID_STATUS.WITHDRAWN);
     
     if (bidError) {
       console.error('Check existing bids error:', bidError);
@@ -74,6 +122,9 @@ const createBid = async (req, res) => {
         amount: parseFloat(amount),
         proposal: proposal || null,
         estimated_days: estimatedDays ? parseInt(estimatedDays) : null,
+        line_items: lineItems,
+        tax_amount: taxAmount,
+        milestones,
         status: 'pending'
       })
       .select()
@@ -84,9 +135,32 @@ const createBid = async (req, res) => {
       return res.status(400).json({ error: 'Failed to create bid' });
     }
     
+    // Placing a bid answers any pending invitation to the job
+    const { error: invitationError } = await supabase
+      .from('job_invitations')
+      .update({
+        status: INVITATION_STATUS.ACCEPTED,
+        responded_at: new Date().toISOString()
+      })
+      .eq('job_id', jobId)
+      .eq('contractor_id', contractorId)
+      .eq('status', INVITATION_STATUS.PENDING);
+    
+    if (invitationError) {
+      console.error('Accept invitation error:', invitationError);
+    }
+    
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.BID_CREATED,
+      entityType: 'bid',
+      entityId: bid.id,
+      jobId,
+      after: bid
+    });
+    
     return res.status(201).json({
       message: 'Bid placed successfully',
-      bid
+      bid: presentBid(bid, job.category)
     });
 
   } catch (error) {
@@ -119,15 +193,20 @@ const getBidsForJob = async (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
     
+    if (!(await canViewJob(job, req.user))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
     // Check if user is authorized to view the bids
     const isJobOwner = job.customer_id === req.user.userId;
     
-    // Get bids with contractor information
+    // Get bids with contractor information and revision history
     const { data: bids, error } = await supabase
       .from('bids')
       .select(`
         *,
-        contractor:contractor_id(id, full_name, email, profile_image)
+        contractor:contractor_id(${CONTRACTOR_FIELDS}),
+        revisions:bid_revisions(*)
       `)
       .eq('job_id', jobId)
       .order('created_at', { ascending: false });
@@ -137,11 +216,19 @@ const getBidsForJob = async (req, res) => {
       return res.status(400).json({ error: 'Failed to fetch bids' });
     }
     
+    const visibleBids = withoutInactiveBidders(bids, req.user);
+    
+    // Show how a bid's terms changed since it was placed
+    const presentWithRevisions = ({ revisions, ...bid }) => ({
+      ...presentBid(bid, job.category),
+      revisions: summarizeRevisions(revisions)
+    });
+    
     // If the user is not the job owner, only return their own bid with full details
     if (!isJobOwner) {
-      const filteredBids = bids.map(bid => {
+      const filteredBids = visibleBids.map(bid => {
         if (bid.contractor_id === req.user.userId) {
-          return bid;
+          return presentWithRevisions(bid);
         } else {
           // Return limited information for other bids
           return {
@@ -153,7 +240,15 @@ const getBidsForJob = async (req, res) => {
             // Hide sensitive bid details
             amount: null,
             proposal: null,
-            estimated_days: null
+            estimated_days: null,
+            line_items: null,
+            tax_amount: null,
+            milestones: null,
+            negotiation: null,
+            withdrawal_reason: null,
+            fees: null,
+            quote: null,
+            revisions: null
           };
         }
       });
@@ -161,7 +256,9 @@ const getBidsForJob = async (req, res) => {
       return res.status(200).json({ bids: filteredBids });
     }
     
-    return res.status(200).json({ bids });
+    return res.status(200).json({
+      bids: visibleBids.map(presentWithRevisions)
+    });
 
   } catch (error) {
     console.error('Get bids for job error:', error);
@@ -192,7 +289,7 @@ const getMyBids = async (req, res) => {
       .from('bids')
       .select(`
         *,
-        job:job_id(id, title, description, budget, status, customer_id, 
+        job:job_id(id, title, description, category, budget, status, customer_id, 
         customer:customer_id(id, full_name, profile_image))
       `, { count: 'exact' })
       .eq('contractor_id', contractorId)
@@ -212,7 +309,7 @@ const getMyBids = async (req, res) => {
     }
     
     return res.status(200).json({
-      bids,
+      bids: bids.map(bid => presentBid(bid, bid.job.category)),
       pagination: {
         totalCount: count,
         page: parseInt(page),
@@ -235,7 +332,8 @@ const getMyBids = async (req, res) => {
 const updateBid = async (req, res) => {
   try {
     const { id } = req.params;
-    const { amount, proposal, estimatedDays } = req.body;
+    const { proposal, estimatedDays } = req.body;
+    let { amount } = req.body;
     const contractorId = req.user.userId;
     
     if (!isValidUUID(id)) {
@@ -245,7 +343,7 @@ const updateBid = async (req, res) => {
     // Check if bid exists and belongs to the user
     const { data: existingBid, error: fetchError } = await supabase
       .from('bids')
-      .select('*, job:job_id(status)')
+      .select('*, job:job_id(status, category, bid_deadline, expires_at)')
       .eq('id', id)
       .single();
     
@@ -267,31 +365,83 @@ const updateBid = async (req, res) => {
       return res.status(400).json({ error: 'Can only update bids for open jobs' });
     }
     
+    if (isBiddingClosed(existingBid.job)) {
+      return res.status(400).json({ error: 'Bidding on this job has closed' });
+    }
+    
     // Prepare update data
     const updateData = {};
+    
+    // Sending line items re-itemizes the bid; sending an empty list or just an
+    // amount turns it back into a single-amount bid
+    if (req.body.lineItems !== undefined || amount) {
+      const { lineItems, taxAmount, amount: itemizedAmount, error: lineItemsError } = buildLineItems(req.body.lineItems);
+      
+      if (lineItemsError) {
+        return res.status(400).json({ error: lineItemsError });
+      }
+      
+      if (itemizedAmount !== null) {
+        amount = itemizedAmount;
+      } else if (!amount) {
+        return res.status(400).json({ error: 'Amount is required when a bid has no line items' });
+      }
+      
+      updateData.line_items = lineItems;
+      updateData.tax_amount = taxAmount;
+    }
+    
     if (amount) updateData.amount = parseFloat(amount);
     if (proposal !== undefined) updateData.proposal = proposal;
     if (estimatedDays !== undefined) updateData.estimated_days = estimatedDays ? parseInt(estimatedDays) : null;
     
+    // Milestones must still add up to the bid amount after the change
+    if (req.body.milestones !== undefined || (updateData.amount && existingBid.milestones.length > 0)) {
+      const { milestones, error: milestonesError } = buildBidMilestones(
+        req.body.milestones !== undefined ? req.body.milestones : existingBid.milestones,
+        updateData.amount || existingBid.amount
+      );
+      
+      if (milestonesError) {
+        return res.status(400).json({ error: milestonesError });
+      }
+      
+      updateData.milestones = milestones;
+    }
+    
     // Add updated_at timestamp
     updateData.updated_at = new Date().toISOString();
     
-    // Update bid
+    // Update bid, unless it was accepted or countered since it was read
     const { data: updatedBid, error: updateError } = await supabase
       .from('bids')
       .update(updateData)
       .eq('id', id)
+      .eq('status', BID_STATUS.PENDING)
       .select()
-      .single();
+      .maybeSingle();
     
     if (updateError) {
       console.error('Update bid error:', updateError);
       return res.status(400).json({ error: 'Failed to update bid' });
     }
     
+    if (!updatedBid) {
+      return res.status(409).json({ error: 'Bid changed, please refresh and try again' });
+    }
+    
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.BID_UPDATED,
+      entityType: 'bid',
+      entityId: id,
+      jobId: existingBid.job_id,
+      before: existingBid,
+      after: updatedBid
+    });
+    
     return res.status(200).json({
       message: 'Bid updated successfully',
-      bid: updatedBid
+      bid: presentBid(updatedBid, existingBid.job.category)
     });
 
   } catch (error) {
@@ -301,13 +451,14 @@ const updateBid = async (req, res) => {
 };
 
 /**
- * Delete a bid
+ * Withdraw a bid, keeping it on record with an optional reason
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const deleteBid = async (req, res) => {
+const withdrawBid = async (req, res) => {
   try {
     const { id } = req.params;
+    const reason = (req.body && req.body.reason) || null;
     const contractorId = req.user.userId;
     
     if (!isValidUUID(id)) {
@@ -317,7 +468,7 @@ const deleteBid = async (req, res) => {
     // Check if bid exists and belongs to the user
     const { data: existingBid, error: fetchError } = await supabase
       .from('bids')
-      .select('*, job:job_id(status)')
+      .select('*, job:job_id(status, customer_id)')
       .eq('id', id)
       .single();
     
@@ -327,43 +478,307 @@ const deleteBid = async (req, res) => {
     
     // Check permissions
     if (existingBid.contractor_id !== contractorId) {
-      return res.status(403).json({ error: 'You do not have permission to delete this bid' });
+      return res.status(403).json({ error: 'You do not have permission to withdraw this bid' });
     }
     
-    // Check if bid can be deleted (only pending bids for open jobs)
-    if (existingBid.status !== 'pending') {
-      return res.status(400).json({ error: 'Can only delete pending bids' });
+    // Check if bid can be withdrawn (only open bids for open jobs)
+    const openStatuses = [BID_STATUS.PENDING, BID_STATUS.COUNTERED];
+    
+    if (!openStatuses.includes(existingBid.status)) {
+      return res.status(400).json({ error: 'Can only withdraw pending or countered bids' });
     }
     
     if (existingBid.job.status !== 'open') {
-      return res.status(400).json({ error: 'Can only delete bids for open jobs' });
+      return res.status(400).json({ error: 'Can only withdraw bids for open jobs' });
+    }
+    
+    // Withdraw bid, unless it was accepted in the meantime
+    const { job, ...bidBefore } = existingBid;
+    const { data: withdrawnBid, error: withdrawError } = await supabase
+      .from('bids')
+      .update({
+        status: BID_STATUS.WITHDRAWN,
+        withdrawal_reason: reason,
+        withdrawn_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .in('status', openStatuses)
+      .select()
+      .maybeSingle();
+    
+    if (withdrawError) {
+      console.error('Withdraw bid error:', withdrawError);
+      return res.status(400).json({ error: 'Failed to withdraw bid' });
+    }
+    
+    if (!withdrawnBid) {
+      return res.status(409).json({ error: 'Bid changed, please refresh and try again' });
+    }
+    
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.BID_WITHDRAWN,
+      entityType: 'bid',
+      entityId: id,
+      jobId: existingBid.job_id,
+      before: bidBefore,
+      after: withdrawnBid
+    });
+    
+    realtime.emitToUser(job.customer_id, 'bid:withdrawn', { jobId: existingBid.job_id, bidId: id });
+    
+    return res.status(200).json({
+      message: 'Bid withdrawn successfully',
+      bid: withdrawnBid
+    });
+
+  } catch (error) {
+    console.error('Withdraw bid error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Move a bid through a round of negotiation on behalf of one of its parties
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - Round details
+ * @param {string} options.party - 'contractor' or 'customer', who may take this step
+ * @param {string} options.from - Required current bid status
+ * @param {Function} options.buildChanges - Called with the bid, returns { changes } or { error }
+ * @param {string} options.action - Audit action to record
+ * @param {string} options.message - Success message
+ * @param {boolean} [options.changesTerms=true] - Whether the round changes the bid's terms,
+ *   which is only allowed while the job still takes bids
+ */
+const negotiateBid = async (req, res, { party, from, buildChanges, action, message, changesTerms = true }) => {
+  try {
+    const { id } = req.params;
+    
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid bid ID format' });
+    }
+    
+    const { data: bid, error: fetchError } = await supabase
+      .from('bids')
+      .select('*, job:job_id(status, category, customer_id, bid_deadline, expires_at)')
+      .eq('id', id)
+      .single();
+    
+    if (fetchError || !bid) {
+      return res.status(404).json({ error: 'Bid not found' });
+    }
+    
+    const partyId = party === 'contractor' ? bid.contractor_id : bid.job.customer_id;
+    
+    if (partyId !== req.user.userId) {
+      return res.status(403).json({
+        error: party === 'contractor'
+          ? 'Only the contractor who placed this bid can answer counter-offers'
+          : 'Only the job owner can counter bids'
+      });
+    }
+    
+    if (bid.job.status !== 'open') {
+      return res.status(409).json({ error: 'Can only negotiate bids for open jobs' });
+    }
+    
+    if (changesTerms && isBiddingClosed(bid.job)) {
+      return res.status(409).json({ error: 'Bidding on this job has closed' });
+    }
+    
+    if (bid.status !== from) {
+      return res.status(409).json({ error: `Bid is ${bid.status}, expected ${from}` });
+    }
+    
+    if (await isBlocked(bid.contractor_id, bid.job.customer_id)) {
+      return res.status(403).json({ error: 'You cannot interact with this user' });
     }
     
-    // Delete bid
-    const { error: deleteError } = await supabase
+    const { changes, error: changesError } = buildChanges(bid);
+    
+    if (changesError) {
+      return res.status(400).json({ error: changesError });
+    }
+    
+    // Only apply the round if the other party hasn't moved the bid in the meantime
+    const { job, ...existingBid } = bid;
+    const { data: updatedBid, error: updateError } = await supabase
       .from('bids')
-      .delete()
-      .eq('id', id);
+      .update({
+        ...changes,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', from)
+      .select()
+      .maybeSingle();
+    
+    if (updateError) {
+      console.error('Negotiate bid error:', updateError);
+      return res.status(400).json({ error: 'Failed to update bid' });
+    }
     
-    if (deleteError) {
-      console.error('Delete bid error:', deleteError);
-      return res.status(400).json({ error: 'Failed to delete bid' });
+    if (!updatedBid) {
+      return res.status(409).json({ error: 'Bid changed, please refresh and try again' });
     }
     
+    await recordAudit(req, {
+      action,
+      entityType: 'bid',
+      entityId: id,
+      jobId: bid.job_id,
+      before: existingBid,
+      after: updatedBid
+    });
+    
+    const presented = presentBid(updatedBid, job.category);
+    const otherPartyId = party === 'contractor' ? job.customer_id : bid.contractor_id;
+    realtime.emitToUser(otherPartyId, 'bid:negotiation', { jobId: bid.job_id, bid: presented });
+    
     return res.status(200).json({
-      message: 'Bid deleted successfully'
+      message,
+      bid: presented
     });
 
   } catch (error) {
-    console.error('Delete bid error:', error);
+    console.error('Negotiate bid error:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
 
+/**
+ * Counter a bid: the customer counters a pending bid, the contractor counters
+ * back on a countered one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const counterBid = (req, res) => {
+  const { amount, estimatedDays, message, lineItems, milestones } = req.body;
+  const party = req.user.role === 'contractor' ? 'contractor' : 'customer';
+  
+  return negotiateBid(req, res, {
+    party,
+    from: party === 'contractor' ? BID_STATUS.COUNTERED : BID_STATUS.PENDING,
+    buildChanges: (bid) => {
+      if (hasReachedCounterLimit(bid)) {
+        return { error: 'This bid has been countered too many times; accept it or move on' };
+      }
+      
+      const round = {
+        by: party,
+        action: 'counter',
+        amount: parseFloat(amount),
+        estimated_days: estimatedDays ? parseInt(estimatedDays) : bid.estimated_days,
+        message
+      };
+      
+      // The customer's counter waits for an answer
+      if (party === 'customer') {
+        return {
+          changes: {
+            status: BID_STATUS.COUNTERED,
+            negotiation: addRound(bid, round)
+          }
+        };
+      }
+      
+      // The contractor's counter becomes their bid
+      const terms = applyTerms(bid, { amount, estimatedDays, lineItems, milestones });
+      
+      if (terms.error) {
+        return terms;
+      }
+      
+      return {
+        changes: {
+          ...terms.changes,
+          status: BID_STATUS.PENDING,
+          negotiation: addRound(bid, round)
+        }
+      };
+    },
+    action: AUDIT_ACTIONS.BID_COUNTERED,
+    message: 'Counter-offer sent'
+  });
+};
+
+/**
+ * Accept the customer's counter-offer, making it the contractor's bid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const acceptCounter = (req, res) =>
+  negotiateBid(req, res, {
+    party: 'contractor',
+    from: BID_STATUS.COUNTERED,
+    buildChanges: (bid) => {
+      const counter = getOpenCounter(bid);
+      
+      // Itemized and milestone bids send revised ones priced at the counter amount
+      const terms = applyTerms(bid, {
+        amount: counter.amount,
+        estimatedDays: counter.estimated_days,
+        lineItems: req.body && req.body.lineItems,
+        milestones: req.body && req.body.milestones
+      });
+      
+      if (terms.error) {
+        return terms;
+      }
+      
+      return {
+        changes: {
+          ...terms.changes,
+          status: BID_STATUS.PENDING,
+          negotiation: addRound(bid, {
+            by: 'contractor',
+            action: 'accept',
+            amount: counter.amount,
+            estimated_days: counter.estimated_days,
+            message: req.body && req.body.message
+          })
+        }
+      };
+    },
+    action: AUDIT_ACTIONS.BID_COUNTER_ACCEPTED,
+    message: 'Counter-offer accepted; the customer can now accept your bid'
+  });
+
+/**
+ * Decline the customer's counter-offer and withdraw the bid
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const declineCounter = (req, res) =>
+  negotiateBid(req, res, {
+    party: 'contractor',
+    from: BID_STATUS.COUNTERED,
+    buildChanges: (bid) => ({
+      changes: {
+        status: BID_STATUS.WITHDRAWN,
+        withdrawal_reason: (req.body && req.body.message) || null,
+        withdrawn_at: new Date().toISOString(),
+        negotiation: addRound(bid, {
+          by: 'contractor',
+          action: 'decline',
+          message: req.body && req.body.message
+        })
+      }
+    }),
+    action: AUDIT_ACTIONS.BID_COUNTER_DECLINED,
+    message: 'Counter-offer declined and bid withdrawn',
+    // Withdrawing is still allowed once bidding has closed
+    changesTerms: false
+  });
+
 module.exports = {
   createBid,
   getBidsForJob,
   getMyBids,
   updateBid,
-  deleteBid
+  withdrawBid,
+  counterBid,
+  acceptCounter,
+  declineCounter
 };
@@ -1,24 +1,254 @@
 const supabase = require('../config/supabase');
-const { isValidUUID } = require('../utils/helpers');
+const realtime = require('../services/realtime');
+const { isBlocked } = require('../services/blocks');
+const {
+  storeChatAttachments,
+  removeChatAttachments,
+  withAttachmentUrls,
+  withMessageAttachmentUrls
+} = require('../services/chatAttachments');
+const { isValidUUID, buildSnippet } = require('../utils/helpers');
+const { MESSAGE_STATUS, VALIDATION } = require('../utils/constants');
 
 /**
- * Get or create a conversation between two users
+ * Find a conversation that the given user is part of
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Conversation or null if not found
+ */
+const findUserConversation = async (conversationId, userId) => {
+  const { data: conversation, error } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('id', conversationId)
+    .or(`user1_id.eq.${userId},user2_id.eq.${userId}`)
+    .single();
+
+  if (error || !conversation) {
+    return null;
+  }
+
+  return conversation;
+};
+
+/**
+ * Build the conversation preview text for a message
+ * @param {Object} message - Message row
+ * @returns {string} - Preview text
+ */
+const getMessagePreview = (message) => {
+  if (message.deleted_at) {
+    return 'Message deleted';
+  }
+
+  if (message.content) {
+    return message.content;
+  }
+
+  return message.attachments && message.attachments.length > 0
+    ? '📎 Attachment'
+    : '';
+};
+
+/**
+ * Recalculate the denormalised last message of a conversation
+ * @param {string} conversationId - Conversation ID
+ */
+const refreshLastMessage = async (conversationId) => {
+  const { data: latest, error } = await supabase
+    .from('messages')
+    .select('content, attachments, deleted_at, created_at')
+    .eq('conversation_id', conversationId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Refresh last message error:', error);
+    return;
+  }
+
+  const { error: updateError } = await supabase
+    .from('conversations')
+    .update({
+      last_message: latest ? getMessagePreview(latest) : null,
+      last_message_time: latest ? latest.created_at : null
+    })
+    .eq('id', conversationId);
+
+  if (updateError) {
+    console.error('Update conversation error:', updateError);
+  }
+};
+
+/**
+ * Keep the previous version of a message before it is edited or deleted
+ * @param {Object} message - Message row before the change
+ * @param {string} editorId - User making the change
+ * @param {string} action - 'edit' or 'delete'
+ * @returns {Promise<boolean>} - Whether the history entry was stored
+ */
+const recordMessageEdit = async (message, editorId, action) => {
+  const { error } = await supabase
+    .from('message_edits')
+    .insert({
+      message_id: message.id,
+      editor_id: editorId,
+      action,
+      previous_content: message.content,
+      previous_attachments: message.attachments,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('Record message edit error:', error);
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Fetch a message for modification by its sender
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User attempting the change
+ * @returns {Promise<Object>} - { message } or { status, error }
+ */
+const findEditableMessage = async (messageId, userId) => {
+  if (!isValidUUID(messageId)) {
+    return { status: 400, error: 'Invalid message ID format' };
+  }
+
+  const { data: message, error } = await supabase
+    .from('messages')
+    .select('*')
+    .eq('id', messageId)
+    .maybeSingle();
+
+  if (error || !message) {
+    return { status: 404, error: 'Message not found' };
+  }
+
+  if (message.sender_id !== userId) {
+    return { status: 403, error: 'You can only change messages you sent' };
+  }
+
+  if (message.deleted_at) {
+    return { status: 400, error: 'Message has been deleted' };
+  }
+
+  return { message };
+};
+
+/**
+ * Tell senders that the status of their messages changed
+ * @param {Array<Object>} messages - Messages with sender_id and conversation_id
+ * @param {string} status - New message status
+ * @param {string} timestamp - When the status changed
+ */
+const notifyStatusChange = (messages, status, timestamp) => {
+  const groups = new Map();
+
+  messages.forEach(msg => {
+    const key = `${msg.sender_id}:${msg.conversation_id}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        senderId: msg.sender_id,
+        conversationId: msg.conversation_id,
+        messageIds: []
+      });
+    }
+    groups.get(key).messageIds.push(msg.id);
+  });
+
+  groups.forEach(({ senderId, conversationId, messageIds }) => {
+    realtime.emitToUser(senderId, 'message:status', {
+      conversationId,
+      messageIds,
+      status,
+      at: timestamp
+    });
+  });
+};
+
+/**
+ * Mark messages that reached their receiver as delivered
+ * @param {Array<Object>} messages - Messages received by one user
+ */
+const markDelivered = async (messages) => {
+  const pending = messages.filter(msg => msg.status === MESSAGE_STATUS.SENT);
+
+  if (pending.length === 0) {
+    return;
+  }
+
+  const deliveredAt = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('messages')
+    .update({
+      status: MESSAGE_STATUS.DELIVERED,
+      delivered_at: deliveredAt
+    })
+    .in('id', pending.map(msg => msg.id))
+    .eq('status', MESSAGE_STATUS.SENT);
+
+  if (error) {
+    console.error('Mark messages as delivered error:', error);
+    return;
+  }
+
+  pending.forEach(msg => {
+    msg.status = MESSAGE_STATUS.DELIVERED;
+    msg.delivered_at = deliveredAt;
+  });
+
+  notifyStatusChange(pending, MESSAGE_STATUS.DELIVERED, deliveredAt);
+};
+
+/**
+ * Find the conversation between two users, scoped to a job if given
+ * @param {string} userId - One participant
+ * @param {string} otherUserId - The other participant
+ * @param {string|null} jobId - Job the conversation is about, or null for a general thread
+ * @returns {Promise<Object|null>} - Conversation or null if none exists
+ */
+const findConversationBetween = async (userId, otherUserId, jobId) => {
+  let query = supabase
+    .from('conversations')
+    .select('*, job:job_id(id, title, status)')
+    .or(
+      `and(user1_id.eq.${userId},user2_id.eq.${otherUserId}),` +
+      `and(user1_id.eq.${otherUserId},user2_id.eq.${userId})`
+    );
+
+  query = jobId ? query.eq('job_id', jobId) : query.is('job_id', null);
+
+  const { data: conversation, error } = await query.maybeSingle();
+
+  if (error) {
+    console.error('Find conversation error:', error);
+  }
+
+  return conversation || null;
+};
+
+/**
+ * Get or create a conversation between two users, optionally about a job
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getOrCreateConversation = async (req, res) => {
   try {
-    const { otherUserId, currentUserId } = req.body;
-
-    console.log({ otherUserId, currentUserId });
+    const { otherUserId, jobId } = req.body;
+    const currentUserId = req.user.userId;
 
-    if (!isValidUUID(otherUserId)) {
-      console.error('Invalid user ID format', otherUserId);
-      return res.status(400).json({ error: 'Invalid user ID format' });
+    if (!isValidUUID(otherUserId) || (jobId && !isValidUUID(jobId))) {
+      return res.status(400).json({ error: 'Invalid ID format' });
     }
 
     if (currentUserId === otherUserId) {
-      console.error('Cannot create conversation with yourself');
       return res
         .status(400)
         .json({ error: 'Cannot create conversation with yourself' });
@@ -27,22 +257,47 @@ const getOrCreateConversation = async (req, res) => {
     // Check if other user exists
     const { data: otherUser, error: userError } = await supabase
       .from('users')
-      .select('id, full_name')
+      .select('id, full_name, role')
       .eq('id', otherUserId)
       .single();
 
     if (userError || !otherUser) {
-      console.error('User not found');
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (await isBlocked(currentUserId, otherUserId)) {
+      return res.status(403).json({ error: 'You cannot interact with this user' });
+    }
+
+    // Job conversations are between the job's customer and a contractor
+    if (jobId) {
+      const { data: job, error: jobError } = await supabase
+        .from('jobs')
+        .select('id, customer_id')
+        .eq('id', jobId)
+        .single();
+
+      if (jobError || !job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      const contractorRole = job.customer_id === currentUserId
+        ? otherUser.role
+        : job.customer_id === otherUserId ? req.user.role : null;
+
+      if (contractorRole !== 'contractor') {
+        return res.status(403).json({
+          error: 'Job conversations must be between the job owner and a contractor'
+        });
+      }
+    }
+
     // Try to find an existing conversation
-    const { data: existingConversation, error: convError } = await supabase
-      .from('conversations')
-      .select('*')
-      .or(`user1_id.eq.${currentUserId},user2_id.eq.${currentUserId}`)
-      .or(`user1_id.eq.${otherUserId},user2_id.eq.${otherUserId}`)
-      .single();
+    const existingConversation = await findConversationBetween(
+      currentUserId,
+      otherUserId,
+      jobId || null
+    );
 
     if (existingConversation) {
       return res.status(200).json({
@@ -57,12 +312,29 @@ const getOrCreateConversation = async (req, res) => {
       .insert({
         user1_id: currentUserId,
         user2_id: otherUserId,
+        job_id: jobId || null,
         created_at: new Date().toISOString(),
       })
-      .select()
+      .select('*, job:job_id(id, title, status)')
       .single();
 
     if (createError) {
+      // Another request created the same conversation first
+      if (createError.code === '23505') {
+        const conversation = await findConversationBetween(
+          currentUserId,
+          otherUserId,
+          jobId || null
+        );
+
+        if (conversation) {
+          return res.status(200).json({
+            message: 'Conversation found',
+            conversation,
+          });
+        }
+      }
+
       console.error('Create conversation error:', createError);
       return res.status(400).json({ error: 'Failed to create conversation' });
     }
@@ -92,7 +364,8 @@ const getConversations = async (req, res) => {
       .select(`
         *,
         user1:user1_id(id, full_name, profile_image),
-        user2:user2_id(id, full_name, profile_image)
+        user2:user2_id(id, full_name, profile_image),
+        job:job_id(id, title, status)
       `)
       .or(`user1_id.eq.${currentUserId},user2_id.eq.${currentUserId}`)
       .order('last_message_time', { ascending: false, nullsFirst: false });
@@ -112,6 +385,9 @@ const getConversations = async (req, res) => {
           fullName: otherUser.full_name,
           profileImage: otherUser.profile_image
         },
+        job: conv.job
+          ? { id: conv.job.id, title: conv.job.title, status: conv.job.status }
+          : null,
         lastMessage: conv.last_message,
         lastMessageTime: conv.last_message_time,
         createdAt: conv.created_at
@@ -137,31 +413,35 @@ const sendMessage = async (req, res) => {
   try {
     const { conversationId, content, jobId } = req.body;
     const senderId = req.user.userId;
+    const files = req.files || [];
     
     // Validate input
-    if (!conversationId || !content) {
+    if (!conversationId) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    if (!content && files.length === 0) {
+      return res.status(400).json({ error: 'Message must include text or an attachment' });
+    }
+    
     if (!isValidUUID(conversationId) || (jobId && !isValidUUID(jobId))) {
       return res.status(400).json({ error: 'Invalid ID format' });
     }
     
     // Check if conversation exists and user is part of it
-    const { data: conversation, error: convError } = await supabase
-      .from('conversations')
-      .select('*')
-      .eq('id', conversationId)
-      .or(`user1_id.eq.${senderId},user2_id.eq.${senderId}`)
-      .single();
+    const conversation = await findUserConversation(conversationId, senderId);
     
-    if (convError || !conversation) {
+    if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found or you are not part of it' });
     }
     
     // Get receiver ID
     const receiverId = conversation.user1_id === senderId ? conversation.user2_id : conversation.user1_id;
     
+    if (await isBlocked(senderId, receiverId)) {
+      return res.status(403).json({ error: 'You cannot interact with this user' });
+    }
+    
     // Check if job exists if jobId is provided
     if (jobId) {
       const { data: job, error: jobError } = await supabase
@@ -175,6 +455,15 @@ const sendMessage = async (req, res) => {
       }
     }
     
+    // Files are only stored once the sender may post in this conversation
+    let attachments;
+    try {
+      attachments = await storeChatAttachments(files);
+    } catch (uploadError) {
+      console.error('Store attachments error:', uploadError);
+      return res.status(400).json({ error: uploadError.message || 'File upload failed' });
+    }
+    
     // Create a new message
     const { data: message, error } = await supabase
       .from('messages')
@@ -182,8 +471,10 @@ const sendMessage = async (req, res) => {
         conversation_id: conversationId,
         sender_id: senderId,
         receiver_id: receiverId,
-        content,
+        content: content || '',
+        attachments,
         is_read: false,
+        status: MESSAGE_STATUS.SENT,
         job_id: jobId || null,
         created_at: new Date().toISOString()
       })
@@ -192,6 +483,7 @@ const sendMessage = async (req, res) => {
     
     if (error) {
       console.error('Send message error:', error);
+      await removeChatAttachments(attachments);
       return res.status(400).json({ error: 'Failed to send message' });
     }
     
@@ -199,7 +491,7 @@ const sendMessage = async (req, res) => {
     const { error: updateError } = await supabase
       .from('conversations')
       .update({
-        last_message: content,
+        last_message: getMessagePreview(message),
         last_message_time: new Date().toISOString()
       })
       .eq('id', conversationId);
@@ -209,9 +501,19 @@ const sendMessage = async (req, res) => {
       // Not a critical error, continue
     }
     
+    const signedMessage = await withMessageAttachmentUrls(message);
+    
+    // Push the message to the receiver; an open connection counts as delivered
+    if (realtime.emitToUser(receiverId, 'message:new', signedMessage) > 0) {
+      await markDelivered([message]);
+    }
+    
+    // Keep the sender's other devices in sync
+    realtime.emitToUser(senderId, 'message:new', signedMessage);
+    
     return res.status(201).json({
       message: 'Message sent successfully',
-      data: message
+      data: signedMessage
     });
 
   } catch (error) {
@@ -220,6 +522,198 @@ const sendMessage = async (req, res) => {
   }
 };
 
+/**
+ * Edit the content of a sent message within the edit window
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const editMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const content = req.body.content || '';
+    const currentUserId = req.user.userId;
+    
+    const { message, status, error: findError } = await findEditableMessage(messageId, currentUserId);
+    
+    if (findError) {
+      return res.status(status).json({ error: findError });
+    }
+    
+    const editDeadline = new Date(message.created_at).getTime() +
+      VALIDATION.MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+    
+    if (Date.now() > editDeadline) {
+      return res.status(403).json({
+        error: `Messages can only be edited within ${VALIDATION.MESSAGE_EDIT_WINDOW_MINUTES} minutes of sending`
+      });
+    }
+    
+    if (!content && message.attachments.length === 0) {
+      return res.status(400).json({ error: 'Message must include text or an attachment' });
+    }
+    
+    if (content === message.content) {
+      return res.status(200).json({
+        message: 'Message unchanged',
+        data: await withMessageAttachmentUrls(message)
+      });
+    }
+    
+    // The original must be kept before it is overwritten
+    if (!(await recordMessageEdit(message, currentUserId, 'edit'))) {
+      return res.status(400).json({ error: 'Failed to edit message' });
+    }
+    
+    const { data: updatedMessage, error } = await supabase
+      .from('messages')
+      .update({
+        content,
+        edited_at: new Date().toISOString()
+      })
+      .eq('id', messageId)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Edit message error:', error);
+      return res.status(400).json({ error: 'Failed to edit message' });
+    }
+    
+    await refreshLastMessage(message.conversation_id);
+    
+    const signedMessage = await withMessageAttachmentUrls(updatedMessage);
+    
+    realtime.emitToUser(message.receiver_id, 'message:updated', signedMessage);
+    realtime.emitToUser(currentUserId, 'message:updated', signedMessage);
+    
+    return res.status(200).json({
+      message: 'Message updated successfully',
+      data: signedMessage
+    });
+
+  } catch (error) {
+    console.error('Edit message error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Delete (unsend) a sent message, leaving a tombstone in the conversation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const currentUserId = req.user.userId;
+    
+    const { message, status, error: findError } = await findEditableMessage(messageId, currentUserId);
+    
+    if (findError) {
+      return res.status(status).json({ error: findError });
+    }
+    
+    // The original must be kept before it is cleared
+    if (!(await recordMessageEdit(message, currentUserId, 'delete'))) {
+      return res.status(400).json({ error: 'Failed to delete message' });
+    }
+    
+    // Attachment files stay in storage so the history entry keeps working links
+    const { data: deletedMessage, error } = await supabase
+      .from('messages')
+      .update({
+        content: '',
+        attachments: [],
+        deleted_at: new Date().toISOString()
+      })
+      .eq('id', messageId)
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Delete message error:', error);
+      return res.status(400).json({ error: 'Failed to delete message' });
+    }
+    
+    await refreshLastMessage(message.conversation_id);
+    
+    realtime.emitToUser(message.receiver_id, 'message:updated', deletedMessage);
+    realtime.emitToUser(currentUserId, 'message:updated', deletedMessage);
+    
+    return res.status(200).json({
+      message: 'Message deleted successfully',
+      data: deletedMessage
+    });
+
+  } catch (error) {
+    console.error('Delete message error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the edit history of a message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMessageHistory = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const currentUserId = req.user.userId;
+    
+    if (!isValidUUID(messageId)) {
+      return res.status(400).json({ error: 'Invalid message ID format' });
+    }
+    
+    const { data: message, error: messageError } = await supabase
+      .from('messages')
+      .select('*')
+      .eq('id', messageId)
+      .maybeSingle();
+    
+    if (messageError || !message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    // Both participants may review what was changed
+    const conversation = await findUserConversation(message.conversation_id, currentUserId);
+    
+    if (!conversation) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    // An unsent message keeps its history for admins only, so deleting it
+    // really takes the content away from the other participant
+    if (message.deleted_at) {
+      return res.status(200).json({
+        message,
+        history: []
+      });
+    }
+    
+    const { data: history, error } = await supabase
+      .from('message_edits')
+      .select('*')
+      .eq('message_id', messageId)
+      .eq('action', 'edit')
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      console.error('Get message history error:', error);
+      return res.status(400).json({ error: 'Failed to fetch message history' });
+    }
+    
+    return res.status(200).json({
+      message: await withMessageAttachmentUrls(message),
+      history: await withAttachmentUrls(history, 'previous_attachments')
+    });
+
+  } catch (error) {
+    console.error('Get message history error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 /**
  * Get messages for a conversation
  * @param {Object} req - Express request object
@@ -240,14 +734,9 @@ const getMessages = async (req, res) => {
     const to = from + limit - 1;
     
     // Check if conversation exists and user is part of it
-    const { data: conversation, error: convError } = await supabase
-      .from('conversations')
-      .select('*')
-      .eq('id', conversationId)
-      .or(`user1_id.eq.${currentUserId},user2_id.eq.${currentUserId}`)
-      .single();
+    const conversation = await findUserConversation(conversationId, currentUserId);
     
-    if (convError || !conversation) {
+    if (!conversation) {
       return res.status(404).json({ error: 'Conversation not found or you are not part of it' });
     }
     
@@ -264,35 +753,204 @@ const getMessages = async (req, res) => {
       return res.status(400).json({ error: 'Failed to fetch messages' });
     }
     
-    // Mark messages as read if they were sent to the current user
-    const messagesToMarkAsRead = messages
-      .filter(msg => msg.receiver_id === currentUserId && !msg.is_read)
+    // Fetching messages sent to the current user delivers them; reads are
+    // acknowledged explicitly through markMessagesRead
+    await markDelivered(messages.filter(msg => msg.receiver_id === currentUserId));
+    
+    return res.status(200).json({
+      messages: await withAttachmentUrls(messages.reverse()), // Reverse to get chronological order
+      pagination: {
+        totalCount: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Mark messages in a conversation as read up to a given message
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markMessagesRead = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { upToMessageId } = req.body;
+    const currentUserId = req.user.userId;
+    
+    if (!isValidUUID(conversationId) || !isValidUUID(upToMessageId)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+    
+    // Check if conversation exists and user is part of it
+    const conversation = await findUserConversation(conversationId, currentUserId);
+    
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found or you are not part of it' });
+    }
+    
+    // The acknowledged message must belong to this conversation
+    const { data: upToMessage, error: messageError } = await supabase
+      .from('messages')
+      .select('id, created_at')
+      .eq('id', upToMessageId)
+      .eq('conversation_id', conversationId)
+      .single();
+    
+    if (messageError || !upToMessage) {
+      return res.status(404).json({ error: 'Message not found in this conversation' });
+    }
+    
+    const readAt = new Date().toISOString();
+    
+    // Mark everything the current user received up to that message as read
+    const { data: readMessages, error } = await supabase
+      .from('messages')
+      .update({
+        status: MESSAGE_STATUS.READ,
+        read_at: readAt,
+        is_read: true
+      })
+      .eq('conversation_id', conversationId)
+      .eq('receiver_id', currentUserId)
+      .neq('status', MESSAGE_STATUS.READ)
+      .lte('created_at', upToMessage.created_at)
+      .select('id, sender_id, conversation_id, delivered_at');
+    
+    if (error) {
+      console.error('Mark messages as read error:', error);
+      return res.status(400).json({ error: 'Failed to mark messages as read' });
+    }
+    
+    // Messages read before a delivery was recorded were delivered at the same moment
+    const undeliveredIds = readMessages
+      .filter(msg => !msg.delivered_at)
       .map(msg => msg.id);
     
-    if (messagesToMarkAsRead.length > 0) {
-      const { error: updateError } = await supabase
+    if (undeliveredIds.length > 0) {
+      const { error: deliveredError } = await supabase
         .from('messages')
-        .update({ is_read: true })
-        .in('id', messagesToMarkAsRead);
+        .update({ delivered_at: readAt })
+        .in('id', undeliveredIds);
       
-      if (updateError) {
-        console.error('Mark messages as read error:', updateError);
+      if (deliveredError) {
+        console.error('Set delivered time error:', deliveredError);
         // Not critical, continue
       }
     }
     
+    notifyStatusChange(readMessages, MESSAGE_STATUS.READ, readAt);
+    
+    return res.status(200).json({
+      message: 'Messages marked as read',
+      readCount: readMessages.length,
+      readAt
+    });
+
+  } catch (error) {
+    console.error('Mark messages as read error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Search messages across all conversations of the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const searchMessages = async (req, res) => {
+  try {
+    const currentUserId = req.user.userId;
+    const query = req.query.q.trim();
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    
+    // Calculate pagination values
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+    
+    // Only conversations the current user takes part in are searched
+    const { data: conversations, error: conversationsError } = await supabase
+      .from('conversations')
+      .select(`
+        id,
+        user1_id,
+        user2_id,
+        user1:user1_id(id, full_name, profile_image),
+        user2:user2_id(id, full_name, profile_image),
+        job:job_id(id, title, status)
+      `)
+      .or(`user1_id.eq.${currentUserId},user2_id.eq.${currentUserId}`);
+    
+    if (conversationsError) {
+      console.error('Search messages error:', conversationsError);
+      return res.status(400).json({ error: 'Failed to search messages' });
+    }
+    
+    if (conversations.length === 0) {
+      return res.status(200).json({
+        results: [],
+        pagination: { totalCount: 0, page, limit, totalPages: 0 }
+      });
+    }
+    
+    const conversationsById = new Map(conversations.map(conv => [conv.id, conv]));
+    
+    // Match against the stemmed tsvector column so "codes" also finds "code"
+    const { data: messages, error, count } = await supabase
+      .from('messages')
+      .select('id, conversation_id, sender_id, content, created_at', { count: 'exact' })
+      .in('conversation_id', Array.from(conversationsById.keys()))
+      .textSearch('content_search', query, { type: 'websearch', config: 'english' })
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) {
+      console.error('Search messages error:', error);
+      return res.status(400).json({ error: 'Failed to search messages' });
+    }
+    
+    const results = messages.map(msg => {
+      const conversation = conversationsById.get(msg.conversation_id);
+      const otherUser = conversation.user1_id === currentUserId
+        ? conversation.user2
+        : conversation.user1;
+      const { snippet, highlights } = buildSnippet(msg.content, query);
+      
+      return {
+        messageId: msg.id,
+        conversationId: msg.conversation_id,
+        sentByMe: msg.sender_id === currentUserId,
+        createdAt: msg.created_at,
+        snippet,
+        highlights,
+        otherUser: {
+          id: otherUser.id,
+          fullName: otherUser.full_name,
+          profileImage: otherUser.profile_image
+        },
+        job: conversation.job
+      };
+    });
+    
     return res.status(200).json({
-      messages: messages.reverse(), // Reverse to get chronological order
+      results,
       pagination: {
         totalCount: count,
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         totalPages: Math.ceil(count / limit)
       }
     });
 
   } catch (error) {
-    console.error('Get messages error:', error);
+    console.error('Search messages error:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
 };
@@ -328,10 +986,45 @@ const getUnreadCount = async (req, res) => {
   }
 };
 
+/**
+ * Relay typing indicators to the other participant of a conversation
+ * @param {boolean} isTyping - Whether the user started or stopped typing
+ * @returns {Function} - Realtime event handler
+ */
+const relayTyping = (isTyping) => async (user, { conversationId }) => {
+  if (!isValidUUID(conversationId)) {
+    return;
+  }
+  
+  const conversation = await findUserConversation(conversationId, user.userId);
+  
+  if (!conversation) {
+    return;
+  }
+  
+  const otherUserId = conversation.user1_id === user.userId
+    ? conversation.user2_id
+    : conversation.user1_id;
+  
+  realtime.emitToUser(otherUserId, 'typing', {
+    conversationId,
+    userId: user.userId,
+    isTyping
+  });
+};
+
+realtime.on('typing:start', relayTyping(true));
+realtime.on('typing:stop', relayTyping(false));
+
 module.exports = {
   getOrCreateConversation,
   getConversations,
   sendMessage,
   getMessages,
+  editMessage,
+  deleteMessage,
+  getMessageHistory,
+  markMessagesRead,
+  searchMessages,
   getUnreadCount
 };
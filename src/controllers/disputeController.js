@@ -0,0 +1,394 @@
+const supabase = require('../config/supabase');
+const realtime = require('../services/realtime');
+const { recordAudit } = require('../services/auditLog');
+const { notifyJobStatus } = require('../services/jobCompletion');
+const { isCancellationDisputable, scheduleCancellationRefund } = require('../services/jobCancellation');
+const {
+  storeDisputeEvidence,
+  removeDisputeEvidence,
+  withEvidenceUrls
+} = require('../services/disputeEvidence');
+const { isValidUUID } = require('../utils/helpers');
+const {
+  JOB_STATUS,
+  DISPUTE_STATUS,
+  USER_ROLES,
+  AUDIT_ACTIONS
+} = require('../utils/constants');
+
+// Jobs can be disputed while work is under way or after a cancellation
+const DISPUTABLE_STATUSES = [
+  JOB_STATUS.IN_PROGRESS,
+  JOB_STATUS.COMPLETION_REQUESTED,
+  JOB_STATUS.CANCELLED
+];
+
+/**
+ * Find a dispute the current user is allowed to see
+ * @param {string} disputeId - Dispute ID
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} - { dispute } or { status, error }
+ */
+const findDisputeForUser = async (disputeId, user) => {
+  if (!isValidUUID(disputeId)) {
+    return { status: 400, error: 'Invalid dispute ID format' };
+  }
+
+  const { data: dispute, error } = await supabase
+    .from('disputes')
+    .select('*')
+    .eq('id', disputeId)
+    .maybeSingle();
+
+  if (error || !dispute) {
+    return { status: 404, error: 'Dispute not found' };
+  }
+
+  const isParty = dispute.claimant_id === user.userId || dispute.respondent_id === user.userId;
+
+  if (!isParty && user.role !== USER_ROLES.ADMIN) {
+    return { status: 404, error: 'Dispute not found' };
+  }
+
+  return { dispute };
+};
+
+/**
+ * Open a dispute on a job, freezing it until an admin resolves it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createDispute = async (req, res) => {
+  try {
+    const { jobId, reason, description } = req.body;
+    const claimantId = req.user.userId;
+
+    const { data: job, error: jobError } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', jobId)
+      .single();
+
+    if (jobError || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.customer_id !== claimantId && job.contractor_id !== claimantId) {
+      return res.status(403).json({ error: 'Only the customer or assigned contractor can dispute this job' });
+    }
+
+    if (!job.contractor_id) {
+      return res.status(409).json({ error: 'Only jobs with an assigned contractor can be disputed' });
+    }
+
+    if (job.status === JOB_STATUS.DISPUTED) {
+      return res.status(409).json({ error: 'This job already has an open dispute' });
+    }
+
+    if (!DISPUTABLE_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Cannot dispute a job in '${job.status}' status` });
+    }
+
+    // The held funds are refunded once the window passes
+    if (job.status === JOB_STATUS.CANCELLED && !isCancellationDisputable(job)) {
+      return res.status(409).json({ error: 'This cancellation can no longer be disputed' });
+    }
+
+    const respondentId = job.customer_id === claimantId ? job.contractor_id : job.customer_id;
+
+    // Evidence is only stored once the claimant may dispute this job
+    let evidence;
+    try {
+      evidence = await storeDisputeEvidence(req.files);
+    } catch (uploadError) {
+      console.error('Store dispute evidence error:', uploadError);
+      return res.status(400).json({ error: uploadError.message || 'File upload failed' });
+    }
+
+    // Open the dispute and freeze the job in one transaction
+    const { data: dispute, error } = await supabase
+      .rpc('open_dispute', {
+        p_job_id: jobId,
+        p_claimant_id: claimantId,
+        p_respondent_id: respondentId,
+        p_reason: reason,
+        p_description: description,
+        p_evidence: evidence
+      });
+
+    if (error) {
+      await removeDisputeEvidence(evidence);
+
+      if (error.code === 'HF409' || error.code === '23505') {
+        return res.status(409).json({ error: 'This job can no longer be disputed' });
+      }
+
+      console.error('Create dispute error:', error);
+      return res.status(400).json({ error: 'Failed to open dispute' });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DISPUTE_OPENED,
+      entityType: 'dispute',
+      entityId: dispute.id,
+      jobId,
+      after: dispute
+    });
+
+    notifyJobStatus({ ...job, status: JOB_STATUS.DISPUTED, updated_at: dispute.created_at });
+
+    const [signedDispute] = await withEvidenceUrls([dispute], 'evidence');
+
+    return res.status(201).json({
+      message: 'Dispute opened. An admin will review it shortly.',
+      dispute: signedDispute
+    });
+
+  } catch (error) {
+    console.error('Create dispute error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get disputes the current user raised or was named in
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyDisputes = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const { data: disputes, error } = await supabase
+      .from('disputes')
+      .select(`
+        *,
+        job:job_id(id, title, status)
+      `)
+      .or(`claimant_id.eq.${userId},respondent_id.eq.${userId}`)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Get my disputes error:', error);
+      return res.status(400).json({ error: 'Failed to fetch disputes' });
+    }
+
+    return res.status(200).json({
+      disputes
+    });
+
+  } catch (error) {
+    console.error('Get my disputes error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get a dispute with its message thread
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDispute = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const access = await findDisputeForUser(id, req.user);
+
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { data: dispute, error } = await supabase
+      .from('disputes')
+      .select(`
+        *,
+        job:job_id(id, title, status, budget),
+        claimant:claimant_id(id, full_name, role),
+        respondent:respondent_id(id, full_name, role)
+      `)
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      console.error('Get dispute error:', error);
+      return res.status(400).json({ error: 'Failed to fetch dispute' });
+    }
+
+    const { data: messages, error: messagesError } = await supabase
+      .from('dispute_messages')
+      .select('*, sender:sender_id(id, full_name, role)')
+      .eq('dispute_id', id)
+      .order('created_at', { ascending: true });
+
+    if (messagesError) {
+      console.error('Get dispute messages error:', messagesError);
+      return res.status(400).json({ error: 'Failed to fetch dispute messages' });
+    }
+
+    const [signedDispute] = await withEvidenceUrls([dispute], 'evidence');
+
+    return res.status(200).json({
+      dispute: signedDispute,
+      messages: await withEvidenceUrls(messages, 'attachments')
+    });
+
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Post a message, optionally with evidence files, in a dispute thread
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const postDisputeMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body;
+    const senderId = req.user.userId;
+
+    const access = await findDisputeForUser(id, req.user);
+
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const { dispute } = access;
+
+    if (dispute.status !== DISPUTE_STATUS.OPEN) {
+      return res.status(409).json({ error: 'This dispute is closed' });
+    }
+
+    const files = req.files || [];
+
+    if (!content && files.length === 0) {
+      return res.status(400).json({ error: 'Message content or an attachment is required' });
+    }
+
+    // Files are only stored once the sender may post in this dispute
+    let attachments;
+    try {
+      attachments = await storeDisputeEvidence(files);
+    } catch (uploadError) {
+      console.error('Store dispute evidence error:', uploadError);
+      return res.status(400).json({ error: uploadError.message || 'File upload failed' });
+    }
+
+    const { data: message, error } = await supabase
+      .from('dispute_messages')
+      .insert({
+        dispute_id: id,
+        sender_id: senderId,
+        content: content || '',
+        attachments,
+        created_at: new Date().toISOString()
+      })
+      .select('*, sender:sender_id(id, full_name, role)')
+      .single();
+
+    if (error) {
+      console.error('Post dispute message error:', error);
+      await removeDisputeEvidence(attachments);
+      return res.status(400).json({ error: 'Failed to send message' });
+    }
+
+    const [signedMessage] = await withEvidenceUrls([message], 'attachments');
+
+    [dispute.claimant_id, dispute.respondent_id]
+      .filter(userId => userId !== senderId)
+      .forEach(userId => realtime.emitToUser(userId, 'dispute:message', signedMessage));
+
+    return res.status(201).json({
+      message: 'Message sent',
+      disputeMessage: signedMessage
+    });
+
+  } catch (error) {
+    console.error('Post dispute message error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Withdraw a dispute and return the job to the status it had before
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const withdrawDispute = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    const access = await findDisputeForUser(id, req.user);
+
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    if (access.dispute.claimant_id !== userId) {
+      return res.status(403).json({ error: 'Only the user who opened the dispute can withdraw it' });
+    }
+
+    const { data: dispute, error } = await supabase
+      .rpc('close_dispute', {
+        p_dispute_id: id,
+        p_status: DISPUTE_STATUS.WITHDRAWN,
+        p_resolution: null,
+        p_job_status: null,
+        p_closed_by: userId,
+        p_note: null
+      });
+
+    if (error) {
+      if (error.code === 'HF409') {
+        return res.status(409).json({ error: 'This dispute is already closed' });
+      }
+
+      console.error('Withdraw dispute error:', error);
+      return res.status(400).json({ error: 'Failed to withdraw dispute' });
+    }
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.DISPUTE_WITHDRAWN,
+      entityType: 'dispute',
+      entityId: id,
+      jobId: dispute.job_id,
+      before: access.dispute,
+      after: dispute
+    });
+
+    const { data: job } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', dispute.job_id)
+      .single();
+
+    if (job) {
+      notifyJobStatus(job);
+
+      // Back to an undisputed cancellation, so the customer gets the refund it was holding
+      if (job.status === JOB_STATUS.CANCELLED) {
+        await scheduleCancellationRefund(job);
+      }
+    }
+
+    return res.status(200).json({
+      message: 'Dispute withdrawn',
+      dispute
+    });
+
+  } catch (error) {
+    console.error('Withdraw dispute error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  createDispute,
+  getMyDisputes,
+  getDispute,
+  postDisputeMessage,
+  withdrawDispute
+};
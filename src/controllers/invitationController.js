@@ -0,0 +1,305 @@
+const supabase = require('../config/supabase');
+const realtime = require('../services/realtime');
+const { isBlocked } = require('../services/blocks');
+const { withVisibleLocation } = require('../services/jobVisibility');
+const { isValidUUID, getPagination } = require('../utils/helpers');
+const {
+  JOB_STATUS,
+  INVITATION_STATUS,
+  ACCOUNT_STATUS,
+  VALIDATION
+} = require('../utils/constants');
+
+/**
+ * Invite contractors to bid on a job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const inviteContractors = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { contractorIds, message } = req.body;
+    const customerId = req.user.userId;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const { data: job, error: jobError } = await supabase
+      .from('jobs')
+      .select('id, title, status, customer_id')
+      .eq('id', id)
+      .single();
+
+    if (jobError || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.customer_id !== customerId) {
+      return res.status(403).json({ error: 'Only the job owner can invite contractors' });
+    }
+
+    if (job.status !== JOB_STATUS.OPEN) {
+      return res.status(409).json({ error: 'Can only invite contractors to open jobs' });
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('job_invitations')
+      .select('contractor_id')
+      .eq('job_id', id);
+
+    if (existingError) {
+      console.error('Check invitations error:', existingError);
+      return res.status(500).json({ error: 'Error checking existing invitations' });
+    }
+
+    // Contractors who were already invited are left alone
+    const alreadyInvited = new Set(existing.map(invitation => invitation.contractor_id));
+    const newIds = [...new Set(contractorIds)].filter(contractorId => !alreadyInvited.has(contractorId));
+
+    if (alreadyInvited.size + newIds.length > VALIDATION.MAX_INVITATIONS_PER_JOB) {
+      return res.status(400).json({
+        error: `A job can have at most ${VALIDATION.MAX_INVITATIONS_PER_JOB} invitations`
+      });
+    }
+
+    if (newIds.length === 0) {
+      return res.status(200).json({ message: 'These contractors have already been invited', invitations: [] });
+    }
+
+    const { data: contractors, error: contractorsError } = await supabase
+      .from('users')
+      .select('id')
+      .in('id', newIds)
+      .eq('role', 'contractor')
+      .eq('account_status', ACCOUNT_STATUS.ACTIVE);
+
+    if (contractorsError) {
+      console.error('Check contractors error:', contractorsError);
+      return res.status(500).json({ error: 'Error checking contractors' });
+    }
+
+    if (contractors.length !== newIds.length) {
+      return res.status(400).json({ error: 'Only active contractors can be invited' });
+    }
+
+    for (const contractorId of newIds) {
+      if (await isBlocked(customerId, contractorId)) {
+        return res.status(403).json({ error: 'You cannot interact with one of these contractors' });
+      }
+    }
+
+    const { data: invitations, error } = await supabase
+      .from('job_invitations')
+      .upsert(
+        newIds.map(contractorId => ({
+          job_id: id,
+          customer_id: customerId,
+          contractor_id: contractorId,
+          message: message || null
+        })),
+        { onConflict: 'job_id,contractor_id', ignoreDuplicates: true }
+      )
+      .select();
+
+    if (error) {
+      console.error('Invite contractors error:', error);
+      return res.status(400).json({ error: 'Failed to invite contractors' });
+    }
+
+    invitations.forEach(invitation => {
+      realtime.emitToUser(invitation.contractor_id, 'invitation:new', {
+        ...invitation,
+        job: { id: job.id, title: job.title }
+      });
+    });
+
+    return res.status(201).json({
+      message: `${invitations.length} contractor${invitations.length === 1 ? '' : 's'} invited`,
+      invitations
+    });
+
+  } catch (error) {
+    console.error('Invite contractors error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the invitations sent for a job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJobInvitations = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const { data: job, error: jobError } = await supabase
+      .from('jobs')
+      .select('id, customer_id')
+      .eq('id', id)
+      .single();
+
+    if (jobError || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.customer_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the job owner can view its invitations' });
+    }
+
+    const { data: invitations, error } = await supabase
+      .from('job_invitations')
+      .select(`
+        *,
+        contractor:contractor_id(id, full_name, profile_image, account_status)
+      `)
+      .eq('job_id', id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Get job invitations error:', error);
+      return res.status(400).json({ error: 'Failed to fetch invitations' });
+    }
+
+    return res.status(200).json({ invitations });
+
+  } catch (error) {
+    console.error('Get job invitations error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the current contractor's invitations, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyInvitations = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const { page, limit, from, to } = getPagination(req.query);
+
+    let query = supabase
+      .from('job_invitations')
+      .select(`
+        *,
+        job:job_id(id, title, category, budget, location, status, customer_id, contractor_id),
+        customer:customer_id(id, full_name, profile_image)
+      `, { count: 'exact' })
+      .eq('contractor_id', req.user.userId)
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: invitations, error, count } = await query;
+
+    if (error) {
+      console.error('Get my invitations error:', error);
+      return res.status(400).json({ error: 'Failed to fetch invitations' });
+    }
+
+    return res.status(200).json({
+      invitations: invitations.map(invitation => ({
+        ...invitation,
+        job: invitation.job && withVisibleLocation(invitation.job, req.user)
+      })),
+      pagination: {
+        totalCount: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my invitations error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Accept or decline an invitation on behalf of the invited contractor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} status - INVITATION_STATUS.ACCEPTED or INVITATION_STATUS.DECLINED
+ */
+const respondToInvitation = async (req, res, status) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid invitation ID format' });
+    }
+
+    const { data: invitation, error: fetchError } = await supabase
+      .from('job_invitations')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (invitation.contractor_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the invited contractor can answer this invitation' });
+    }
+
+    if (invitation.status !== INVITATION_STATUS.PENDING) {
+      return res.status(409).json({ error: `Invitation has already been ${invitation.status}` });
+    }
+
+    const { data: updatedInvitation, error } = await supabase
+      .from('job_invitations')
+      .update({
+        status,
+        responded_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', INVITATION_STATUS.PENDING)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Respond to invitation error:', error);
+      return res.status(400).json({ error: 'Failed to update invitation' });
+    }
+
+    if (!updatedInvitation) {
+      return res.status(409).json({ error: 'Invitation changed, please refresh and try again' });
+    }
+
+    realtime.emitToUser(invitation.customer_id, 'invitation:updated', updatedInvitation);
+
+    return res.status(200).json({
+      message: status === INVITATION_STATUS.ACCEPTED ? 'Invitation accepted' : 'Invitation declined',
+      invitation: updatedInvitation
+    });
+
+  } catch (error) {
+    console.error('Respond to invitation error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const acceptInvitation = (req, res) =>
+  respondToInvitation(req, res, INVITATION_STATUS.ACCEPTED);
+
+const declineInvitation = (req, res) =>
+  respondToInvitation(req, res, INVITATION_STATUS.DECLINED);
+
+module.exports = {
+  inviteContractors,
+  getJobInvitations,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation
+};
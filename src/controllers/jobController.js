@@ -1,5 +1,37 @@
 const supabase = require('../config/supabase');
+const { recordAudit } = require('../services/auditLog');
+const {
+  notifyJobStatus,
+  settleCompletedJob,
+  getAutoCompleteAt,
+  scheduleCompletionReminder
+} = require('../services/jobCompletion');
+const { sortMilestones, computeProgress } = require('../services/milestones');
+const { authorizeBid, cancelAuthorization } = require('../services/payments');
+const {
+  getCancellationDisputeDeadline,
+  isCancellationDisputable,
+  scheduleCancellationRefund
+} = require('../services/jobCancellation');
+const { generateInvoice, downloadInvoicePdf } = require('../services/invoices');
+const { calculateFees } = require('../services/fees');
+const { canViewJob, approximateLocation, withVisibleLocation } = require('../services/jobVisibility');
+const { buildJobSchedule } = require('../services/jobExpiry');
+const {
+  CONTRACTOR_FIELDS,
+  isActiveAccount,
+  withoutInactiveBidders
+} = require('../services/accountStatus');
+const { storePublicFiles } = require('../middleware/upload');
 const { isValidUUID } = require('../utils/helpers');
+const {
+  JOB_STATUS,
+  JOB_VISIBILITY,
+  BID_STATUS,
+  ACCOUNT_STATUS,
+  INVOICE_STATUS,
+  AUDIT_ACTIONS
+} = require('../utils/constants');
 
 /**
  * Create a new job
@@ -8,7 +40,7 @@ const { isValidUUID } = require('../utils/helpers');
  */
 const createJob = async (req, res) => {
   try {
-    const { title, description, category, location, budget, images } = req.body;
+    const { title, description, category, location, budget, images, visibility } = req.body;
     const customerId = req.user.userId;
     
     // Validate input
@@ -20,6 +52,12 @@ const createJob = async (req, res) => {
       return res.status(403).json({ error: 'Only customers can post jobs' });
     }
 
+    const { bidDeadline, expiresAt, error: scheduleError } = buildJobSchedule(req.body);
+
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
     // Create job in database
     const { data: job, error } = await supabase
       .from('jobs')
@@ -29,9 +67,13 @@ const createJob = async (req, res) => {
         customer_id: customerId,
         category,
         location: location || null,
+        approximate_location: approximateLocation(location),
         budget: parseFloat(budget),
         status: 'open',
-        images: images || null
+        images: images || null,
+        visibility: visibility || JOB_VISIBILITY.PUBLIC,
+        bid_deadline: bidDeadline,
+        expires_at: expiresAt
       })
       .select()
       .single();
@@ -41,6 +83,14 @@ const createJob = async (req, res) => {
       return res.status(400).json({ error: 'Failed to create job' });
     }
 
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.JOB_CREATED,
+      entityType: 'job',
+      entityId: job.id,
+      jobId: job.id,
+      after: job
+    });
+
     return res.status(201).json({
       message: 'Job created successfully',
       job
@@ -59,7 +109,21 @@ const createJob = async (req, res) => {
  */
 const getJobs = async (req, res) => {
   try {
-    const { category, status, location, minBudget, maxBudget, customerId, page = 1, limit = 10 } = req.query;
+    const { category, status, location, minBudget, maxBudget, customerId, invited, page = 1, limit = 10 } = req.query;
+    
+    // Contractors can narrow the list to jobs they were invited to
+    const onlyInvited = invited === 'true' && req.user.role === 'contractor';
+    const invitationSelect = onlyInvited
+      ? ', invitations:job_invitations!inner(id, status, contractor_id)'
+      : '';
+    
+    // Only public jobs are listed, except to their owner and invited contractors
+    const ownJobsOnly = customerId === req.user.userId;
+    
+    // Jobs of suspended and deactivated accounts are left out for everyone but
+    // admins; customers still see their own jobs whoever was hired for them
+    const hideInactiveAccounts = req.user.role !== 'admin';
+    const customerSelect = hideInactiveAccounts ? 'customer:customer_id!inner' : 'customer:customer_id';
     
     // Calculate pagination values
     const from = (page - 1) * limit;
@@ -70,13 +134,26 @@ const getJobs = async (req, res) => {
       .from('jobs')
       .select(`
         *,
-        customer:customer_id(id, full_name, email, profile_image),
-        contractor:contractor_id(id, full_name, email, profile_image),
-        bids:bids(count)
+        ${customerSelect}(id, full_name, email, profile_image),
+        contractor:contractor_id(${CONTRACTOR_FIELDS}),
+        bids:bids(count)${invitationSelect}
       `, { count: 'exact' })
+      .eq('is_hidden', false)
       .order('created_at', { ascending: false })
       .range(from, to);
     
+    if (hideInactiveAccounts) {
+      query = query.eq('customer.account_status', ACCOUNT_STATUS.ACTIVE);
+    }
+    
+    // An inactive contractor's embed comes back empty, so keep only jobs with
+    // no contractor or an active one
+    if (hideInactiveAccounts && !ownJobsOnly) {
+      query = query
+        .eq('contractor.account_status', ACCOUNT_STATUS.ACTIVE)
+        .or('contractor_id.is.null,contractor.not.is.null');
+    }
+    
     // Apply filters if provided
     if (category) {
       query = query.eq('category', category);
@@ -86,8 +163,16 @@ const getJobs = async (req, res) => {
       query = query.eq('status', status);
     }
     
+    // Leave out open jobs that expired since the last expiry sweep
+    if (status === JOB_STATUS.OPEN) {
+      query = query.or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+    }
+    
+    // Match the exact address only for the customer's own jobs and admins,
+    // so nobody else can find a job by searching for a street
     if (location) {
-      query = query.ilike('location', `%${location}%`);
+      const locationColumn = ownJobsOnly || req.user.role === 'admin' ? 'location' : 'approximate_location';
+      query = query.ilike(locationColumn, `%${location}%`);
     }
     
     if (minBudget) {
@@ -102,6 +187,12 @@ const getJobs = async (req, res) => {
       query = query.eq('customer_id', customerId);
     }
     
+    if (onlyInvited) {
+      query = query.eq('invitations.contractor_id', req.user.userId);
+    } else if (!ownJobsOnly) {
+      query = query.eq('visibility', JOB_VISIBILITY.PUBLIC);
+    }
+    
     // Execute query
     const { data: jobs, error, count } = await query;
     
@@ -112,7 +203,7 @@ const getJobs = async (req, res) => {
     
     // Format the response with pagination metadata
     return res.status(200).json({
-      jobs,
+      jobs: jobs.map(job => withVisibleLocation(job, req.user)),
       pagination: {
         totalCount: count,
         page: parseInt(page),
@@ -146,8 +237,9 @@ const getJobById = async (req, res) => {
       .select(`
         *,
         customer:customer_id(id, full_name, email, profile_image),
-        contractor:contractor_id(id, full_name, email, profile_image),
-        bids(*, contractor:contractor_id(id, full_name, email, profile_image))
+        contractor:contractor_id(${CONTRACTOR_FIELDS}),
+        bids(*, contractor:contractor_id(${CONTRACTOR_FIELDS})),
+        milestones:job_milestones(*)
       `)
       .eq('id', id)
       .single();
@@ -160,6 +252,18 @@ const getJobById = async (req, res) => {
     const isCustomer = job.customer_id === req.user.userId;
     const isContractor = job.contractor_id === req.user.userId;
     
+    // Jobs hidden by a moderator stay visible to the people working on them
+    if (job.is_hidden && !isCustomer && !isContractor && req.user.role !== 'admin') {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    // Invite-only jobs look like they don't exist to anyone not invited
+    if (!(await canViewJob(job, req.user))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    job.bids = withoutInactiveBidders(job.bids, req.user);
+    
     // If user is not the customer, remove contractor bid details if they're a contractor
     if (!isCustomer && req.user.role === 'contractor' && !isContractor) {
       // Filter out other contractors' bid details
@@ -174,14 +278,29 @@ const getJobById = async (req, res) => {
             // Remove sensitive bid details
             amount: null,
             proposal: null,
-            estimated_days: null
+            estimated_days: null,
+            line_items: null,
+            tax_amount: null,
+            milestones: null,
+            negotiation: null,
+            withdrawal_reason: null
           };
         }
         return bid;
       });
     }
     
-    return res.status(200).json({ job });
+    // Milestones carry the agreed price, so only the parties see them
+    job.milestones = isCustomer || isContractor || req.user.role === 'admin'
+      ? sortMilestones(job.milestones)
+      : [];
+    
+    return res.status(200).json({
+      job: withVisibleLocation(job, req.user),
+      progress: computeProgress(job.milestones),
+      autoCompleteAt: getAutoCompleteAt(job),
+      cancellationDisputableUntil: isCancellationDisputable(job) ? getCancellationDisputeDeadline(job) : null
+    });
 
   } catch (error) {
     console.error('Get job by ID error:', error);
@@ -197,7 +316,8 @@ const getJobById = async (req, res) => {
 const updateJob = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, category, location, budget, status, images } = req.body;
+    const { title, description, category, location, budget, status, images, visibility, bidDeadline, expiresAt } = req.body;
+    const changesSchedule = bidDeadline !== undefined || expiresAt !== undefined;
     
     if (!isValidUUID(id)) {
       return res.status(400).json({ error: 'Invalid job ID format' });
@@ -219,13 +339,25 @@ const updateJob = async (req, res) => {
       return res.status(403).json({ error: 'You do not have permission to update this job' });
     }
     
+    // Disputed jobs are frozen until an admin resolves the dispute
+    if (existingJob.status === JOB_STATUS.DISPUTED) {
+      return res.status(409).json({ error: 'This job cannot be changed while a dispute is open' });
+    }
+    
+    if (visibility !== undefined && !Object.values(JOB_VISIBILITY).includes(visibility)) {
+      return res.status(400).json({ error: 'Invalid job visibility' });
+    }
+    
     // Validate status transition
     if (status && status !== existingJob.status) {
       const validTransitions = {
         'open': ['cancelled', 'in_progress'],
         'in_progress': ['completed', 'cancelled'],
+        'completion_requested': [], // Use the confirm/decline completion endpoints
+        'disputed': [], // Changed only by resolving the dispute
         'completed': [], // Cannot change from completed
-        'cancelled': [] // Cannot change from cancelled
+        'cancelled': [], // Cannot change from cancelled
+        'expired': ['cancelled'] // Use the reopen/repost endpoints to open it again
       };
       
       if (!validTransitions[existingJob.status].includes(status)) {
@@ -245,18 +377,43 @@ const updateJob = async (req, res) => {
     if (title) updateData.title = title;
     if (description) updateData.description = description;
     if (category) updateData.category = category;
-    if (location !== undefined) updateData.location = location;
+    if (location !== undefined) {
+      updateData.location = location;
+      updateData.approximate_location = approximateLocation(location);
+    }
     if (budget) updateData.budget = parseFloat(budget);
     if (status) updateData.status = status;
+    if (status === 'completed' && existingJob.status !== 'completed') {
+      updateData.completed_at = new Date().toISOString();
+    }
+    if (status === 'cancelled' && existingJob.status !== 'cancelled') {
+      updateData.cancelled_at = new Date().toISOString();
+    }
     if (images) updateData.images = images;
+    if (visibility) updateData.visibility = visibility;
     
     // Only allow updating certain fields if job is still open
-    if (existingJob.status !== 'open' && (title || description || category || budget || location)) {
+    if (existingJob.status !== 'open' && (title || description || category || budget || location || changesSchedule)) {
       return res.status(400).json({ 
         error: 'Can only update job details when the job is in open status' 
       });
     }
     
+    // Dates left out of the request keep their current values
+    if (changesSchedule) {
+      const schedule = buildJobSchedule({
+        bidDeadline: bidDeadline !== undefined ? bidDeadline : existingJob.bid_deadline,
+        expiresAt: expiresAt !== undefined ? expiresAt : existingJob.expires_at
+      });
+      
+      if (schedule.error) {
+        return res.status(400).json({ error: schedule.error });
+      }
+      
+      updateData.bid_deadline = schedule.bidDeadline;
+      updateData.expires_at = schedule.expiresAt;
+    }
+    
     // Add updated_at timestamp
     updateData.updated_at = new Date().toISOString();
     
@@ -273,6 +430,35 @@ const updateJob = async (req, res) => {
       return res.status(400).json({ error: 'Failed to update job' });
     }
     
+    await recordAudit(req, {
+      action: updatedJob.status !== existingJob.status
+        ? AUDIT_ACTIONS.JOB_STATUS_CHANGED
+        : AUDIT_ACTIONS.JOB_UPDATED,
+      entityType: 'job',
+      entityId: id,
+      jobId: id,
+      before: existingJob,
+      after: updatedJob
+    });
+    
+    // Settle the held payment when the job ends
+    if (updatedJob.status !== existingJob.status) {
+      try {
+        if (updatedJob.status === JOB_STATUS.COMPLETED) {
+          await settleCompletedJob(req, id);
+        } else if (updatedJob.status === JOB_STATUS.CANCELLED) {
+          // The contractor may dispute the cancellation, so the refund waits for the window to close
+          await scheduleCancellationRefund(updatedJob);
+        }
+      } catch (paymentError) {
+        console.error('Settle job payment error:', paymentError);
+        return res.status(502).json({
+          error: 'Job updated, but its payment could not be settled; the funds are still held',
+          job: updatedJob
+        });
+      }
+    }
+    
     return res.status(200).json({
       message: 'Job updated successfully',
       job: updatedJob
@@ -346,6 +532,14 @@ const deleteJob = async (req, res) => {
       return res.status(400).json({ error: 'Failed to delete job' });
     }
     
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.JOB_DELETED,
+      entityType: 'job',
+      entityId: id,
+      jobId: id,
+      before: existingJob
+    });
+    
     return res.status(200).json({
       message: 'Job deleted successfully'
     });
@@ -356,6 +550,166 @@ const deleteJob = async (req, res) => {
   }
 };
 
+/**
+ * Fetch one of a customer's expired jobs to re-open or repost
+ * @param {string} jobId - Job ID
+ * @param {string} customerId - Customer making the change
+ * @returns {Promise<Object>} - { job } or { status, error }
+ */
+const findExpiredJob = async (jobId, customerId) => {
+  if (!isValidUUID(jobId)) {
+    return { status: 400, error: 'Invalid job ID format' };
+  }
+  
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+  
+  if (error || !job) {
+    return { status: 404, error: 'Job not found' };
+  }
+  
+  if (job.customer_id !== customerId) {
+    return { status: 403, error: 'You do not have permission to change this job' };
+  }
+  
+  if (job.status !== JOB_STATUS.EXPIRED) {
+    return { status: 409, error: 'Only expired jobs can be re-opened or reposted' };
+  }
+  
+  return { job };
+};
+
+/**
+ * Re-open an expired job with a new expiry, keeping its bids
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reopenJob = async (req, res) => {
+  try {
+    const { job, status, error: findError } = await findExpiredJob(req.params.id, req.user.userId);
+    
+    if (findError) {
+      return res.status(status).json({ error: findError });
+    }
+    
+    const { bidDeadline, expiresAt, error: scheduleError } = buildJobSchedule(req.body);
+    
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+    
+    const { data: reopenedJob, error } = await supabase
+      .from('jobs')
+      .update({
+        status: JOB_STATUS.OPEN,
+        bid_deadline: bidDeadline,
+        expires_at: expiresAt,
+        expired_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', job.id)
+      .eq('status', JOB_STATUS.EXPIRED)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      console.error('Reopen job error:', error);
+      return res.status(400).json({ error: 'Failed to re-open job' });
+    }
+    
+    if (!reopenedJob) {
+      return res.status(409).json({ error: 'Job changed, please refresh and try again' });
+    }
+    
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.JOB_REOPENED,
+      entityType: 'job',
+      entityId: job.id,
+      jobId: job.id,
+      before: job,
+      after: reopenedJob
+    });
+    
+    notifyJobStatus(reopenedJob);
+    
+    return res.status(200).json({
+      message: 'Job re-opened',
+      job: reopenedJob
+    });
+
+  } catch (error) {
+    console.error('Reopen job error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Post a fresh copy of an expired job; the expired job and its bids stay as they were
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const repostJob = async (req, res) => {
+  try {
+    const { job, status, error: findError } = await findExpiredJob(req.params.id, req.user.userId);
+    
+    if (findError) {
+      return res.status(status).json({ error: findError });
+    }
+    
+    const { bidDeadline, expiresAt, error: scheduleError } = buildJobSchedule(req.body);
+    
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+    
+    const { data: repostedJob, error } = await supabase
+      .from('jobs')
+      .insert({
+        title: job.title,
+        description: job.description,
+        customer_id: job.customer_id,
+        category: job.category,
+        location: job.location,
+        approximate_location: approximateLocation(job.location),
+        budget: job.budget,
+        status: JOB_STATUS.OPEN,
+        images: job.images,
+        visibility: job.visibility,
+        bid_deadline: bidDeadline,
+        expires_at: expiresAt,
+        reposted_from: job.id
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      console.error('Repost job error:', error);
+      return res.status(400).json({ error: 'Failed to repost job' });
+    }
+    
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.JOB_REPOSTED,
+      entityType: 'job',
+      entityId: repostedJob.id,
+      jobId: repostedJob.id,
+      before: job,
+      after: repostedJob
+    });
+    
+    return res.status(201).json({
+      message: 'Job reposted',
+      job: repostedJob
+    });
+
+  } catch (error) {
+    console.error('Repost job error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 /**
  * Assign a contractor to a job
  * @param {Object} req - Express request object
@@ -387,7 +741,7 @@ const assignContractor = async (req, res) => {
     
     // Verify job is in the correct status
     if (job.status !== 'open') {
-      return res.status(400).json({ error: 'Can only assign contractor to jobs in open status' });
+      return res.status(409).json({ error: 'Can only assign contractor to jobs in open status' });
     }
     
     // Check if the bid exists and is for the correct job
@@ -402,64 +756,95 @@ const assignContractor = async (req, res) => {
       return res.status(404).json({ error: 'Bid not found for this job' });
     }
     
-    // Start a transaction to update both the job and the bid status
-    // (Supabase doesn't directly support transactions, so we'll do our best to make this atomic)
+    // A countered bid must be answered by the contractor first
+    if (bid.status !== BID_STATUS.PENDING) {
+      return res.status(409).json({ error: `Only pending bids can be accepted; this bid is ${bid.status}` });
+    }
     
-    // Update the job with the contractor
-    const { data: updatedJob, error: updateJobError } = await supabase
-      .from('jobs')
-      .update({
-        contractor_id: bid.contractor_id,
-        status: 'in_progress',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', jobId)
-      .select()
+    // Suspended and deactivated contractors can't take on new work
+    const { data: contractor, error: contractorError } = await supabase
+      .from('users')
+      .select('account_status')
+      .eq('id', bid.contractor_id)
       .single();
     
-    if (updateJobError) {
-      console.error('Update job error:', updateJobError);
-      return res.status(400).json({ error: 'Failed to assign contractor to the job' });
+    if (contractorError || !isActiveAccount(contractor)) {
+      return res.status(409).json({ error: 'This contractor\'s account is no longer active' });
     }
     
-    // Update the winning bid status
-    const { error: updateBidError } = await supabase
-      .from('bids')
-      .update({
-        status: 'accepted',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', bidId);
+    // Freeze the fee so later rule changes don't rewrite what was agreed
+    const feeBreakdown = calculateFees(bid.amount, job.category);
     
-    if (updateBidError) {
-      console.error('Update bid error:', updateBidError);
+    // Hold the bid amount before committing the customer to it
+    let authorization;
+    
+    try {
+      authorization = await authorizeBid(job, bid);
+    } catch (paymentError) {
+      console.error('Authorize payment error:', paymentError);
+      return res.status(402).json({ error: 'Payment could not be authorized' });
+    }
+    
+    // Assign the contractor, accept this bid, reject the others and record the
+    // held payment in one transaction; it only succeeds while the job is still open
+    const { data: updatedJob, error: assignError } = await supabase
+      .rpc('assign_contractor', {
+        p_job_id: jobId,
+        p_bid_id: bidId,
+        p_provider: authorization.provider,
+        p_provider_reference: authorization.reference,
+        p_currency: authorization.currency,
+        p_assigned_by: req.user.userId,
+        p_fee_breakdown: feeBreakdown
+      });
+    
+    if (assignError) {
+      await cancelAuthorization(authorization);
       
-      // Try to roll back the job update if bid update fails
-      await supabase
-        .from('jobs')
-        .update({
-          contractor_id: null,
-          status: 'open',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', jobId);
+      if (assignError.code === 'HF409') {
+        return res.status(409).json({ error: 'This job or bid is no longer open for assignment' });
+      }
       
-      return res.status(400).json({ error: 'Failed to update bid status' });
+      if (assignError.code === 'P0002') {
+        return res.status(404).json({ error: 'Bid not found for this job' });
+      }
+      
+      console.error('Assign contractor error:', assignError);
+      return res.status(400).json({ error: 'Failed to assign contractor to the job' });
     }
     
-    // Update other bids for this job to rejected
-    const { error: rejectBidsError } = await supabase
-      .from('bids')
-      .update({
-        status: 'rejected',
-        updated_at: new Date().toISOString()
-      })
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.JOB_CONTRACTOR_ASSIGNED,
+      entityType: 'job',
+      entityId: jobId,
+      jobId,
+      before: job,
+      after: updatedJob
+    });
+    
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.BID_ACCEPTED,
+      entityType: 'bid',
+      entityId: bidId,
+      jobId,
+      before: bid,
+      after: { ...bid, status: 'accepted', fee_breakdown: feeBreakdown }
+    });
+    
+    const { data: payment } = await supabase
+      .from('payments')
+      .select('*')
       .eq('job_id', jobId)
-      .neq('id', bidId);
+      .maybeSingle();
     
-    if (rejectBidsError) {
-      console.error('Reject other bids error:', rejectBidsError);
-      // Not critical, so continue without rolling back
+    if (payment) {
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.PAYMENT_AUTHORIZED,
+        entityType: 'payment',
+        entityId: payment.id,
+        jobId,
+        after: payment
+      });
     }
     
     return res.status(200).json({
@@ -484,6 +869,11 @@ const getMyJobs = async (req, res) => {
     const role = req.user.role;
     const { status, page = 1, limit = 10 } = req.query;
     
+    // Customers see how many questions on each job still need an answer
+    const questionSelect = role === 'customer'
+      ? ', unanswered_questions:job_questions(count)'
+      : '';
+    
     // Calculate pagination values
     const from = (page - 1) * limit;
     const to = from + limit - 1;
@@ -493,14 +883,16 @@ const getMyJobs = async (req, res) => {
       .select(`
         *,
         customer:customer_id(id, full_name, email, profile_image),
-        contractor:contractor_id(id, full_name, email, profile_image),
-        bids:bids(count)
+        contractor:contractor_id(${CONTRACTOR_FIELDS}),
+        bids:bids(count)${questionSelect}
       `, { count: 'exact' })
       .order('created_at', { ascending: false })
       .range(from, to);
     
     if (role === 'customer') {
-      query = query.eq('customer_id', userId);
+      query = query
+        .eq('customer_id', userId)
+        .is('unanswered_questions.answered_at', null);
     } else if (role === 'contractor') {
       query = query.eq('contractor_id', userId);
     }
@@ -532,12 +924,355 @@ const getMyJobs = async (req, res) => {
   }
 };
 
+/**
+ * Remove completion photos that were stored for a request that failed
+ * @param {Array<Object>} storedImages - Files stored in the uploads bucket
+ */
+const removeStoredImages = async (storedImages) => {
+  if (storedImages.length === 0) return;
+  
+  const { error } = await supabase.storage
+    .from('uploads')
+    .remove(storedImages.map(file => file.filePath));
+  
+  if (error) {
+    console.error('Remove completion images error:', error);
+  }
+};
+
+/**
+ * Ask the customer to confirm a job is finished
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const requestCompletion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+    
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+    
+    const { data: job, error: jobError } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (jobError || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job.contractor_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the assigned contractor can request completion' });
+    }
+    
+    if (job.status !== JOB_STATUS.IN_PROGRESS) {
+      return res.status(409).json({ error: 'Can only request completion for jobs in progress' });
+    }
+    
+    // Photos of the finished work are only stored once the contractor may request completion
+    let storedImages;
+    try {
+      storedImages = await storePublicFiles(req.files || []);
+    } catch (uploadError) {
+      console.error('Store completion images error:', uploadError);
+      return res.status(400).json({ error: uploadError.message || 'File upload failed' });
+    }
+    
+    const images = storedImages.map(file => file.publicUrl);
+    const now = new Date().toISOString();
+    
+    const { data: updatedJob, error: updateError } = await supabase
+      .from('jobs')
+      .update({
+        status: JOB_STATUS.COMPLETION_REQUESTED,
+        completion_requested_at: now,
+        completion_notes: notes || null,
+        completion_images: images.length > 0 ? images : null,
+        completion_declined_reason: null,
+        updated_at: now
+      })
+      .eq('id', id)
+      .eq('status', JOB_STATUS.IN_PROGRESS)
+      .select()
+      .maybeSingle();
+    
+    if (updateError || !updatedJob) {
+      await removeStoredImages(storedImages);
+    }
+    
+    if (updateError) {
+      console.error('Request completion error:', updateError);
+      return res.status(400).json({ error: 'Failed to request completion' });
+    }
+    
+    if (!updatedJob) {
+      return res.status(409).json({ error: 'Can only request completion for jobs in progress' });
+    }
+    
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.JOB_COMPLETION_REQUESTED,
+      entityType: 'job',
+      entityId: id,
+      jobId: id,
+      before: job,
+      after: updatedJob
+    });
+    
+    notifyJobStatus(updatedJob);
+    await scheduleCompletionReminder(updatedJob);
+    
+    return res.status(200).json({
+      message: 'Completion requested. The customer has been asked to confirm.',
+      job: updatedJob,
+      autoCompleteAt: getAutoCompleteAt(updatedJob)
+    });
+
+  } catch (error) {
+    console.error('Request completion error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Confirm a job is finished
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const confirmCompletion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+    
+    const { data: job, error: jobError } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (jobError || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job.customer_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the job owner can confirm completion' });
+    }
+    
+    // The customer may also complete a job before the contractor asks
+    const completableStatuses = [JOB_STATUS.IN_PROGRESS, JOB_STATUS.COMPLETION_REQUESTED];
+    
+    if (!completableStatuses.includes(job.status)) {
+      return res.status(409).json({ error: `Cannot complete a job in '${job.status}' status` });
+    }
+    
+    const now = new Date().toISOString();
+    
+    const { data: updatedJob, error: updateError } = await supabase
+      .from('jobs')
+      .update({
+        status: JOB_STATUS.COMPLETED,
+        completed_at: now,
+        updated_at: now
+      })
+      .eq('id', id)
+      .in('status', completableStatuses)
+      .select()
+      .maybeSingle();
+    
+    if (updateError) {
+      console.error('Confirm completion error:', updateError);
+      return res.status(400).json({ error: 'Failed to complete job' });
+    }
+    
+    if (!updatedJob) {
+      return res.status(409).json({ error: 'Job status changed, please refresh and try again' });
+    }
+    
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.JOB_COMPLETED,
+      entityType: 'job',
+      entityId: id,
+      jobId: id,
+      before: job,
+      after: updatedJob
+    });
+    
+    notifyJobStatus(updatedJob);
+    
+    try {
+      await settleCompletedJob(req, id);
+    } catch (paymentError) {
+      console.error('Release job payment error:', paymentError);
+      return res.status(502).json({
+        error: 'Job completed, but the payment could not be released to the contractor; the funds are still held',
+        job: updatedJob
+      });
+    }
+    
+    return res.status(200).json({
+      message: 'Job marked as completed',
+      job: updatedJob
+    });
+
+  } catch (error) {
+    console.error('Confirm completion error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Decline a completion request and send the job back to in progress
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const declineCompletion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+    
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+    
+    const { data: job, error: jobError } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (jobError || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job.customer_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the job owner can decline completion' });
+    }
+    
+    if (job.status !== JOB_STATUS.COMPLETION_REQUESTED) {
+      return res.status(409).json({ error: 'There is no pending completion request for this job' });
+    }
+    
+    const { data: updatedJob, error: updateError } = await supabase
+      .from('jobs')
+      .update({
+        status: JOB_STATUS.IN_PROGRESS,
+        completion_requested_at: null,
+        completion_declined_reason: reason,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', JOB_STATUS.COMPLETION_REQUESTED)
+      .select()
+      .maybeSingle();
+    
+    if (updateError) {
+      console.error('Decline completion error:', updateError);
+      return res.status(400).json({ error: 'Failed to decline completion' });
+    }
+    
+    if (!updatedJob) {
+      return res.status(409).json({ error: 'There is no pending completion request for this job' });
+    }
+    
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.JOB_COMPLETION_DECLINED,
+      entityType: 'job',
+      entityId: id,
+      jobId: id,
+      before: job,
+      after: updatedJob
+    });
+    
+    notifyJobStatus(updatedJob);
+    
+    return res.status(200).json({
+      message: 'Completion declined. The contractor has been notified.',
+      job: updatedJob
+    });
+
+  } catch (error) {
+    console.error('Decline completion error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Download the PDF invoice of a completed job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJobInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+    
+    const { data: job, error: jobError } = await supabase
+      .from('jobs')
+      .select('id, customer_id, contractor_id, status')
+      .eq('id', id)
+      .single();
+    
+    // Invoices carry both parties' details, so nobody else learns the job has one
+    const isParty = job && (job.customer_id === req.user.userId || job.contractor_id === req.user.userId);
+    
+    if (jobError || !isParty) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job.status !== JOB_STATUS.COMPLETED) {
+      return res.status(409).json({ error: 'An invoice is available once the job is completed' });
+    }
+    
+    // Normally generated on completion; this catches up if that failed
+    const invoice = await generateInvoice(id);
+    
+    if (!invoice) {
+      return res.status(404).json({ error: 'This job has no accepted bid to invoice' });
+    }
+    
+    // Another request is still storing the PDF
+    if (invoice.status !== INVOICE_STATUS.READY) {
+      return res.status(202).json({
+        status: INVOICE_STATUS.PENDING,
+        message: 'The invoice is still being prepared, please try again in a moment'
+      });
+    }
+    
+    const pdf = await downloadInvoicePdf(invoice);
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.invoice_number}.pdf"`
+    });
+    
+    return res.status(200).send(pdf);
+
+  } catch (error) {
+    console.error('Get job invoice error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 module.exports = {
   createJob,
   getJobs,
   getJobById,
   updateJob,
   deleteJob,
+  reopenJob,
+  repostJob,
   assignContractor,
-  getMyJobs
+  getMyJobs,
+  requestCompletion,
+  confirmCompletion,
+  declineCompletion,
+  getJobInvoice
 };
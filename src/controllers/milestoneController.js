@@ -0,0 +1,268 @@
+const supabase = require('../config/supabase');
+const realtime = require('../services/realtime');
+const { recordAudit } = require('../services/auditLog');
+const { sortMilestones, computeProgress } = require('../services/milestones');
+const { releasePayment } = require('../services/payments');
+const { isValidUUID } = require('../utils/helpers');
+const { JOB_STATUS, MILESTONE_STATUS, AUDIT_ACTIONS } = require('../utils/constants');
+
+// Milestones can only move while work on the job is under way
+const ACTIVE_JOB_STATUSES = [JOB_STATUS.IN_PROGRESS, JOB_STATUS.COMPLETION_REQUESTED];
+
+/**
+ * Fetch a job's milestones and tell both parties about a change to one of them
+ * @param {Object} job - Job row
+ * @param {Object} milestone - Updated milestone
+ * @returns {Promise<Object|null>} - Current progress of the job
+ */
+const notifyMilestoneChange = async (job, milestone) => {
+  const { data: milestones } = await supabase
+    .from('job_milestones')
+    .select('*')
+    .eq('job_id', job.id);
+
+  const progress = computeProgress(milestones || []);
+  const payload = { jobId: job.id, milestone, progress };
+
+  realtime.emitToUser(job.customer_id, 'milestone:updated', payload);
+  realtime.emitToUser(job.contractor_id, 'milestone:updated', payload);
+
+  return progress;
+};
+
+/**
+ * Move a milestone from one status to another on behalf of a job party
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - Transition details
+ * @param {string} options.party - 'contractor' or 'customer', who may make the change
+ * @param {string} options.from - Required current milestone status
+ * @param {Object} options.changes - Columns to update
+ * @param {string} options.action - Audit action to record
+ * @param {string} options.message - Success message
+ * @param {Function} [options.afterChange] - Called with the updated milestone once the change is committed
+ * @param {string} [options.afterChangeFailure] - Error returned (502) if afterChange throws
+ */
+const changeMilestoneStatus = async (req, res, { party, from, changes, action, message, afterChange, afterChangeFailure }) => {
+  try {
+    const { id, milestoneId } = req.params;
+
+    if (!isValidUUID(id) || !isValidUUID(milestoneId)) {
+      return res.status(400).json({ error: 'Invalid job ID or milestone ID format' });
+    }
+
+    const { data: job, error: jobError } = await supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (jobError || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const partyId = party === 'contractor' ? job.contractor_id : job.customer_id;
+
+    if (partyId !== req.user.userId) {
+      return res.status(403).json({
+        error: party === 'contractor'
+          ? 'Only the assigned contractor can submit milestones'
+          : 'Only the job owner can review milestones'
+      });
+    }
+
+    if (job.status === JOB_STATUS.DISPUTED) {
+      return res.status(409).json({ error: 'This job cannot be changed while a dispute is open' });
+    }
+
+    if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: 'Milestones can only change while the job is in progress' });
+    }
+
+    const { data: milestone, error: milestoneError } = await supabase
+      .from('job_milestones')
+      .select('*')
+      .eq('id', milestoneId)
+      .eq('job_id', id)
+      .maybeSingle();
+
+    if (milestoneError || !milestone) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    if (milestone.status !== from) {
+      return res.status(409).json({ error: `Milestone is ${milestone.status}, expected ${from}` });
+    }
+
+    // Only apply the change if nobody moved the milestone in the meantime
+    const { data: updatedMilestone, error } = await supabase
+      .from('job_milestones')
+      .update({
+        ...changes,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', milestoneId)
+      .eq('status', from)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Update milestone error:', error);
+      return res.status(400).json({ error: 'Failed to update milestone' });
+    }
+
+    if (!updatedMilestone) {
+      return res.status(409).json({ error: 'Milestone changed, please refresh and try again' });
+    }
+
+    await recordAudit(req, {
+      action,
+      entityType: 'milestone',
+      entityId: milestoneId,
+      jobId: id,
+      before: milestone,
+      after: updatedMilestone
+    });
+
+    const progress = await notifyMilestoneChange(job, updatedMilestone);
+
+    if (afterChange) {
+      try {
+        await afterChange(updatedMilestone);
+      } catch (afterChangeError) {
+        console.error('Milestone follow-up error:', afterChangeError);
+        return res.status(502).json({
+          error: afterChangeFailure,
+          milestone: updatedMilestone,
+          progress
+        });
+      }
+    }
+
+    return res.status(200).json({
+      message,
+      milestone: updatedMilestone,
+      progress
+    });
+
+  } catch (error) {
+    console.error('Update milestone error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get a job's milestones and progress
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJobMilestones = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const { data: job, error: jobError } = await supabase
+      .from('jobs')
+      .select('id, customer_id, contractor_id')
+      .eq('id', id)
+      .single();
+
+    if (jobError || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const isParty = job.customer_id === req.user.userId || job.contractor_id === req.user.userId;
+
+    if (!isParty && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only the job owner and assigned contractor can view milestones' });
+    }
+
+    const { data: milestones, error } = await supabase
+      .from('job_milestones')
+      .select('*')
+      .eq('job_id', id);
+
+    if (error) {
+      console.error('Get milestones error:', error);
+      return res.status(400).json({ error: 'Failed to fetch milestones' });
+    }
+
+    return res.status(200).json({
+      milestones: sortMilestones(milestones),
+      progress: computeProgress(milestones)
+    });
+
+  } catch (error) {
+    console.error('Get milestones error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Submit a milestone for the customer to approve
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const submitMilestone = (req, res) =>
+  changeMilestoneStatus(req, res, {
+    party: 'contractor',
+    from: MILESTONE_STATUS.PENDING,
+    changes: {
+      status: MILESTONE_STATUS.SUBMITTED,
+      submission_note: (req.body && req.body.note) || null,
+      submitted_at: new Date().toISOString(),
+      rejection_reason: null
+    },
+    action: AUDIT_ACTIONS.MILESTONE_SUBMITTED,
+    message: 'Milestone submitted for approval'
+  });
+
+/**
+ * Approve a submitted milestone and release its payment to the contractor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveMilestone = (req, res) =>
+  changeMilestoneStatus(req, res, {
+    party: 'customer',
+    from: MILESTONE_STATUS.SUBMITTED,
+    changes: {
+      status: MILESTONE_STATUS.APPROVED,
+      approved_at: new Date().toISOString()
+    },
+    action: AUDIT_ACTIONS.MILESTONE_APPROVED,
+    message: 'Milestone approved',
+    // Pay the contractor for the approved stage
+    afterChange: (milestone) => releasePayment(req, milestone.job_id, {
+      amount: milestone.amount,
+      milestoneId: milestone.id
+    }),
+    afterChangeFailure: 'Milestone approved, but its payment could not be released to the contractor; the funds are still held'
+  });
+
+/**
+ * Send a submitted milestone back to the contractor
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectMilestone = (req, res) =>
+  changeMilestoneStatus(req, res, {
+    party: 'customer',
+    from: MILESTONE_STATUS.SUBMITTED,
+    changes: {
+      status: MILESTONE_STATUS.PENDING,
+      rejection_reason: req.body.reason
+    },
+    action: AUDIT_ACTIONS.MILESTONE_REJECTED,
+    message: 'Milestone sent back to the contractor'
+  });
+
+module.exports = {
+  getJobMilestones,
+  submitMilestone,
+  approveMilestone,
+  rejectMilestone
+};
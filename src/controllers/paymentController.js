@@ -0,0 +1,114 @@
+const supabase = require('../config/supabase');
+const { getHeldAmount } = require('../services/payments');
+const { isValidUUID, getPagination } = require('../utils/helpers');
+const { USER_ROLES } = require('../utils/constants');
+
+/**
+ * Get the current user's payment transactions, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyTransactions = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { type } = req.query;
+    const { page, limit, from, to } = getPagination(req.query);
+
+    let query = supabase
+      .from('ledger_entries')
+      .select(`
+        *,
+        job:job_id(id, title),
+        milestone:milestone_id(id, title)
+      `, { count: 'exact' })
+      .or(`customer_id.eq.${userId},contractor_id.eq.${userId}`)
+      .order('created_at', { ascending: false })
+      .range(from, to);
+
+    if (type) {
+      query = query.eq('type', type);
+    }
+
+    const { data: transactions, error, count } = await query;
+
+    if (error) {
+      console.error('Get transactions error:', error);
+      return res.status(400).json({ error: 'Failed to fetch transactions' });
+    }
+
+    return res.status(200).json({
+      transactions,
+      pagination: {
+        totalCount: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get transactions error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get a job's payment and its ledger
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJobPayment = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!isValidUUID(jobId)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const { data: payment, error } = await supabase
+      .from('payments')
+      .select('*')
+      .eq('job_id', jobId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Get job payment error:', error);
+      return res.status(400).json({ error: 'Failed to fetch payment' });
+    }
+
+    const isParty = payment &&
+      (payment.customer_id === req.user.userId || payment.contractor_id === req.user.userId);
+
+    if (!payment || (!isParty && req.user.role !== USER_ROLES.ADMIN)) {
+      return res.status(404).json({ error: 'No payment found for this job' });
+    }
+
+    const { data: entries, error: entriesError } = await supabase
+      .from('ledger_entries')
+      .select('*, milestone:milestone_id(id, title)')
+      .eq('payment_id', payment.id)
+      .order('created_at', { ascending: true });
+
+    if (entriesError) {
+      console.error('Get ledger entries error:', entriesError);
+      return res.status(400).json({ error: 'Failed to fetch payment history' });
+    }
+
+    return res.status(200).json({
+      payment: {
+        ...payment,
+        amount_held: getHeldAmount(payment)
+      },
+      entries
+    });
+
+  } catch (error) {
+    console.error('Get job payment error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getMyTransactions,
+  getJobPayment
+};
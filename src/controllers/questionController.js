@@ -0,0 +1,249 @@
+const supabase = require('../config/supabase');
+const realtime = require('../services/realtime');
+const { isBlocked } = require('../services/blocks');
+const { canViewJob, isJobParty } = require('../services/jobVisibility');
+const { isValidUUID } = require('../utils/helpers');
+const { JOB_STATUS, BID_STATUS } = require('../utils/constants');
+
+/**
+ * Load a job for the Q&A endpoints, hiding jobs the user may not see
+ * @param {string} jobId - Job ID
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Promise<Object|null>} - Job row, or null if it doesn't exist for this user
+ */
+const findVisibleJob = async (jobId, user) => {
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .select('id, title, status, customer_id, contractor_id, visibility, is_hidden')
+    .eq('id', jobId)
+    .single();
+
+  if (error || !job) {
+    return null;
+  }
+
+  if (job.is_hidden && !isJobParty(job, user)) {
+    return null;
+  }
+
+  return (await canViewJob(job, user)) ? job : null;
+};
+
+/**
+ * Ask a public question about a job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const askQuestion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { question } = req.body;
+    const contractorId = req.user.userId;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    if (req.user.role !== 'contractor') {
+      return res.status(403).json({ error: 'Only contractors can ask questions about a job' });
+    }
+
+    const job = await findVisibleJob(id, req.user);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== JOB_STATUS.OPEN) {
+      return res.status(409).json({ error: 'Questions can only be asked while the job is open' });
+    }
+
+    if (await isBlocked(contractorId, job.customer_id)) {
+      return res.status(403).json({ error: 'You cannot interact with this user' });
+    }
+
+    const { data: newQuestion, error } = await supabase
+      .from('job_questions')
+      .insert({
+        job_id: id,
+        contractor_id: contractorId,
+        question
+      })
+      .select(`
+        *,
+        contractor:contractor_id(id, full_name, profile_image)
+      `)
+      .single();
+
+    if (error) {
+      console.error('Ask question error:', error);
+      return res.status(400).json({ error: 'Failed to post question' });
+    }
+
+    realtime.emitToUser(job.customer_id, 'question:new', {
+      jobId: id,
+      jobTitle: job.title,
+      question: newQuestion
+    });
+
+    return res.status(201).json({
+      message: 'Question posted',
+      question: newQuestion
+    });
+
+  } catch (error) {
+    console.error('Ask question error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get the questions and answers on a job, oldest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJobQuestions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!isValidUUID(id)) {
+      return res.status(400).json({ error: 'Invalid job ID format' });
+    }
+
+    const job = await findVisibleJob(id, req.user);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const { data: questions, error } = await supabase
+      .from('job_questions')
+      .select(`
+        *,
+        contractor:contractor_id(id, full_name, profile_image)
+      `)
+      .eq('job_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Get job questions error:', error);
+      return res.status(400).json({ error: 'Failed to fetch questions' });
+    }
+
+    return res.status(200).json({
+      questions,
+      unansweredCount: questions.filter(question => !question.answered_at).length
+    });
+
+  } catch (error) {
+    console.error('Get job questions error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Answer a question about a job; each question is answered once
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const answerQuestion = async (req, res) => {
+  try {
+    const { id, questionId } = req.params;
+    const { answer } = req.body;
+
+    if (!isValidUUID(id) || !isValidUUID(questionId)) {
+      return res.status(400).json({ error: 'Invalid ID format' });
+    }
+
+    const { data: job, error: jobError } = await supabase
+      .from('jobs')
+      .select('id, title, customer_id')
+      .eq('id', id)
+      .single();
+
+    if (jobError || !job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.customer_id !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the job owner can answer questions' });
+    }
+
+    const { data: question, error: questionError } = await supabase
+      .from('job_questions')
+      .select('*')
+      .eq('id', questionId)
+      .eq('job_id', id)
+      .single();
+
+    if (questionError || !question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    if (question.answered_at) {
+      return res.status(409).json({ error: 'This question has already been answered' });
+    }
+
+    const { data: answeredQuestion, error } = await supabase
+      .from('job_questions')
+      .update({
+        answer,
+        answered_at: new Date().toISOString()
+      })
+      .eq('id', questionId)
+      .is('answered_at', null)
+      .select(`
+        *,
+        contractor:contractor_id(id, full_name, profile_image)
+      `)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Answer question error:', error);
+      return res.status(400).json({ error: 'Failed to answer question' });
+    }
+
+    if (!answeredQuestion) {
+      return res.status(409).json({ error: 'This question has already been answered' });
+    }
+
+    // Answers are for every bidder, not just whoever asked
+    const { data: bids, error: bidsError } = await supabase
+      .from('bids')
+      .select('contractor_id')
+      .eq('job_id', id)
+      .neq('status', BID_STATUS.WITHDRAWN);
+
+    if (bidsError) {
+      console.error('Fetch bidders error:', bidsError);
+    }
+
+    const recipients = new Set([
+      question.contractor_id,
+      ...(bids || []).map(bid => bid.contractor_id)
+    ]);
+
+    recipients.forEach(contractorId => {
+      realtime.emitToUser(contractorId, 'question:answered', {
+        jobId: id,
+        jobTitle: job.title,
+        question: answeredQuestion
+      });
+    });
+
+    return res.status(200).json({
+      message: 'Answer posted',
+      question: answeredQuestion
+    });
+
+  } catch (error) {
+    console.error('Answer question error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  askQuestion,
+  getJobQuestions,
+  answerQuestion
+};
@@ -1,5 +1,7 @@
 const supabase = require('../config/supabase');
+const { recordAudit } = require('../services/auditLog');
 const { isValidUUID } = require('../utils/helpers');
+const { AUDIT_ACTIONS } = require('../utils/constants');
 
 /**
  * Create a rating for a completed job
@@ -90,6 +92,14 @@ const createRating = async (req, res) => {
       return res.status(400).json({ error: 'Failed to create rating' });
     }
     
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.RATING_CREATED,
+      entityType: 'rating',
+      entityId: newRating.id,
+      jobId,
+      after: newRating
+    });
+    
     return res.status(201).json({
       message: 'Rating submitted successfully',
       rating: newRating
@@ -139,6 +149,7 @@ const getUserRatings = async (req, res) => {
         job:job_id(id, title)
       `, { count: 'exact' })
       .eq('to_user_id', userId)
+      .eq('is_hidden', false)
       .order('created_at', { ascending: false })
       .range(from, to);
     
@@ -151,7 +162,8 @@ const getUserRatings = async (req, res) => {
     const { data: avgRating, error: avgError } = await supabase
       .from('ratings')
       .select('rating')
-      .eq('to_user_id', userId);
+      .eq('to_user_id', userId)
+      .eq('is_hidden', false);
     
     if (avgError) {
       console.error('Get average rating error:', avgError);
@@ -219,6 +231,7 @@ const getJobRatings = async (req, res) => {
         to_user:to_user_id(id, full_name, profile_image)
       `)
       .eq('job_id', jobId)
+      .eq('is_hidden', false)
       .order('created_at', { ascending: false });
     
     if (error) {
@@ -0,0 +1,157 @@
+const supabase = require('../config/supabase');
+const { isValidUUID } = require('../utils/helpers');
+const { REPORT_TARGET_TYPES, REPORT_STATUS } = require('../utils/constants');
+
+/**
+ * Find the user responsible for a piece of reported content
+ * @param {string} targetType - One of REPORT_TARGET_TYPES
+ * @param {string} targetId - ID of the reported user, message, job or rating
+ * @param {string} reporterId - User filing the report
+ * @returns {Promise<string|null>} - Reported user ID, or null if the target is not visible
+ */
+const findReportedUserId = async (targetType, targetId, reporterId) => {
+  switch (targetType) {
+    case REPORT_TARGET_TYPES.USER: {
+      const { data: user } = await supabase
+        .from('users')
+        .select('id')
+        .eq('id', targetId)
+        .maybeSingle();
+
+      return user ? user.id : null;
+    }
+
+    case REPORT_TARGET_TYPES.MESSAGE: {
+      // Only participants of the conversation can report a message
+      const { data: message } = await supabase
+        .from('messages')
+        .select('sender_id, receiver_id')
+        .eq('id', targetId)
+        .maybeSingle();
+
+      if (!message || (message.sender_id !== reporterId && message.receiver_id !== reporterId)) {
+        return null;
+      }
+
+      return message.sender_id;
+    }
+
+    case REPORT_TARGET_TYPES.JOB: {
+      const { data: job } = await supabase
+        .from('jobs')
+        .select('customer_id')
+        .eq('id', targetId)
+        .maybeSingle();
+
+      return job ? job.customer_id : null;
+    }
+
+    case REPORT_TARGET_TYPES.RATING: {
+      const { data: rating } = await supabase
+        .from('ratings')
+        .select('from_user_id')
+        .eq('id', targetId)
+        .maybeSingle();
+
+      return rating ? rating.from_user_id : null;
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Report a user, message, job or rating to moderators
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    const reporterId = req.user.userId;
+
+    if (!isValidUUID(targetId)) {
+      return res.status(400).json({ error: 'Invalid target ID format' });
+    }
+
+    const reportedUserId = await findReportedUserId(targetType, targetId, reporterId);
+
+    if (!reportedUserId) {
+      return res.status(404).json({ error: 'Reported content not found' });
+    }
+
+    if (reportedUserId === reporterId) {
+      return res.status(400).json({ error: 'Cannot report yourself or your own content' });
+    }
+
+    const { data: report, error } = await supabase
+      .from('reports')
+      .insert({
+        reporter_id: reporterId,
+        reported_user_id: reportedUserId,
+        target_type: targetType,
+        target_id: targetId,
+        reason,
+        details: details || null,
+        status: REPORT_STATUS.OPEN,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // An open report for the same content already exists
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'You have already reported this' });
+      }
+
+      console.error('Create report error:', error);
+      return res.status(400).json({ error: 'Failed to submit report' });
+    }
+
+    return res.status(201).json({
+      message: 'Report submitted. Our moderators will review it shortly.',
+      report
+    });
+
+  } catch (error) {
+    console.error('Create report error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get reports filed by the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyReports = async (req, res) => {
+  try {
+    const reporterId = req.user.userId;
+
+    const { data: reports, error } = await supabase
+      .from('reports')
+      .select('*')
+      .eq('reporter_id', reporterId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('Get my reports error:', error);
+      return res.status(400).json({ error: 'Failed to fetch reports' });
+    }
+
+    return res.status(200).json({
+      reports
+    });
+
+  } catch (error) {
+    console.error('Get my reports error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  createReport,
+  getMyReports
+};
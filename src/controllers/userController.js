@@ -1,5 +1,7 @@
 const supabase = require('../config/supabase');
+const realtime = require('../services/realtime');
 const { isValidUUID } = require('../utils/helpers');
+const { ACCOUNT_STATUS } = require('../utils/constants');
 
 /**
  * Get public profile of a user
@@ -29,7 +31,8 @@ const getUserProfile = async (req, res) => {
     const { data: ratings, error: ratingsError } = await supabase
       .from('ratings')
       .select('rating')
-      .eq('to_user_id', userId);
+      .eq('to_user_id', userId)
+      .eq('is_hidden', false);
     
     if (ratingsError) {
       console.error('Get ratings error:', ratingsError);
@@ -166,6 +169,7 @@ const searchContractors = async (req, res) => {
       .from('users')
       .select('id, full_name, profile_image, created_at', { count: 'exact' })
       .eq('role', 'contractor')
+      .eq('account_status', ACCOUNT_STATUS.ACTIVE)
       .order('full_name', { ascending: true })
       .range(from, to);
     
@@ -189,7 +193,8 @@ const searchContractors = async (req, res) => {
       const { data: ratings, error: ratingsError } = await supabase
         .from('ratings')
         .select('to_user_id, rating')
-        .in('to_user_id', contractorIds);
+        .in('to_user_id', contractorIds)
+        .eq('is_hidden', false);
       
       if (!ratingsError && ratings) {
         // Group ratings by contractor ID
@@ -238,8 +243,187 @@ const searchContractors = async (req, res) => {
   }
 };
 
+/**
+ * Deactivate the current user's account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deactivateAccount = async (req, res) => {
+  try {
+    const currentUserId = req.user.userId;
+    
+    const { error } = await supabase
+      .from('users')
+      .update({
+        account_status: ACCOUNT_STATUS.DEACTIVATED,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', currentUserId);
+    
+    if (error) {
+      console.error('Deactivate account error:', error);
+      return res.status(400).json({ error: 'Failed to deactivate account' });
+    }
+    
+    realtime.disconnectUser(currentUserId, 'ACCOUNT_DEACTIVATED');
+    
+    return res.status(200).json({
+      message: 'Account deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Deactivate account error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Block another user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const blockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const currentUserId = req.user.userId;
+    
+    if (!isValidUUID(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+    
+    if (userId === currentUserId) {
+      return res.status(400).json({ error: 'Cannot block yourself' });
+    }
+    
+    // Check if user exists
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', userId)
+      .single();
+    
+    if (userError || !user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const { data: block, error } = await supabase
+      .from('user_blocks')
+      .insert({
+        blocker_id: currentUserId,
+        blocked_id: userId,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+    
+    if (error) {
+      // Already blocked
+      if (error.code === '23505') {
+        return res.status(200).json({ message: 'User already blocked' });
+      }
+      
+      console.error('Block user error:', error);
+      return res.status(400).json({ error: 'Failed to block user' });
+    }
+    
+    return res.status(201).json({
+      message: 'User blocked successfully',
+      block
+    });
+
+  } catch (error) {
+    console.error('Block user error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Unblock a previously blocked user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const currentUserId = req.user.userId;
+    
+    if (!isValidUUID(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+    
+    const { data: removed, error } = await supabase
+      .from('user_blocks')
+      .delete()
+      .eq('blocker_id', currentUserId)
+      .eq('blocked_id', userId)
+      .select();
+    
+    if (error) {
+      console.error('Unblock user error:', error);
+      return res.status(400).json({ error: 'Failed to unblock user' });
+    }
+    
+    if (removed.length === 0) {
+      return res.status(404).json({ error: 'User is not blocked' });
+    }
+    
+    return res.status(200).json({
+      message: 'User unblocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Get users blocked by the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBlockedUsers = async (req, res) => {
+  try {
+    const currentUserId = req.user.userId;
+    
+    const { data: blocks, error } = await supabase
+      .from('user_blocks')
+      .select(`
+        created_at,
+        user:blocked_id(id, full_name, role, profile_image)
+      `)
+      .eq('blocker_id', currentUserId)
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      console.error('Get blocked users error:', error);
+      return res.status(400).json({ error: 'Failed to fetch blocked users' });
+    }
+    
+    const blockedUsers = blocks.map(block => ({
+      id: block.user.id,
+      fullName: block.user.full_name,
+      role: block.user.role,
+      profileImage: block.user.profile_image,
+      blockedAt: block.created_at
+    }));
+    
+    return res.status(200).json({
+      blockedUsers
+    });
+
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 module.exports = {
   getUserProfile,
   updateProfile,
-  searchContractors
+  searchContractors,
+  deactivateAccount,
+  blockUser,
+  unblockUser,
+  getBlockedUsers
 };
@@ -1,5 +1,53 @@
 const jwt = require('jsonwebtoken');
 const supabase = require('../config/supabase');
+const { ACCOUNT_STATUS, ERROR_MESSAGES } = require('../utils/constants');
+
+/**
+ * Verify a JWT issued by the auth controller
+ * @param {string} token - Raw JWT string
+ * @returns {Promise<Object>} - Resolves with the user payload, rejects if invalid
+ */
+const verifyToken = (token) => {
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve({
+        userId: decoded.userId,
+        email: decoded.email,
+        role: decoded.role
+      });
+    });
+  });
+};
+
+/**
+ * Build the error returned to users whose account is not active
+ * @param {Object} user - User row with account_status, suspension_reason and suspended_at
+ * @returns {Object|null} - Error response body, or null if the account is active
+ */
+const getAccountStatusError = (user) => {
+  if (user.account_status === ACCOUNT_STATUS.SUSPENDED) {
+    return {
+      error: ERROR_MESSAGES.ACCOUNT_SUSPENDED,
+      code: 'ACCOUNT_SUSPENDED',
+      reason: user.suspension_reason,
+      suspendedAt: user.suspended_at
+    };
+  }
+
+  if (user.account_status === ACCOUNT_STATUS.DEACTIVATED) {
+    return {
+      error: ERROR_MESSAGES.ACCOUNT_DEACTIVATED,
+      code: 'ACCOUNT_DEACTIVATED',
+      canReactivate: true
+    };
+  }
+
+  return null;
+};
 
 /**
  * Middleware to authenticate JWT token
@@ -23,20 +71,14 @@ const authenticate = (req, res, next) => {
     }
     
     // Verify token
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-      if (err) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
-      }
-      
-      // Set user data in request
-      req.user = {
-        userId: decoded.userId,
-        email: decoded.email,
-        role: decoded.role
-      };
-      
-      next();
-    });
+    verifyToken(token).then(
+      (user) => {
+        // Set user data in request
+        req.user = user;
+        next();
+      },
+      () => res.status(401).json({ error: 'Invalid or expired token' })
+    );
   } catch (error) {
     console.error('Authentication error:', error);
     return res.status(500).json({ error: 'Authentication failed' });
@@ -69,6 +111,19 @@ const requireContractor = (req, res, next) => {
   return res.status(403).json({ error: 'Access denied. Contractors only.' });
 };
 
+/**
+ * Middleware to check if user is an admin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireAdmin = (req, res, next) => {
+  if (req.user && req.user.role === 'admin') {
+    return next();
+  }
+  return res.status(403).json({ error: 'Access denied. Admins only.' });
+};
+
 /**
  * Middleware to check if user exists in Supabase
  * @param {Object} req - Express request object
@@ -82,7 +137,7 @@ const verifyUserExists = async (req, res, next) => {
     // Check if user exists in database
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, role')
+      .select('id, role, account_status, suspension_reason, suspended_at')
       .eq('id', userId)
       .single();
     
@@ -90,6 +145,12 @@ const verifyUserExists = async (req, res, next) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    // Tokens stay valid after suspension, so the account state is checked on every request
+    const accountError = getAccountStatusError(user);
+    if (accountError) {
+      return res.status(403).json(accountError);
+    }
+    
     // Update role in case it changed
     req.user.role = user.role;
     
@@ -101,8 +162,11 @@ const verifyUserExists = async (req, res, next) => {
 };
 
 module.exports = {
+  verifyToken,
+  getAccountStatusError,
   authenticate,
   requireCustomer,
   requireContractor,
+  requireAdmin,
   verifyUserExists
 };
@@ -0,0 +1,23 @@
+const crypto = require('crypto');
+
+// Accept client-supplied IDs only if they look like an identifier
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * Middleware to tag every request with an ID for tracing and audit logs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.requestId = incoming && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  res.set('X-Request-Id', req.requestId);
+  next();
+};
+
+module.exports = requestId;
@@ -42,6 +42,69 @@ const upload = multer({
   fileFilter
 });
 
+/**
+ * Upload files parsed by multer to Supabase Storage
+ * @param {Array<Object>} files - Files from multer (memory storage)
+ * @param {string} bucketName - Name of the bucket to store files in
+ * @returns {Promise<Array<Object>>} - Stored files ({ originalName, fileName, filePath, fileType, fileSize })
+ */
+const storeFiles = (files, bucketName) => {
+  return Promise.all(files.map(async (file) => {
+    // Generate a unique filename
+    const fileExtension = path.extname(file.originalname);
+    const fileName = `${uuidv4()}${fileExtension}`;
+    
+    // Determine folder based on file type
+    let folder = 'other';
+    if (file.mimetype.startsWith('image/')) {
+      folder = 'images';
+    } else if (file.mimetype.startsWith('video/')) {
+      folder = 'videos';
+    } else if (file.mimetype.startsWith('application/pdf') || 
+               file.mimetype.startsWith('application/msword') ||
+               file.mimetype.startsWith('application/vnd.openxmlformats-officedocument')) {
+      folder = 'documents';
+    }
+    
+    const filePath = `${folder}/${fileName}`;
+    
+    // Upload file to Supabase Storage
+    const { error } = await supabase.storage
+      .from(bucketName)
+      .upload(filePath, file.buffer, {
+        contentType: file.mimetype,
+        upsert: false
+      });
+    
+    if (error) {
+      throw new Error(`Upload failed: ${error.message}`);
+    }
+    
+    return {
+      originalName: file.originalname,
+      fileName,
+      filePath,
+      fileType: file.mimetype,
+      fileSize: file.size
+    };
+  }));
+};
+
+/**
+ * Upload files parsed by multer to a public bucket
+ * @param {Array<Object>} files - Files from multer (memory storage)
+ * @param {string} [bucketName] - Name of the public bucket to store files in
+ * @returns {Promise<Array<Object>>} - Stored files, each with its publicUrl
+ */
+const storePublicFiles = async (files, bucketName = 'uploads') => {
+  const storedFiles = await storeFiles(files, bucketName);
+  
+  return storedFiles.map(file => ({
+    ...file,
+    publicUrl: supabase.storage.from(bucketName).getPublicUrl(file.filePath).data.publicUrl
+  }));
+};
+
 /**
  * Middleware to handle file uploads to Supabase Storage
  * @param {string} bucketName - Name of the bucket to store files in
@@ -55,57 +118,8 @@ const handleFileUpload = (bucketName) => {
         return next();
       }
       
-      const uploadPromises = req.files.map(async (file) => {
-        // Generate a unique filename
-        const fileExtension = path.extname(file.originalname);
-        const fileName = `${uuidv4()}${fileExtension}`;
-        
-        // Determine folder based on file type
-        let folder = 'other';
-        if (file.mimetype.startsWith('image/')) {
-          folder = 'images';
-        } else if (file.mimetype.startsWith('video/')) {
-          folder = 'videos';
-        } else if (file.mimetype.startsWith('application/pdf') || 
-                   file.mimetype.startsWith('application/msword') ||
-                   file.mimetype.startsWith('application/vnd.openxmlformats-officedocument')) {
-          folder = 'documents';
-        }
-        
-        const filePath = `${folder}/${fileName}`;
-        
-        // Upload file to Supabase Storage
-        const { data, error } = await supabase.storage
-          .from(bucketName)
-          .upload(filePath, file.buffer, {
-            contentType: file.mimetype,
-            upsert: false
-          });
-        
-        if (error) {
-          throw new Error(`Upload failed: ${error.message}`);
-        }
-        
-        // Get public URL of uploaded file
-        const { data: urlData } = supabase.storage
-          .from(bucketName)
-          .getPublicUrl(filePath);
-        
-        return {
-          originalName: file.originalname,
-          fileName,
-          filePath,
-          fileType: file.mimetype,
-          fileSize: file.size,
-          publicUrl: urlData.publicUrl
-        };
-      });
-      
-      // Execute all upload promises
-      const uploadedFiles = await Promise.all(uploadPromises);
-      
-      // Add uploaded files to request
-      req.uploadedFiles = uploadedFiles;
+      // Add uploaded files with their public URLs to request
+      req.uploadedFiles = await storePublicFiles(req.files, bucketName);
       next();
     } catch (error) {
       console.error('File upload error:', error);
@@ -170,7 +184,16 @@ const uploadFiles = (fieldName) => {
   ];
 };
 
+/**
+ * Middleware to parse multiple files into memory without storing them, for
+ * routes that must check the request before anything is uploaded
+ */
+const parseFiles = (fieldName) => upload.array(fieldName, MAX_FILES);
+
 module.exports = {
   uploadImage,
-  uploadFiles
+  uploadFiles,
+  parseFiles,
+  storeFiles,
+  storePublicFiles
 };
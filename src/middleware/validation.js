@@ -1,4 +1,20 @@
 const { validationResult, check } = require('express-validator');
+const {
+  REPORT_REASONS,
+  REPORT_TARGET_TYPES,
+  REPORT_STATUS,
+  DISPUTE_REASONS,
+  DISPUTE_STATUS,
+  DISPUTE_RESOLUTIONS,
+  LINE_ITEM_TYPES,
+  JOB_VISIBILITY,
+  INVITATION_STATUS,
+  LEDGER_ENTRY_TYPES,
+  SCHEDULED_TASK_STATUS,
+  SCHEDULED_TASK_TYPES,
+  VALIDATION,
+  PAGINATION
+} = require('../utils/constants');
 
 /**
  * Middleware to check validation results
@@ -14,6 +30,21 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * Page and limit query rules shared by paginated list endpoints
+ */
+const paginationRules = [
+  check('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  check('limit')
+    .optional()
+    .isInt({ min: 1, max: PAGINATION.MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${PAGINATION.MAX_LIMIT}`)
+];
+
 /**
  * Validation rules for user registration
  */
@@ -59,6 +90,21 @@ const loginValidation = [
   validateRequest
 ];
 
+/**
+ * Validation rules for a job's bidding deadline and expiry
+ */
+const jobScheduleRules = [
+  check('bidDeadline')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Bidding deadline must be a valid date'),
+  
+  check('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+];
+
 /**
  * Validation rules for job creation
  */
@@ -82,9 +128,89 @@ const createJobValidation = [
     .isFloat({ min: 0 })
     .withMessage('Budget must be a positive number'),
   
+  check('visibility')
+    .optional()
+    .isIn(Object.values(JOB_VISIBILITY))
+    .withMessage('Visibility must be public, invite_only or unlisted'),
+  
+  ...jobScheduleRules,
+  
   validateRequest
 ];
 
+/**
+ * Validation rules for re-opening or reposting an expired job
+ */
+const jobScheduleValidation = [
+  ...jobScheduleRules,
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for milestones proposed on a bid
+ */
+const milestoneRules = [
+  check('milestones')
+    .optional()
+    .isArray({ max: VALIDATION.MAX_MILESTONES })
+    .withMessage(`A bid can have at most ${VALIDATION.MAX_MILESTONES} milestones`),
+  
+  check('milestones.*.title')
+    .trim()
+    .notEmpty()
+    .withMessage('Each milestone needs a title')
+    .isLength({ max: 100 })
+    .withMessage('Milestone titles cannot exceed 100 characters'),
+  
+  check('milestones.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Milestone amounts must be positive numbers'),
+  
+  check('milestones.*.dueDate')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Milestone due dates must be valid dates')
+];
+
+/**
+ * Validation rules for the line items on an itemized bid
+ */
+const lineItemRules = [
+  check('lineItems')
+    .optional()
+    .isArray({ max: VALIDATION.MAX_LINE_ITEMS })
+    .withMessage(`A bid can have at most ${VALIDATION.MAX_LINE_ITEMS} line items`),
+  
+  check('lineItems.*.type')
+    .isIn(LINE_ITEM_TYPES)
+    .withMessage(`Line item type must be one of: ${LINE_ITEM_TYPES.join(', ')}`),
+  
+  check('lineItems.*.description')
+    .trim()
+    .notEmpty()
+    .withMessage('Each line item needs a description')
+    .isLength({ max: 200 })
+    .withMessage('Line item descriptions cannot exceed 200 characters'),
+  
+  check('lineItems.*.quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Line item quantities must be positive numbers'),
+  
+  check('lineItems.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Line item unit prices cannot be negative'),
+  
+  check('lineItems.*.taxable')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Line item taxable flag must be true or false')
+];
+
+// Itemized bids derive their amount from the line items
+const isSingleAmountBid = (value, { req }) =>
+  !(Array.isArray(req.body.lineItems) && req.body.lineItems.length > 0);
+
 /**
  * Validation rules for bid creation
  */
@@ -97,6 +223,7 @@ const createBidValidation = [
     .withMessage('Invalid job ID format'),
   
   check('amount')
+    .if(isSingleAmountBid)
     .isFloat({ min: 0 })
     .withMessage('Amount must be a positive number'),
   
@@ -105,6 +232,151 @@ const createBidValidation = [
     .isInt({ min: 1 })
     .withMessage('Estimated days must be a positive integer'),
   
+  ...lineItemRules,
+  
+  ...milestoneRules,
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for bid update
+ */
+const updateBidValidation = [
+  check('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  
+  check('estimatedDays')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Estimated days must be a positive integer'),
+  
+  ...lineItemRules,
+  
+  ...milestoneRules,
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for withdrawing a bid
+ */
+const withdrawBidValidation = [
+  check('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for a counter-offer on a bid
+ */
+const counterBidValidation = [
+  check('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be a positive number'),
+  
+  check('estimatedDays')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Estimated days must be a positive integer'),
+  
+  check('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters'),
+  
+  // Revised line items and milestones for a contractor's counter on an itemized or milestone bid
+  ...lineItemRules,
+  
+  ...milestoneRules,
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for accepting a counter-offer
+ */
+const acceptCounterValidation = [
+  check('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters'),
+  
+  // Itemized and milestone bids are revised to the counter amount
+  ...lineItemRules,
+  
+  ...milestoneRules,
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for declining a counter-offer
+ */
+const counterResponseValidation = [
+  check('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for inviting contractors to a job
+ */
+const inviteContractorsValidation = [
+  check('contractorIds')
+    .isArray({ min: 1, max: VALIDATION.MAX_INVITATIONS_PER_JOB })
+    .withMessage(`Invite between 1 and ${VALIDATION.MAX_INVITATIONS_PER_JOB} contractors`),
+  
+  check('contractorIds.*')
+    .isUUID()
+    .withMessage('Invalid contractor ID format'),
+  
+  check('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for asking a question about a job
+ */
+const askQuestionValidation = [
+  check('question')
+    .trim()
+    .notEmpty()
+    .withMessage('Question is required')
+    .isLength({ max: VALIDATION.MAX_QUESTION_LENGTH })
+    .withMessage(`Questions cannot exceed ${VALIDATION.MAX_QUESTION_LENGTH} characters`),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for answering a question about a job
+ */
+const answerQuestionValidation = [
+  check('answer')
+    .trim()
+    .notEmpty()
+    .withMessage('Answer is required')
+    .isLength({ max: VALIDATION.MAX_ANSWER_LENGTH })
+    .withMessage(`Answers cannot exceed ${VALIDATION.MAX_ANSWER_LENGTH} characters`),
+  
   validateRequest
 ];
 
@@ -144,10 +416,10 @@ const sendMessageValidation = [
     .isUUID()
     .withMessage('Invalid conversation ID format'),
   
+  // Content may be empty when the message carries attachments
   check('content')
+    .optional()
     .trim()
-    .notEmpty()
-    .withMessage('Message content is required')
     .isLength({ max: 1000 })
     .withMessage('Message content cannot exceed 1000 characters'),
   
@@ -159,6 +431,318 @@ const sendMessageValidation = [
   validateRequest
 ];
 
+/**
+ * Validation rules for editing a message
+ */
+const editMessageValidation = [
+  check('content')
+    .exists()
+    .withMessage('Content is required')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message content cannot exceed 1000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for read acknowledgements
+ */
+const markReadValidation = [
+  check('upToMessageId')
+    .trim()
+    .notEmpty()
+    .withMessage('Message ID is required')
+    .isUUID()
+    .withMessage('Invalid message ID format'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for message search
+ */
+const searchMessagesValidation = [
+  check('q')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Search query must be between 2 and 200 characters'),
+  
+  check('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  
+  check('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for reporting content
+ */
+const createReportValidation = [
+  check('targetType')
+    .isIn(Object.values(REPORT_TARGET_TYPES))
+    .withMessage(`Target type must be one of: ${Object.values(REPORT_TARGET_TYPES).join(', ')}`),
+  
+  check('targetId')
+    .trim()
+    .notEmpty()
+    .withMessage('Target ID is required')
+    .isUUID()
+    .withMessage('Invalid target ID format'),
+  
+  check('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  
+  check('details')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details cannot exceed 1000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for listing reports
+ */
+const listReportsValidation = [
+  check('status')
+    .optional()
+    .isIn([...Object.values(REPORT_STATUS), 'all'])
+    .withMessage(`Status must be one of: ${[...Object.values(REPORT_STATUS), 'all'].join(', ')}`),
+  
+  check('targetType')
+    .optional()
+    .isIn(Object.values(REPORT_TARGET_TYPES))
+    .withMessage(`Target type must be one of: ${Object.values(REPORT_TARGET_TYPES).join(', ')}`),
+  
+  ...paginationRules,
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for listing disputes
+ */
+const listDisputesValidation = [
+  check('status')
+    .optional()
+    .isIn([...Object.values(DISPUTE_STATUS), 'all'])
+    .withMessage(`Status must be one of: ${[...Object.values(DISPUTE_STATUS), 'all'].join(', ')}`),
+  
+  ...paginationRules,
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for listing the current contractor's invitations
+ */
+const listInvitationsValidation = [
+  check('status')
+    .optional()
+    .isIn(Object.values(INVITATION_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(INVITATION_STATUS).join(', ')}`),
+  
+  ...paginationRules,
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for listing the current user's payment transactions
+ */
+const listTransactionsValidation = [
+  check('type')
+    .optional()
+    .isIn(Object.values(LEDGER_ENTRY_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(LEDGER_ENTRY_TYPES).join(', ')}`),
+  
+  ...paginationRules,
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for listing background tasks
+ */
+const listTasksValidation = [
+  check('status')
+    .optional()
+    .isIn([...Object.values(SCHEDULED_TASK_STATUS), 'all'])
+    .withMessage(`Status must be one of: ${[...Object.values(SCHEDULED_TASK_STATUS), 'all'].join(', ')}`),
+  
+  check('type')
+    .optional()
+    .isIn(Object.values(SCHEDULED_TASK_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(SCHEDULED_TASK_TYPES).join(', ')}`),
+  
+  ...paginationRules,
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for closing a report
+ */
+const resolveReportValidation = [
+  check('status')
+    .isIn([REPORT_STATUS.RESOLVED, REPORT_STATUS.DISMISSED])
+    .withMessage('Status must be either resolved or dismissed'),
+  
+  check('resolutionNote')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Resolution note cannot exceed 1000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for suspending a user
+ */
+const suspendUserValidation = [
+  check('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Suspension reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Suspension reason cannot exceed 500 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for hiding a job or rating
+ */
+const hideContentValidation = [
+  check('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for requesting job completion
+ */
+const requestCompletionValidation = [
+  check('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Completion notes cannot exceed 1000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for declining a completion request
+ */
+const declineCompletionValidation = [
+  check('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Please explain what still needs to be done')
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for submitting a milestone
+ */
+const submitMilestoneValidation = [
+  check('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for rejecting a submitted milestone
+ */
+const rejectMilestoneValidation = [
+  check('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Please explain what still needs to be done')
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for opening a dispute
+ */
+const createDisputeValidation = [
+  check('jobId')
+    .trim()
+    .notEmpty()
+    .withMessage('Job ID is required')
+    .isUUID()
+    .withMessage('Invalid job ID format'),
+  
+  check('reason')
+    .isIn(DISPUTE_REASONS)
+    .withMessage(`Reason must be one of: ${DISPUTE_REASONS.join(', ')}`),
+  
+  check('description')
+    .trim()
+    .notEmpty()
+    .withMessage('Please describe the problem')
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for posting in a dispute thread
+ */
+const disputeMessageValidation = [
+  check('content')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Message cannot exceed 2000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validation rules for resolving a dispute
+ */
+const resolveDisputeValidation = [
+  check('resolution')
+    .isIn(Object.keys(DISPUTE_RESOLUTIONS))
+    .withMessage(`Resolution must be one of: ${Object.keys(DISPUTE_RESOLUTIONS).join(', ')}`),
+  
+  check('resolutionNote')
+    .trim()
+    .notEmpty()
+    .withMessage('Resolution note is required')
+    .isLength({ max: 2000 })
+    .withMessage('Resolution note cannot exceed 2000 characters'),
+  
+  validateRequest
+];
+
 /**
  * Validation rules for profile update
  */
@@ -191,8 +775,36 @@ module.exports = {
   registerValidation,
   loginValidation,
   createJobValidation,
+  jobScheduleValidation,
   createBidValidation,
+  updateBidValidation,
+  counterBidValidation,
+  acceptCounterValidation,
+  counterResponseValidation,
+  withdrawBidValidation,
+  inviteContractorsValidation,
+  listInvitationsValidation,
+  askQuestionValidation,
+  answerQuestionValidation,
   createRatingValidation,
   sendMessageValidation,
+  editMessageValidation,
+  markReadValidation,
+  searchMessagesValidation,
+  createReportValidation,
+  listReportsValidation,
+  resolveReportValidation,
+  suspendUserValidation,
+  hideContentValidation,
+  requestCompletionValidation,
+  declineCompletionValidation,
+  submitMilestoneValidation,
+  rejectMilestoneValidation,
+  createDisputeValidation,
+  disputeMessageValidation,
+  listDisputesValidation,
+  resolveDisputeValidation,
+  listTasksValidation,
+  listTransactionsValidation,
   updateProfileValidation
 };
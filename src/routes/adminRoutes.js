@@ -0,0 +1,232 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const { authenticate, verifyUserExists, requireAdmin } = require('../middleware/auth');
+const {
+  listReportsValidation,
+  resolveReportValidation,
+  listDisputesValidation,
+  resolveDisputeValidation,
+  listTasksValidation,
+  suspendUserValidation,
+  hideContentValidation
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    List reports (query: status, targetType, page, limit)
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/reports',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  listReportsValidation,
+  adminController.getReports
+);
+
+/**
+ * @route   PUT /api/admin/reports/:id
+ * @desc    Resolve or dismiss a report
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/reports/:id',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  resolveReportValidation,
+  adminController.resolveReport
+);
+
+/**
+ * @route   GET /api/admin/disputes
+ * @desc    List disputes (query: status, page, limit)
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/disputes',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  listDisputesValidation,
+  adminController.getDisputes
+);
+
+/**
+ * @route   PUT /api/admin/disputes/:id
+ * @desc    Resolve a dispute by completing, resuming or cancelling its job
+ * @access  Private (Admin only)
+ */
+router.put(
+  '/disputes/:id',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  resolveDisputeValidation,
+  adminController.resolveDispute
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/suspend
+ * @desc    Suspend a user account
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/users/:userId/suspend',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  suspendUserValidation,
+  adminController.suspendUser
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/unsuspend
+ * @desc    Lift a user's suspension
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/users/:userId/unsuspend',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  adminController.unsuspendUser
+);
+
+/**
+ * @route   GET /api/admin/jobs/:id
+ * @desc    View any job with its parties, bids and ratings
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/jobs/:id',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  adminController.getJob
+);
+
+/**
+ * @route   GET /api/admin/jobs/:id/audit
+ * @desc    View the audit trail for a job, its bids and its ratings
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/jobs/:id/audit',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  adminController.getJobAuditLog
+);
+
+/**
+ * @route   POST /api/admin/jobs/:id/hide
+ * @desc    Hide a job from listings
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/jobs/:id/hide',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  hideContentValidation,
+  adminController.hideJob
+);
+
+/**
+ * @route   POST /api/admin/jobs/:id/unhide
+ * @desc    Restore a hidden job
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/jobs/:id/unhide',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  adminController.unhideJob
+);
+
+/**
+ * @route   POST /api/admin/ratings/:id/hide
+ * @desc    Hide a rating from profiles and averages
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/ratings/:id/hide',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  hideContentValidation,
+  adminController.hideRating
+);
+
+/**
+ * @route   POST /api/admin/ratings/:id/unhide
+ * @desc    Restore a hidden rating
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/ratings/:id/unhide',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  adminController.unhideRating
+);
+
+/**
+ * @route   GET /api/admin/bids/:id
+ * @desc    View any bid
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/bids/:id',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  adminController.getBid
+);
+
+/**
+ * @route   GET /api/admin/conversations/:id
+ * @desc    View any conversation with its messages and edit history
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/conversations/:id',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  adminController.getConversation
+);
+
+/**
+ * @route   GET /api/admin/tasks
+ * @desc    List background tasks with counts per status (query: status, type, page, limit)
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/tasks',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  listTasksValidation,
+  adminController.getTasks
+);
+
+/**
+ * @route   POST /api/admin/tasks/:id/retry
+ * @desc    Queue a failed background task to run again
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/tasks/:id/retry',
+  authenticate,
+  verifyUserExists,
+  requireAdmin,
+  adminController.retryTask
+);
+
+module.exports = router;
@@ -19,6 +19,13 @@ router.post('/register', registerValidation, authController.register);
  */
 router.post('/login', loginValidation, authController.login);
 
+/**
+ * @route   POST /api/auth/reactivate
+ * @desc    Reactivate a deactivated account and log in
+ * @access  Public
+ */
+router.post('/reactivate', loginValidation, authController.reactivateAccount);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user data
@@ -26,6 +33,13 @@ router.post('/login', loginValidation, authController.login);
  */
 router.get('/me', authenticate, authController.getCurrentUser);
 
+/**
+ * @route   GET /api/auth/account-status
+ * @desc    Get account status and suspension reason (works while suspended)
+ * @access  Private
+ */
+router.get('/account-status', authenticate, authController.getAccountStatus);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout a user
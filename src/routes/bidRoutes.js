@@ -1,7 +1,14 @@
 const express = require('express');
 const bidController = require('../controllers/bidController');
 const { authenticate, verifyUserExists, requireContractor } = require('../middleware/auth');
-const { createBidValidation } = require('../middleware/validation');
+const {
+  createBidValidation,
+  updateBidValidation,
+  counterBidValidation,
+  acceptCounterValidation,
+  counterResponseValidation,
+  withdrawBidValidation
+} = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -54,12 +61,27 @@ router.put(
   authenticate,
   verifyUserExists,
   requireContractor,
+  updateBidValidation,
   bidController.updateBid
 );
 
+/**
+ * @route   POST /api/bids/:id/withdraw
+ * @desc    Withdraw a bid with an optional reason
+ * @access  Private (bid owner only)
+ */
+router.post(
+  '/:id/withdraw',
+  authenticate,
+  verifyUserExists,
+  requireContractor,
+  withdrawBidValidation,
+  bidController.withdrawBid
+);
+
 /**
  * @route   DELETE /api/bids/:id
- * @desc    Delete a bid
+ * @desc    Withdraw a bid (kept for older clients; bids are no longer deleted)
  * @access  Private (bid owner only)
  */
 router.delete(
@@ -67,7 +89,49 @@ router.delete(
   authenticate,
   verifyUserExists,
   requireContractor,
-  bidController.deleteBid
+  withdrawBidValidation,
+  bidController.withdrawBid
+);
+
+/**
+ * @route   POST /api/bids/:id/counter
+ * @desc    Counter a pending bid (job owner) or counter back on a countered bid (contractor)
+ * @access  Private (job owner or bid owner)
+ */
+router.post(
+  '/:id/counter',
+  authenticate,
+  verifyUserExists,
+  counterBidValidation,
+  bidController.counterBid
+);
+
+/**
+ * @route   POST /api/bids/:id/counter/accept
+ * @desc    Accept the customer's counter-offer
+ * @access  Private (bid owner only)
+ */
+router.post(
+  '/:id/counter/accept',
+  authenticate,
+  verifyUserExists,
+  requireContractor,
+  acceptCounterValidation,
+  bidController.acceptCounter
+);
+
+/**
+ * @route   POST /api/bids/:id/counter/decline
+ * @desc    Decline the customer's counter-offer and withdraw the bid
+ * @access  Private (bid owner only)
+ */
+router.post(
+  '/:id/counter/decline',
+  authenticate,
+  verifyUserExists,
+  requireContractor,
+  counterResponseValidation,
+  bidController.declineCounter
 );
 
 module.exports = router;
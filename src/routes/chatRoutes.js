@@ -1,13 +1,19 @@
 const express = require('express');
 const chatController = require('../controllers/chatController');
 const { authenticate, verifyUserExists } = require('../middleware/auth');
-const { sendMessageValidation } = require('../middleware/validation');
+const {
+  sendMessageValidation,
+  editMessageValidation,
+  markReadValidation,
+  searchMessagesValidation
+} = require('../middleware/validation');
+const { parseFiles } = require('../middleware/upload');
 
 const router = express.Router();
 
 /**
  * @route   POST /api/chats/conversation
- * @desc    Get or create a conversation between two users
+ * @desc    Get or create a conversation between two users, optionally about a job
  * @access  Private
  */
 router.post(
@@ -29,19 +35,70 @@ router.get(
   chatController.getConversations
 );
 
+/**
+ * @route   GET /api/chats/search
+ * @desc    Full-text search across messages in the current user's conversations
+ * @access  Private
+ */
+router.get(
+  '/search',
+  authenticate,
+  verifyUserExists,
+  searchMessagesValidation,
+  chatController.searchMessages
+);
+
 /**
  * @route   POST /api/chats/message
- * @desc    Send a message
+ * @desc    Send a message with optional file attachments
  * @access  Private
  */
 router.post(
   '/message',
   authenticate,
   verifyUserExists,
+  parseFiles('attachments'),
   sendMessageValidation,
   chatController.sendMessage
 );
 
+/**
+ * @route   PUT /api/chats/message/:messageId
+ * @desc    Edit a sent message within the edit window
+ * @access  Private (sender only)
+ */
+router.put(
+  '/message/:messageId',
+  authenticate,
+  verifyUserExists,
+  editMessageValidation,
+  chatController.editMessage
+);
+
+/**
+ * @route   DELETE /api/chats/message/:messageId
+ * @desc    Delete (unsend) a sent message
+ * @access  Private (sender only)
+ */
+router.delete(
+  '/message/:messageId',
+  authenticate,
+  verifyUserExists,
+  chatController.deleteMessage
+);
+
+/**
+ * @route   GET /api/chats/message/:messageId/history
+ * @desc    Get previous versions of an edited or deleted message
+ * @access  Private (conversation participants)
+ */
+router.get(
+  '/message/:messageId/history',
+  authenticate,
+  verifyUserExists,
+  chatController.getMessageHistory
+);
+
 /**
  * @route   GET /api/chats/messages/:conversationId
  * @desc    Get messages for a conversation
@@ -54,6 +111,19 @@ router.get(
   chatController.getMessages
 );
 
+/**
+ * @route   POST /api/chats/messages/:conversationId/read
+ * @desc    Mark messages as read up to a given message
+ * @access  Private
+ */
+router.post(
+  '/messages/:conversationId/read',
+  authenticate,
+  verifyUserExists,
+  markReadValidation,
+  chatController.markMessagesRead
+);
+
 /**
  * @route   GET /api/chats/unread
  * @desc    Get unread message count for the current user
@@ -0,0 +1,73 @@
+const express = require('express');
+const disputeController = require('../controllers/disputeController');
+const { authenticate, verifyUserExists } = require('../middleware/auth');
+const { createDisputeValidation, disputeMessageValidation } = require('../middleware/validation');
+const { parseFiles } = require('../middleware/upload');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/disputes
+ * @desc    Open a dispute on a job, with optional evidence files
+ * @access  Private (job customer or assigned contractor)
+ */
+router.post(
+  '/',
+  authenticate,
+  verifyUserExists,
+  parseFiles('evidence'),
+  createDisputeValidation,
+  disputeController.createDispute
+);
+
+/**
+ * @route   GET /api/disputes/my
+ * @desc    Get disputes the current user raised or was named in
+ * @access  Private
+ */
+router.get(
+  '/my',
+  authenticate,
+  verifyUserExists,
+  disputeController.getMyDisputes
+);
+
+/**
+ * @route   GET /api/disputes/:id
+ * @desc    Get a dispute with its message thread
+ * @access  Private (dispute parties and admins)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  verifyUserExists,
+  disputeController.getDispute
+);
+
+/**
+ * @route   POST /api/disputes/:id/messages
+ * @desc    Post a message, optionally with evidence files, in a dispute thread
+ * @access  Private (dispute parties and admins)
+ */
+router.post(
+  '/:id/messages',
+  authenticate,
+  verifyUserExists,
+  parseFiles('attachments'),
+  disputeMessageValidation,
+  disputeController.postDisputeMessage
+);
+
+/**
+ * @route   POST /api/disputes/:id/withdraw
+ * @desc    Withdraw a dispute and release the job
+ * @access  Private (claimant only)
+ */
+router.post(
+  '/:id/withdraw',
+  authenticate,
+  verifyUserExists,
+  disputeController.withdrawDispute
+);
+
+module.exports = router;
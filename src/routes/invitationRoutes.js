@@ -0,0 +1,48 @@
+const express = require('express');
+const invitationController = require('../controllers/invitationController');
+const { authenticate, verifyUserExists, requireContractor } = require('../middleware/auth');
+const { listInvitationsValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/invitations
+ * @desc    Get the current contractor's job invitations (optional ?status=pending|accepted|declined, page, limit)
+ * @access  Private (contractors only)
+ */
+router.get(
+  '/',
+  authenticate,
+  verifyUserExists,
+  requireContractor,
+  listInvitationsValidation,
+  invitationController.getMyInvitations
+);
+
+/**
+ * @route   POST /api/invitations/:id/accept
+ * @desc    Accept an invitation to bid on a job
+ * @access  Private (invited contractor only)
+ */
+router.post(
+  '/:id/accept',
+  authenticate,
+  verifyUserExists,
+  requireContractor,
+  invitationController.acceptInvitation
+);
+
+/**
+ * @route   POST /api/invitations/:id/decline
+ * @desc    Decline an invitation to bid on a job
+ * @access  Private (invited contractor only)
+ */
+router.post(
+  '/:id/decline',
+  authenticate,
+  verifyUserExists,
+  requireContractor,
+  invitationController.declineInvitation
+);
+
+module.exports = router;
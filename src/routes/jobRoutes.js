@@ -1,8 +1,21 @@
 const express = require('express');
 const jobController = require('../controllers/jobController');
-const { authenticate, verifyUserExists, requireCustomer } = require('../middleware/auth');
-const { createJobValidation } = require('../middleware/validation');
-const { uploadFiles } = require('../middleware/upload');
+const milestoneController = require('../controllers/milestoneController');
+const invitationController = require('../controllers/invitationController');
+const questionController = require('../controllers/questionController');
+const { authenticate, verifyUserExists, requireCustomer, requireContractor } = require('../middleware/auth');
+const {
+  createJobValidation,
+  jobScheduleValidation,
+  requestCompletionValidation,
+  declineCompletionValidation,
+  submitMilestoneValidation,
+  rejectMilestoneValidation,
+  inviteContractorsValidation,
+  askQuestionValidation,
+  answerQuestionValidation
+} = require('../middleware/validation');
+const { uploadFiles, parseFiles } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -84,6 +97,34 @@ router.delete(
   jobController.deleteJob
 );
 
+/**
+ * @route   POST /api/jobs/:id/reopen
+ * @desc    Re-open an expired job with a new expiry, keeping its bids
+ * @access  Private (job owner only)
+ */
+router.post(
+  '/:id/reopen',
+  authenticate,
+  verifyUserExists,
+  requireCustomer,
+  jobScheduleValidation,
+  jobController.reopenJob
+);
+
+/**
+ * @route   POST /api/jobs/:id/repost
+ * @desc    Post a fresh copy of an expired job
+ * @access  Private (job owner only)
+ */
+router.post(
+  '/:id/repost',
+  authenticate,
+  verifyUserExists,
+  requireCustomer,
+  jobScheduleValidation,
+  jobController.repostJob
+);
+
 /**
  * @route   POST /api/jobs/assign
  * @desc    Assign a contractor to a job by accepting a bid
@@ -97,4 +138,177 @@ router.post(
   jobController.assignContractor
 );
 
+/**
+ * @route   POST /api/jobs/:id/completion/request
+ * @desc    Ask the customer to confirm the job is finished, with notes and photos
+ * @access  Private (assigned contractor only)
+ */
+router.post(
+  '/:id/completion/request',
+  authenticate,
+  verifyUserExists,
+  requireContractor,
+  parseFiles('images'),
+  requestCompletionValidation,
+  jobController.requestCompletion
+);
+
+/**
+ * @route   POST /api/jobs/:id/completion/confirm
+ * @desc    Confirm the job is finished
+ * @access  Private (job owner only)
+ */
+router.post(
+  '/:id/completion/confirm',
+  authenticate,
+  verifyUserExists,
+  requireCustomer,
+  jobController.confirmCompletion
+);
+
+/**
+ * @route   POST /api/jobs/:id/completion/decline
+ * @desc    Decline a completion request and send the job back to in progress
+ * @access  Private (job owner only)
+ */
+router.post(
+  '/:id/completion/decline',
+  authenticate,
+  verifyUserExists,
+  requireCustomer,
+  declineCompletionValidation,
+  jobController.declineCompletion
+);
+
+/**
+ * @route   GET /api/jobs/:id/invoice
+ * @desc    Download the PDF invoice of a completed job
+ * @access  Private (job owner and assigned contractor only)
+ */
+router.get(
+  '/:id/invoice',
+  authenticate,
+  verifyUserExists,
+  jobController.getJobInvoice
+);
+
+/**
+ * @route   GET /api/jobs/:id/milestones
+ * @desc    Get a job's milestones and progress
+ * @access  Private (job owner and assigned contractor)
+ */
+router.get(
+  '/:id/milestones',
+  authenticate,
+  verifyUserExists,
+  milestoneController.getJobMilestones
+);
+
+/**
+ * @route   POST /api/jobs/:id/milestones/:milestoneId/submit
+ * @desc    Submit a finished milestone for approval
+ * @access  Private (assigned contractor only)
+ */
+router.post(
+  '/:id/milestones/:milestoneId/submit',
+  authenticate,
+  verifyUserExists,
+  requireContractor,
+  submitMilestoneValidation,
+  milestoneController.submitMilestone
+);
+
+/**
+ * @route   POST /api/jobs/:id/milestones/:milestoneId/approve
+ * @desc    Approve a submitted milestone
+ * @access  Private (job owner only)
+ */
+router.post(
+  '/:id/milestones/:milestoneId/approve',
+  authenticate,
+  verifyUserExists,
+  requireCustomer,
+  milestoneController.approveMilestone
+);
+
+/**
+ * @route   POST /api/jobs/:id/milestones/:milestoneId/reject
+ * @desc    Send a submitted milestone back to the contractor
+ * @access  Private (job owner only)
+ */
+router.post(
+  '/:id/milestones/:milestoneId/reject',
+  authenticate,
+  verifyUserExists,
+  requireCustomer,
+  rejectMilestoneValidation,
+  milestoneController.rejectMilestone
+);
+
+/**
+ * @route   POST /api/jobs/:id/invitations
+ * @desc    Invite contractors to bid on a job
+ * @access  Private (job owner only)
+ */
+router.post(
+  '/:id/invitations',
+  authenticate,
+  verifyUserExists,
+  requireCustomer,
+  inviteContractorsValidation,
+  invitationController.inviteContractors
+);
+
+/**
+ * @route   GET /api/jobs/:id/invitations
+ * @desc    Get the invitations sent for a job
+ * @access  Private (job owner only)
+ */
+router.get(
+  '/:id/invitations',
+  authenticate,
+  verifyUserExists,
+  invitationController.getJobInvitations
+);
+
+/**
+ * @route   GET /api/jobs/:id/questions
+ * @desc    Get the public questions and answers on a job
+ * @access  Private
+ */
+router.get(
+  '/:id/questions',
+  authenticate,
+  verifyUserExists,
+  questionController.getJobQuestions
+);
+
+/**
+ * @route   POST /api/jobs/:id/questions
+ * @desc    Ask a public question about an open job
+ * @access  Private (contractors only)
+ */
+router.post(
+  '/:id/questions',
+  authenticate,
+  verifyUserExists,
+  requireContractor,
+  askQuestionValidation,
+  questionController.askQuestion
+);
+
+/**
+ * @route   POST /api/jobs/:id/questions/:questionId/answer
+ * @desc    Answer a question about a job
+ * @access  Private (job owner only)
+ */
+router.post(
+  '/:id/questions/:questionId/answer',
+  authenticate,
+  verifyUserExists,
+  requireCustomer,
+  answerQuestionValidation,
+  questionController.answerQuestion
+);
+
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+const { authenticate, verifyUserExists } = require('../middleware/auth');
+const { listTransactionsValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/payments/transactions
+ * @desc    Get the current user's payment transactions (optional ?type=authorization|release|refund|fee, page, limit)
+ * @access  Private
+ */
+router.get(
+  '/transactions',
+  authenticate,
+  verifyUserExists,
+  listTransactionsValidation,
+  paymentController.getMyTransactions
+);
+
+/**
+ * @route   GET /api/payments/jobs/:jobId
+ * @desc    Get a job's payment, the amount still held and its ledger
+ * @access  Private (job customer, assigned contractor and admins)
+ */
+router.get(
+  '/jobs/:jobId',
+  authenticate,
+  verifyUserExists,
+  paymentController.getJobPayment
+);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const reportController = require('../controllers/reportController');
+const { authenticate, verifyUserExists } = require('../middleware/auth');
+const { createReportValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/reports
+ * @desc    Report a user, message, job or rating to moderators
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticate,
+  verifyUserExists,
+  createReportValidation,
+  reportController.createReport
+);
+
+/**
+ * @route   GET /api/reports/my
+ * @desc    Get reports filed by the current user
+ * @access  Private
+ */
+router.get(
+  '/my',
+  authenticate,
+  verifyUserExists,
+  reportController.getMyReports
+);
+
+module.exports = router;
@@ -6,6 +6,18 @@ const { uploadImage } = require('../middleware/upload');
 
 const router = express.Router();
 
+/**
+ * @route   GET /api/users/blocked
+ * @desc    Get users blocked by the current user
+ * @access  Private
+ */
+router.get(
+  '/blocked',
+  authenticate,
+  verifyUserExists,
+  userController.getBlockedUsers
+);
+
 /**
  * @route   GET /api/users/:userId
  * @desc    Get public profile of a user
@@ -32,6 +44,18 @@ router.put(
   userController.updateProfile
 );
 
+/**
+ * @route   POST /api/users/deactivate
+ * @desc    Deactivate the current user's account
+ * @access  Private
+ */
+router.post(
+  '/deactivate',
+  authenticate,
+  verifyUserExists,
+  userController.deactivateAccount
+);
+
 /**
  * @route   GET /api/users/search/contractors
  * @desc    Search for contractors
@@ -44,4 +68,28 @@ router.get(
   userController.searchContractors
 );
 
+/**
+ * @route   POST /api/users/:userId/block
+ * @desc    Block a user from contacting you or bidding on your jobs
+ * @access  Private
+ */
+router.post(
+  '/:userId/block',
+  authenticate,
+  verifyUserExists,
+  userController.blockUser
+);
+
+/**
+ * @route   DELETE /api/users/:userId/block
+ * @desc    Unblock a user
+ * @access  Private
+ */
+router.delete(
+  '/:userId/block',
+  authenticate,
+  verifyUserExists,
+  userController.unblockUser
+);
+
 module.exports = router;
@@ -13,9 +13,19 @@ const bidRoutes = require('./routes/bidRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const userRoutes = require('./routes/userRoutes');
 const ratingRoutes = require('./routes/ratingRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const disputeRoutes = require('./routes/disputeRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
+
+// Import services
+const realtime = require('./services/realtime');
+const { startBackgroundTasks } = require('./services/backgroundTasks');
 
 // Initialize Express app
 const app = express();
@@ -39,7 +49,8 @@ app.use((req, res, next) => {
 });
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+app.use(requestId);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -59,7 +70,13 @@ app.get('/api/docs', (req, res) => {
       bids: '/api/bids',
       chats: '/api/chats',
       users: '/api/users',
-      ratings: '/api/ratings'
+      ratings: '/api/ratings',
+      reports: '/api/reports',
+      disputes: '/api/disputes',
+      payments: '/api/payments',
+      invitations: '/api/invitations',
+      admin: '/api/admin',
+      realtime: '/ws?token=<jwt>'
     }
   });
 });
@@ -71,6 +88,11 @@ app.use('/api/bids', bidRoutes);
 app.use('/api/chats', chatRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/ratings', ratingRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -84,9 +106,18 @@ app.use((req, res) => {
 const PORT = process.env.PORT || 8000;
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on http://0.0.0.0:${PORT}`);
   console.log(`API Documentation available at http://0.0.0.0:${PORT}/api/docs`);
+  console.log(`Real-time events available at ws://0.0.0.0:${PORT}/ws`);
+});
+
+// Attach the WebSocket server for real-time events
+realtime.attach(server);
+
+// Run background tasks: auto-completion, job expiry, reminders and rating prompts
+startBackgroundTasks().catch((error) => {
+  console.error('Start background tasks error:', error);
 });
 
 module.exports = app; // Export for testing
\ No newline at end of file
@@ -0,0 +1,41 @@
+const { ACCOUNT_STATUS } = require('../utils/constants');
+
+/**
+ * Account status rules for contractors shown to other users
+ *
+ * Suspended and deactivated contractors drop out of contractor search, job
+ * listings and bid lists and can't have a bid accepted. A contractor already
+ * assigned to a job stays on it, with their account_status included so the
+ * customer can see why they stopped responding.
+ */
+
+// Contractor columns embedded wherever a contractor is shown next to a job or bid
+const CONTRACTOR_FIELDS = 'id, full_name, email, profile_image, account_status';
+
+/**
+ * Check whether an embedded user row belongs to an active account
+ * @param {Object|null} user - User row with account_status
+ * @returns {boolean}
+ */
+const isActiveAccount = (user) => !!user && user.account_status === ACCOUNT_STATUS.ACTIVE;
+
+/**
+ * Drop bids placed by contractors who are no longer active; the bidder still
+ * sees their own bid and admins see every bid
+ * @param {Array<Object>} bids - Bids with an embedded contractor
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Array<Object>}
+ */
+const withoutInactiveBidders = (bids, user) => {
+  if (user.role === 'admin') {
+    return bids;
+  }
+
+  return bids.filter(bid => bid.contractor_id === user.userId || isActiveAccount(bid.contractor));
+};
+
+module.exports = {
+  CONTRACTOR_FIELDS,
+  isActiveAccount,
+  withoutInactiveBidders
+};
@@ -0,0 +1,50 @@
+const supabase = require('../config/supabase');
+
+/**
+ * Append-only audit log of state-changing actions
+ *
+ * Rows can only be inserted; a database trigger rejects updates and deletes.
+ * Writing an entry never fails the request that triggered it, since the
+ * change itself has already been committed by then.
+ */
+
+/**
+ * Record an action in the audit log
+ * @param {Object|null} req - Express request object (provides the actor and request ID),
+ *   or null for changes made by the system itself
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.entityType - 'job', 'bid', 'rating', 'user' or 'report'
+ * @param {string} entry.entityId - ID of the changed row
+ * @param {string} [entry.jobId] - Job the change relates to, used for per-job history
+ * @param {Object} [entry.before] - Snapshot before the change
+ * @param {Object} [entry.after] - Snapshot after the change
+ */
+const recordAudit = async (req, { action, entityType, entityId, jobId = null, before = null, after = null }) => {
+  try {
+    const { error } = await supabase
+      .from('audit_logs')
+      .insert({
+        actor_id: req && req.user ? req.user.userId : null,
+        actor_role: req && req.user ? req.user.role : 'system',
+        request_id: req ? req.requestId || null : null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId,
+        job_id: jobId,
+        before,
+        after,
+        created_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.error(`Audit log error (${action}):`, error);
+    }
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+module.exports = {
+  recordAudit
+};
@@ -0,0 +1,35 @@
+const scheduler = require('./scheduler');
+const {
+  completeOverdueJobs,
+  sendCompletionReminder,
+  sendRatingPrompt
+} = require('./jobCompletion');
+const { expireStaleJobs } = require('./jobExpiry');
+const { refundCancelledJob } = require('./jobCancellation');
+const {
+  JOB_COMPLETION,
+  JOB_EXPIRY,
+  SCHEDULED_TASK_TYPES
+} = require('../utils/constants');
+
+/**
+ * Register every background task with the scheduler and start it
+ * @returns {Promise<Object>} - Scheduler interval timer
+ */
+const startBackgroundTasks = () => {
+  scheduler.registerTask(SCHEDULED_TASK_TYPES.AUTO_COMPLETE_JOBS, completeOverdueJobs, {
+    everyMinutes: JOB_COMPLETION.CHECK_INTERVAL_MINUTES
+  });
+  scheduler.registerTask(SCHEDULED_TASK_TYPES.EXPIRE_JOBS, expireStaleJobs, {
+    everyMinutes: JOB_EXPIRY.CHECK_INTERVAL_MINUTES
+  });
+  scheduler.registerTask(SCHEDULED_TASK_TYPES.COMPLETION_REMINDER, sendCompletionReminder);
+  scheduler.registerTask(SCHEDULED_TASK_TYPES.RATING_PROMPT, sendRatingPrompt);
+  scheduler.registerTask(SCHEDULED_TASK_TYPES.CANCELLATION_REFUND, refundCancelledJob);
+
+  return scheduler.start();
+};
+
+module.exports = {
+  startBackgroundTasks
+};
@@ -0,0 +1,61 @@
+/**
+ * Bid revision history
+ *
+ * Triggers on the bids table write a bid_revisions row for every version of
+ * a bid's terms (see tables.sql). These helpers turn those rows into the
+ * "revised N times" summary customers see next to each bid.
+ */
+
+// Columns of a revision that make up a bid's terms, in display order
+const REVISED_FIELDS = ['amount', 'estimated_days', 'proposal', 'line_items', 'tax_amount', 'milestones'];
+
+const NUMERIC_FIELDS = ['amount', 'tax_amount'];
+
+/**
+ * Compare two versions of a bid's terms
+ * @param {Object} previous - Earlier bid_revisions row
+ * @param {Object} next - Later bid_revisions row
+ * @returns {Array} - [{ field, from, to }] for every field that changed
+ */
+const diffRevisions = (previous, next) =>
+  REVISED_FIELDS
+    .filter(field => {
+      if (NUMERIC_FIELDS.includes(field)) {
+        return Math.round(parseFloat(previous[field]) * 100) !== Math.round(parseFloat(next[field]) * 100);
+      }
+
+      return JSON.stringify(previous[field]) !== JSON.stringify(next[field]);
+    })
+    .map(field => ({
+      field,
+      from: NUMERIC_FIELDS.includes(field) ? parseFloat(previous[field]) : previous[field],
+      to: NUMERIC_FIELDS.includes(field) ? parseFloat(next[field]) : next[field]
+    }));
+
+/**
+ * Summarize a bid's revisions, newest first
+ * @param {Array} revisions - bid_revisions rows for one bid
+ * @returns {Object} - { count, history: [{ version, revisedAt, changes }] }
+ */
+const summarizeRevisions = (revisions = []) => {
+  const sorted = [...revisions].sort((a, b) => a.version - b.version);
+  const history = [];
+
+  for (let i = 1; i < sorted.length; i++) {
+    history.push({
+      version: sorted[i].version,
+      revisedAt: sorted[i].created_at,
+      changes: diffRevisions(sorted[i - 1], sorted[i])
+    });
+  }
+
+  return {
+    count: history.length,
+    history: history.reverse()
+  };
+};
+
+module.exports = {
+  diffRevisions,
+  summarizeRevisions
+};
@@ -0,0 +1,37 @@
+const supabase = require('../config/supabase');
+
+/**
+ * User blocking lookups shared by the chat and bidding controllers
+ *
+ * A block works in both directions: once either user blocks the other,
+ * neither can start a conversation, message or bid on the other's jobs.
+ */
+
+/**
+ * Check whether either user has blocked the other
+ * @param {string} userId - First user ID
+ * @param {string} otherUserId - Second user ID
+ * @returns {Promise<boolean>} - True if a block exists in either direction
+ */
+const isBlocked = async (userId, otherUserId) => {
+  const { data: blocks, error } = await supabase
+    .from('user_blocks')
+    .select('id')
+    .or(
+      `and(blocker_id.eq.${userId},blocked_id.eq.${otherUserId}),` +
+      `and(blocker_id.eq.${otherUserId},blocked_id.eq.${userId})`
+    )
+    .limit(1);
+
+  if (error) {
+    // Fail closed so a lookup error never lets a blocked user through
+    console.error('Check block error:', error);
+    return true;
+  }
+
+  return blocks.length > 0;
+};
+
+module.exports = {
+  isBlocked
+};
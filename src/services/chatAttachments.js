@@ -0,0 +1,104 @@
+const supabase = require('../config/supabase');
+const { storeFiles } = require('../middleware/upload');
+
+/**
+ * Chat attachment storage
+ *
+ * Chat files live in a private bucket and are stored only after the sender
+ * has been checked. Messages keep each file's storage path; links are signed
+ * for every response and expire after SIGNED_URL_TTL_SECONDS.
+ */
+
+const CHAT_ATTACHMENTS_BUCKET = 'chat-attachments';
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+/**
+ * Store files sent with a message
+ * @param {Array<Object>} files - Files parsed by multer
+ * @returns {Promise<Array<Object>>} - Attachments to store on the message ({ name, type, size, path })
+ */
+const storeChatAttachments = async (files = []) => {
+  if (files.length === 0) {
+    return [];
+  }
+
+  const storedFiles = await storeFiles(files, CHAT_ATTACHMENTS_BUCKET);
+
+  return storedFiles.map(file => ({
+    name: file.originalName,
+    type: file.fileType,
+    size: file.fileSize,
+    path: file.filePath
+  }));
+};
+
+/**
+ * Remove stored attachments, e.g. when their message could not be saved
+ * @param {Array<Object>} attachments - Attachments with a storage path
+ */
+const removeChatAttachments = async (attachments) => {
+  if (attachments.length === 0) return;
+
+  const { error } = await supabase.storage
+    .from(CHAT_ATTACHMENTS_BUCKET)
+    .remove(attachments.map(file => file.path));
+
+  if (error) {
+    console.error('Remove chat attachments error:', error);
+  }
+};
+
+/**
+ * Add short-lived signed links to the attachments of messages
+ * @param {Array<Object>} messages - Message rows (or message_edits rows)
+ * @param {string} [field] - Column holding the attachments
+ * @returns {Promise<Array<Object>>} - Messages with a url on every attachment
+ */
+const withAttachmentUrls = async (messages, field = 'attachments') => {
+  const paths = [...new Set(
+    messages.flatMap(message => (message[field] || []).map(file => file.path))
+  )];
+
+  if (paths.length === 0) {
+    return messages;
+  }
+
+  const { data: signedUrls, error } = await supabase.storage
+    .from(CHAT_ATTACHMENTS_BUCKET)
+    .createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+
+  if (error) {
+    // Fall back to attachments without links rather than failing the request
+    console.error('Sign chat attachments error:', error);
+    return messages;
+  }
+
+  const urlsByPath = new Map(
+    signedUrls.filter(signed => !signed.error).map(signed => [signed.path, signed.signedUrl])
+  );
+
+  return messages.map(message => ({
+    ...message,
+    [field]: (message[field] || []).map(file => ({
+      ...file,
+      url: urlsByPath.get(file.path) || null
+    }))
+  }));
+};
+
+/**
+ * Add signed attachment links to a single message
+ * @param {Object} message - Message row
+ * @returns {Promise<Object>} - Message with a url on every attachment
+ */
+const withMessageAttachmentUrls = async (message) => {
+  const [signedMessage] = await withAttachmentUrls([message]);
+  return signedMessage;
+};
+
+module.exports = {
+  storeChatAttachments,
+  removeChatAttachments,
+  withAttachmentUrls,
+  withMessageAttachmentUrls
+};
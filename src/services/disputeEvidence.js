@@ -0,0 +1,94 @@
+const supabase = require('../config/supabase');
+const { storeFiles } = require('../middleware/upload');
+
+/**
+ * Dispute evidence storage
+ *
+ * Evidence opened with a dispute and files posted in its thread live in a
+ * private bucket and are stored only after the sender has been checked.
+ * Rows keep each file's storage path; links are signed for every response
+ * and expire after SIGNED_URL_TTL_SECONDS.
+ */
+
+const DISPUTE_EVIDENCE_BUCKET = 'dispute-evidence';
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+/**
+ * Store files sent with a dispute or dispute message
+ * @param {Array<Object>} files - Files parsed by multer
+ * @returns {Promise<Array<Object>>} - Files to store on the row ({ name, type, size, path })
+ */
+const storeDisputeEvidence = async (files = []) => {
+  if (files.length === 0) {
+    return [];
+  }
+
+  const storedFiles = await storeFiles(files, DISPUTE_EVIDENCE_BUCKET);
+
+  return storedFiles.map(file => ({
+    name: file.originalName,
+    type: file.fileType,
+    size: file.fileSize,
+    path: file.filePath
+  }));
+};
+
+/**
+ * Remove stored evidence, e.g. when its dispute or message could not be saved
+ * @param {Array<Object>} files - Files with a storage path
+ */
+const removeDisputeEvidence = async (files) => {
+  if (files.length === 0) return;
+
+  const { error } = await supabase.storage
+    .from(DISPUTE_EVIDENCE_BUCKET)
+    .remove(files.map(file => file.path));
+
+  if (error) {
+    console.error('Remove dispute evidence error:', error);
+  }
+};
+
+/**
+ * Add short-lived signed links to the files of disputes or dispute messages
+ * @param {Array<Object>} rows - Dispute or dispute_messages rows
+ * @param {string} field - Column holding the files ('evidence' or 'attachments')
+ * @returns {Promise<Array<Object>>} - Rows with a url on every file
+ */
+const withEvidenceUrls = async (rows, field) => {
+  const paths = [...new Set(
+    rows.flatMap(row => (row[field] || []).map(file => file.path))
+  )];
+
+  if (paths.length === 0) {
+    return rows;
+  }
+
+  const { data: signedUrls, error } = await supabase.storage
+    .from(DISPUTE_EVIDENCE_BUCKET)
+    .createSignedUrls(paths, SIGNED_URL_TTL_SECONDS);
+
+  if (error) {
+    // Fall back to files without links rather than failing the request
+    console.error('Sign dispute evidence error:', error);
+    return rows;
+  }
+
+  const urlsByPath = new Map(
+    signedUrls.filter(signed => !signed.error).map(signed => [signed.path, signed.signedUrl])
+  );
+
+  return rows.map(row => ({
+    ...row,
+    [field]: (row[field] || []).map(file => ({
+      ...file,
+      url: urlsByPath.get(file.path) || null
+    }))
+  }));
+};
+
+module.exports = {
+  storeDisputeEvidence,
+  removeDisputeEvidence,
+  withEvidenceUrls
+};
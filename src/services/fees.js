@@ -0,0 +1,79 @@
+const billing = require('../config/billing');
+const { PAYMENTS } = require('../utils/constants');
+
+/**
+ * Platform fee and payout calculation
+ *
+ * Rules live in src/config/billing.js. Accepted bids carry the breakdown that
+ * was calculated when they were accepted (bids.fee_breakdown); everything
+ * else is calculated from the current rules.
+ */
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+/**
+ * Find the promotion that applies to a category at a point in time
+ * @param {string} category - Job category
+ * @param {Date} at - Time of the calculation
+ * @returns {Object|null} - Promotion, or null if none applies
+ */
+const findPromotion = (category, at) =>
+  billing.PROMOTIONS.find(promotion =>
+    (!promotion.categories || promotion.categories.includes(category)) &&
+    (!promotion.startsAt || new Date(promotion.startsAt) <= at) &&
+    (!promotion.endsAt || new Date(promotion.endsAt) >= at)
+  ) || null;
+
+/**
+ * Calculate the platform fee and payout for a bid amount
+ * @param {number|string} amount - Bid amount
+ * @param {string} category - Job category
+ * @param {Date} [at] - Time of the calculation, defaults to now
+ * @returns {Object} - Fee breakdown
+ */
+const calculateFees = (amount, category, at = new Date()) => {
+  const amountCents = toCents(amount);
+  const promotion = findPromotion(category, at);
+
+  let feePercent = billing.DEFAULT_FEE_PERCENT;
+
+  if (promotion) {
+    feePercent = promotion.feePercent;
+  } else if (category in billing.CATEGORY_FEE_PERCENT) {
+    feePercent = billing.CATEGORY_FEE_PERCENT[category];
+  }
+
+  const percentageFeeCents = Math.round(amountCents * feePercent / 100);
+  const minimumFeeCents = promotion && promotion.waiveMinimum ? 0 : toCents(billing.MINIMUM_FEE);
+
+  // The minimum never takes more than the whole bid
+  const feeCents = Math.min(amountCents, Math.max(percentageFeeCents, minimumFeeCents));
+
+  return {
+    amount: amountCents / 100,
+    currency: PAYMENTS.CURRENCY,
+    feePercent,
+    fee: feeCents / 100,
+    minimumFeeApplied: feeCents > percentageFeeCents,
+    promotionId: promotion ? promotion.id : null,
+    customerTotal: amountCents / 100,
+    contractorPayout: (amountCents - feeCents) / 100,
+    calculatedAt: at.toISOString()
+  };
+};
+
+/**
+ * Add a fee breakdown to a bid, preferring the one stored on acceptance
+ * @param {Object} bid - Bid row
+ * @param {string} category - Category of the bid's job
+ * @returns {Object} - Bid with a `fees` field (null when the amount is hidden)
+ */
+const withFees = (bid, category) => ({
+  ...bid,
+  fees: bid.fee_breakdown || (bid.amount === null ? null : calculateFees(bid.amount, category))
+});
+
+module.exports = {
+  calculateFees,
+  withFees
+};
@@ -0,0 +1,390 @@
+const PDFDocument = require('pdfkit');
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const billing = require('../config/billing');
+const { calculateFees } = require('./fees');
+const { sortMilestones } = require('./milestones');
+const { summarizeQuote } = require('./quotes');
+const { BID_STATUS, INVOICE_STATUS, PAYMENTS } = require('../utils/constants');
+
+/**
+ * PDF invoices for completed jobs
+ *
+ * One invoice is generated per job when it completes and serves as the
+ * customer's receipt and the contractor's invoice. The PDF is stored in the
+ * uploads bucket under an unguessable path and only served through
+ * GET /api/jobs/:id/invoice; the figures printed on it are kept in
+ * invoices.details so the document can be explained later. The row is
+ * inserted first to claim the invoice number and marked ready once its PDF
+ * is stored; until then readers get a pending invoice.
+ */
+
+const BUCKET = 'uploads';
+
+// A pending invoice older than this is assumed abandoned and generated again
+const PENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Format an amount of money for printing
+ * @param {number|string} amount - Amount in major units
+ * @param {string} currency - ISO currency code
+ * @returns {string} - Formatted amount
+ */
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() })
+    .format(parseFloat(amount));
+
+/**
+ * Format a timestamp as a date for printing
+ * @param {string|null} value - ISO timestamp
+ * @returns {string} - Formatted date, or a dash
+ */
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : '-';
+
+/**
+ * Collect everything printed on a job's invoice
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Invoice details, or null if the job has no accepted bid
+ */
+const buildInvoiceDetails = async (jobId) => {
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .select(`
+      *,
+      customer:customer_id(id, full_name, email, phone, address),
+      contractor:contractor_id(id, full_name, email, phone, address),
+      milestones:job_milestones(*)
+    `)
+    .eq('id', jobId)
+    .single();
+
+  if (error || !job || !job.contractor) {
+    return null;
+  }
+
+  const { data: bid } = await supabase
+    .from('bids')
+    .select('*')
+    .eq('job_id', jobId)
+    .eq('status', BID_STATUS.ACCEPTED)
+    .maybeSingle();
+
+  if (!bid) {
+    return null;
+  }
+
+  const { data: payment } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('job_id', jobId)
+    .maybeSingle();
+
+  const amount = parseFloat(bid.amount);
+  const currency = payment ? payment.currency : PAYMENTS.CURRENCY;
+
+  // Itemized bids carry the tax they added; single amounts include it, so back it out
+  const quote = summarizeQuote(bid);
+  const tax = quote
+    ? { percent: null, amount: quote.tax, included: false }
+    : {
+      percent: billing.TAX_PERCENT,
+      amount: Math.round((amount - amount / (1 + billing.TAX_PERCENT / 100)) * 100) / 100,
+      included: true
+    };
+
+  const party = (user) => ({
+    id: user.id,
+    name: user.full_name,
+    email: user.email,
+    phone: user.phone,
+    address: user.address
+  });
+
+  return {
+    issuedAt: new Date().toISOString(),
+    currency,
+    job: {
+      id: job.id,
+      title: job.title,
+      category: job.category,
+      location: job.location,
+      postedAt: job.created_at,
+      completedAt: job.completed_at
+    },
+    customer: party(job.customer),
+    contractor: party(job.contractor),
+    bid: {
+      id: bid.id,
+      amount,
+      estimatedDays: bid.estimated_days,
+      acceptedAt: bid.updated_at
+    },
+    lineItems: (bid.line_items || []).map(item => ({
+      type: item.type,
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unit_price,
+      taxable: item.taxable,
+      total: item.total
+    })),
+    subtotal: quote ? quote.subtotal : null,
+    milestones: sortMilestones(job.milestones).map(milestone => ({
+      title: milestone.title,
+      amount: parseFloat(milestone.amount),
+      status: milestone.status,
+      dueDate: milestone.due_date,
+      approvedAt: milestone.approved_at
+    })),
+    fees: bid.fee_breakdown || calculateFees(amount, job.category),
+    tax,
+    payment: payment
+      ? {
+        status: payment.status,
+        amountReleased: parseFloat(payment.amount_released),
+        amountRefunded: parseFloat(payment.amount_refunded)
+      }
+      : null
+  };
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {string} invoiceNumber - Invoice number
+ * @param {Object} details - Result of buildInvoiceDetails
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+const renderInvoicePdf = (invoiceNumber, details) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  const money = (amount) => formatMoney(amount, details.currency);
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.fontSize(20).text('Invoice', { align: 'right' });
+  doc.fontSize(10)
+    .text(`Invoice number: ${invoiceNumber}`, { align: 'right' })
+    .text(`Issued: ${formatDate(details.issuedAt)}`, { align: 'right' })
+    .moveDown(2);
+
+  const partiesTop = doc.y;
+  const printParty = (label, person, x) => {
+    doc.fontSize(11).font('Helvetica-Bold').text(label, x, partiesTop, { width: 230 });
+    doc.font('Helvetica').fontSize(10).text(person.name, { width: 230 });
+    [person.email, person.phone, person.address]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, { width: 230 }));
+  };
+
+  printParty('Contractor', details.contractor, 50);
+  const contractorBottom = doc.y;
+  printParty('Customer', details.customer, 310);
+  doc.x = 50;
+  doc.y = Math.max(contractorBottom, doc.y);
+  doc.moveDown(2);
+
+  doc.fontSize(11).font('Helvetica-Bold').text('Job');
+  doc.font('Helvetica').fontSize(10)
+    .text(details.job.title)
+    .text(`Category: ${details.job.category}`);
+  if (details.job.location) {
+    doc.text(`Location: ${details.job.location}`);
+  }
+  doc
+    .text(`Posted: ${formatDate(details.job.postedAt)}`)
+    .text(`Bid accepted: ${formatDate(details.bid.acceptedAt)}`)
+    .text(`Completed: ${formatDate(details.job.completedAt)}`)
+    .moveDown();
+
+  if (details.lineItems.length > 0) {
+    doc.fontSize(11).font('Helvetica-Bold').text('Quote');
+    doc.font('Helvetica').fontSize(10);
+    details.lineItems.forEach(item => {
+      const taxable = item.taxable ? ', taxable' : '';
+      doc.text(`${item.description} (${item.type}${taxable}) ${item.quantity} x ${money(item.unitPrice)}`, { continued: true })
+        .text(money(item.total), { align: 'right' });
+    });
+    doc.moveDown();
+  }
+
+  if (details.milestones.length > 0) {
+    doc.fontSize(11).font('Helvetica-Bold').text('Milestones');
+    doc.font('Helvetica').fontSize(10);
+    details.milestones.forEach((milestone, index) => {
+      const approved = milestone.approvedAt ? `approved ${formatDate(milestone.approvedAt)}` : milestone.status;
+      doc.text(`${index + 1}. ${milestone.title} (${approved})`, { continued: true })
+        .text(money(milestone.amount), { align: 'right' });
+    });
+    doc.moveDown();
+  }
+
+  const line = (label, amount, options = {}) => {
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(label, { continued: true })
+      .text(amount, { align: 'right' });
+  };
+
+  doc.fontSize(11).font('Helvetica-Bold').text('Summary');
+  doc.fontSize(10);
+  if (!details.tax.included) {
+    line('Subtotal', money(details.subtotal));
+    line('Tax on taxable items', money(details.tax.amount));
+  }
+  line('Accepted bid', money(details.bid.amount));
+  if (details.tax.included && details.tax.percent > 0) {
+    line(`Includes tax (${details.tax.percent}%)`, money(details.tax.amount));
+  }
+  line('Total paid by customer', money(details.fees.customerTotal), { bold: true });
+  doc.moveDown(0.5);
+  const feeLabel = details.fees.promotionId
+    ? `Platform fee (${details.fees.feePercent}%, promotional rate)`
+    : `Platform fee (${details.fees.feePercent}%${details.fees.minimumFeeApplied ? ', minimum fee' : ''})`;
+  line(feeLabel, `-${money(details.fees.fee)}`);
+  line('Contractor payout', money(details.fees.contractorPayout), { bold: true });
+
+  if (details.payment && details.payment.amountRefunded > 0) {
+    doc.moveDown(0.5);
+    line('Refunded to customer', money(details.payment.amountRefunded));
+  }
+
+  doc.end();
+});
+
+/**
+ * Check whether a pending invoice was left behind by a generation that died
+ * before storing its PDF
+ * @param {Object} invoice - Pending invoice row
+ * @returns {boolean}
+ */
+const isAbandoned = (invoice) =>
+  Date.now() - new Date(invoice.created_at).getTime() > PENDING_TIMEOUT_MS;
+
+/**
+ * Get a job's invoice, generating and storing it if it doesn't exist yet
+ * @param {string} jobId - ID of a completed job
+ * @returns {Promise<Object|null>} - Invoice row (still pending while another
+ *   request stores its PDF), or null if the job can't be invoiced
+ */
+const generateInvoice = async (jobId) => {
+  const { data: existing } = await supabase
+    .from('invoices')
+    .select('*')
+    .eq('job_id', jobId)
+    .maybeSingle();
+
+  if (existing && (existing.status === INVOICE_STATUS.READY || !isAbandoned(existing))) {
+    return existing;
+  }
+
+  // Finish an abandoned invoice under its number rather than issuing a new one
+  let invoice = existing;
+
+  if (!invoice) {
+    const details = await buildInvoiceDetails(jobId);
+
+    if (!details) {
+      return null;
+    }
+
+    // Insert first to claim the invoice number and win any concurrent generation
+    const { data: inserted, error } = await supabase
+      .from('invoices')
+      .insert({
+        job_id: jobId,
+        customer_id: details.customer.id,
+        contractor_id: details.contractor.id,
+        file_path: `invoices/${uuidv4()}.pdf`,
+        details,
+        created_at: details.issuedAt
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        const { data: winner } = await supabase
+          .from('invoices')
+          .select('*')
+          .eq('job_id', jobId)
+          .single();
+
+        return winner;
+      }
+
+      throw error;
+    }
+
+    invoice = inserted;
+  }
+
+  try {
+    const pdf = await renderInvoicePdf(invoice.invoice_number, invoice.details);
+
+    // The path is unguessable; overwriting only replaces a PDF an abandoned attempt stored
+    const { error: uploadError } = await supabase.storage
+      .from(BUCKET)
+      .upload(invoice.file_path, pdf, {
+        contentType: 'application/pdf',
+        upsert: true
+      });
+
+    if (uploadError) {
+      throw new Error(`Upload failed: ${uploadError.message}`);
+    }
+  } catch (uploadError) {
+    // Let the next attempt start over
+    await supabase.from('invoices').delete().eq('id', invoice.id);
+    throw uploadError;
+  }
+
+  const { data: readyInvoice, error: readyError } = await supabase
+    .from('invoices')
+    .update({ status: INVOICE_STATUS.READY })
+    .eq('id', invoice.id)
+    .select()
+    .single();
+
+  if (readyError) {
+    throw readyError;
+  }
+
+  return readyInvoice;
+};
+
+/**
+ * Generate a completed job's invoice without failing the caller
+ * @param {string} jobId - Job ID
+ */
+const generateInvoiceSafely = async (jobId) => {
+  try {
+    await generateInvoice(jobId);
+  } catch (error) {
+    console.error('Generate invoice error:', error);
+  }
+};
+
+/**
+ * Download a stored invoice PDF
+ * @param {Object} invoice - Invoice row
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+const downloadInvoicePdf = async (invoice) => {
+  const { data, error } = await supabase.storage
+    .from(BUCKET)
+    .download(invoice.file_path);
+
+  if (error) {
+    throw new Error(`Download failed: ${error.message}`);
+  }
+
+  return Buffer.from(await data.arrayBuffer());
+};
+
+module.exports = {
+  renderInvoicePdf,
+  generateInvoice,
+  generateInvoiceSafely,
+  downloadInvoicePdf
+};
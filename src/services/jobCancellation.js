@@ -0,0 +1,92 @@
+const supabase = require('../config/supabase');
+const { refundPayment } = require('./payments');
+const scheduler = require('./scheduler');
+const {
+  JOB_STATUS,
+  JOB_CANCELLATION,
+  SCHEDULED_TASK_TYPES
+} = require('../utils/constants');
+
+/**
+ * Refunds for cancelled jobs
+ *
+ * A contractor can dispute the cancellation of a job they were hired for
+ * within JOB_CANCELLATION.DISPUTE_WINDOW_HOURS, so the funds held for it are
+ * only refunded once that window has passed without a dispute. A dispute
+ * decides the refund itself: resolving it with cancel_job refunds right away
+ * and withdrawing it queues the refund again.
+ */
+
+/**
+ * Get the time a job's cancellation can no longer be disputed
+ * @param {Object} job - Job row with cancelled_at
+ * @returns {string|null} - ISO timestamp, or null if the job was never cancelled
+ */
+const getCancellationDisputeDeadline = (job) => {
+  if (!job.cancelled_at) {
+    return null;
+  }
+
+  const cancelledAt = new Date(job.cancelled_at).getTime();
+  return new Date(cancelledAt + JOB_CANCELLATION.DISPUTE_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Check whether a cancelled job can still be disputed
+ * @param {Object} job - Job row
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean}
+ */
+const isCancellationDisputable = (job, now = Date.now()) => {
+  const deadline = getCancellationDisputeDeadline(job);
+
+  return job.status === JOB_STATUS.CANCELLED && deadline !== null && new Date(deadline).getTime() > now;
+};
+
+/**
+ * Queue the refund of a cancelled job for when its dispute window closes
+ * @param {Object} job - Cancelled job row
+ */
+const scheduleCancellationRefund = async (job) => {
+  // Nothing is held for a job nobody was hired for
+  if (!job.contractor_id) {
+    return;
+  }
+
+  await scheduler.enqueue(SCHEDULED_TASK_TYPES.CANCELLATION_REFUND, { jobId: job.id }, {
+    runAt: Math.max(Date.now(), new Date(getCancellationDisputeDeadline(job)).getTime()),
+    dedupeKey: `${SCHEDULED_TASK_TYPES.CANCELLATION_REFUND}:${job.id}`
+  });
+};
+
+/**
+ * Refund a cancelled job whose cancellation went undisputed
+ * @param {Object} payload - Task payload
+ * @param {string} payload.jobId - Job ID
+ */
+const refundCancelledJob = async ({ jobId }) => {
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .select('id, status, contractor_id, cancelled_at')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  // Disputed jobs are refunded when the dispute closes, if at all
+  if (!job || job.status !== JOB_STATUS.CANCELLED || isCancellationDisputable(job)) {
+    return;
+  }
+
+  // A failed refund is retried by the scheduler
+  await refundPayment(null, jobId);
+};
+
+module.exports = {
+  getCancellationDisputeDeadline,
+  isCancellationDisputable,
+  scheduleCancellationRefund,
+  refundCancelledJob
+};
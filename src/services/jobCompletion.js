@@ -0,0 +1,253 @@
+const supabase = require('../config/supabase');
+const realtime = require('./realtime');
+const { recordAudit } = require('./auditLog');
+const { releasePayment } = require('./payments');
+const { generateInvoiceSafely } = require('./invoices');
+const scheduler = require('./scheduler');
+const {
+  JOB_STATUS,
+  JOB_COMPLETION,
+  AUDIT_ACTIONS,
+  SCHEDULED_TASK_TYPES
+} = require('../utils/constants');
+
+/**
+ * Two-sided job completion
+ *
+ * The assigned contractor asks to complete a job and the customer confirms
+ * or declines. A request the customer never answers is accepted once the
+ * grace period (JOB_COMPLETION.GRACE_PERIOD_HOURS) has passed; the customer
+ * is reminded shortly before that happens. Once a job completes both parties
+ * are prompted to rate each other.
+ */
+
+/**
+ * Tell both parties of a job that its status changed
+ * @param {Object} job - Updated job row
+ */
+const notifyJobStatus = (job) => {
+  const payload = {
+    jobId: job.id,
+    status: job.status,
+    updatedAt: job.updated_at
+  };
+
+  realtime.emitToUser(job.customer_id, 'job:status', payload);
+
+  if (job.contractor_id) {
+    realtime.emitToUser(job.contractor_id, 'job:status', payload);
+  }
+};
+
+/**
+ * Pay out what a completed job still holds and issue its invoice
+ * @param {Object|null} req - Express request object, or null for system changes
+ * @param {string} jobId - ID of the job that just completed
+ * @throws {Error} - If the payout failed; the invoice and rating prompt are still issued
+ */
+const settleCompletedJob = async (req, jobId) => {
+  let paymentError = null;
+
+  try {
+    await releasePayment(req, jobId);
+  } catch (error) {
+    paymentError = error;
+  }
+
+  await generateInvoiceSafely(jobId);
+
+  await scheduler.enqueue(SCHEDULED_TASK_TYPES.RATING_PROMPT, { jobId }, {
+    runAt: Date.now() + JOB_COMPLETION.RATING_PROMPT_DELAY_HOURS * 60 * 60 * 1000,
+    dedupeKey: `${SCHEDULED_TASK_TYPES.RATING_PROMPT}:${jobId}`
+  });
+
+  if (paymentError) {
+    throw paymentError;
+  }
+};
+
+/**
+ * Get the time a pending completion request will be accepted automatically
+ * @param {Object} job - Job row with completion_requested_at set
+ * @returns {string|null} - ISO timestamp, or null if no request is pending
+ */
+const getAutoCompleteAt = (job) => {
+  if (job.status !== JOB_STATUS.COMPLETION_REQUESTED || !job.completion_requested_at) {
+    return null;
+  }
+
+  const requestedAt = new Date(job.completion_requested_at).getTime();
+  return new Date(requestedAt + JOB_COMPLETION.GRACE_PERIOD_HOURS * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Complete every job whose completion request has outlived the grace period
+ * @returns {Promise<number>} - Number of jobs completed
+ */
+const completeOverdueJobs = async () => {
+  const cutoff = new Date(
+    Date.now() - JOB_COMPLETION.GRACE_PERIOD_HOURS * 60 * 60 * 1000
+  ).toISOString();
+
+  const { data: jobs, error } = await supabase
+    .from('jobs')
+    .select('*')
+    .eq('status', JOB_STATUS.COMPLETION_REQUESTED)
+    .lte('completion_requested_at', cutoff);
+
+  // Let the scheduler retry the task
+  if (error) {
+    throw error;
+  }
+
+  let completed = 0;
+
+  for (const job of jobs) {
+    const now = new Date().toISOString();
+
+    // Only complete the job if the customer hasn't answered in the meantime
+    const { data: updatedJob, error: updateError } = await supabase
+      .from('jobs')
+      .update({
+        status: JOB_STATUS.COMPLETED,
+        completed_at: now,
+        updated_at: now
+      })
+      .eq('id', job.id)
+      .eq('status', JOB_STATUS.COMPLETION_REQUESTED)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('Auto-complete job error:', updateError);
+      continue;
+    }
+
+    if (!updatedJob) continue;
+
+    await recordAudit(null, {
+      action: AUDIT_ACTIONS.JOB_COMPLETED,
+      entityType: 'job',
+      entityId: job.id,
+      jobId: job.id,
+      before: job,
+      after: updatedJob
+    });
+
+    notifyJobStatus(updatedJob);
+    completed += 1;
+
+    // The job is completed either way; a failed payout leaves its funds held
+    try {
+      await settleCompletedJob(null, job.id);
+    } catch (paymentError) {
+      console.error('Auto-complete payment error:', paymentError);
+    }
+  }
+
+  return completed;
+};
+
+/**
+ * Queue the reminder sent to the customer before a completion request is
+ * accepted for them
+ * @param {Object} job - Job row that just moved to completion_requested
+ */
+const scheduleCompletionReminder = async (job) => {
+  const autoCompleteAt = new Date(getAutoCompleteAt(job)).getTime();
+
+  await scheduler.enqueue(SCHEDULED_TASK_TYPES.COMPLETION_REMINDER, {
+    jobId: job.id,
+    requestedAt: job.completion_requested_at
+  }, {
+    runAt: Math.max(Date.now(), autoCompleteAt - JOB_COMPLETION.REMINDER_HOURS_BEFORE * 60 * 60 * 1000)
+  });
+};
+
+/**
+ * Remind the customer of a completion request that is still unanswered
+ * @param {Object} payload - Task payload
+ * @param {string} payload.jobId - Job ID
+ * @param {string} payload.requestedAt - completion_requested_at of the request to remind about
+ */
+const sendCompletionReminder = async ({ jobId, requestedAt }) => {
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .select('id, title, status, customer_id, completion_requested_at')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  // Skip requests that were answered, or declined and made again since
+  if (
+    !job ||
+    job.status !== JOB_STATUS.COMPLETION_REQUESTED ||
+    new Date(job.completion_requested_at).getTime() !== new Date(requestedAt).getTime()
+  ) {
+    return;
+  }
+
+  realtime.emitToUser(job.customer_id, 'job:completion_reminder', {
+    jobId: job.id,
+    jobTitle: job.title,
+    autoCompleteAt: getAutoCompleteAt(job)
+  });
+};
+
+/**
+ * Ask each party of a completed job who hasn't rated the other yet to do so
+ * @param {Object} payload - Task payload
+ * @param {string} payload.jobId - Job ID
+ */
+const sendRatingPrompt = async ({ jobId }) => {
+  const { data: job, error } = await supabase
+    .from('jobs')
+    .select('id, title, status, customer_id, contractor_id')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!job || job.status !== JOB_STATUS.COMPLETED || !job.contractor_id) {
+    return;
+  }
+
+  const { data: ratings, error: ratingsError } = await supabase
+    .from('ratings')
+    .select('from_user_id')
+    .eq('job_id', jobId);
+
+  if (ratingsError) {
+    throw ratingsError;
+  }
+
+  const rated = new Set(ratings.map(rating => rating.from_user_id));
+
+  [
+    [job.customer_id, job.contractor_id],
+    [job.contractor_id, job.customer_id]
+  ].forEach(([userId, rateUserId]) => {
+    if (!rated.has(userId)) {
+      realtime.emitToUser(userId, 'rating:prompt', {
+        jobId: job.id,
+        jobTitle: job.title,
+        rateUserId
+      });
+    }
+  });
+};
+
+module.exports = {
+  notifyJobStatus,
+  settleCompletedJob,
+  getAutoCompleteAt,
+  completeOverdueJobs,
+  scheduleCompletionReminder,
+  sendCompletionReminder,
+  sendRatingPrompt
+};
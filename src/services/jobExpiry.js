@@ -0,0 +1,133 @@
+const supabase = require('../config/supabase');
+const { recordAudit } = require('./auditLog');
+const { notifyJobStatus } = require('./jobCompletion');
+const { JOB_STATUS, JOB_EXPIRY, AUDIT_ACTIONS } = require('../utils/constants');
+
+/**
+ * Bidding deadlines and job expiry
+ *
+ * Every open job has an expiry (JOB_EXPIRY.DEFAULT_DAYS unless the customer
+ * picks one) and may have an earlier bidding deadline. Bids stop at the
+ * deadline; once the expiry passes the job moves to `expired` and the
+ * customer can re-open it or post it again.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate the bidding deadline and expiry for a job being posted or re-opened
+ * @param {Object} schedule - Requested dates
+ * @param {string} [schedule.bidDeadline] - ISO timestamp bids close at
+ * @param {string} [schedule.expiresAt] - ISO timestamp the job expires at
+ * @returns {Object} - { bidDeadline, expiresAt } as ISO strings, or { error }
+ */
+const buildJobSchedule = ({ bidDeadline, expiresAt } = {}) => {
+  const now = Date.now();
+  const latestExpiry = now + JOB_EXPIRY.MAX_DAYS * DAY_MS;
+
+  const expiry = expiresAt ? new Date(expiresAt).getTime() : now + JOB_EXPIRY.DEFAULT_DAYS * DAY_MS;
+
+  if (isNaN(expiry) || expiry <= now) {
+    return { error: 'Expiry must be in the future' };
+  }
+
+  if (expiry > latestExpiry) {
+    return { error: `Jobs can stay open for at most ${JOB_EXPIRY.MAX_DAYS} days` };
+  }
+
+  if (!bidDeadline) {
+    return { bidDeadline: null, expiresAt: new Date(expiry).toISOString() };
+  }
+
+  const deadline = new Date(bidDeadline).getTime();
+
+  if (isNaN(deadline) || deadline <= now) {
+    return { error: 'Bidding deadline must be in the future' };
+  }
+
+  if (deadline > expiry) {
+    return { error: 'Bidding deadline cannot be after the job expires' };
+  }
+
+  return {
+    bidDeadline: new Date(deadline).toISOString(),
+    expiresAt: new Date(expiry).toISOString()
+  };
+};
+
+/**
+ * Check whether a job has stopped taking bids, even if the expiry sweep
+ * hasn't caught up with it yet
+ * @param {Object} job - Job row
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean}
+ */
+const isBiddingClosed = (job, now = Date.now()) => {
+  return (
+    (!!job.bid_deadline && new Date(job.bid_deadline).getTime() <= now) ||
+    (!!job.expires_at && new Date(job.expires_at).getTime() <= now)
+  );
+};
+
+/**
+ * Expire every open job whose expiry has passed
+ * @returns {Promise<number>} - Number of jobs expired
+ */
+const expireStaleJobs = async () => {
+  const now = new Date().toISOString();
+
+  const { data: jobs, error } = await supabase
+    .from('jobs')
+    .select('*')
+    .eq('status', JOB_STATUS.OPEN)
+    .lte('expires_at', now);
+
+  // Let the scheduler retry the task
+  if (error) {
+    throw error;
+  }
+
+  let expired = 0;
+
+  for (const job of jobs) {
+    // Skip the job if a contractor was assigned in the meantime
+    const { data: updatedJob, error: updateError } = await supabase
+      .from('jobs')
+      .update({
+        status: JOB_STATUS.EXPIRED,
+        expired_at: now,
+        updated_at: now
+      })
+      .eq('id', job.id)
+      .eq('status', JOB_STATUS.OPEN)
+      .select()
+      .maybeSingle();
+
+    if (updateError) {
+      console.error('Expire job error:', updateError);
+      continue;
+    }
+
+    if (!updatedJob) continue;
+
+    await recordAudit(null, {
+      action: AUDIT_ACTIONS.JOB_EXPIRED,
+      entityType: 'job',
+      entityId: job.id,
+      jobId: job.id,
+      before: job,
+      after: updatedJob
+    });
+
+    notifyJobStatus(updatedJob);
+    expired += 1;
+  }
+
+  return expired;
+};
+
+module.exports = {
+  buildJobSchedule,
+  isBiddingClosed,
+  expireStaleJobs
+};
@@ -0,0 +1,154 @@
+const supabase = require('../config/supabase');
+const { JOB_VISIBILITY } = require('../utils/constants');
+
+/**
+ * Job visibility rules shared by the job and bid controllers
+ *
+ * Public and unlisted jobs can be opened and bid on by any contractor, but
+ * only public jobs are listed. Invite-only jobs are reserved for the
+ * contractors the customer invited (and anyone who bid before the job was
+ * made invite-only). Only the job's parties ever see its exact address;
+ * everyone else sees and searches its approximate area, which is stored in
+ * jobs.approximate_location whenever the location is set.
+ */
+
+/**
+ * Check whether a user is the customer, the assigned contractor or an admin
+ * @param {Object} job - Job row
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {boolean}
+ */
+const isJobParty = (job, user) =>
+  job.customer_id === user.userId ||
+  job.contractor_id === user.userId ||
+  user.role === 'admin';
+
+/**
+ * Check whether a contractor was invited to a job
+ * @param {string} jobId - Job ID
+ * @param {string} contractorId - Contractor's user ID
+ * @returns {Promise<boolean>}
+ */
+const isInvited = async (jobId, contractorId) => {
+  const { data: invitations, error } = await supabase
+    .from('job_invitations')
+    .select('id')
+    .eq('job_id', jobId)
+    .eq('contractor_id', contractorId)
+    .limit(1);
+
+  if (error) {
+    // Fail closed so a lookup error never exposes an invite-only job
+    console.error('Check invitation error:', error);
+    return false;
+  }
+
+  return invitations.length > 0;
+};
+
+/**
+ * Check whether a contractor has bid on a job
+ * @param {string} jobId - Job ID
+ * @param {string} contractorId - Contractor's user ID
+ * @returns {Promise<boolean>}
+ */
+const hasBid = async (jobId, contractorId) => {
+  const { data: bids, error } = await supabase
+    .from('bids')
+    .select('id')
+    .eq('job_id', jobId)
+    .eq('contractor_id', contractorId)
+    .limit(1);
+
+  if (error) {
+    console.error('Check bid error:', error);
+    return false;
+  }
+
+  return bids.length > 0;
+};
+
+/**
+ * Check whether a user may open a job
+ * @param {Object} job - Job row
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Promise<boolean>}
+ */
+const canViewJob = async (job, user) => {
+  if (isJobParty(job, user) || job.visibility !== JOB_VISIBILITY.INVITE_ONLY) {
+    return true;
+  }
+
+  if (user.role !== 'contractor') {
+    return false;
+  }
+
+  const [invited, bid] = await Promise.all([
+    isInvited(job.id, user.userId),
+    hasBid(job.id, user.userId)
+  ]);
+
+  return invited || bid;
+};
+
+/**
+ * Check whether a contractor may place a bid on a job
+ * @param {Object} job - Job row
+ * @param {string} contractorId - Contractor's user ID
+ * @returns {Promise<boolean>}
+ */
+const canBidOnJob = async (job, contractorId) =>
+  job.visibility !== JOB_VISIBILITY.INVITE_ONLY || isInvited(job.id, contractorId);
+
+// Address lines that pin down a building: house numbers and unit markers
+const STREET_LINE = /^\d|#|\b(apt|apartment|unit|suite|ste|flat|floor)\b/i;
+
+/**
+ * Reduce an address to its approximate area, e.g.
+ * "12 Oak St, Apt 3, Springfield, IL 62704" becomes "Springfield, IL"
+ * @param {string} location - Location as entered by the customer
+ * @returns {string|null} - Approximate area, or null if none can be derived
+ */
+const approximateLocation = (location) => {
+  if (!location) {
+    return null;
+  }
+
+  const area = location
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part && !STREET_LINE.test(part))
+    // Drop postal codes and any other tokens containing digits
+    .map(part => part.split(/\s+/).filter(token => !/\d/.test(token)).join(' '))
+    .filter(Boolean)
+    .slice(-2);
+
+  return area.length > 0 ? area.join(', ') : null;
+};
+
+/**
+ * Replace a job's exact address with its approximate area for anyone who
+ * isn't a party to the job
+ * @param {Object} job - Job row
+ * @param {Object} user - Authenticated user ({ userId, role })
+ * @returns {Object} - Job with location and location_is_approximate set
+ */
+const withVisibleLocation = (job, user) => {
+  if (isJobParty(job, user) || !job.location) {
+    return { ...job, location_is_approximate: false };
+  }
+
+  return {
+    ...job,
+    location: job.approximate_location || approximateLocation(job.location),
+    location_is_approximate: true
+  };
+};
+
+module.exports = {
+  isJobParty,
+  canViewJob,
+  canBidOnJob,
+  approximateLocation,
+  withVisibleLocation
+};
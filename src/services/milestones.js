@@ -0,0 +1,74 @@
+const { MILESTONE_STATUS } = require('../utils/constants');
+
+/**
+ * Milestone helpers shared by the bid, job and milestone controllers
+ *
+ * A bid may propose milestones whose amounts add up to the bid amount. When
+ * the bid is accepted they are copied onto the job (see assign_contractor in
+ * tables.sql), and job progress is the share of that amount already approved.
+ */
+
+/**
+ * Normalize the milestones proposed on a bid and check they cover its amount
+ * @param {Array} milestones - [{ title, amount, dueDate }] from the request body
+ * @param {number} amount - Bid amount
+ * @returns {Object} - { milestones } ready to store, or { error }
+ */
+const buildBidMilestones = (milestones, amount) => {
+  if (!milestones || milestones.length === 0) {
+    return { milestones: [] };
+  }
+
+  const normalized = milestones.map(milestone => ({
+    title: milestone.title.trim(),
+    amount: parseFloat(milestone.amount),
+    due_date: milestone.dueDate || milestone.due_date || null
+  }));
+
+  const total = normalized.reduce((sum, milestone) => sum + milestone.amount, 0);
+
+  // Compare in cents to avoid floating point noise
+  if (Math.round(total * 100) !== Math.round(parseFloat(amount) * 100)) {
+    return { error: `Milestone amounts add up to ${total.toFixed(2)} but the bid is ${parseFloat(amount).toFixed(2)}` };
+  }
+
+  return { milestones: normalized };
+};
+
+/**
+ * Sort a job's milestones in the order they were proposed
+ * @param {Array} milestones - job_milestones rows
+ * @returns {Array} - Sorted copy
+ */
+const sortMilestones = (milestones = []) =>
+  [...milestones].sort((a, b) => a.position - b.position);
+
+/**
+ * Compute job progress from its milestones
+ * @param {Array} milestones - job_milestones rows
+ * @returns {Object|null} - Progress summary, or null if the job has no milestones
+ */
+const computeProgress = (milestones = []) => {
+  if (milestones.length === 0) {
+    return null;
+  }
+
+  const totalAmount = milestones.reduce((sum, milestone) => sum + parseFloat(milestone.amount), 0);
+  const approved = milestones.filter(milestone => milestone.status === MILESTONE_STATUS.APPROVED);
+  const approvedAmount = approved.reduce((sum, milestone) => sum + parseFloat(milestone.amount), 0);
+
+  return {
+    totalCount: milestones.length,
+    approvedCount: approved.length,
+    submittedCount: milestones.filter(milestone => milestone.status === MILESTONE_STATUS.SUBMITTED).length,
+    totalAmount,
+    approvedAmount,
+    percent: totalAmount > 0 ? Math.round((approvedAmount / totalAmount) * 100) : 0
+  };
+};
+
+module.exports = {
+  buildBidMilestones,
+  sortMilestones,
+  computeProgress
+};
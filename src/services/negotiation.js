@@ -0,0 +1,128 @@
+const { buildLineItems } = require('./quotes');
+const { buildBidMilestones } = require('./milestones');
+const { VALIDATION } = require('../utils/constants');
+
+/**
+ * Counter-offer helpers for bid negotiation
+ *
+ * A customer can counter a pending bid; the bid is then 'countered' until the
+ * contractor accepts the counter, declines it (withdrawing the bid) or
+ * counters back. Every round is appended to bids.negotiation. The bid's own
+ * amount and timeline are always the contractor's latest terms, so a
+ * customer's counter only becomes the bid once the contractor accepts it.
+ */
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+/**
+ * Append a negotiation round to a bid's history
+ * @param {Object} bid - Bid row
+ * @param {Object} round - { by, action, amount, estimated_days, message }
+ * @returns {Array} - New negotiation history
+ */
+const addRound = (bid, round) => {
+  // Start the history with the terms the contractor originally bid
+  const history = bid.negotiation && bid.negotiation.length > 0
+    ? bid.negotiation
+    : [{
+      by: 'contractor',
+      action: 'bid',
+      amount: parseFloat(bid.amount),
+      estimated_days: bid.estimated_days,
+      message: null,
+      created_at: bid.created_at
+    }];
+
+  return [
+    ...history,
+    {
+      by: round.by,
+      action: round.action,
+      amount: round.amount !== undefined ? round.amount : null,
+      estimated_days: round.estimated_days !== undefined ? round.estimated_days : null,
+      message: round.message || null,
+      created_at: new Date().toISOString()
+    }
+  ];
+};
+
+/**
+ * Get the customer's counter-offer a countered bid is waiting on
+ * @param {Object} bid - Bid row
+ * @returns {Object|null} - Latest round, or null if there is none
+ */
+const getOpenCounter = (bid) => {
+  const history = bid.negotiation || [];
+  return history.length > 0 ? history[history.length - 1] : null;
+};
+
+/**
+ * Check whether a bid may go through another counter-offer
+ * @param {Object} bid - Bid row
+ * @returns {boolean} - True if the round limit is reached
+ */
+const hasReachedCounterLimit = (bid) =>
+  (bid.negotiation || []).filter(round => round.action === 'counter').length >= VALIDATION.MAX_COUNTER_OFFERS;
+
+/**
+ * Columns to update when a bid takes on new terms. Line items and milestones
+ * are priced for the bid's amount, so an itemized or milestone bid only takes
+ * a new amount together with revised ones that add up to it.
+ * @param {Object} bid - Bid row
+ * @param {Object} terms - { amount, estimatedDays, lineItems, milestones }; lineItems
+ *   and milestones are the revised lists from the request body, if any
+ * @returns {Object} - { changes }, or { error }
+ */
+const applyTerms = (bid, { amount, estimatedDays, lineItems, milestones }) => {
+  const changes = {
+    amount: parseFloat(amount),
+    estimated_days: estimatedDays !== undefined && estimatedDays !== null
+      ? parseInt(estimatedDays)
+      : bid.estimated_days
+  };
+
+  const amountChanged = toCents(amount) !== toCents(bid.amount);
+
+  if (amountChanged && bid.line_items && bid.line_items.length > 0 && lineItems === undefined) {
+    return { error: 'This bid is itemized; send line items revised to add up to the new amount' };
+  }
+
+  if (amountChanged && bid.milestones && bid.milestones.length > 0 && milestones === undefined) {
+    return { error: 'This bid has milestones; send milestones revised to add up to the new amount' };
+  }
+
+  // An empty list turns the bid back into a single-amount bid
+  if (lineItems !== undefined) {
+    const quote = buildLineItems(lineItems);
+
+    if (quote.error) {
+      return { error: quote.error };
+    }
+
+    if (quote.amount !== null && toCents(quote.amount) !== toCents(amount)) {
+      return { error: `Line items add up to ${quote.amount.toFixed(2)} but the new amount is ${parseFloat(amount).toFixed(2)}` };
+    }
+
+    changes.line_items = quote.lineItems;
+    changes.tax_amount = quote.taxAmount;
+  }
+
+  if (milestones !== undefined) {
+    const { milestones: revisedMilestones, error } = buildBidMilestones(milestones, amount);
+
+    if (error) {
+      return { error };
+    }
+
+    changes.milestones = revisedMilestones;
+  }
+
+  return { changes };
+};
+
+module.exports = {
+  addRound,
+  getOpenCounter,
+  hasReachedCounterLimit,
+  applyTerms
+};
@@ -0,0 +1,39 @@
+const { randomUUID } = require('crypto');
+
+/**
+ * Local payment provider for development and tests
+ *
+ * Approves every request without moving any money and hands back made-up
+ * references, so the payment flow can be exercised end to end.
+ */
+
+const NAME = 'fake';
+
+/**
+ * Build a reference that looks like a provider ID
+ * @param {string} prefix - Kind of object the reference stands for
+ * @returns {string} - Reference
+ */
+const makeReference = (prefix) => `${NAME}_${prefix}_${randomUUID()}`;
+
+const authorize = async ({ amount }) => {
+  if (!(amount > 0)) {
+    throw new Error('Amount must be greater than 0');
+  }
+
+  return { reference: makeReference('auth') };
+};
+
+const capture = async () => ({ reference: makeReference('capture') });
+
+const refund = async () => ({ reference: makeReference('refund') });
+
+const cancel = async () => {};
+
+module.exports = {
+  name: NAME,
+  authorize,
+  capture,
+  refund,
+  cancel
+};
@@ -0,0 +1,42 @@
+const { PAYMENTS } = require('../../utils/constants');
+
+/**
+ * Payment providers
+ *
+ * A provider moves money on behalf of the payments service and must expose:
+ *
+ * - authorize({ amount, currency, customerId, jobId }) -> { reference }
+ *   Places a hold on the customer's funds
+ * - capture({ authorization, amount, fee, currency }) -> { reference }
+ *   Captures part or all of a held authorization, keeps `fee` of it as the
+ *   platform fee and pays the rest out to the contractor
+ * - refund({ authorization, amount, currency }) -> { reference }
+ *   Returns part or all of a held authorization to the customer
+ * - cancel({ authorization }) -> void
+ *   Drops an authorization that was never used
+ *
+ * Every method returns a promise and rejects when the provider declines.
+ * Amounts are in major units (dollars, not cents).
+ */
+
+const providers = {
+  fake: require('./fake')
+};
+
+/**
+ * Get the provider configured by PAYMENT_PROVIDER
+ * @returns {Object} - Payment provider
+ */
+const getPaymentProvider = () => {
+  const provider = providers[PAYMENTS.PROVIDER];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider '${PAYMENTS.PROVIDER}'`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider
+};
@@ -0,0 +1,195 @@
+const supabase = require('../config/supabase');
+const { getPaymentProvider } = require('./paymentProviders');
+const { recordAudit } = require('./auditLog');
+const { PAYMENT_STATUS, LEDGER_ENTRY_TYPES, PAYMENTS, AUDIT_ACTIONS } = require('../utils/constants');
+
+/**
+ * Escrow-style payments
+ *
+ * Accepting a bid authorizes its amount with the payment provider and the
+ * funds stay held against the job. Approving a milestone releases its amount
+ * to the contractor, completing the job releases whatever is still held and
+ * cancelling it refunds the rest to the customer. Every movement is written
+ * to the append-only ledger_entries table. Releases keep their share of the
+ * platform fee frozen on the accepted bid: the contractor is paid the rest
+ * and the fee is recorded as a separate 'fee' entry.
+ *
+ * A release or refund first reserves its amount in the database, so two
+ * movements can never take out more than is held, then calls the provider
+ * and confirms the movement (writing the ledger entry) or fails it (handing
+ * the reservation back). Movements that could not be made throw, so the
+ * caller can tell the user that the funds are still held.
+ */
+
+/**
+ * Get the amount a payment still holds
+ * @param {Object} payment - Payment row
+ * @returns {number} - Held amount
+ */
+const getHeldAmount = (payment) => {
+  // Work in cents to avoid floating point noise
+  const cents = Math.round(parseFloat(payment.amount) * 100)
+    - Math.round(parseFloat(payment.amount_released) * 100)
+    - Math.round(parseFloat(payment.amount_refunded) * 100);
+
+  return cents / 100;
+};
+
+/**
+ * Authorize a bid's amount with the payment provider before it is accepted
+ * @param {Object} job - Job row
+ * @param {Object} bid - Bid being accepted
+ * @returns {Promise<Object>} - { provider, reference, currency }
+ */
+const authorizeBid = async (job, bid) => {
+  const provider = getPaymentProvider();
+
+  const { reference } = await provider.authorize({
+    amount: parseFloat(bid.amount),
+    currency: PAYMENTS.CURRENCY,
+    customerId: job.customer_id,
+    jobId: job.id
+  });
+
+  return { provider: provider.name, reference, currency: PAYMENTS.CURRENCY };
+};
+
+/**
+ * Drop an authorization whose bid could not be accepted after all
+ * @param {Object} authorization - Result of authorizeBid
+ */
+const cancelAuthorization = async (authorization) => {
+  try {
+    await getPaymentProvider().cancel({ authorization: authorization.reference });
+  } catch (error) {
+    console.error('Cancel payment authorization error:', error);
+  }
+};
+
+/**
+ * Move held funds of a job's payment and record the movement in the ledger
+ * @param {Object|null} req - Express request object, or null for system changes
+ * @param {string} jobId - Job ID
+ * @param {string} type - LEDGER_ENTRY_TYPES.RELEASE or LEDGER_ENTRY_TYPES.REFUND
+ * @param {Object} [options]
+ * @param {number} [options.amount] - Amount to move; defaults to everything still held
+ * @param {string} [options.milestoneId] - Milestone the movement pays for
+ * @returns {Promise<Object|null>} - Ledger entry, or null if there was nothing to move
+ * @throws {Error} - If the funds could not be moved; they stay held
+ */
+const movePayment = async (req, jobId, type, { amount = null, milestoneId = null } = {}) => {
+  const { data: payment, error } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('job_id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Find payment failed: ${error.message}`);
+  }
+
+  // Jobs assigned before payments existed have nothing to move
+  if (!payment || payment.status !== PAYMENT_STATUS.HELD) {
+    return null;
+  }
+
+  // Reserve the funds before asking the provider to move them
+  const { data: movement, error: reserveError } = await supabase
+    .rpc('reserve_payment_movement', {
+      p_payment_id: payment.id,
+      p_type: type,
+      p_amount: amount === null ? null : parseFloat(amount),
+      p_milestone_id: milestoneId,
+      p_created_by: req && req.user ? req.user.userId : null
+    })
+    .maybeSingle();
+
+  if (reserveError) {
+    throw new Error(`Reserve payment ${type} failed: ${reserveError.message}`);
+  }
+
+  if (!movement) {
+    return null;
+  }
+
+  const provider = getPaymentProvider();
+  const method = type === LEDGER_ENTRY_TYPES.RELEASE ? 'capture' : 'refund';
+  let reference;
+
+  try {
+    ({ reference } = await provider[method]({
+      authorization: payment.provider_reference,
+      amount: parseFloat(movement.amount),
+      fee: parseFloat(movement.fee_amount),
+      currency: payment.currency
+    }));
+  } catch (providerError) {
+    // Hand the reservation back so the funds can be moved again
+    const { error: failError } = await supabase
+      .rpc('fail_payment_movement', {
+        p_movement_id: movement.id,
+        p_error: providerError.message
+      });
+
+    if (failError) {
+      console.error(`Fail payment ${type} error:`, failError);
+    }
+
+    throw new Error(`Payment ${type} declined by ${provider.name}: ${providerError.message}`);
+  }
+
+  const { data: entry, error: confirmError } = await supabase
+    .rpc('confirm_payment_movement', {
+      p_movement_id: movement.id,
+      p_provider_reference: reference
+    });
+
+  // The provider has moved the money, so the movement stays pending (and its
+  // funds reserved) until it is reconciled rather than being moved twice
+  if (confirmError) {
+    console.error(`Confirm payment ${type} error (movement ${movement.id}, reference ${reference}):`, confirmError);
+    throw new Error(`Confirm payment ${type} failed: ${confirmError.message}`);
+  }
+
+  await recordAudit(req, {
+    action: type === LEDGER_ENTRY_TYPES.RELEASE
+      ? AUDIT_ACTIONS.PAYMENT_RELEASED
+      : AUDIT_ACTIONS.PAYMENT_REFUNDED,
+    entityType: 'payment',
+    entityId: payment.id,
+    jobId,
+    before: payment,
+    after: entry
+  });
+
+  return entry;
+};
+
+/**
+ * Release held funds to the contractor
+ * @param {Object|null} req - Express request object, or null for system changes
+ * @param {string} jobId - Job ID
+ * @param {Object} [options] - { amount, milestoneId }; releases everything held by default
+ * @returns {Promise<Object|null>} - Ledger entry, or null if nothing was released
+ * @throws {Error} - If the funds could not be released
+ */
+const releasePayment = (req, jobId, options) =>
+  movePayment(req, jobId, LEDGER_ENTRY_TYPES.RELEASE, options);
+
+/**
+ * Refund everything still held to the customer
+ * @param {Object|null} req - Express request object, or null for system changes
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Ledger entry, or null if nothing was refunded
+ * @throws {Error} - If the funds could not be refunded
+ */
+const refundPayment = (req, jobId) =>
+  movePayment(req, jobId, LEDGER_ENTRY_TYPES.REFUND);
+
+module.exports = {
+  getHeldAmount,
+  authorizeBid,
+  cancelAuthorization,
+  releasePayment,
+  refundPayment
+};
@@ -0,0 +1,102 @@
+const billing = require('../config/billing');
+const { LINE_ITEM_TYPES } = require('../utils/constants');
+
+/**
+ * Itemized quotes on bids
+ *
+ * A contractor can quote a job as line items (labor, materials, disposal...)
+ * instead of a single amount. The bid amount is then derived here: the sum of
+ * the line totals plus tax at billing.TAX_PERCENT on taxable items. Both the
+ * items and the tax are stored on the bid so the quote doesn't change if the
+ * tax rate does.
+ */
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+/**
+ * Normalize a bid's line items and derive its amount
+ * @param {Array} lineItems - [{ type, description, quantity, unitPrice, taxable }] from the request body
+ * @returns {Object} - { lineItems, taxAmount, amount } ready to store, or { error }
+ */
+const buildLineItems = (lineItems) => {
+  if (!lineItems || lineItems.length === 0) {
+    return { lineItems: [], taxAmount: 0, amount: null };
+  }
+
+  const normalized = lineItems.map(item => {
+    const quantity = parseFloat(item.quantity);
+    const unitPrice = parseFloat(item.unitPrice !== undefined ? item.unitPrice : item.unit_price);
+
+    return {
+      type: item.type,
+      description: item.description.trim(),
+      quantity,
+      unit_price: unitPrice,
+      taxable: item.taxable === true,
+      total: Math.round(quantity * unitPrice * 100) / 100
+    };
+  });
+
+  const subtotalCents = normalized.reduce((sum, item) => sum + toCents(item.total), 0);
+  const taxableCents = normalized
+    .filter(item => item.taxable)
+    .reduce((sum, item) => sum + toCents(item.total), 0);
+  const taxCents = Math.round(taxableCents * billing.TAX_PERCENT / 100);
+
+  if (subtotalCents + taxCents <= 0) {
+    return { error: 'Line items must add up to more than zero' };
+  }
+
+  return {
+    lineItems: normalized,
+    taxAmount: taxCents / 100,
+    amount: (subtotalCents + taxCents) / 100
+  };
+};
+
+/**
+ * Summarize an itemized bid so customers can compare bids like-for-like
+ * @param {Object} bid - Bid row
+ * @returns {Object|null} - Quote summary, or null for single-amount bids
+ */
+const summarizeQuote = (bid) => {
+  if (!bid.line_items || bid.line_items.length === 0) {
+    return null;
+  }
+
+  const totalsByType = {};
+  LINE_ITEM_TYPES.forEach(type => {
+    const cents = bid.line_items
+      .filter(item => item.type === type)
+      .reduce((sum, item) => sum + toCents(item.total), 0);
+
+    if (cents > 0) {
+      totalsByType[type] = cents / 100;
+    }
+  });
+
+  const subtotalCents = bid.line_items.reduce((sum, item) => sum + toCents(item.total), 0);
+
+  return {
+    totalsByType,
+    subtotal: subtotalCents / 100,
+    tax: parseFloat(bid.tax_amount) || 0,
+    total: parseFloat(bid.amount)
+  };
+};
+
+/**
+ * Attach the quote summary to a bid returned by the API
+ * @param {Object} bid - Bid row
+ * @returns {Object} - Bid with a `quote` field
+ */
+const withQuote = (bid) => ({
+  ...bid,
+  quote: summarizeQuote(bid)
+});
+
+module.exports = {
+  buildLineItems,
+  summarizeQuote,
+  withQuote
+};
@@ -0,0 +1,229 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const supabase = require('../config/supabase');
+const { verifyToken, getAccountStatusError } = require('../middleware/auth');
+
+/**
+ * Real-time event channel over WebSockets
+ *
+ * Clients connect to `/ws?token=<jwt>` using the same token issued by the
+ * auth controller. Events are JSON frames of the shape `{ type, payload }`.
+ */
+
+const WS_PATH = '/ws';
+const HEARTBEAT_INTERVAL = 30000; // 30 seconds
+
+// Open sockets per user ID (a user may be connected from several devices)
+const clients = new Map();
+
+// Handlers for events sent by clients, keyed by event type
+const handlers = new Map();
+
+let wss = null;
+let heartbeat = null;
+
+/**
+ * Reject an upgrade request before the WebSocket handshake completes
+ * @param {Object} socket - Raw TCP socket
+ * @param {number} statusCode - HTTP status code
+ * @param {string} statusText - HTTP status text
+ */
+const rejectUpgrade = (socket, statusCode, statusText) => {
+  socket.write(`HTTP/1.1 ${statusCode} ${statusText}\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Track a newly authenticated socket
+ * @param {Object} ws - WebSocket connection
+ * @param {Object} user - Authenticated user payload
+ */
+const addClient = (ws, user) => {
+  if (!clients.has(user.userId)) {
+    clients.set(user.userId, new Set());
+  }
+  clients.get(user.userId).add(ws);
+};
+
+/**
+ * Stop tracking a closed socket
+ * @param {Object} ws - WebSocket connection
+ * @param {Object} user - Authenticated user payload
+ */
+const removeClient = (ws, user) => {
+  const sockets = clients.get(user.userId);
+  if (!sockets) return;
+
+  sockets.delete(ws);
+  if (sockets.size === 0) {
+    clients.delete(user.userId);
+  }
+};
+
+/**
+ * Dispatch an incoming client frame to its registered handler
+ * @param {Object} ws - WebSocket connection
+ * @param {Object} user - Authenticated user payload
+ * @param {Buffer} data - Raw frame data
+ */
+const handleClientMessage = async (ws, user, data) => {
+  let event;
+
+  try {
+    event = JSON.parse(data.toString());
+  } catch (error) {
+    return;
+  }
+
+  const handler = event && handlers.get(event.type);
+  if (!handler) return;
+
+  try {
+    await handler(user, event.payload || {}, ws);
+  } catch (error) {
+    console.error(`Realtime handler error (${event.type}):`, error);
+  }
+};
+
+/**
+ * Attach the WebSocket server to an existing HTTP server
+ * @param {Object} server - Node HTTP server returned by app.listen
+ */
+const attach = (server) => {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname !== WS_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const token = url.searchParams.get('token');
+    if (!token) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    let user;
+    try {
+      user = await verifyToken(token);
+    } catch (error) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    // Suspended or deactivated accounts cannot receive events
+    const { data: account, error } = await supabase
+      .from('users')
+      .select('account_status, suspension_reason, suspended_at')
+      .eq('id', user.userId)
+      .single();
+
+    if (error || !account || getAccountStatusError(account)) {
+      return rejectUpgrade(socket, 403, 'Forbidden');
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, user);
+    });
+  });
+
+  wss.on('connection', (ws, user) => {
+    ws.isAlive = true;
+    addClient(ws, user);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (data) => handleClientMessage(ws, user, data));
+    ws.on('close', () => removeClient(ws, user));
+    ws.on('error', (error) => {
+      console.error('WebSocket error:', error);
+    });
+  });
+
+  // Drop connections that stopped answering pings
+  heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  wss.on('close', () => clearInterval(heartbeat));
+};
+
+/**
+ * Register a handler for an event type sent by clients
+ * @param {string} type - Event type
+ * @param {Function} handler - Called with (user, payload, ws)
+ */
+const on = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Push an event to every open connection of a user
+ * @param {string} userId - Recipient user ID
+ * @param {string} type - Event type
+ * @param {Object} payload - Event payload
+ * @returns {number} - Number of connections the event was written to
+ */
+const emitToUser = (userId, type, payload) => {
+  const sockets = clients.get(userId);
+  if (!sockets) return 0;
+
+  const frame = JSON.stringify({ type, payload });
+  let sent = 0;
+
+  sockets.forEach((ws) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(frame);
+      sent += 1;
+    }
+  });
+
+  return sent;
+};
+
+/**
+ * Close every open connection of a user, e.g. after their account is suspended
+ * @param {string} userId - User ID
+ * @param {string} reason - Close reason sent to the client
+ */
+const disconnectUser = (userId, reason) => {
+  const sockets = clients.get(userId);
+  if (!sockets) return;
+
+  // 4403 is an application-defined close code: do not reconnect
+  sockets.forEach((ws) => ws.close(4403, reason));
+  clients.delete(userId);
+};
+
+/**
+ * Check whether a user currently has an open connection
+ * @param {string} userId - User ID
+ * @returns {boolean} - Online or not
+ */
+const isOnline = (userId) => clients.has(userId);
+
+/**
+ * Close all connections and stop the heartbeat
+ */
+const close = () => {
+  if (wss) {
+    wss.clients.forEach((ws) => ws.terminate());
+    wss.close();
+  }
+  clients.clear();
+};
+
+module.exports = {
+  attach,
+  on,
+  emitToUser,
+  disconnectUser,
+  isOnline,
+  close
+};
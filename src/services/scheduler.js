@@ -0,0 +1,263 @@
+const os = require('os');
+const { randomUUID } = require('crypto');
+const supabase = require('../config/supabase');
+const { SCHEDULED_TASK_STATUS, SCHEDULER } = require('../utils/constants');
+
+/**
+ * In-process background task scheduler
+ *
+ * Tasks are rows in scheduled_tasks. Every API server polls for due tasks and
+ * claims them through claim_scheduled_tasks, which locks rows with
+ * SKIP LOCKED, so a task runs on one server only. Failed attempts are retried
+ * with exponential backoff until the task runs out of attempts and is marked
+ * failed for an admin to look at.
+ *
+ * Recurring tasks (registered with everyMinutes) keep exactly one queued row;
+ * the next run is queued when the current one finishes, whatever its outcome.
+ */
+
+// Identifies this server's claims in locked_by
+const WORKER_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+const handlers = new Map();
+
+let timer = null;
+let isPolling = false;
+
+/**
+ * Register the function that runs tasks of a type
+ * @param {string} type - Task type (see SCHEDULED_TASK_TYPES)
+ * @param {Function} handler - Async function called with the task's payload
+ * @param {Object} [options]
+ * @param {number} [options.everyMinutes] - Run the task on this interval
+ */
+const registerTask = (type, handler, { everyMinutes } = {}) => {
+  handlers.set(type, { handler, everyMinutes });
+};
+
+/**
+ * Queue a task
+ * @param {string} type - Task type (see SCHEDULED_TASK_TYPES)
+ * @param {Object} [payload] - Passed to the task's handler
+ * @param {Object} [options]
+ * @param {Date|string} [options.runAt] - Earliest time to run the task (default: now)
+ * @param {string} [options.dedupeKey] - Skip queueing while a task with this key is queued or running
+ * @param {number} [options.maxAttempts] - Attempts before the task is marked failed
+ * @returns {Promise<Object|null>} - Queued task, or null if it was a duplicate or couldn't be saved
+ */
+const enqueue = async (type, payload = {}, { runAt, dedupeKey, maxAttempts } = {}) => {
+  try {
+    const { data: task, error } = await supabase
+      .from('scheduled_tasks')
+      .insert({
+        type,
+        payload,
+        dedupe_key: dedupeKey || null,
+        run_at: new Date(runAt || Date.now()).toISOString(),
+        max_attempts: maxAttempts || SCHEDULER.MAX_ATTEMPTS
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Already queued, e.g. by another server
+      if (error.code === '23505') {
+        return null;
+      }
+
+      console.error(`Queue ${type} task error:`, error);
+      return null;
+    }
+
+    return task;
+  } catch (error) {
+    console.error(`Queue ${type} task error:`, error);
+    return null;
+  }
+};
+
+/**
+ * Get the delay before retrying a task after a failed attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  const seconds = Math.min(
+    SCHEDULER.RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0),
+    SCHEDULER.RETRY_MAX_SECONDS
+  );
+
+  return seconds * 1000;
+};
+
+/**
+ * Update a task this server claimed; a no-op if the claim was lost to a lock timeout
+ * @param {Object} task - Claimed task
+ * @param {Object} changes - Columns to update
+ * @returns {Promise<Object|null>} - Updated task, or null
+ */
+const updateClaimedTask = async (task, changes) => {
+  const { data: updatedTask, error } = await supabase
+    .from('scheduled_tasks')
+    .update({
+      ...changes,
+      locked_by: null,
+      locked_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', task.id)
+    .eq('status', SCHEDULED_TASK_STATUS.RUNNING)
+    .eq('locked_by', WORKER_ID)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Update ${task.type} task error:`, error);
+    return null;
+  }
+
+  return updatedTask;
+};
+
+/**
+ * Record a failed attempt, queueing a retry while attempts remain
+ * @param {Object} task - Claimed task
+ * @param {string} message - Why the attempt failed
+ * @returns {Promise<boolean>} - Whether the task is done for good
+ */
+const failTask = async (task, message) => {
+  if (task.attempts < task.max_attempts) {
+    await updateClaimedTask(task, {
+      status: SCHEDULED_TASK_STATUS.QUEUED,
+      last_error: message,
+      run_at: new Date(Date.now() + getRetryDelay(task.attempts)).toISOString()
+    });
+    return false;
+  }
+
+  const now = new Date().toISOString();
+
+  await updateClaimedTask(task, {
+    status: SCHEDULED_TASK_STATUS.FAILED,
+    last_error: message,
+    failed_at: now
+  });
+  return true;
+};
+
+/**
+ * Run a claimed task and record the outcome
+ * @param {Object} task - Claimed task
+ */
+const runTask = async (task) => {
+  const registered = handlers.get(task.type);
+  let isDone = true;
+
+  if (!registered) {
+    isDone = await failTask(task, `No handler registered for ${task.type}`);
+  } else if (task.attempts > task.max_attempts) {
+    // Claimed again after its server died on the last attempt
+    isDone = await failTask(task, task.last_error || 'Task did not finish before its lock expired');
+  } else {
+    try {
+      await registered.handler(task.payload || {});
+
+      const now = new Date().toISOString();
+
+      await updateClaimedTask(task, {
+        status: SCHEDULED_TASK_STATUS.COMPLETED,
+        last_error: null,
+        completed_at: now
+      });
+    } catch (error) {
+      console.error(`Scheduled ${task.type} task error:`, error);
+      isDone = await failTask(task, error.message || String(error));
+    }
+  }
+
+  if (isDone && registered && registered.everyMinutes) {
+    await enqueue(task.type, task.payload, {
+      runAt: Date.now() + registered.everyMinutes * 60 * 1000,
+      dedupeKey: task.type
+    });
+  }
+};
+
+/**
+ * Claim and run the tasks that are due
+ * @returns {Promise<number>} - Number of tasks run
+ */
+const runDueTasks = async () => {
+  const { data: tasks, error } = await supabase
+    .rpc('claim_scheduled_tasks', {
+      p_worker: WORKER_ID,
+      p_limit: SCHEDULER.BATCH_SIZE,
+      p_lock_timeout_seconds: SCHEDULER.LOCK_TIMEOUT_MINUTES * 60
+    });
+
+  if (error) {
+    console.error('Claim scheduled tasks error:', error);
+    return 0;
+  }
+
+  for (const task of tasks) {
+    await runTask(task);
+  }
+
+  return tasks.length;
+};
+
+/**
+ * Poll for due tasks, skipping the tick if the previous batch is still running
+ */
+const poll = async () => {
+  if (isPolling) return;
+
+  isPolling = true;
+  try {
+    await runDueTasks();
+  } catch (error) {
+    console.error('Run scheduled tasks error:', error);
+  } finally {
+    isPolling = false;
+  }
+};
+
+/**
+ * Queue the first run of every recurring task and start polling
+ * @returns {Promise<Object>} - Interval timer, for clearInterval
+ */
+const start = async () => {
+  if (timer) return timer;
+
+  for (const [type, { everyMinutes }] of handlers) {
+    if (everyMinutes) {
+      await enqueue(type, {}, { dedupeKey: type });
+    }
+  }
+
+  timer = setInterval(poll, SCHEDULER.POLL_INTERVAL_SECONDS * 1000);
+
+  // Don't keep the process alive just for this
+  timer.unref();
+
+  poll();
+
+  return timer;
+};
+
+/**
+ * Stop polling; tasks already running are left to finish
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  registerTask,
+  enqueue,
+  runDueTasks,
+  start,
+  stop
+};
@@ -24,22 +24,167 @@ const JOB_CATEGORIES = [
 ];
 
 /**
- * Job statuses
+ * Job statuses. An expired job was still open when its expiry passed; the
+ * customer can re-open or repost it.
  */
 const JOB_STATUS = {
   OPEN: 'open',
   IN_PROGRESS: 'in_progress',
+  COMPLETION_REQUESTED: 'completion_requested',
+  DISPUTED: 'disputed',
   COMPLETED: 'completed',
-  CANCELLED: 'cancelled'
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired'
 };
 
 /**
- * Bid statuses
+ * Who can find and bid on a job. Public jobs are listed for everyone,
+ * unlisted jobs are reachable only by link, and invite-only jobs are seen
+ * and bid on only by the contractors the customer invited.
+ */
+const JOB_VISIBILITY = {
+  PUBLIC: 'public',
+  INVITE_ONLY: 'invite_only',
+  UNLISTED: 'unlisted'
+};
+
+/**
+ * Bid statuses. A countered bid is waiting for the contractor to answer the
+ * customer's counter-offer; a withdrawn bid was declined by the contractor.
  */
 const BID_STATUS = {
   PENDING: 'pending',
+  COUNTERED: 'countered',
   ACCEPTED: 'accepted',
-  REJECTED: 'rejected'
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn'
+};
+
+/**
+ * Job invitation statuses
+ */
+const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined'
+};
+
+/**
+ * Kinds of line item on an itemized bid
+ */
+const LINE_ITEM_TYPES = [
+  'labor',
+  'materials',
+  'disposal',
+  'other'
+];
+
+/**
+ * Job milestone statuses
+ */
+const MILESTONE_STATUS = {
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved'
+};
+
+/**
+ * Payment statuses. Funds stay held until all of them are released to the
+ * contractor or the remainder is refunded to the customer.
+ */
+const PAYMENT_STATUS = {
+  HELD: 'held',
+  RELEASED: 'released',
+  REFUNDED: 'refunded'
+};
+
+/**
+ * Invoice statuses. An invoice is pending until its PDF has been stored.
+ */
+const INVOICE_STATUS = {
+  PENDING: 'pending',
+  READY: 'ready'
+};
+
+/**
+ * Kinds of payment ledger entries
+ */
+const LEDGER_ENTRY_TYPES = {
+  AUTHORIZATION: 'authorization',
+  RELEASE: 'release',
+  FEE: 'fee',
+  REFUND: 'refund'
+};
+
+/**
+ * Message delivery statuses
+ */
+const MESSAGE_STATUS = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read'
+};
+
+/**
+ * Reasons a user can give when reporting content
+ */
+const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'scam',
+  'inappropriate_content',
+  'off_platform_payment',
+  'other'
+];
+
+/**
+ * Kinds of content that can be reported
+ */
+const REPORT_TARGET_TYPES = {
+  USER: 'user',
+  MESSAGE: 'message',
+  JOB: 'job',
+  RATING: 'rating'
+};
+
+/**
+ * Report moderation statuses
+ */
+const REPORT_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+  DISMISSED: 'dismissed'
+};
+
+/**
+ * Reasons a customer or contractor can give when disputing a job
+ */
+const DISPUTE_REASONS = [
+  'work_incomplete',
+  'poor_quality',
+  'unfair_cancellation',
+  'no_show',
+  'payment_issue',
+  'other'
+];
+
+/**
+ * Dispute statuses
+ */
+const DISPUTE_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+  WITHDRAWN: 'withdrawn'
+};
+
+/**
+ * Outcomes an admin can choose when resolving a dispute, mapped to the
+ * status the job moves to
+ */
+const DISPUTE_RESOLUTIONS = {
+  complete_job: 'completed',
+  resume_job: 'in_progress',
+  cancel_job: 'cancelled'
 };
 
 /**
@@ -47,7 +192,135 @@ const BID_STATUS = {
  */
 const USER_ROLES = {
   CUSTOMER: 'customer',
-  CONTRACTOR: 'contractor'
+  CONTRACTOR: 'contractor',
+  ADMIN: 'admin'
+};
+
+/**
+ * User account statuses
+ */
+const ACCOUNT_STATUS = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  DEACTIVATED: 'deactivated'
+};
+
+/**
+ * Actions recorded in the audit log
+ */
+const AUDIT_ACTIONS = {
+  JOB_CREATED: 'job.created',
+  JOB_UPDATED: 'job.updated',
+  JOB_STATUS_CHANGED: 'job.status_changed',
+  JOB_DELETED: 'job.deleted',
+  JOB_CONTRACTOR_ASSIGNED: 'job.contractor_assigned',
+  JOB_COMPLETION_REQUESTED: 'job.completion_requested',
+  JOB_COMPLETION_DECLINED: 'job.completion_declined',
+  JOB_COMPLETED: 'job.completed',
+  JOB_EXPIRED: 'job.expired',
+  JOB_REOPENED: 'job.reopened',
+  JOB_REPOSTED: 'job.reposted',
+  MILESTONE_SUBMITTED: 'milestone.submitted',
+  MILESTONE_APPROVED: 'milestone.approved',
+  MILESTONE_REJECTED: 'milestone.rejected',
+  DISPUTE_OPENED: 'dispute.opened',
+  DISPUTE_RESOLVED: 'dispute.resolved',
+  DISPUTE_WITHDRAWN: 'dispute.withdrawn',
+  PAYMENT_AUTHORIZED: 'payment.authorized',
+  PAYMENT_RELEASED: 'payment.released',
+  PAYMENT_REFUNDED: 'payment.refunded',
+  JOB_HIDDEN: 'job.hidden',
+  JOB_UNHIDDEN: 'job.unhidden',
+  BID_CREATED: 'bid.created',
+  BID_UPDATED: 'bid.updated',
+  BID_WITHDRAWN: 'bid.withdrawn',
+  BID_ACCEPTED: 'bid.accepted',
+  BID_COUNTERED: 'bid.countered',
+  BID_COUNTER_ACCEPTED: 'bid.counter_accepted',
+  BID_COUNTER_DECLINED: 'bid.counter_declined',
+  RATING_CREATED: 'rating.created',
+  RATING_HIDDEN: 'rating.hidden',
+  RATING_UNHIDDEN: 'rating.unhidden',
+  USER_SUSPENDED: 'user.suspended',
+  USER_UNSUSPENDED: 'user.unsuspended',
+  REPORT_CLOSED: 'report.closed',
+  TASK_RETRIED: 'task.retried'
+};
+
+/**
+ * Job completion settings
+ */
+const JOB_COMPLETION = {
+  // A completion request the customer ignores is accepted after this long
+  GRACE_PERIOD_HOURS: parseInt(process.env.COMPLETION_GRACE_PERIOD_HOURS) || 72,
+  CHECK_INTERVAL_MINUTES: 15,
+  // The customer is reminded this long before the request is accepted for them
+  REMINDER_HOURS_BEFORE: 24,
+  // Both parties are asked to rate each other this long after completion
+  RATING_PROMPT_DELAY_HOURS: 2
+};
+
+/**
+ * Job expiry settings
+ */
+const JOB_EXPIRY = {
+  // Open jobs without an explicit expiry close after this long
+  DEFAULT_DAYS: parseInt(process.env.JOB_EXPIRY_DEFAULT_DAYS) || 30,
+  MAX_DAYS: 90,
+  CHECK_INTERVAL_MINUTES: 15
+};
+
+/**
+ * Job cancellation settings
+ */
+const JOB_CANCELLATION = {
+  // The contractor can dispute a cancellation this long; the held funds are
+  // refunded to the customer once it passes undisputed
+  DISPUTE_WINDOW_HOURS: parseInt(process.env.CANCELLATION_DISPUTE_WINDOW_HOURS) || 72
+};
+
+/**
+ * Background task statuses
+ */
+const SCHEDULED_TASK_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * Background task types run by the scheduler
+ */
+const SCHEDULED_TASK_TYPES = {
+  EXPIRE_JOBS: 'jobs.expire',
+  AUTO_COMPLETE_JOBS: 'jobs.auto_complete',
+  COMPLETION_REMINDER: 'jobs.completion_reminder',
+  RATING_PROMPT: 'ratings.prompt',
+  CANCELLATION_REFUND: 'payments.cancellation_refund'
+};
+
+/**
+ * Background scheduler settings
+ */
+const SCHEDULER = {
+  POLL_INTERVAL_SECONDS: parseInt(process.env.SCHEDULER_POLL_INTERVAL_SECONDS) || 30,
+  BATCH_SIZE: 10,
+  MAX_ATTEMPTS: 5,
+  // Failed attempts are retried after 1, 2, 4, ... minutes, up to an hour
+  RETRY_BASE_SECONDS: 60,
+  RETRY_MAX_SECONDS: 60 * 60,
+  // A task running longer than this is assumed lost with its server
+  LOCK_TIMEOUT_MINUTES: 10
+};
+
+/**
+ * Payment settings
+ */
+const PAYMENTS = {
+  // Name of a provider in src/services/paymentProviders
+  PROVIDER: process.env.PAYMENT_PROVIDER || 'fake',
+  CURRENCY: process.env.PAYMENT_CURRENCY || 'usd'
 };
 
 /**
@@ -59,6 +332,13 @@ const VALIDATION = {
   MIN_TITLE_LENGTH: 5,
   MIN_DESCRIPTION_LENGTH: 20,
   MAX_MESSAGE_LENGTH: 1000,
+  MESSAGE_EDIT_WINDOW_MINUTES: 15,
+  MAX_MILESTONES: 10,
+  MAX_LINE_ITEMS: 30,
+  MAX_COUNTER_OFFERS: 10,
+  MAX_INVITATIONS_PER_JOB: 10,
+  MAX_QUESTION_LENGTH: 500,
+  MAX_ANSWER_LENGTH: 2000,
   MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
   MAX_FILES: 5,
 };
@@ -69,6 +349,7 @@ const VALIDATION = {
 const PAGINATION = {
   DEFAULT_PAGE: 1,
   DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 50,
   MESSAGES_LIMIT: 20
 };
 
@@ -82,6 +363,9 @@ const ERROR_MESSAGES = {
   ACCESS_DENIED: 'Access denied',
   CUSTOMERS_ONLY: 'Access denied. Customers only.',
   CONTRACTORS_ONLY: 'Access denied. Contractors only.',
+  ADMINS_ONLY: 'Access denied. Admins only.',
+  ACCOUNT_SUSPENDED: 'Your account has been suspended',
+  ACCOUNT_DEACTIVATED: 'This account has been deactivated',
   INTERNAL_SERVER_ERROR: 'Internal server error',
   VALIDATION_ERROR: 'Validation error',
   DATABASE_ERROR: 'Database error',
@@ -97,8 +381,31 @@ const ERROR_MESSAGES = {
 module.exports = {
   JOB_CATEGORIES,
   JOB_STATUS,
+  JOB_VISIBILITY,
   BID_STATUS,
+  INVITATION_STATUS,
+  LINE_ITEM_TYPES,
+  MILESTONE_STATUS,
+  PAYMENT_STATUS,
+  INVOICE_STATUS,
+  LEDGER_ENTRY_TYPES,
+  MESSAGE_STATUS,
+  REPORT_REASONS,
+  REPORT_TARGET_TYPES,
+  REPORT_STATUS,
+  DISPUTE_REASONS,
+  DISPUTE_STATUS,
+  DISPUTE_RESOLUTIONS,
   USER_ROLES,
+  ACCOUNT_STATUS,
+  AUDIT_ACTIONS,
+  JOB_COMPLETION,
+  JOB_EXPIRY,
+  JOB_CANCELLATION,
+  SCHEDULED_TASK_STATUS,
+  SCHEDULED_TASK_TYPES,
+  SCHEDULER,
+  PAYMENTS,
   VALIDATION,
   PAGINATION,
   ERROR_MESSAGES,
@@ -1,3 +1,5 @@
+const { PAGINATION } = require('./constants');
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -95,11 +97,84 @@ const truncateText = (text, length = 100) => {
   return text.substring(0, length) + '...';
 };
 
+/**
+ * Build a short excerpt of text around the first match of a search query
+ * @param {string} text - Text that matched the search
+ * @param {string} query - Search query as typed by the user
+ * @param {number} radius - Characters of context to keep before the match
+ * @returns {Object} - Snippet and highlight ranges ({ start, end }) within it
+ */
+const buildSnippet = (text, query, radius = 40) => {
+  // Ignore websearch operators such as "or" and "-excluded"
+  const terms = query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(term => term && term !== 'or' && !term.startsWith('-'))
+    .map(term => term.replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(Boolean);
+  
+  const lowerText = text.toLowerCase();
+  const matchPositions = terms
+    .map(term => lowerText.indexOf(term))
+    .filter(position => position >= 0);
+  const firstMatch = matchPositions.length > 0 ? Math.min(...matchPositions) : 0;
+  
+  const start = Math.max(0, firstMatch - radius);
+  const end = Math.min(text.length, firstMatch + radius * 3);
+  const prefix = start > 0 ? '...' : '';
+  const snippet = prefix + text.substring(start, end) + (end < text.length ? '...' : '');
+  
+  // Collect every occurrence of every term inside the snippet
+  const lowerSnippet = snippet.toLowerCase();
+  const ranges = [];
+  
+  terms.forEach(term => {
+    let position = lowerSnippet.indexOf(term, prefix.length);
+    while (position !== -1) {
+      ranges.push({ start: position, end: position + term.length });
+      position = lowerSnippet.indexOf(term, position + term.length);
+    }
+  });
+  
+  // Merge overlapping ranges so clients can render them in order
+  const highlights = ranges
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+  
+  return { snippet, highlights };
+};
+
+/**
+ * Read page and limit from a query string, clamping limit to PAGINATION.MAX_LIMIT
+ * @param {Object} query - Express request query
+ * @returns {Object} - { page, limit, from, to } with from/to ready for .range()
+ */
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || PAGINATION.DEFAULT_PAGE, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || PAGINATION.DEFAULT_LIMIT, 1),
+    PAGINATION.MAX_LIMIT
+  );
+  const from = (page - 1) * limit;
+
+  return { page, limit, from, to: from + limit - 1 };
+};
+
 module.exports = {
   validateEmail,
   validatePassword,
   isValidUUID,
   formatDate,
   getTimeAgo,
-  truncateText
+  truncateText,
+  buildSnippet,
+  getPagination
 };
@@ -2,10 +2,13 @@ CREATE TABLE users (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   email TEXT UNIQUE NOT NULL,
   full_name TEXT NOT NULL,
-  role TEXT NOT NULL CHECK (role IN ('customer', 'contractor')),
+  role TEXT NOT NULL CHECK (role IN ('customer', 'contractor', 'admin')),
   phone TEXT,
   profile_image TEXT,
   address TEXT,
+  account_status TEXT NOT NULL DEFAULT 'active' CHECK (account_status IN ('active', 'suspended', 'deactivated')),
+  suspension_reason TEXT,
+  suspended_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -18,13 +21,35 @@ CREATE TABLE jobs (
   contractor_id UUID REFERENCES users(id),
   category TEXT NOT NULL,
   location TEXT,
+  approximate_location TEXT, -- area derived from location (see approximateLocation), shown to and searched by non-parties
   budget DECIMAL NOT NULL,
-  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'in_progress', 'completed', 'cancelled')),
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'in_progress', 'completion_requested', 'disputed', 'completed', 'cancelled', 'expired')),
   images TEXT[],
+  bid_deadline TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  expired_at TIMESTAMP WITH TIME ZONE,
+  reposted_from UUID REFERENCES jobs(id) ON DELETE SET NULL,
+  visibility TEXT NOT NULL DEFAULT 'public' CHECK (visibility IN ('public', 'invite_only', 'unlisted')),
+  completion_requested_at TIMESTAMP WITH TIME ZONE,
+  completion_notes TEXT,
+  completion_images TEXT[],
+  completion_declined_reason TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  is_hidden BOOLEAN NOT NULL DEFAULT FALSE,
+  hidden_reason TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Completion requests awaiting the customer, scanned for automatic completion
+CREATE INDEX jobs_completion_requested_idx ON jobs (completion_requested_at)
+  WHERE status = 'completion_requested';
+
+-- Open jobs scanned for expiry
+CREATE INDEX jobs_expires_at_idx ON jobs (expires_at)
+  WHERE status = 'open';
+
 CREATE TABLE bids (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   job_id UUID REFERENCES jobs(id) NOT NULL,
@@ -32,19 +57,221 @@ CREATE TABLE bids (
   amount DECIMAL NOT NULL,
   proposal TEXT,
   estimated_days INTEGER,
-  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected')),
+  line_items JSONB NOT NULL DEFAULT '[]', -- itemized quote [{ type, description, quantity, unit_price, taxable, total }]
+  tax_amount DECIMAL NOT NULL DEFAULT 0, -- tax added on taxable line items; amount = line item totals + tax_amount
+  milestones JSONB NOT NULL DEFAULT '[]', -- proposed [{ title, amount, due_date }], amounts add up to amount
+  fee_breakdown JSONB, -- platform fee and payout, frozen when the bid is accepted
+  negotiation JSONB NOT NULL DEFAULT '[]', -- counter-offer rounds [{ by, action, amount, estimated_days, message, created_at }]
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'countered', 'accepted', 'rejected', 'withdrawn')),
+  version INTEGER NOT NULL DEFAULT 1, -- bumped by a trigger whenever the terms change, see bid_revisions
+  withdrawal_reason TEXT,
+  withdrawn_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Every version of a bid's terms, written by the triggers below so no code
+-- path that changes a bid can skip it. Version 1 is the bid as placed.
+CREATE TABLE bid_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  bid_id UUID REFERENCES bids(id) ON DELETE CASCADE NOT NULL,
+  version INTEGER NOT NULL,
+  amount DECIMAL NOT NULL,
+  proposal TEXT,
+  estimated_days INTEGER,
+  line_items JSONB NOT NULL,
+  tax_amount DECIMAL NOT NULL,
+  milestones JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (bid_id, version)
+);
+
+CREATE FUNCTION bump_bid_version() RETURNS TRIGGER AS $$
+BEGIN
+  IF (NEW.amount, NEW.proposal, NEW.estimated_days, NEW.line_items, NEW.tax_amount, NEW.milestones)
+     IS DISTINCT FROM
+     (OLD.amount, OLD.proposal, OLD.estimated_days, OLD.line_items, OLD.tax_amount, OLD.milestones) THEN
+    NEW.version := OLD.version + 1;
+  ELSE
+    NEW.version := OLD.version;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER bids_bump_version
+  BEFORE UPDATE ON bids
+  FOR EACH ROW EXECUTE FUNCTION bump_bid_version();
+
+CREATE FUNCTION record_bid_revision() RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.version <> OLD.version THEN
+    INSERT INTO bid_revisions (bid_id, version, amount, proposal, estimated_days, line_items, tax_amount, milestones)
+    VALUES (NEW.id, NEW.version, NEW.amount, NEW.proposal, NEW.estimated_days, NEW.line_items, NEW.tax_amount, NEW.milestones);
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER bids_record_revision
+  AFTER INSERT OR UPDATE ON bids
+  FOR EACH ROW EXECUTE FUNCTION record_bid_revision();
+
+-- A customer asking a specific contractor to bid on their job
+CREATE TABLE job_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_id UUID REFERENCES jobs(id) ON DELETE CASCADE NOT NULL,
+  customer_id UUID REFERENCES users(id) NOT NULL,
+  contractor_id UUID REFERENCES users(id) NOT NULL,
+  message TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (job_id, contractor_id)
+);
+
+CREATE INDEX job_invitations_contractor_id_idx ON job_invitations (contractor_id, created_at);
+
+-- Public questions contractors ask about a job; the customer answers each once
+CREATE TABLE job_questions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_id UUID REFERENCES jobs(id) ON DELETE CASCADE NOT NULL,
+  contractor_id UUID REFERENCES users(id) NOT NULL,
+  question TEXT NOT NULL,
+  answer TEXT,
+  answered_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX job_questions_job_id_idx ON job_questions (job_id, created_at);
+
+-- Staged payments for a job, copied from the accepted bid's proposed milestones
+CREATE TABLE job_milestones (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_id UUID REFERENCES jobs(id) ON DELETE CASCADE NOT NULL,
+  bid_id UUID REFERENCES bids(id) NOT NULL,
+  position INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  amount DECIMAL NOT NULL CHECK (amount > 0),
+  due_date DATE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'approved')),
+  submission_note TEXT,
+  submitted_at TIMESTAMP WITH TIME ZONE,
+  rejection_reason TEXT,
+  approved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (job_id, position)
+);
+
+-- Funds authorized when a bid is accepted and held until they are released to
+-- the contractor or refunded to the customer
+CREATE TABLE payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_id UUID REFERENCES jobs(id) NOT NULL UNIQUE,
+  bid_id UUID REFERENCES bids(id) NOT NULL,
+  customer_id UUID REFERENCES users(id) NOT NULL,
+  contractor_id UUID REFERENCES users(id) NOT NULL,
+  amount DECIMAL NOT NULL CHECK (amount > 0),
+  amount_released DECIMAL NOT NULL DEFAULT 0,
+  amount_refunded DECIMAL NOT NULL DEFAULT 0,
+  amount_reserved DECIMAL NOT NULL DEFAULT 0, -- held funds a pending movement is taking out
+  platform_fee DECIMAL NOT NULL DEFAULT 0, -- fee from the accepted bid's fee breakdown
+  fee_collected DECIMAL NOT NULL DEFAULT 0, -- part of platform_fee kept from releases so far
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'released', 'refunded')),
+  provider TEXT NOT NULL,
+  provider_reference TEXT NOT NULL, -- the provider's authorization ID
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (amount_released + amount_refunded + amount_reserved <= amount),
+  CHECK (fee_collected <= platform_fee AND platform_fee <= amount)
+);
+
+-- Append-only record of every movement of a payment's funds
+CREATE TABLE ledger_entries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID REFERENCES payments(id) NOT NULL,
+  job_id UUID REFERENCES jobs(id) NOT NULL,
+  milestone_id UUID REFERENCES job_milestones(id),
+  customer_id UUID REFERENCES users(id) NOT NULL,
+  contractor_id UUID REFERENCES users(id) NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('authorization', 'release', 'fee', 'refund')),
+  amount DECIMAL NOT NULL CHECK (amount > 0),
+  provider_reference TEXT NOT NULL,
+  created_by UUID REFERENCES users(id), -- NULL for automatic releases
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX ledger_entries_customer_id_idx ON ledger_entries (customer_id, created_at);
+CREATE INDEX ledger_entries_contractor_id_idx ON ledger_entries (contractor_id, created_at);
+CREATE INDEX ledger_entries_payment_id_idx ON ledger_entries (payment_id, created_at);
+
+CREATE FUNCTION reject_ledger_entry_changes() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'ledger_entries is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ledger_entries_append_only
+  BEFORE UPDATE OR DELETE ON ledger_entries
+  FOR EACH ROW EXECUTE FUNCTION reject_ledger_entry_changes();
+
+-- Releases and refunds in flight. A movement reserves its amount before the
+-- payment provider is called and is confirmed (written to the ledger) or
+-- failed (reservation returned) once the provider answers.
+CREATE TABLE payment_movements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  payment_id UUID REFERENCES payments(id) NOT NULL,
+  job_id UUID REFERENCES jobs(id) NOT NULL,
+  milestone_id UUID REFERENCES job_milestones(id),
+  type TEXT NOT NULL CHECK (type IN ('release', 'refund')),
+  amount DECIMAL NOT NULL CHECK (amount > 0),
+  fee_amount DECIMAL NOT NULL DEFAULT 0, -- part of a release kept as the platform fee
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'failed')),
+  provider_reference TEXT,
+  ledger_entry_id UUID REFERENCES ledger_entries(id),
+  error TEXT,
+  created_by UUID REFERENCES users(id), -- NULL for automatic releases
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX payment_movements_payment_id_idx ON payment_movements (payment_id, created_at);
+CREATE INDEX payment_movements_pending_idx ON payment_movements (created_at) WHERE status = 'pending';
+
+CREATE SEQUENCE invoice_number_seq;
+
+-- PDF invoice generated once per completed job and stored in the uploads bucket
+CREATE TABLE invoices (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_id UUID REFERENCES jobs(id) NOT NULL UNIQUE,
+  invoice_number TEXT NOT NULL UNIQUE DEFAULT 'INV-' || LPAD(nextval('invoice_number_seq')::TEXT, 6, '0'),
+  customer_id UUID REFERENCES users(id) NOT NULL,
+  contractor_id UUID REFERENCES users(id) NOT NULL,
+  file_path TEXT NOT NULL, -- path in the uploads bucket, served only through the API
+  details JSONB NOT NULL, -- everything printed on the invoice, as it was when generated
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'ready')), -- ready once the PDF is stored
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 CREATE TABLE conversations (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   user1_id UUID REFERENCES users(id) NOT NULL,
   user2_id UUID REFERENCES users(id) NOT NULL,
+  job_id UUID REFERENCES jobs(id),
   last_message TEXT,
   last_message_time TIMESTAMP WITH TIME ZONE,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  UNIQUE(user1_id, user2_id)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One conversation per user pair per job (plus one general thread without a job)
+CREATE UNIQUE INDEX conversations_participants_job_key ON conversations (
+  LEAST(user1_id, user2_id),
+  GREATEST(user1_id, user2_id),
+  COALESCE(job_id, '00000000-0000-0000-0000-000000000000')
 );
 
 CREATE TABLE messages (
@@ -52,12 +279,45 @@ CREATE TABLE messages (
   conversation_id UUID REFERENCES conversations(id) NOT NULL,
   sender_id UUID REFERENCES users(id) NOT NULL,
   receiver_id UUID REFERENCES users(id) NOT NULL,
-  content TEXT NOT NULL,
+  content TEXT NOT NULL DEFAULT '',
+  attachments JSONB NOT NULL DEFAULT '[]', -- [{ name, type, size, path }] in the private chat-attachments bucket
   is_read BOOLEAN DEFAULT FALSE,
+  status TEXT NOT NULL DEFAULT 'sent' CHECK (status IN ('sent', 'delivered', 'read')),
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  read_at TIMESTAMP WITH TIME ZONE,
   job_id UUID REFERENCES jobs(id),
+  content_search TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+  edited_at TIMESTAMP WITH TIME ZONE,
+  deleted_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+CREATE INDEX messages_content_search_idx ON messages USING GIN (content_search);
+
+-- Previous versions of edited or deleted messages, kept for dispute resolution
+CREATE TABLE message_edits (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  message_id UUID REFERENCES messages(id) NOT NULL,
+  editor_id UUID REFERENCES users(id) NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('edit', 'delete')),
+  previous_content TEXT NOT NULL,
+  previous_attachments JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX message_edits_message_id_idx ON message_edits (message_id);
+
+CREATE TABLE user_blocks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  blocker_id UUID REFERENCES users(id) NOT NULL,
+  blocked_id UUID REFERENCES users(id) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX user_blocks_blocked_id_idx ON user_blocks (blocked_id);
+
 CREATE TABLE ratings (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   job_id UUID REFERENCES jobs(id) NOT NULL,
@@ -65,5 +325,439 @@ CREATE TABLE ratings (
   to_user_id UUID REFERENCES users(id) NOT NULL,
   rating INTEGER NOT NULL CHECK (rating >= 1 AND rating <= 5),
   comment TEXT,
+  is_hidden BOOLEAN NOT NULL DEFAULT FALSE,
+  hidden_reason TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
\ No newline at end of file
+);
+
+CREATE TABLE reports (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  reporter_id UUID REFERENCES users(id) NOT NULL,
+  reported_user_id UUID REFERENCES users(id) NOT NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('user', 'message', 'job', 'rating')),
+  target_id UUID NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('spam', 'harassment', 'scam', 'inappropriate_content', 'off_platform_payment', 'other')),
+  details TEXT,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+  resolved_by UUID REFERENCES users(id),
+  resolution_note TEXT,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX reports_status_idx ON reports (status, created_at);
+
+-- A user can only have one open report per piece of content
+CREATE UNIQUE INDEX reports_open_target_key ON reports (reporter_id, target_type, target_id)
+  WHERE status = 'open';
+
+-- Append-only history of state-changing actions, queried per job by support
+CREATE TABLE audit_logs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  actor_id UUID REFERENCES users(id),
+  actor_role TEXT,
+  request_id TEXT,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id UUID NOT NULL,
+  job_id UUID, -- no foreign key so history survives job deletion
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX audit_logs_job_id_idx ON audit_logs (job_id, created_at);
+CREATE INDEX audit_logs_entity_idx ON audit_logs (entity_type, entity_id, created_at);
+
+CREATE FUNCTION reject_audit_log_changes() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_logs_append_only
+  BEFORE UPDATE OR DELETE ON audit_logs
+  FOR EACH ROW EXECUTE FUNCTION reject_audit_log_changes();
+
+-- Assigns a bid's contractor to a job in one transaction, copies the bid's
+-- milestones onto the job, stores the bid's fee breakdown and records the
+-- payment authorized for the bid with the fee it will keep.
+-- The job row is only updated while it is still open, so of two concurrent
+-- accepts exactly one wins; the other gets SQLSTATE HF409. So does accepting
+-- a bid that is no longer pending, e.g. one with an unanswered counter-offer.
+CREATE FUNCTION assign_contractor(
+  p_job_id UUID,
+  p_bid_id UUID,
+  p_provider TEXT,
+  p_provider_reference TEXT,
+  p_currency TEXT,
+  p_assigned_by UUID,
+  p_fee_breakdown JSONB
+) RETURNS jobs AS $$
+DECLARE
+  v_bid bids;
+  v_job jobs;
+  v_payment payments;
+BEGIN
+  SELECT * INTO v_bid FROM bids WHERE id = p_bid_id AND job_id = p_job_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Bid not found for this job' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_bid.status <> 'pending' THEN
+    RAISE EXCEPTION 'Bid is not pending' USING ERRCODE = 'HF409';
+  END IF;
+
+  UPDATE jobs
+  SET contractor_id = v_bid.contractor_id,
+      status = 'in_progress',
+      updated_at = NOW()
+  WHERE id = p_job_id AND status = 'open'
+  RETURNING * INTO v_job;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Job is no longer open' USING ERRCODE = 'HF409';
+  END IF;
+
+  UPDATE bids
+  SET status = CASE WHEN id = p_bid_id THEN 'accepted' ELSE 'rejected' END,
+      fee_breakdown = CASE WHEN id = p_bid_id THEN p_fee_breakdown ELSE fee_breakdown END,
+      updated_at = NOW()
+  WHERE job_id = p_job_id AND status IN ('pending', 'countered');
+
+  INSERT INTO job_milestones (job_id, bid_id, position, title, amount, due_date)
+  SELECT p_job_id, p_bid_id, m.position, m.item->>'title', (m.item->>'amount')::DECIMAL, (m.item->>'due_date')::DATE
+  FROM jsonb_array_elements(v_bid.milestones) WITH ORDINALITY AS m(item, position);
+
+  INSERT INTO payments (job_id, bid_id, customer_id, contractor_id, amount, platform_fee, currency, provider, provider_reference)
+  VALUES (p_job_id, p_bid_id, v_job.customer_id, v_bid.contractor_id, v_bid.amount, COALESCE((p_fee_breakdown->>'fee')::DECIMAL, 0), p_currency, p_provider, p_provider_reference)
+  RETURNING * INTO v_payment;
+
+  INSERT INTO ledger_entries (payment_id, job_id, customer_id, contractor_id, type, amount, provider_reference, created_by)
+  VALUES (v_payment.id, p_job_id, v_payment.customer_id, v_payment.contractor_id, 'authorization', v_payment.amount, p_provider_reference, p_assigned_by);
+
+  RETURN v_job;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Reserves held funds of a payment for a release to the contractor or a
+-- refund to the customer, before the payment provider is called. The payment
+-- row is locked so concurrent movements can't reserve more than is held.
+-- p_amount is capped at what is left; NULL takes everything left. A release
+-- keeps its share of the platform fee, and the release that takes the last of
+-- the funds keeps whatever fee is still owed. Returns no row if the payment
+-- is settled or has nothing left to move.
+CREATE FUNCTION reserve_payment_movement(
+  p_payment_id UUID,
+  p_type TEXT,
+  p_amount DECIMAL,
+  p_milestone_id UUID,
+  p_created_by UUID
+) RETURNS SETOF payment_movements AS $$
+DECLARE
+  v_payment payments;
+  v_available DECIMAL;
+  v_amount DECIMAL;
+  v_fee_owed DECIMAL;
+  v_fee DECIMAL := 0;
+BEGIN
+  SELECT * INTO v_payment FROM payments WHERE id = p_payment_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Payment not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  v_available := v_payment.amount - v_payment.amount_released - v_payment.amount_refunded - v_payment.amount_reserved;
+  v_amount := LEAST(COALESCE(p_amount, v_available), v_available);
+
+  IF v_payment.status <> 'held' OR v_amount <= 0 THEN
+    RETURN;
+  END IF;
+
+  IF p_type = 'release' THEN
+    SELECT v_payment.platform_fee - v_payment.fee_collected - COALESCE(SUM(fee_amount), 0)
+    INTO v_fee_owed
+    FROM payment_movements
+    WHERE payment_id = p_payment_id AND status = 'pending';
+
+    v_fee := CASE
+      WHEN v_amount = v_available THEN v_fee_owed
+      ELSE LEAST(ROUND(v_amount * v_payment.platform_fee / v_payment.amount, 2), v_fee_owed)
+    END;
+    v_fee := GREATEST(LEAST(v_fee, v_amount), 0);
+  END IF;
+
+  UPDATE payments
+  SET amount_reserved = amount_reserved + v_amount,
+      updated_at = NOW()
+  WHERE id = p_payment_id;
+
+  RETURN QUERY
+  INSERT INTO payment_movements (payment_id, job_id, milestone_id, type, amount, fee_amount, created_by)
+  VALUES (p_payment_id, v_payment.job_id, p_milestone_id, p_type, v_amount, v_fee, p_created_by)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Confirms a pending movement once the provider has moved the money: turns
+-- the reservation into a release or refund, settles the payment once nothing
+-- is held and appends the ledger entries. A release is recorded as the
+-- contractor's payout plus a 'fee' entry for the platform fee it kept; the
+-- payout entry is returned (the fee entry if the fee took all of it). Raises
+-- HF409 if the movement is no longer pending.
+CREATE FUNCTION confirm_payment_movement(
+  p_movement_id UUID,
+  p_provider_reference TEXT
+) RETURNS ledger_entries AS $$
+DECLARE
+  v_movement payment_movements;
+  v_payment payments;
+  v_entry ledger_entries;
+  v_fee_entry ledger_entries;
+BEGIN
+  SELECT * INTO v_movement FROM payment_movements WHERE id = p_movement_id FOR UPDATE;
+
+  IF NOT FOUND OR v_movement.status <> 'pending' THEN
+    RAISE EXCEPTION 'Payment movement is not pending' USING ERRCODE = 'HF409';
+  END IF;
+
+  UPDATE payments
+  SET amount_reserved = amount_reserved - v_movement.amount,
+      fee_collected = fee_collected + v_movement.fee_amount,
+      amount_released = amount_released + CASE WHEN v_movement.type = 'release' THEN v_movement.amount ELSE 0 END,
+      amount_refunded = amount_refunded + CASE WHEN v_movement.type = 'refund' THEN v_movement.amount ELSE 0 END,
+      updated_at = NOW()
+  WHERE id = v_movement.payment_id
+  RETURNING * INTO v_payment;
+
+  -- Settle the payment once nothing is left on hold
+  IF v_payment.amount_released + v_payment.amount_refunded = v_payment.amount THEN
+    UPDATE payments
+    SET status = CASE WHEN amount_refunded > 0 THEN 'refunded' ELSE 'released' END
+    WHERE id = v_payment.id;
+  END IF;
+
+  IF v_movement.amount > v_movement.fee_amount THEN
+    INSERT INTO ledger_entries (payment_id, job_id, milestone_id, customer_id, contractor_id, type, amount, provider_reference, created_by)
+    VALUES (v_payment.id, v_payment.job_id, v_movement.milestone_id, v_payment.customer_id, v_payment.contractor_id, v_movement.type, v_movement.amount - v_movement.fee_amount, p_provider_reference, v_movement.created_by)
+    RETURNING * INTO v_entry;
+  END IF;
+
+  IF v_movement.fee_amount > 0 THEN
+    INSERT INTO ledger_entries (payment_id, job_id, milestone_id, customer_id, contractor_id, type, amount, provider_reference, created_by)
+    VALUES (v_payment.id, v_payment.job_id, v_movement.milestone_id, v_payment.customer_id, v_payment.contractor_id, 'fee', v_movement.fee_amount, p_provider_reference, v_movement.created_by)
+    RETURNING * INTO v_fee_entry;
+  END IF;
+
+  IF v_entry.id IS NULL THEN
+    v_entry := v_fee_entry;
+  END IF;
+
+  UPDATE payment_movements
+  SET status = 'confirmed',
+      provider_reference = p_provider_reference,
+      ledger_entry_id = v_entry.id,
+      updated_at = NOW()
+  WHERE id = p_movement_id;
+
+  RETURN v_entry;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Fails a pending movement the provider declined and returns its reservation
+-- to the held funds. Raises HF409 if the movement is no longer pending.
+CREATE FUNCTION fail_payment_movement(
+  p_movement_id UUID,
+  p_error TEXT
+) RETURNS payment_movements AS $$
+DECLARE
+  v_movement payment_movements;
+BEGIN
+  SELECT * INTO v_movement FROM payment_movements WHERE id = p_movement_id FOR UPDATE;
+
+  IF NOT FOUND OR v_movement.status <> 'pending' THEN
+    RAISE EXCEPTION 'Payment movement is not pending' USING ERRCODE = 'HF409';
+  END IF;
+
+  UPDATE payments
+  SET amount_reserved = amount_reserved - v_movement.amount,
+      updated_at = NOW()
+  WHERE id = v_movement.payment_id;
+
+  UPDATE payment_movements
+  SET status = 'failed',
+      error = p_error,
+      updated_at = NOW()
+  WHERE id = p_movement_id
+  RETURNING * INTO v_movement;
+
+  RETURN v_movement;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Disputes raised by either party of a job; the job is 'disputed' while one is open
+CREATE TABLE disputes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  job_id UUID REFERENCES jobs(id) NOT NULL,
+  claimant_id UUID REFERENCES users(id) NOT NULL,
+  respondent_id UUID REFERENCES users(id) NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('work_incomplete', 'poor_quality', 'unfair_cancellation', 'no_show', 'payment_issue', 'other')),
+  description TEXT NOT NULL,
+  evidence JSONB NOT NULL DEFAULT '[]', -- [{ name, type, size, path }] in the private dispute-evidence bucket
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'withdrawn')),
+  previous_job_status TEXT NOT NULL,
+  resolution TEXT CHECK (resolution IN ('complete_job', 'resume_job', 'cancel_job')),
+  resolution_note TEXT,
+  resolved_by UUID REFERENCES users(id),
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX disputes_status_idx ON disputes (status, created_at);
+
+-- A job can only have one open dispute at a time
+CREATE UNIQUE INDEX disputes_open_job_key ON disputes (job_id) WHERE status = 'open';
+
+CREATE TABLE dispute_messages (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  dispute_id UUID REFERENCES disputes(id) ON DELETE CASCADE NOT NULL,
+  sender_id UUID REFERENCES users(id) NOT NULL,
+  content TEXT NOT NULL DEFAULT '',
+  attachments JSONB NOT NULL DEFAULT '[]', -- [{ name, type, size, path }] in the private dispute-evidence bucket
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX dispute_messages_dispute_id_idx ON dispute_messages (dispute_id, created_at);
+
+-- Opens a dispute and freezes the job in one transaction. Raises HF409 if the
+-- job is not in a status that can be disputed.
+CREATE FUNCTION open_dispute(
+  p_job_id UUID,
+  p_claimant_id UUID,
+  p_respondent_id UUID,
+  p_reason TEXT,
+  p_description TEXT,
+  p_evidence JSONB
+) RETURNS disputes AS $$
+DECLARE
+  v_job jobs;
+  v_dispute disputes;
+BEGIN
+  SELECT * INTO v_job FROM jobs WHERE id = p_job_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Job not found' USING ERRCODE = 'P0002';
+  END IF;
+
+  IF v_job.status NOT IN ('in_progress', 'completion_requested', 'cancelled') THEN
+    RAISE EXCEPTION 'Job cannot be disputed in its current status' USING ERRCODE = 'HF409';
+  END IF;
+
+  INSERT INTO disputes (job_id, claimant_id, respondent_id, reason, description, evidence, previous_job_status)
+  VALUES (p_job_id, p_claimant_id, p_respondent_id, p_reason, p_description, p_evidence, v_job.status)
+  RETURNING * INTO v_dispute;
+
+  UPDATE jobs SET status = 'disputed', updated_at = NOW() WHERE id = p_job_id;
+
+  RETURN v_dispute;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Closes an open dispute and releases its job. The job moves to p_job_status,
+-- or back to the status it had before the dispute when that is NULL.
+-- Raises HF409 if the dispute is no longer open.
+CREATE FUNCTION close_dispute(
+  p_dispute_id UUID,
+  p_status TEXT,
+  p_resolution TEXT,
+  p_job_status TEXT,
+  p_closed_by UUID,
+  p_note TEXT
+) RETURNS disputes AS $$
+DECLARE
+  v_dispute disputes;
+  v_job_status TEXT;
+BEGIN
+  UPDATE disputes
+  SET status = p_status,
+      resolution = p_resolution,
+      resolution_note = p_note,
+      resolved_by = p_closed_by,
+      resolved_at = NOW(),
+      updated_at = NOW()
+  WHERE id = p_dispute_id AND status = 'open'
+  RETURNING * INTO v_dispute;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Dispute is not open' USING ERRCODE = 'HF409';
+  END IF;
+
+  v_job_status := COALESCE(p_job_status, v_dispute.previous_job_status);
+
+  UPDATE jobs
+  SET status = v_job_status,
+      completed_at = CASE WHEN v_job_status = 'completed' THEN NOW() ELSE completed_at END,
+      cancelled_at = CASE WHEN v_job_status = 'cancelled' THEN COALESCE(cancelled_at, NOW()) ELSE cancelled_at END,
+      completion_requested_at = CASE WHEN v_job_status = 'completion_requested' THEN NOW() ELSE completion_requested_at END,
+      updated_at = NOW()
+  WHERE id = v_dispute.job_id AND status = 'disputed';
+
+  RETURN v_dispute;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Background tasks run by the in-process scheduler. Recurring tasks carry
+-- their type as dedupe_key, so each has at most one queued or running row no
+-- matter how many API servers are up.
+CREATE TABLE scheduled_tasks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  dedupe_key TEXT,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5 CHECK (max_attempts > 0),
+  last_error TEXT,
+  locked_by TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  failed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX scheduled_tasks_due_idx ON scheduled_tasks (run_at) WHERE status IN ('queued', 'running');
+CREATE INDEX scheduled_tasks_status_idx ON scheduled_tasks (status, created_at);
+CREATE UNIQUE INDEX scheduled_tasks_dedupe_key ON scheduled_tasks (dedupe_key) WHERE status IN ('queued', 'running');
+
+-- Locks up to p_limit due tasks for p_worker and counts the attempt. Rows
+-- locked by another server are skipped, so concurrent schedulers never claim
+-- the same task. Tasks left running longer than p_lock_timeout_seconds (their
+-- server died mid-run) are claimed again.
+CREATE FUNCTION claim_scheduled_tasks(
+  p_worker TEXT,
+  p_limit INTEGER,
+  p_lock_timeout_seconds INTEGER
+) RETURNS SETOF scheduled_tasks AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE scheduled_tasks
+  SET status = 'running',
+      attempts = attempts + 1,
+      locked_by = p_worker,
+      locked_at = NOW(),
+      updated_at = NOW()
+  WHERE id IN (
+    SELECT id FROM scheduled_tasks
+    WHERE (status = 'queued' AND run_at <= NOW())
+      OR (status = 'running' AND locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds))
+    ORDER BY run_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
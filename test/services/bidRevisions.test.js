@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffRevisions, summarizeRevisions } = require('../../src/services/bidRevisions');
+
+const revision = (version, terms = {}) => ({
+  version,
+  amount: '500',
+  estimated_days: 5,
+  proposal: 'Replace the water heater',
+  line_items: [],
+  tax_amount: '0',
+  milestones: [],
+  created_at: `2026-10-0${version}T09:00:00.000Z`,
+  ...terms
+});
+
+test('diffRevisions lists the fields that changed between two versions', () => {
+  const changes = diffRevisions(
+    revision(1),
+    revision(2, { amount: '450.00', estimated_days: 4 })
+  );
+
+  assert.deepEqual(changes, [
+    { field: 'amount', from: 500, to: 450 },
+    { field: 'estimated_days', from: 5, to: 4 }
+  ]);
+});
+
+test('diffRevisions ignores amounts that only differ in formatting', () => {
+  assert.deepEqual(diffRevisions(revision(1), revision(2, { amount: '500.00', tax_amount: 0 })), []);
+});
+
+test('diffRevisions compares line items and milestones by value', () => {
+  const milestones = [{ title: 'Start', amount: 500, due_date: null }];
+
+  assert.deepEqual(
+    diffRevisions(revision(1, { milestones }), revision(2, { milestones: [...milestones] })),
+    []
+  );
+
+  const changes = diffRevisions(
+    revision(1, { milestones }),
+    revision(2, { milestones: [{ title: 'Start', amount: 250, due_date: null }, { title: 'Finish', amount: 250, due_date: null }] })
+  );
+
+  assert.deepEqual(changes.map(change => change.field), ['milestones']);
+});
+
+test('summarizeRevisions returns no history for a bid that was never revised', () => {
+  assert.deepEqual(summarizeRevisions([revision(1)]), { count: 0, history: [] });
+  assert.deepEqual(summarizeRevisions(), { count: 0, history: [] });
+});
+
+test('summarizeRevisions lists each revision newest first, whatever the row order', () => {
+  const summary = summarizeRevisions([
+    revision(3, { amount: '400', proposal: 'Replace and insulate the water heater' }),
+    revision(1),
+    revision(2, { amount: '450' })
+  ]);
+
+  assert.equal(summary.count, 2);
+  assert.deepEqual(summary.history, [
+    {
+      version: 3,
+      revisedAt: '2026-10-03T09:00:00.000Z',
+      changes: [
+        { field: 'amount', from: 450, to: 400 },
+        { field: 'proposal', from: 'Replace the water heater', to: 'Replace and insulate the water heater' }
+      ]
+    },
+    {
+      version: 2,
+      revisedAt: '2026-10-02T09:00:00.000Z',
+      changes: [{ field: 'amount', from: 500, to: 450 }]
+    }
+  ]);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const billing = require('../../src/config/billing');
+const { calculateFees } = require('../../src/services/fees');
+
+const at = new Date('2026-10-01T12:00:00.000Z');
+
+test('calculateFees takes the default percentage for categories without their own rate', () => {
+  const fees = calculateFees('200', 'Plumbing', at);
+
+  assert.deepEqual(fees, {
+    amount: 200,
+    currency: 'usd',
+    feePercent: billing.DEFAULT_FEE_PERCENT,
+    fee: 200 * billing.DEFAULT_FEE_PERCENT / 100,
+    minimumFeeApplied: false,
+    promotionId: null,
+    customerTotal: 200,
+    contractorPayout: 200 - 200 * billing.DEFAULT_FEE_PERCENT / 100,
+    calculatedAt: at.toISOString()
+  });
+});
+
+test('calculateFees uses the category percentage', () => {
+  const fees = calculateFees(1000, 'Roofing', at);
+
+  assert.equal(fees.feePercent, billing.CATEGORY_FEE_PERCENT.Roofing);
+  assert.equal(fees.fee, 80);
+  assert.equal(fees.contractorPayout, 920);
+});
+
+test('calculateFees rounds the fee to the cent', () => {
+  const fees = calculateFees(99.99, 'Cleaning', at);
+
+  assert.equal(fees.fee, 12);
+  assert.equal(fees.contractorPayout, 87.99);
+});
+
+test('calculateFees applies the minimum fee to small bids', () => {
+  const fees = calculateFees(20, 'Plumbing', at);
+
+  assert.equal(fees.fee, billing.MINIMUM_FEE);
+  assert.equal(fees.minimumFeeApplied, true);
+  assert.equal(fees.contractorPayout, 20 - billing.MINIMUM_FEE);
+});
+
+test('calculateFees never takes more than the whole bid', () => {
+  const fees = calculateFees(3, 'Plumbing', at);
+
+  assert.equal(fees.fee, 3);
+  assert.equal(fees.contractorPayout, 0);
+});
+
+test('calculateFees applies an active promotion instead of the category rate', (t) => {
+  billing.PROMOTIONS.push({
+    id: 'autumn-cleaning',
+    categories: ['Cleaning'],
+    feePercent: 5,
+    waiveMinimum: true,
+    startsAt: '2026-09-01',
+    endsAt: '2026-10-31'
+  });
+  t.after(() => billing.PROMOTIONS.pop());
+
+  const fees = calculateFees(40, 'Cleaning', at);
+
+  assert.equal(fees.promotionId, 'autumn-cleaning');
+  assert.equal(fees.feePercent, 5);
+  assert.equal(fees.fee, 2);
+  assert.equal(fees.minimumFeeApplied, false);
+
+  assert.equal(calculateFees(40, 'Cleaning', new Date('2026-11-01')).promotionId, null);
+  assert.equal(calculateFees(40, 'Moving', at).promotionId, null);
+});
+
+test('a configured fee of 0 is kept rather than replaced by the default', (t) => {
+  const billingPath = require.resolve('../../src/config/billing');
+  const { PLATFORM_FEE_PERCENT, PLATFORM_MINIMUM_FEE } = process.env;
+
+  process.env.PLATFORM_FEE_PERCENT = '0';
+  process.env.PLATFORM_MINIMUM_FEE = '0';
+  delete require.cache[billingPath];
+
+  t.after(() => {
+    const restore = { PLATFORM_FEE_PERCENT, PLATFORM_MINIMUM_FEE };
+    Object.entries(restore).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+    delete require.cache[billingPath];
+  });
+
+  const freshBilling = require('../../src/config/billing');
+
+  assert.equal(freshBilling.DEFAULT_FEE_PERCENT, 0);
+  assert.equal(freshBilling.MINIMUM_FEE, 0);
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getCancellationDisputeDeadline,
+  isCancellationDisputable
+} = require('../../src/services/jobCancellation');
+const { JOB_STATUS, JOB_CANCELLATION } = require('../../src/utils/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+const cancelledAt = '2026-10-01T12:00:00.000Z';
+const deadline = new Date(Date.parse(cancelledAt) + JOB_CANCELLATION.DISPUTE_WINDOW_HOURS * HOUR_MS);
+
+test('getCancellationDisputeDeadline adds the dispute window to the cancellation time', () => {
+  assert.equal(getCancellationDisputeDeadline({ cancelled_at: cancelledAt }), deadline.toISOString());
+});
+
+test('getCancellationDisputeDeadline returns null for a job that was never cancelled', () => {
+  assert.equal(getCancellationDisputeDeadline({ cancelled_at: null }), null);
+});
+
+test('isCancellationDisputable is true until the window closes', () => {
+  const job = { status: JOB_STATUS.CANCELLED, cancelled_at: cancelledAt };
+
+  assert.equal(isCancellationDisputable(job, Date.parse(cancelledAt) + HOUR_MS), true);
+  assert.equal(isCancellationDisputable(job, deadline.getTime() - 1), true);
+  assert.equal(isCancellationDisputable(job, deadline.getTime()), false);
+});
+
+test('isCancellationDisputable is false for jobs that are not cancelled', () => {
+  const job = { status: JOB_STATUS.DISPUTED, cancelled_at: cancelledAt };
+
+  assert.equal(isCancellationDisputable(job, Date.parse(cancelledAt)), false);
+  assert.equal(isCancellationDisputable({ status: JOB_STATUS.CANCELLED, cancelled_at: null }), false);
+});
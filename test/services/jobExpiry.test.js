@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isBiddingClosed } = require('../../src/services/jobExpiry');
+
+const now = Date.parse('2026-10-01T12:00:00.000Z');
+const earlier = '2026-10-01T11:00:00.000Z';
+const later = '2026-10-01T13:00:00.000Z';
+
+test('isBiddingClosed is false for a job with no deadline or expiry', () => {
+  assert.equal(isBiddingClosed({ bid_deadline: null, expires_at: null }, now), false);
+});
+
+test('isBiddingClosed is false before the deadline and the expiry', () => {
+  assert.equal(isBiddingClosed({ bid_deadline: later, expires_at: later }, now), false);
+});
+
+test('isBiddingClosed closes bidding once the bidding deadline passes', () => {
+  assert.equal(isBiddingClosed({ bid_deadline: earlier, expires_at: later }, now), true);
+  assert.equal(isBiddingClosed({ bid_deadline: new Date(now).toISOString(), expires_at: later }, now), true);
+});
+
+test('isBiddingClosed closes bidding on expired jobs the sweep has not reached yet', () => {
+  assert.equal(isBiddingClosed({ bid_deadline: null, expires_at: earlier }, now), true);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isJobParty,
+  approximateLocation,
+  withVisibleLocation
+} = require('../../src/services/jobVisibility');
+
+const job = {
+  id: 'job-1',
+  customer_id: 'customer-1',
+  contractor_id: 'contractor-1',
+  location: '12 Oak St, Apt 3, Springfield, IL 62704',
+  approximate_location: 'Springfield, IL'
+};
+
+test('approximateLocation keeps the city and region of an address', () => {
+  assert.equal(approximateLocation('12 Oak St, Apt 3, Springfield, IL 62704'), 'Springfield, IL');
+  assert.equal(approximateLocation('Unit 5, 200 Main Street, Portland, OR'), 'Portland, OR');
+});
+
+test('approximateLocation drops postal codes and unit markers', () => {
+  assert.equal(approximateLocation('Flat 2, 10 High Street, London SW1A 1AA'), 'London');
+  assert.equal(approximateLocation('Suite 100, Austin, TX 78701'), 'Austin, TX');
+});
+
+test('approximateLocation keeps an area that is already approximate', () => {
+  assert.equal(approximateLocation('Springfield'), 'Springfield');
+  assert.equal(approximateLocation('Springfield, IL'), 'Springfield, IL');
+});
+
+test('approximateLocation returns null when nothing but the street is given', () => {
+  assert.equal(approximateLocation('12 Oak St'), null);
+  assert.equal(approximateLocation(''), null);
+  assert.equal(approximateLocation(null), null);
+});
+
+test('isJobParty covers the customer, the assigned contractor and admins', () => {
+  assert.equal(isJobParty(job, { userId: 'customer-1', role: 'customer' }), true);
+  assert.equal(isJobParty(job, { userId: 'contractor-1', role: 'contractor' }), true);
+  assert.equal(isJobParty(job, { userId: 'admin-1', role: 'admin' }), true);
+  assert.equal(isJobParty(job, { userId: 'contractor-2', role: 'contractor' }), false);
+});
+
+test('withVisibleLocation shows the exact address to the job parties', () => {
+  const visible = withVisibleLocation(job, { userId: 'customer-1', role: 'customer' });
+
+  assert.equal(visible.location, job.location);
+  assert.equal(visible.location_is_approximate, false);
+});
+
+test('withVisibleLocation shows the stored approximate area to everyone else', () => {
+  const visible = withVisibleLocation(
+    { ...job, approximate_location: 'Springfield area' },
+    { userId: 'contractor-2', role: 'contractor' }
+  );
+
+  assert.equal(visible.location, 'Springfield area');
+  assert.equal(visible.location_is_approximate, true);
+});
+
+test('withVisibleLocation derives the area for jobs stored without one', () => {
+  const visible = withVisibleLocation(
+    { ...job, approximate_location: null },
+    { userId: 'contractor-2', role: 'contractor' }
+  );
+
+  assert.equal(visible.location, 'Springfield, IL');
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBidMilestones, computeProgress } = require('../../src/services/milestones');
+const { MILESTONE_STATUS } = require('../../src/utils/constants');
+
+test('buildBidMilestones returns no milestones when none are proposed', () => {
+  assert.deepEqual(buildBidMilestones(undefined, 100), { milestones: [] });
+  assert.deepEqual(buildBidMilestones([], 100), { milestones: [] });
+});
+
+test('buildBidMilestones normalizes milestones that cover the bid amount', () => {
+  const result = buildBidMilestones([
+    { title: '  Demolition ', amount: '40.10', dueDate: '2026-11-01' },
+    { title: 'Install', amount: 59.9 }
+  ], '100');
+
+  assert.deepEqual(result, {
+    milestones: [
+      { title: 'Demolition', amount: 40.1, due_date: '2026-11-01' },
+      { title: 'Install', amount: 59.9, due_date: null }
+    ]
+  });
+});
+
+test('buildBidMilestones accepts a stored due_date', () => {
+  const { milestones } = buildBidMilestones([{ title: 'All', amount: 50, due_date: '2026-12-01' }], 50);
+
+  assert.equal(milestones[0].due_date, '2026-12-01');
+});
+
+test('buildBidMilestones rejects milestones that do not add up to the bid', () => {
+  const result = buildBidMilestones([
+    { title: 'First', amount: 30 },
+    { title: 'Second', amount: 30 }
+  ], 100);
+
+  assert.equal(result.error, 'Milestone amounts add up to 60.00 but the bid is 100.00');
+  assert.equal(result.milestones, undefined);
+});
+
+test('buildBidMilestones ignores floating point noise', () => {
+  const result = buildBidMilestones([
+    { title: 'First', amount: 0.1 },
+    { title: 'Second', amount: 0.2 }
+  ], 0.3);
+
+  assert.equal(result.error, undefined);
+  assert.equal(result.milestones.length, 2);
+});
+
+test('computeProgress returns null for a job without milestones', () => {
+  assert.equal(computeProgress([]), null);
+  assert.equal(computeProgress(), null);
+});
+
+test('computeProgress reports the approved share of the milestone amount', () => {
+  const progress = computeProgress([
+    { amount: '25.00', status: MILESTONE_STATUS.APPROVED },
+    { amount: '50.00', status: MILESTONE_STATUS.SUBMITTED },
+    { amount: '25.00', status: MILESTONE_STATUS.PENDING }
+  ]);
+
+  assert.deepEqual(progress, {
+    totalCount: 3,
+    approvedCount: 1,
+    submittedCount: 1,
+    totalAmount: 100,
+    approvedAmount: 25,
+    percent: 25
+  });
+});
+
+test('computeProgress reports 0 percent when milestones have no amount', () => {
+  const progress = computeProgress([{ amount: 0, status: MILESTONE_STATUS.APPROVED }]);
+
+  assert.equal(progress.percent, 0);
+  assert.equal(progress.approvedCount, 1);
+});
@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const billing = require('../../src/config/billing');
+const { applyTerms } = require('../../src/services/negotiation');
+
+const singleAmountBid = {
+  amount: '500',
+  estimated_days: 5,
+  line_items: [],
+  tax_amount: 0,
+  milestones: []
+};
+
+const itemizedBid = {
+  ...singleAmountBid,
+  line_items: [
+    { type: 'labor', description: 'Labor', quantity: 10, unit_price: 40, taxable: false, total: 400 },
+    { type: 'materials', description: 'Parts', quantity: 1, unit_price: 100, taxable: false, total: 100 }
+  ]
+};
+
+const milestoneBid = {
+  ...singleAmountBid,
+  milestones: [
+    { title: 'Start', amount: 200, due_date: null },
+    { title: 'Finish', amount: 300, due_date: null }
+  ]
+};
+
+test('applyTerms changes the amount and timeline of a single-amount bid', () => {
+  assert.deepEqual(applyTerms(singleAmountBid, { amount: '450', estimatedDays: '4' }), {
+    changes: { amount: 450, estimated_days: 4 }
+  });
+});
+
+test('applyTerms keeps the timeline when none is given', () => {
+  const { changes } = applyTerms(singleAmountBid, { amount: 450, estimatedDays: null });
+
+  assert.equal(changes.estimated_days, 5);
+});
+
+test('applyTerms keeps line items and milestones when the amount is unchanged', () => {
+  const { changes } = applyTerms({ ...itemizedBid, milestones: milestoneBid.milestones }, {
+    amount: '500.00',
+    estimatedDays: 7
+  });
+
+  assert.deepEqual(changes, { amount: 500, estimated_days: 7 });
+});
+
+test('applyTerms rejects a new amount on an itemized bid without revised line items', () => {
+  assert.deepEqual(applyTerms(itemizedBid, { amount: 450 }), {
+    error: 'This bid is itemized; send line items revised to add up to the new amount'
+  });
+});
+
+test('applyTerms takes revised line items that add up to the new amount', (t) => {
+  const original = billing.TAX_PERCENT;
+  billing.TAX_PERCENT = 0;
+  t.after(() => {
+    billing.TAX_PERCENT = original;
+  });
+
+  const { changes } = applyTerms(itemizedBid, {
+    amount: 450,
+    lineItems: [
+      { type: 'labor', description: 'Labor', quantity: 9, unitPrice: 40 },
+      { type: 'materials', description: 'Parts', quantity: 1, unitPrice: 90 }
+    ]
+  });
+
+  assert.equal(changes.amount, 450);
+  assert.equal(changes.tax_amount, 0);
+  assert.deepEqual(changes.line_items.map(item => item.total), [360, 90]);
+});
+
+test('applyTerms rejects revised line items that miss the new amount', () => {
+  const result = applyTerms(itemizedBid, {
+    amount: 450,
+    lineItems: [{ type: 'labor', description: 'Labor', quantity: 10, unitPrice: 40 }]
+  });
+
+  assert.deepEqual(result, { error: 'Line items add up to 400.00 but the new amount is 450.00' });
+});
+
+test('applyTerms turns an itemized bid into a single-amount bid on an empty list', () => {
+  const { changes } = applyTerms(itemizedBid, { amount: 450, lineItems: [] });
+
+  assert.deepEqual(changes.line_items, []);
+  assert.equal(changes.tax_amount, 0);
+});
+
+test('applyTerms rejects a new amount on a milestone bid without revised milestones', () => {
+  assert.deepEqual(applyTerms(milestoneBid, { amount: 450 }), {
+    error: 'This bid has milestones; send milestones revised to add up to the new amount'
+  });
+});
+
+test('applyTerms takes revised milestones that add up to the new amount', () => {
+  const { changes } = applyTerms(milestoneBid, {
+    amount: 450,
+    milestones: [
+      { title: 'Start', amount: 150 },
+      { title: 'Finish', amount: 300 }
+    ]
+  });
+
+  assert.deepEqual(changes.milestones, [
+    { title: 'Start', amount: 150, due_date: null },
+    { title: 'Finish', amount: 300, due_date: null }
+  ]);
+});
+
+test('applyTerms rejects revised milestones that miss the new amount', () => {
+  const result = applyTerms(milestoneBid, { amount: 450, milestones: milestoneBid.milestones });
+
+  assert.deepEqual(result, { error: 'Milestone amounts add up to 500.00 but the bid is 450.00' });
+});
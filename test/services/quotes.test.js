@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const billing = require('../../src/config/billing');
+const { buildLineItems, summarizeQuote } = require('../../src/services/quotes');
+
+/**
+ * Use a different sales tax rate until the test ends
+ * @param {Object} t - Test context
+ * @param {number} percent - Tax rate to use
+ */
+const useTaxPercent = (t, percent) => {
+  const original = billing.TAX_PERCENT;
+  billing.TAX_PERCENT = percent;
+  t.after(() => {
+    billing.TAX_PERCENT = original;
+  });
+};
+
+test('buildLineItems returns no items and no amount for single-amount bids', () => {
+  assert.deepEqual(buildLineItems(undefined), { lineItems: [], taxAmount: 0, amount: null });
+  assert.deepEqual(buildLineItems([]), { lineItems: [], taxAmount: 0, amount: null });
+});
+
+test('buildLineItems normalizes items and derives the amount', (t) => {
+  useTaxPercent(t, 0);
+
+  const result = buildLineItems([
+    { type: 'labor', description: ' Install sink ', quantity: '3', unitPrice: '45.50' },
+    { type: 'materials', description: 'Pipe', quantity: 2, unit_price: 12.25, taxable: true }
+  ]);
+
+  assert.deepEqual(result, {
+    lineItems: [
+      { type: 'labor', description: 'Install sink', quantity: 3, unit_price: 45.5, taxable: false, total: 136.5 },
+      { type: 'materials', description: 'Pipe', quantity: 2, unit_price: 12.25, taxable: true, total: 24.5 }
+    ],
+    taxAmount: 0,
+    amount: 161
+  });
+});
+
+test('buildLineItems adds tax on taxable items only', (t) => {
+  useTaxPercent(t, 8.25);
+
+  const result = buildLineItems([
+    { type: 'labor', description: 'Labor', quantity: 1, unitPrice: 100 },
+    { type: 'materials', description: 'Tiles', quantity: 4, unitPrice: 19.99, taxable: true }
+  ]);
+
+  // 8.25% of 79.96 is 6.5967
+  assert.equal(result.taxAmount, 6.6);
+  assert.equal(result.amount, 186.56);
+});
+
+test('buildLineItems only treats taxable: true as taxable', (t) => {
+  useTaxPercent(t, 10);
+
+  const result = buildLineItems([
+    { type: 'materials', description: 'Paint', quantity: 1, unitPrice: 50, taxable: 'yes' }
+  ]);
+
+  assert.equal(result.lineItems[0].taxable, false);
+  assert.equal(result.taxAmount, 0);
+});
+
+test('buildLineItems rounds each line total to the cent', (t) => {
+  useTaxPercent(t, 0);
+
+  const result = buildLineItems([
+    { type: 'materials', description: 'Screws', quantity: 3, unitPrice: 0.333 }
+  ]);
+
+  assert.equal(result.lineItems[0].total, 1);
+  assert.equal(result.amount, 1);
+});
+
+test('buildLineItems rejects items that add up to nothing', (t) => {
+  useTaxPercent(t, 0);
+
+  const result = buildLineItems([
+    { type: 'disposal', description: 'Haul away', quantity: 1, unitPrice: 0 }
+  ]);
+
+  assert.deepEqual(result, { error: 'Line items must add up to more than zero' });
+});
+
+test('summarizeQuote totals an itemized bid by type', () => {
+  const quote = summarizeQuote({
+    amount: '186.56',
+    tax_amount: '6.60',
+    line_items: [
+      { type: 'labor', total: 100 },
+      { type: 'materials', total: 79.96 }
+    ]
+  });
+
+  assert.deepEqual(quote, {
+    totalsByType: { labor: 100, materials: 79.96 },
+    subtotal: 179.96,
+    tax: 6.6,
+    total: 186.56
+  });
+});
+
+test('summarizeQuote returns null for single-amount bids', () => {
+  assert.equal(summarizeQuote({ amount: '100', line_items: [] }), null);
+  assert.equal(summarizeQuote({ amount: '100', line_items: null }), null);
+});